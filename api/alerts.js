@@ -0,0 +1,36 @@
+/**
+ * GET  /api/alerts               — alert channels and throttle settings
+ * POST /api/alerts?action=test   — send a test alert to every channel,
+ *                                  ignoring the throttle
+ */
+const { describeAlerts, raiseAlert } = require('../lib/alerts');
+const { requireAuth } = require('../lib/auth');
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ status: 'ok', alerts: describeAlerts() });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const action = typeof req.query.action === 'string' ? req.query.action.trim().toLowerCase() : '';
+  if (action !== 'test') {
+    return res.status(400).json({ error: 'Unknown action (expected test)' });
+  }
+
+  const result = await raiseAlert('alert.test', 'Test alert from the Acuity → PassKit dashboard', {
+    by: req.auth?.name || null,
+  }, { force: true });
+  if (!result.sent) {
+    return res.status(result.reason === 'disabled' ? 409 : 502).json({
+      status: 'error',
+      message: result.reason === 'disabled' ? 'No alert channels are configured' : 'No alert channel accepted the test alert',
+      ...(result.channels ? { channels: result.channels } : {}),
+    });
+  }
+  return res.status(200).json({ status: 'ok', channels: result.channels });
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
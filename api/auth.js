@@ -0,0 +1,74 @@
+/**
+ * GET    /api/auth   — current session info
+ * POST   /api/auth   — admin or staff login ({ username, password } JSON body),
+ *                      429 after too many failures from one address
+ * DELETE /api/auth   — logout (clears the session cookie)
+ *
+ * The only operator endpoint that does not go through requireAuth().
+ */
+const {
+  isAuthConfigured,
+  verifyLoginCredentials,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticateRequest,
+  logRejectedRequest,
+  getLoginRetryAfter,
+  recordLoginFailure,
+} = require('../lib/auth');
+const { parseJsonBody } = require('../lib/helpers');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'GET') {
+    const { principal } = authenticateRequest(req);
+    return res.status(200).json({
+      status: 'ok',
+      configured: isAuthConfigured(),
+      authenticated: !!principal,
+      principal: principal
+        ? { name: principal.name, displayName: principal.displayName || null, role: principal.role, scopes: principal.scopes }
+        : null,
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    clearSessionCookie(req, res);
+    return res.status(200).json({ status: 'ok', authenticated: false });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthConfigured()) {
+    return res.status(503).json({ error: 'Authentication is not configured. Set ADMIN_PASSWORD.' });
+  }
+
+  const body = parseJsonBody(req);
+  const username = typeof body.username === 'string' ? body.username.slice(0, 64) : null;
+  const retryAfter = await getLoginRetryAfter(req);
+  if (retryAfter) {
+    await logRejectedRequest(req, 'login_throttled', { username });
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed logins. Try again later.', retryAfter });
+  }
+
+  const principal = verifyLoginCredentials(body.username, body.password);
+  if (!principal) {
+    await recordLoginFailure(req);
+    await logRejectedRequest(req, 'invalid_login', { username });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  try {
+    setSessionCookie(req, res, principal);
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: err.message });
+  }
+
+  return res.status(200).json({
+    status: 'ok',
+    authenticated: true,
+    principal: { name: principal.name, displayName: principal.displayName || null, role: principal.role, scopes: principal.scopes },
+  });
+};
@@ -0,0 +1,71 @@
+/**
+ * GET  /api/broadcasts                    — recent broadcasts
+ * GET  /api/broadcasts?id=<broadcastId>   — one broadcast with its delivery results
+ * POST /api/broadcasts                    — create a broadcast
+ *                                           ({ "message", "audience": { "type", … }, "sendAt" })
+ * POST /api/broadcasts?action=send        — send due broadcasts now
+ * POST /api/broadcasts?action=cancel&id=<broadcastId>
+ *                                         — cancel a scheduled or sending broadcast
+ *
+ * A broadcast without `sendAt` starts sending in the create call; large
+ * sends and scheduled ones are continued by the cron job.
+ */
+const {
+  createBroadcast,
+  cancelBroadcast,
+  runDueBroadcasts,
+  listBroadcasts,
+  getBroadcast,
+} = require('../lib/broadcasts');
+const { requireAuth } = require('../lib/auth');
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const id = readQuery(req, 'id');
+      if (!id) {
+        return res.status(200).json({ status: 'ok', ...(await listBroadcasts()) });
+      }
+      const broadcast = await getBroadcast(id);
+      if (!broadcast) return res.status(404).json({ status: 'error', message: 'Broadcast not found' });
+      return res.status(200).json({ status: 'ok', broadcast });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const action = readQuery(req, 'action').toLowerCase();
+    if (action === 'send') {
+      return res.status(200).json({ status: 'ok', result: await runDueBroadcasts() });
+    }
+    if (action === 'cancel') {
+      return res.status(200).json({ status: 'ok', broadcast: await cancelBroadcast(readQuery(req, 'id')) });
+    }
+    if (action) {
+      return res.status(400).json({ error: 'Unknown action (expected send or cancel)' });
+    }
+
+    const body = req.body || {};
+    const created = await createBroadcast({
+      message: body.message,
+      audience: body.audience,
+      sendAt: body.sendAt || null,
+      createdBy: req.auth?.name || null,
+    });
+    const result = Date.parse(created.sendAt) <= Date.now() ? await runDueBroadcasts() : null;
+    return res.status(200).json({
+      status: 'ok',
+      broadcast: (await getBroadcast(created.id, { limit: 10 })) || created,
+      ...(result ? { result } : {}),
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -1,10 +1,21 @@
 /**
  * POST /api/cancel-membership?orderId=123
  * POST /api/cancel-membership?certificateCode=AB12CD34
+ * POST /api/cancel-membership?certificateCode=AB12CD34&program=downtown
+ * POST /api/cancel-membership?certificateCode=AB12CD34&dryRun=true
  *
  * Deactivates a member in PassKit and removes certificate->order mapping.
+ * Without `program` the member's enrolled program is used, falling back to
+ * searching every configured program. With `dryRun=true` nothing is
+ * written: the result lists the planned PassKit calls and a diff against
+ * the current member (lib/dry-run.js).
  */
-const helpers = require('../lib/helpers');
+const { parseBoolean } = require('../lib/helpers');
+const enrollment = require('../lib/enrollment');
+const { resolveOrderIdByCertificateCode } = require('../lib/member-registry');
+const { planCertificateCancellation, planOrderCancellation } = require('../lib/dry-run');
+const { getProgramByKey } = require('../lib/programs');
+const { requireAuth } = require('../lib/auth');
 
 function looksLikeCertificateCode(value) {
   return typeof value === 'string' && /^[A-Za-z0-9]{8}$/.test(value.trim());
@@ -12,13 +23,13 @@ function looksLikeCertificateCode(value) {
 
 function getCancelByCodeFn() {
   return (
-    helpers.cancelMembershipByCertificateCode ||
-    helpers.cancelMembershipByCertificatecode ||
+    enrollment.cancelMembershipByCertificateCode ||
+    enrollment.cancelMembershipByCertificatecode ||
     null
   );
 }
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -28,20 +39,41 @@ module.exports = async function handler(req, res) {
     ? req.query.certificateCode.trim()
     : '';
 
+  const programKey = typeof req.query.program === 'string' ? req.query.program.trim() : '';
+  const program = programKey ? getProgramByKey(programKey) : null;
+  if (programKey && !program) {
+    return res.status(400).json({ error: `Unknown program: ${programKey}` });
+  }
+
   const cancelByCodeFn = getCancelByCodeFn();
-  const processCancellationFn = helpers.processMembershipCancellation;
-  const resolveOrderIdFn = helpers.resolveOrderIdByCertificateCode;
+  const processCancellationFn = enrollment.processMembershipCancellation;
+  const resolveOrderIdFn = resolveOrderIdByCertificateCode;
+  const context = {
+    sourceAction: 'manual.cancel',
+    reason: 'Manual cancellation request',
+    ...(program ? { program } : {}),
+  };
 
   try {
+    if (parseBoolean(req.query.dryRun, false)) {
+      if (rawCertificateCode || looksLikeCertificateCode(rawOrderId)) {
+        const certificateCode = (rawCertificateCode || rawOrderId).toUpperCase();
+        const result = await planCertificateCancellation(certificateCode, context);
+        return res.status(200).json({ status: 'ok', dryRun: true, result });
+      }
+      if (rawOrderId) {
+        const result = await planOrderCancellation(rawOrderId, context);
+        return res.status(200).json({ status: 'ok', dryRun: true, orderId: rawOrderId, result });
+      }
+      return res.status(400).json({ error: 'Missing orderId or certificateCode query parameter' });
+    }
+
     if (rawCertificateCode || looksLikeCertificateCode(rawOrderId)) {
       const certificateCode = (rawCertificateCode || rawOrderId).toUpperCase();
       let result;
 
       if (typeof cancelByCodeFn === 'function') {
-        result = await cancelByCodeFn(certificateCode, {
-          sourceAction: 'manual.cancel',
-          reason: 'Manual cancellation request',
-        });
+        result = await cancelByCodeFn(certificateCode, context);
       } else if (typeof resolveOrderIdFn === 'function' && typeof processCancellationFn === 'function') {
         const resolvedOrderId = await resolveOrderIdFn(certificateCode);
         if (!resolvedOrderId) {
@@ -49,10 +81,7 @@ module.exports = async function handler(req, res) {
             error: 'Cancellation helper unavailable and no certificate mapping found for this code.',
           });
         }
-        result = await processCancellationFn(resolvedOrderId, {
-          sourceAction: 'manual.cancel',
-          reason: 'Manual cancellation request',
-        });
+        result = await processCancellationFn(resolvedOrderId, context);
       } else {
         return res.status(500).json({
           error: 'Cancellation helpers are unavailable in this deployment. Redeploy latest code.',
@@ -69,10 +98,7 @@ module.exports = async function handler(req, res) {
         });
       }
 
-      const result = await processCancellationFn(rawOrderId, {
-        sourceAction: 'manual.cancel',
-        reason: 'Manual cancellation request',
-      });
+      const result = await processCancellationFn(rawOrderId, context);
       return res.status(200).json({ status: 'ok', orderId: rawOrderId, result });
     }
 
@@ -80,4 +106,6 @@ module.exports = async function handler(req, res) {
   } catch (err) {
     return res.status(500).json({ status: 'error', message: err.message });
   }
-};
+}
+
+module.exports = requireAuth(handler, 'write');
@@ -0,0 +1,45 @@
+/**
+ * GET  /api/check-in?code=AB12CD34   — validate a scanned pass (no check-in)
+ * POST /api/check-in?code=AB12CD34   — check the member in
+ *
+ * `code` is the certificate code, a PassKit member ID or the pass URL from
+ * the barcode (also accepted as JSON `{ "code": "…" }`). Responses carry
+ * `result`: valid, expired, cancelled or not_found; POST adds `checkedIn`
+ * and, when a rule refuses the visit, `reason`.
+ */
+const { validatePass, checkIn, listCheckIns } = require('../lib/check-ins');
+const { requireAuth } = require('../lib/auth');
+
+function readCode(req) {
+  const fromQuery = typeof req.query.code === 'string' ? req.query.code : '';
+  const fromBody = req.body && typeof req.body.code === 'string' ? req.body.code : '';
+  return (fromQuery || fromBody).trim();
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const code = readCode(req);
+  if (!code) {
+    return res.status(400).json({ status: 'error', message: 'Missing code' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const validation = await validatePass(code);
+      const history = validation.member
+        ? await listCheckIns(validation.member.externalId || validation.member.id)
+        : null;
+      return res.status(200).json({ status: 'ok', ...validation, ...(history ? { history } : {}) });
+    }
+
+    const outcome = await checkIn(code, { by: req.auth?.name || null });
+    return res.status(200).json({ status: 'ok', ...outcome });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -0,0 +1,79 @@
+/**
+ * GET /api/cron
+ *
+ * Scheduled maintenance, invoked by Vercel Cron (see vercel.json) with
+ * `Authorization: Bearer $CRON_SECRET`. Operators can also trigger it.
+ *
+ * Runs each task in turn; one failing task doesn't stop the others. The
+ * tasks share one deadline inside the function's maxDuration (vercel.json),
+ * and each is further capped by its own budget. Tasks left when the deadline
+ * passes are skipped until the next run, and the order rotates between runs
+ * so a busy task near the front can't starve the ones behind it.
+ */
+const { appendLog, getRedisStatus } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
+const { drainWebhookQueue } = require('../lib/queue');
+const { runMembershipExpiry } = require('../lib/membership-terms');
+const { continueReconciliation } = require('../lib/reconciliation');
+const { runDueBroadcasts } = require('../lib/broadcasts');
+const { runNotificationTasks } = require('../lib/notifications');
+const { runDueOutboundDeliveries } = require('../lib/outbound-webhooks');
+const { retryOrderPoints } = require('../lib/points');
+
+// maxDuration for api/cron.js in vercel.json is 60s. Budgets are checked
+// between items, so leave room for the last PassKit or Acuity call to finish.
+const RUN_BUDGET_MS = 45000;
+
+// Raises the redis.unavailable alert even when nobody has the dashboard open.
+const HEALTH_TASK = { name: 'redis-health', run: () => getRedisStatus() };
+
+const TASKS = [
+  { name: 'webhook-queue', budgetMs: 20000, run: (timeBudgetMs) => drainWebhookQueue({ timeBudgetMs }) },
+  { name: 'membership-expiry', budgetMs: 15000, run: (timeBudgetMs) => runMembershipExpiry({ timeBudgetMs }) },
+  { name: 'reconciliation', budgetMs: 15000, run: (timeBudgetMs) => continueReconciliation({ timeBudgetMs }) },
+  { name: 'broadcasts', budgetMs: 15000, run: (timeBudgetMs) => runDueBroadcasts({ timeBudgetMs }) },
+  { name: 'notifications', budgetMs: 10000, run: (timeBudgetMs) => runNotificationTasks({ timeBudgetMs }) },
+  { name: 'outbound-webhooks', budgetMs: 10000, run: (timeBudgetMs) => runDueOutboundDeliveries({ timeBudgetMs }) },
+  { name: 'points-retries', budgetMs: 5000, run: (timeBudgetMs) => retryOrderPoints({ timeBudgetMs }) },
+];
+
+/** The tasks for a run started at `now`, starting one further along each minute. */
+function orderTasks(now) {
+  const offset = Math.floor(now / 60000) % TASKS.length;
+  return [HEALTH_TASK, ...TASKS.slice(offset), ...TASKS.slice(0, offset)];
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startedAt = Date.now();
+  const deadline = startedAt + RUN_BUDGET_MS;
+  const results = {};
+  const skipped = [];
+  let failed = 0;
+  for (const task of orderTasks(startedAt)) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      skipped.push(task.name);
+      results[task.name] = { status: 'skipped' };
+      continue;
+    }
+    try {
+      const timeBudgetMs = Math.min(task.budgetMs || remainingMs, remainingMs);
+      results[task.name] = { status: 'ok', result: await task.run(timeBudgetMs) };
+    } catch (err) {
+      failed += 1;
+      results[task.name] = { status: 'error', message: err.message };
+      await appendLog('error', `Scheduled task ${task.name} failed`, err.message, 'cron.task_failed');
+    }
+  }
+  if (skipped.length) {
+    await appendLog('warn', 'Scheduled tasks ran out of time; skipped until the next run', { skipped }, 'cron.tasks_skipped');
+  }
+
+  return res.status(200).json({ status: failed || skipped.length ? 'partial' : 'ok', tasks: results });
+}
+
+module.exports = requireAuth(handler, 'cron');
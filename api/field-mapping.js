@@ -0,0 +1,125 @@
+/**
+ * GET    /api/field-mapping                  — active mapping, its source and the default
+ * PUT    /api/field-mapping                  — save a mapping ({ mapping } JSON body)
+ * DELETE /api/field-mapping                  — drop the saved mapping (file/default applies)
+ * POST   /api/field-mapping?orderId=123      — preview the member payload for a real order,
+ *                                              optionally with an unsaved { mapping } body
+ */
+const {
+  getConfig,
+  createAcuityClient,
+  extractCertificateCode,
+  normalizeCertificateCode,
+  parseJsonBody,
+} = require('../lib/helpers');
+const {
+  DEFAULT_FIELD_MAPPING,
+  validateFieldMapping,
+  loadFieldMapping,
+  saveFieldMapping,
+  resetFieldMapping,
+  buildMemberPayload,
+} = require('../lib/field-mapping');
+const { resolveTierForOrder } = require('../lib/tier-routing');
+const { requireAuth } = require('../lib/auth');
+
+async function previewMapping(req, res) {
+  const orderId = typeof req.query.orderId === 'string' ? req.query.orderId.trim() : '';
+  if (!orderId) {
+    return res.status(400).json({ error: 'Missing orderId query parameter' });
+  }
+
+  const body = parseJsonBody(req);
+  let mapping;
+  let source;
+  if (body.mapping) {
+    const errors = validateFieldMapping(body.mapping);
+    if (errors.length > 0) {
+      return res.status(400).json({ status: 'error', message: 'Invalid field mapping', errors });
+    }
+    mapping = body.mapping;
+    source = 'request';
+  } else {
+    ({ mapping, source } = await loadFieldMapping());
+  }
+
+  let order;
+  try {
+    const response = await createAcuityClient().get(`/orders/${encodeURIComponent(orderId)}`);
+    order = response.data;
+  } catch (err) {
+    return res.status(502).json({
+      status: 'error',
+      message: `Failed to fetch order #${orderId} from Acuity: ${err.message}`,
+    });
+  }
+
+  const extracted = extractCertificateCode(order);
+  const certificateCode = extracted ? normalizeCertificateCode(extracted) : null;
+  const memberData = buildMemberPayload(order, {
+    orderId,
+    certificateCode,
+    programId: getConfig().PASSKIT_PROGRAM_ID,
+  }, mapping);
+
+  let tier = null;
+  let tierError = null;
+  try {
+    tier = resolveTierForOrder(order, { fallbackTierId: memberData.tierId || null });
+    memberData.tierId = tier.tierId;
+    if (tier.programId) memberData.programId = tier.programId;
+  } catch (err) {
+    tierError = err.message;
+  }
+
+  return res.status(200).json({
+    status: 'ok',
+    orderId,
+    mappingSource: source,
+    certificateCode,
+    tier,
+    ...(tierError ? { tierError } : {}),
+    order,
+    memberData,
+  });
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const active = await loadFieldMapping();
+      return res.status(200).json({
+        status: 'ok',
+        source: active.source,
+        mapping: active.mapping,
+        defaultMapping: DEFAULT_FIELD_MAPPING,
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const body = parseJsonBody(req);
+      const mapping = await saveFieldMapping(body.mapping);
+      return res.status(200).json({ status: 'ok', source: 'redis', mapping });
+    }
+
+    if (req.method === 'DELETE') {
+      await resetFieldMapping();
+      const active = await loadFieldMapping();
+      return res.status(200).json({ status: 'ok', source: active.source, mapping: active.mapping });
+    }
+
+    if (req.method === 'POST') {
+      return await previewMapping(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({
+      status: 'error',
+      message: err.message,
+      ...(err.details ? { errors: err.details } : {}),
+    });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'read', PUT: 'write', DELETE: 'write' });
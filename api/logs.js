@@ -1,16 +1,43 @@
 /**
  * GET /api/logs
- * 
- * Returns the activity log. Uses Upstash Redis if available,
- * otherwise returns empty (logs are still in Vercel function logs).
+ * GET /api/logs?level=error&event=enrollment.created&orderId=123&certificateCode=AB12CD34
+ *              &appointmentId=…&memberId=…&correlationId=…&program=downtown&since=…&until=…&limit=50&cursor=…
+ *
+ * Returns the structured activity log, newest first. Uses Upstash Redis if
+ * available, otherwise returns empty (logs are still in Vercel function logs).
+ * `event` also accepts a prefix such as `enrollment.*`; `since`/`until` take
+ * ISO timestamps. Pass `nextCursor` back as `cursor` for the next page.
  */
-const { getLogs } = require('../lib/helpers');
+const { queryLogs, LOG_EVENT_TYPES, getLogRetentionDays } = require('../lib/activity-log');
+const { requireAuth } = require('../lib/auth');
 
-module.exports = async function handler(req, res) {
+const FILTER_PARAMS = ['level', 'event', 'orderId', 'appointmentId', 'certificateCode', 'memberId', 'correlationId', 'program', 'since', 'until'];
+
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const logs = await getLogs();
-  return res.status(200).json(logs);
-};
+  const filters = {};
+  for (const name of FILTER_PARAMS) {
+    if (typeof req.query[name] === 'string') filters[name] = req.query[name];
+  }
+
+  try {
+    const { entries, nextCursor } = await queryLogs(filters, {
+      limit: req.query.limit,
+      cursor: typeof req.query.cursor === 'string' ? req.query.cursor : null,
+    });
+    return res.status(200).json({
+      status: 'ok',
+      entries,
+      nextCursor,
+      eventTypes: LOG_EVENT_TYPES,
+      retentionDays: getLogRetentionDays(),
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, 'read');
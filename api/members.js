@@ -0,0 +1,42 @@
+/**
+ * GET /api/members?q=<certificate code | order ID | email | name>[&type=email]
+ *                                                      — search for members
+ * GET /api/members?certificateCode=AB12CD34             — combined member profile
+ * GET /api/members?orderId=123                          — profile by Acuity order
+ *
+ * A profile joins the Acuity order, the PassKit member (status, tier,
+ * metadata, pass install state), the member registry record, recent
+ * check-ins and the member's activity-log history.
+ */
+const { searchMembers, getMemberProfile } = require('../lib/member-lookup');
+const { requireAuth } = require('../lib/auth');
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const certificateCode = readQuery(req, 'certificateCode');
+  const orderId = readQuery(req, 'orderId');
+
+  try {
+    if (certificateCode || orderId) {
+      const profile = await getMemberProfile({ certificateCode: certificateCode || null, orderId: orderId || null });
+      return res.status(200).json({ status: 'ok', profile });
+    }
+
+    const search = await searchMembers(readQuery(req, 'q'), {
+      type: readQuery(req, 'type') || null,
+      limit: Math.min(Number.parseInt(req.query.limit, 10) || 10, 50),
+    });
+    return res.status(200).json({ status: 'ok', ...search });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, 'read');
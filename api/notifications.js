@@ -0,0 +1,105 @@
+/**
+ * GET    /api/notifications                       — settings, templates and pending work
+ * PUT    /api/notifications                       — save templates ({ templates } JSON body)
+ * DELETE /api/notifications                       — revert templates to the defaults
+ * POST   /api/notifications?action=test&template=install_link&to=you@example.com
+ *                                                 — send a template with sample values
+ * POST   /api/notifications?action=run            — send due install reminders and the
+ *                                                   staff digest now
+ */
+const {
+  TEMPLATE_NAMES,
+  DEFAULT_TEMPLATES,
+  describeNotifications,
+  loadNotificationTemplates,
+  saveNotificationTemplates,
+  resetNotificationTemplates,
+  sendNotification,
+  runNotificationTasks,
+  getNotificationOverview,
+} = require('../lib/notifications');
+const { requireAuth } = require('../lib/auth');
+
+const SAMPLE_VALUES = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  certificateCode: 'AB12CD34',
+  orderId: '123456',
+  program: 'Downtown Studio',
+  installUrl: 'https://pub1.pskt.io/sample-member-id',
+  count: 1,
+  failures: '#123456 · Jane Doe · jane@example.com · AB12CD34 · PassKit unavailable',
+};
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function overview() {
+  const active = await loadNotificationTemplates();
+  return {
+    settings: describeNotifications(),
+    source: active.source,
+    templates: active.templates,
+    defaultTemplates: DEFAULT_TEMPLATES,
+    ...(await getNotificationOverview()),
+  };
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ status: 'ok', ...(await overview()) });
+    }
+
+    if (req.method === 'PUT') {
+      await saveNotificationTemplates((req.body || {}).templates);
+      return res.status(200).json({ status: 'ok', ...(await overview()) });
+    }
+
+    if (req.method === 'DELETE') {
+      await resetNotificationTemplates();
+      return res.status(200).json({ status: 'ok', ...(await overview()) });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const action = readQuery(req, 'action').toLowerCase();
+    if (action === 'test') {
+      const template = readQuery(req, 'template') || 'install_link';
+      const to = readQuery(req, 'to');
+      if (!TEMPLATE_NAMES.includes(template)) {
+        return res.status(400).json({ status: 'error', message: `template must be one of ${TEMPLATE_NAMES.join(', ')}` });
+      }
+      if (!to.includes('@')) {
+        return res.status(400).json({ status: 'error', message: 'Missing or invalid to address' });
+      }
+      const result = await sendNotification(template, to, SAMPLE_VALUES);
+      if (!result.sent) {
+        return res.status(result.reason === 'disabled' ? 409 : 502).json({
+          status: 'error',
+          message: result.reason === 'disabled' ? 'Notifications are not configured' : result.error,
+        });
+      }
+      return res.status(200).json({ status: 'ok', result });
+    }
+
+    if (action === 'run') {
+      return res.status(200).json({ status: 'ok', result: await runNotificationTasks({ forceDigest: true }) });
+    }
+
+    return res.status(400).json({ error: 'Unknown action (expected test or run)' });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({
+      status: 'error',
+      message: err.message,
+      ...(err.details ? { errors: err.details } : {}),
+    });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write', PUT: 'write', DELETE: 'write' });
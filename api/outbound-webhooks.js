@@ -0,0 +1,74 @@
+/**
+ * GET  /api/outbound-webhooks                      — subscribers and the delivery log
+ *                                                    (`&status=failed` to filter)
+ * GET  /api/outbound-webhooks?id=<deliveryId>      — one delivery with its event body
+ * POST /api/outbound-webhooks?action=replay&id=<deliveryId>
+ *                                                  — send a delivery again
+ * POST /api/outbound-webhooks?action=retry         — attempt due retries now
+ * POST /api/outbound-webhooks?action=test&subscriber=<name>
+ *                                                  — send a `ping` event
+ */
+const {
+  describeOutboundWebhooks,
+  listOutboundDeliveries,
+  getOutboundDelivery,
+  replayOutboundDelivery,
+  runDueOutboundDeliveries,
+  sendTestEvent,
+} = require('../lib/outbound-webhooks');
+const { requireAuth } = require('../lib/auth');
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const id = readQuery(req, 'id');
+      if (id) {
+        const delivery = await getOutboundDelivery(id);
+        if (!delivery) return res.status(404).json({ status: 'error', message: 'Delivery not found' });
+        return res.status(200).json({ status: 'ok', delivery });
+      }
+      const status = readQuery(req, 'status').toLowerCase();
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      return res.status(200).json({
+        status: 'ok',
+        settings: describeOutboundWebhooks(),
+        ...(await listOutboundDeliveries({ status: status || null })),
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const action = readQuery(req, 'action').toLowerCase();
+    if (action === 'retry') {
+      return res.status(200).json({ status: 'ok', result: await runDueOutboundDeliveries() });
+    }
+    if (action === 'replay') {
+      const id = readQuery(req, 'id');
+      if (!id) return res.status(400).json({ error: 'Missing id query parameter' });
+      return res.status(200).json({
+        status: 'ok',
+        delivery: await replayOutboundDelivery(id, { by: req.auth?.name || null }),
+      });
+    }
+    if (action === 'test') {
+      const subscriber = readQuery(req, 'subscriber');
+      if (!subscriber) return res.status(400).json({ error: 'Missing subscriber query parameter' });
+      return res.status(200).json({ status: 'ok', delivery: await sendTestEvent(subscriber) });
+    }
+    return res.status(400).json({ error: 'Unknown action (expected replay, retry or test)' });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -0,0 +1,20 @@
+/**
+ * GET /api/pass-installs — how many members have the pass installed, and
+ *                          the latest install / uninstall / delete events
+ *                          reported by the PassKit webhook
+ */
+const { getPassSyncOverview } = require('../lib/passkit-sync');
+const { requireAuth } = require('../lib/auth');
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  try {
+    return res.status(200).json({ status: 'ok', ...(await getPassSyncOverview()) });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, 'read');
@@ -0,0 +1,81 @@
+/**
+ * POST /api/passkit-webhook
+ *
+ * Receives PassKit callbacks: pass installed / uninstalled, member record
+ * updated / deleted (see lib/passkit-sync.js). PassKit sends JSON signed
+ * with PASSKIT_WEBHOOK_SECRET in X-PassKit-Signature.
+ *
+ * Rewritten from: /webhook/passkit (handled via vercel.json rewrite)
+ */
+const crypto = require('crypto');
+const { appendLog, withLogContext, setLogContext, normalizeCertificateCode, readRawBody } = require('../lib/helpers');
+const {
+  isPassKitWebhookConfigured,
+  verifyPassKitSignature,
+  parsePassKitEvent,
+  handlePassKitEvent,
+} = require('../lib/passkit-sync');
+const { raiseAlert } = require('../lib/alerts');
+
+async function handler(req, res) {
+  const correlationId = crypto.randomUUID();
+  res.setHeader('X-Correlation-Id', correlationId);
+  return withLogContext({ correlationId }, () => handlePassKitWebhook(req, res, correlationId));
+}
+
+async function handlePassKitWebhook(req, res, correlationId) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!isPassKitWebhookConfigured()) {
+    return res.status(503).json({ error: 'PassKit webhook is not configured (set PASSKIT_WEBHOOK_SECRET)' });
+  }
+
+  let rawBody;
+  try {
+    rawBody = (await readRawBody(req)).toString();
+  } catch {
+    return res.status(400).json({ error: 'Could not read request body' });
+  }
+
+  if (!verifyPassKitSignature(rawBody, req.headers['x-passkit-signature'])) {
+    await appendLog('error', 'Invalid PassKit webhook signature', null, 'passkit.rejected');
+    await raiseAlert('webhook.signature_invalid', 'Rejected a PassKit webhook with an invalid signature', {
+      source: 'passkit',
+      correlationId,
+    });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    await appendLog('error', 'PassKit webhook body is not valid JSON', null, 'passkit.rejected');
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  const { record } = parsePassKitEvent(body);
+  const certificateCode = normalizeCertificateCode(record?.externalId);
+  setLogContext({
+    ...(certificateCode ? { certificateCode } : {}),
+    ...(record?.id ? { memberId: record.id } : {}),
+  });
+
+  try {
+    const result = await handlePassKitEvent(rawBody, body);
+    return res.status(200).json(result);
+  } catch (err) {
+    await appendLog('error', 'Error processing PassKit webhook', err.message, 'passkit.rejected');
+    // 5xx lets PassKit retry; malformed events won't get better by retrying.
+    return res.status(err.statusCode || 500).json({ status: 'error', error: err.message });
+  }
+}
+
+// The raw body is needed for signature verification.
+module.exports = handler;
+module.exports.config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * GET  /api/points?code=AB12CD34   — member's points balance and ledger
+ * POST /api/points                 — manual adjustment
+ *                                    ({ "code": "…", "points": -50, "reason": "…" })
+ *
+ * `code` is the certificate code or PassKit member ID. Adjustments are
+ * pushed to PassKit (earn for positive, burn for negative) and recorded in
+ * the ledger with the reason and the operator who made them.
+ */
+const { findMemberByCode, summarizeScannedMember } = require('../lib/check-ins');
+const { adjustPoints, getPointsLedger } = require('../lib/points');
+const { requireAuth } = require('../lib/auth');
+
+function readCode(req) {
+  const fromQuery = typeof req.query.code === 'string' ? req.query.code : '';
+  const fromBody = req.body && typeof req.body.code === 'string' ? req.body.code : '';
+  return (fromQuery || fromBody).trim();
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const code = readCode(req);
+  if (!code) {
+    return res.status(400).json({ status: 'error', message: 'Missing code' });
+  }
+
+  try {
+    const found = await findMemberByCode(code);
+    if (!found?.record) {
+      return res.status(404).json({ status: 'error', message: 'No PassKit member found for this code' });
+    }
+    const { record, program } = found;
+    const memberKey = record.externalId || record.id;
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      const adjustment = await adjustPoints({
+        id: record.id,
+        externalId: record.externalId,
+        programId: record.programId || program?.programId,
+        program: program?.key,
+      }, { points: body.points, reason: body.reason, by: req.auth?.name || null });
+      return res.status(200).json({
+        status: 'ok',
+        ...adjustment,
+        ledger: await getPointsLedger(memberKey),
+      });
+    }
+
+    return res.status(200).json({
+      status: 'ok',
+      member: summarizeScannedMember(record, program),
+      ledger: await getPointsLedger(memberKey),
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
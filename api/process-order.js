@@ -1,18 +1,29 @@
 /**
  * POST /api/process-order?orderId=123
  * POST /api/process-order?certificateCode=AB12CD34
+ * POST /api/process-order?orderId=123&program=downtown
+ * POST /api/process-order?orderId=123&dryRun=true
  * 
- * Manually (re-)process an Acuity order to create a PassKit member.
- * Useful for testing or re-processing a failed order.
+ * Manually (re-)process an Acuity order to create or update a PassKit member.
+ * Useful for testing or re-processing a failed order. Reports whether the
+ * member was created, updated or unchanged. `program` (a PASSKIT_PROGRAMS
+ * key) overrides calendar/product routing. With `dryRun=true` nothing is
+ * written: the result lists the planned PassKit calls and a diff against
+ * the current member (lib/dry-run.js).
  */
-const { processNewMembershipOrder, resolveOrderIdByCertificateCode } = require('../lib/helpers');
+const { parseBoolean } = require('../lib/helpers');
+const { processNewMembershipOrder } = require('../lib/enrollment');
+const { resolveOrderIdByCertificateCode } = require('../lib/member-registry');
+const { planMembershipOrder } = require('../lib/dry-run');
+const { getProgramByKey } = require('../lib/programs');
+const { requireAuth } = require('../lib/auth');
 
 function looksLikeCertificateCode(value) {
   // Avoid treating purely numeric order IDs as certificate codes.
   return typeof value === 'string' && /^(?=.*[A-Za-z])[A-Za-z0-9]{8}$/.test(value.trim());
 }
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -40,10 +51,23 @@ module.exports = async function handler(req, res) {
     return res.status(400).json({ error: 'Missing orderId or certificateCode query parameter' });
   }
 
+  const programKey = typeof req.query.program === 'string' ? req.query.program.trim() : '';
+  const program = programKey ? getProgramByKey(programKey) : null;
+  if (programKey && !program) {
+    return res.status(400).json({ error: `Unknown program: ${programKey}` });
+  }
+
+  const dryRun = parseBoolean(req.query.dryRun, false);
+
   try {
-    const result = await processNewMembershipOrder(orderId);
+    // Operators re-run orders to repair state, so always compare against PassKit.
+    const options = { force: true, ...(program ? { program } : {}) };
+    const result = dryRun
+      ? await planMembershipOrder(orderId, options)
+      : await processNewMembershipOrder(orderId, options);
     return res.status(200).json({
       status: 'ok',
+      ...(dryRun ? { dryRun: true } : {}),
       orderId,
       ...(resolvedBy ? { resolvedBy } : {}),
       result,
@@ -51,4 +75,6 @@ module.exports = async function handler(req, res) {
   } catch (err) {
     return res.status(500).json({ status: 'error', message: err.message });
   }
-};
+}
+
+module.exports = requireAuth(handler, 'write');
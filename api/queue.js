@@ -0,0 +1,54 @@
+/**
+ * GET  /api/queue                            — queue depth, pending and dead-letter jobs
+ * POST /api/queue?action=replay&id=<jobId>   — re-run a dead-letter job
+ * POST /api/queue?action=discard&id=<jobId>  — drop a dead-letter job
+ * POST /api/queue?action=drain               — process due retries now
+ */
+const {
+  getQueueOverview,
+  replayDeadLetterJob,
+  discardDeadLetterJob,
+  drainWebhookQueue,
+} = require('../lib/queue');
+const { requireAuth } = require('../lib/auth');
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      const overview = await getQueueOverview();
+      return res.status(200).json({ status: 'ok', ...overview });
+    } catch (err) {
+      return res.status(500).json({ status: 'error', message: err.message });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const action = typeof req.query.action === 'string' ? req.query.action.trim().toLowerCase() : '';
+  const jobId = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+
+  try {
+    if (action === 'drain') {
+      const result = await drainWebhookQueue();
+      return res.status(200).json({ status: 'ok', result });
+    }
+
+    if (action !== 'replay' && action !== 'discard') {
+      return res.status(400).json({ error: 'Unknown action (expected replay, discard or drain)' });
+    }
+    if (!jobId) {
+      return res.status(400).json({ error: 'Missing id query parameter' });
+    }
+
+    const result = action === 'replay'
+      ? await replayDeadLetterJob(jobId)
+      : await discardDeadLetterJob(jobId);
+    return res.status(200).json({ status: 'ok', result });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -0,0 +1,69 @@
+/**
+ * GET  /api/reconcile                                          — current run and findings
+ * POST /api/reconcile?action=start&minDate=YYYY-MM-DD&maxDate=YYYY-MM-DD[&mode=apply]
+ *                                                              — start a run (dry-run by default)
+ * POST /api/reconcile?action=continue                          — process more of the current run
+ * POST /api/reconcile?action=cancel                            — stop the current run
+ *
+ * Runs resume from their Redis checkpoint, so a start or continue call may
+ * return before the run completes; the cron job keeps it going.
+ */
+const {
+  startReconciliation,
+  continueReconciliation,
+  cancelReconciliation,
+  getReconciliationOverview,
+} = require('../lib/reconciliation');
+const { parseBoolean } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      const overview = await getReconciliationOverview();
+      return res.status(200).json({ status: 'ok', ...overview });
+    } catch (err) {
+      return res.status(500).json({ status: 'error', message: err.message });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const action = readQuery(req, 'action').toLowerCase();
+
+  try {
+    if (action === 'start') {
+      await startReconciliation({
+        minDate: readQuery(req, 'minDate'),
+        maxDate: readQuery(req, 'maxDate'),
+        mode: readQuery(req, 'mode').toLowerCase() || 'dry-run',
+        restart: parseBoolean(req.query.restart, false),
+        startedBy: req.auth?.name || null,
+      });
+      const result = await continueReconciliation();
+      return res.status(200).json({ status: 'ok', result });
+    }
+
+    if (action === 'continue') {
+      const result = await continueReconciliation();
+      return res.status(200).json({ status: 'ok', result });
+    }
+
+    if (action === 'cancel') {
+      const run = await cancelReconciliation();
+      return res.status(200).json({ status: 'ok', result: { status: run.status, run } });
+    }
+
+    return res.status(400).json({ error: 'Unknown action (expected start, continue or cancel)' });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -0,0 +1,65 @@
+/**
+ * GET /api/registry                               — registered members, most recently updated first
+ * GET /api/registry?status=cancelled&limit=50&cursor=…
+ * GET /api/registry?certificateCode=AB12CD34      — one member (renewal codes resolve to their member)
+ * GET /api/registry?orderId=123                   — the member an Acuity order touched
+ * GET /api/registry?memberId=<PassKit member ID>  — the member behind a PassKit ID
+ * GET /api/registry?email=jane@example.com        — every member registered under an email
+ *
+ * Reads only the bridge's member registry (lib/member-registry.js); never
+ * calls Acuity or PassKit. Pass `nextCursor` back as `cursor` for the next
+ * page.
+ */
+const {
+  getRegistryMember,
+  getRegistryMemberByOrderId,
+  getRegistryMemberByPassKitId,
+  findRegistryMembersByEmail,
+  listRegistryMembers,
+} = require('../lib/member-registry');
+const { requireAuth } = require('../lib/auth');
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function findOne(req) {
+  const certificateCode = readQuery(req, 'certificateCode');
+  if (certificateCode) return getRegistryMember(certificateCode);
+  const orderId = readQuery(req, 'orderId');
+  if (orderId) return getRegistryMemberByOrderId(orderId);
+  return getRegistryMemberByPassKitId(readQuery(req, 'memberId'));
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const email = readQuery(req, 'email');
+    if (email) {
+      const members = await findRegistryMembersByEmail(email);
+      return res.status(200).json({ status: 'ok', members });
+    }
+
+    if (['certificateCode', 'orderId', 'memberId'].some((name) => readQuery(req, name))) {
+      const member = await findOne(req);
+      if (!member) {
+        return res.status(404).json({ status: 'error', message: 'Member not found in the registry' });
+      }
+      return res.status(200).json({ status: 'ok', member });
+    }
+
+    const page = await listRegistryMembers({
+      status: readQuery(req, 'status') || null,
+      limit: req.query.limit,
+      cursor: readQuery(req, 'cursor') || null,
+    });
+    return res.status(200).json({ status: 'ok', ...page });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, 'read');
@@ -0,0 +1,58 @@
+/**
+ * POST /api/scan   — validate a pass scanned at the door
+ *                    ({ "code": "…", "checkIn": true } JSON body)
+ *
+ * Used by the staff scanner page (/scan). Requires the `scan` scope, which
+ * staff logins (STAFF_USERS) carry. With `checkIn` the member is also
+ * checked in under the CHECK_IN_RULES. Every scan is written to the
+ * activity log as `scan.validated`.
+ */
+const { validatePass, checkIn, parseScannedCode } = require('../lib/check-ins');
+const { appendLog, parseBoolean, parseJsonBody, withLogContext } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
+
+function scanLogContext(member) {
+  if (!member) return {};
+  return {
+    memberId: member.id,
+    ...(member.externalId ? { certificateCode: member.externalId } : {}),
+    ...(member.program ? { program: member.program } : {}),
+  };
+}
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const body = parseJsonBody(req);
+  const code = typeof body.code === 'string' ? body.code.trim() : '';
+  if (!code) {
+    return res.status(400).json({ status: 'error', message: 'Missing code' });
+  }
+  const by = req.auth?.name || null;
+
+  try {
+    const outcome = parseBoolean(body.checkIn, false)
+      ? await checkIn(code, { by })
+      : await validatePass(code);
+
+    await withLogContext(scanLogContext(outcome.member), () => appendLog(
+      outcome.result === 'valid' && outcome.checkedIn !== false ? 'info' : 'warn',
+      `Scanned pass: ${outcome.result}${outcome.reason && outcome.reason !== outcome.result ? ` (${outcome.reason})` : ''}`,
+      {
+        code: parseScannedCode(code),
+        by,
+        ...(outcome.checkedIn !== undefined ? { checkedIn: outcome.checkedIn } : {}),
+        ...(outcome.reason ? { reason: outcome.reason } : {}),
+      },
+      'scan.validated'
+    ));
+    return res.status(200).json({ status: 'ok', ...outcome });
+  } catch (err) {
+    await appendLog('error', 'Pass scan failed', { code: parseScannedCode(code), by, error: err.message }, 'scan.failed');
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, 'scan');
@@ -3,12 +3,26 @@
  *
  * Returns server config status and stats.
  */
+const { requireAuth } = require('../lib/auth');
 
 function getErrorMessage(err, fallback) {
   if (err && typeof err.message === 'string' && err.message) return err.message;
   return fallback;
 }
 
+function describeTierSummary(tierRouting) {
+  if (!tierRouting.valid) return `✗ Invalid TIER_RULES: ${tierRouting.errors[0] || 'unknown error'}`;
+  const count = tierRouting.rules.length;
+  if (count === 0) return `✓ Default: ${tierRouting.defaultTierId}`;
+  return `✓ ${count} rule${count === 1 ? '' : 's'}, default: ${tierRouting.defaultTierId}`;
+}
+
+function describeProgramSummary(programs, fallbackProgramId) {
+  if (!programs.valid) return `✗ Invalid PASSKIT_PROGRAMS: ${programs.errors[0] || 'unknown error'}`;
+  if (!programs.multiProgram) return (fallbackProgramId || programs.programs[0]?.programIdSet) ? '✓ Set' : '✗ Missing';
+  return `✓ ${programs.programs.length} programs`;
+}
+
 function withTimeout(promise, ms, fallback) {
   let timer = null;
   return Promise.race([
@@ -21,7 +35,7 @@ function withTimeout(promise, ms, fallback) {
   });
 }
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -30,7 +44,7 @@ module.exports = async function handler(req, res) {
     acuityConfigured: !!(process.env.ACUITY_USER_ID && process.env.ACUITY_API_KEY),
     passKitConfigured: !!(process.env.PASSKIT_API_KEY && process.env.PASSKIT_API_SECRET),
     programId: process.env.PASSKIT_PROGRAM_ID ? '✓ Set' : '✗ Missing',
-    tierId: '✓ Fixed: membership',
+    tierId: process.env.TIER_RULES ? 'Configured via TIER_RULES' : `✓ Default: ${process.env.DEFAULT_TIER_ID || 'membership'}`,
     membershipFilter: process.env.MEMBERSHIP_PRODUCT_FILTER || '(none — all orders processed)',
   };
 
@@ -60,10 +74,110 @@ module.exports = async function handler(req, res) {
 
   try {
     const getConfig = typeof helpers.getConfig === 'function' ? helpers.getConfig : null;
-    const getLogs = typeof helpers.getLogs === 'function' ? helpers.getLogs : null;
     const getWebhookEnabled = typeof helpers.getWebhookEnabled === 'function' ? helpers.getWebhookEnabled : null;
     const getRedisStatus = typeof helpers.getRedisStatus === 'function' ? helpers.getRedisStatus : null;
 
+    let tierRouting = null;
+    try {
+      tierRouting = require('../lib/tier-routing').describeTierRouting();
+    } catch (err) {
+      tierRouting = { valid: false, errors: [getErrorMessage(err, 'Tier routing unavailable')], defaultTierId: null, rules: [] };
+    }
+
+    let programs = null;
+    try {
+      programs = require('../lib/programs').describePrograms();
+    } catch (err) {
+      programs = { valid: false, errors: [getErrorMessage(err, 'Program configuration unavailable')], multiProgram: false, programs: [] };
+    }
+
+    let membershipTerms = null;
+    let getExpiryOverview = null;
+    try {
+      const terms = require('../lib/membership-terms');
+      membershipTerms = terms.describeMembershipTerms();
+      getExpiryOverview = terms.getExpiryOverview;
+    } catch (err) {
+      membershipTerms = { valid: false, errors: [getErrorMessage(err, 'Membership terms unavailable')], defaultTerm: null, rules: [] };
+    }
+
+    let checkInRules = null;
+    try {
+      checkInRules = require('../lib/check-ins').describeCheckInRules();
+    } catch (err) {
+      checkInRules = { valid: false, errors: [getErrorMessage(err, 'Check-in rules unavailable')], tiers: {} };
+    }
+
+    let pointsRules = null;
+    try {
+      pointsRules = require('../lib/points').describePointsRules();
+    } catch (err) {
+      pointsRules = { valid: false, errors: [getErrorMessage(err, 'Points rules unavailable')], rules: [] };
+    }
+
+    let notifications = null;
+    try {
+      notifications = require('../lib/notifications').describeNotifications();
+    } catch (err) {
+      notifications = { valid: false, errors: [getErrorMessage(err, 'Notifications unavailable')], enabled: false };
+    }
+
+    let alerts = null;
+    try {
+      alerts = require('../lib/alerts').describeAlerts();
+    } catch (err) {
+      alerts = { valid: false, errors: [getErrorMessage(err, 'Alerts unavailable')], enabled: false, channels: [] };
+    }
+
+    let outboundWebhooks = null;
+    try {
+      outboundWebhooks = require('../lib/outbound-webhooks').describeOutboundWebhooks();
+    } catch (err) {
+      outboundWebhooks = { valid: false, errors: [getErrorMessage(err, 'Outbound webhooks unavailable')], subscribers: [] };
+    }
+
+    let passKitWebhook = null;
+    try {
+      passKitWebhook = {
+        configured: require('../lib/passkit-sync').isPassKitWebhookConfigured(),
+        url: '/webhook/passkit',
+        acuityNotes: helpers.parseBoolean(process.env.ACUITY_SYNC_NOTES, false),
+      };
+    } catch {
+      passKitWebhook = { configured: false, url: '/webhook/passkit', acuityNotes: false };
+    }
+
+    let webhookSecurity = null;
+    try {
+      webhookSecurity = require('../lib/webhook-security').describeWebhookSecurity();
+    } catch (err) {
+      webhookSecurity = { valid: false, errors: [getErrorMessage(err, 'Webhook security unavailable')], signatureMode: null };
+    }
+
+    let webhookDeliveries = null;
+    try {
+      webhookDeliveries = require('../lib/webhook-deliveries').describeWebhookDeliveries();
+    } catch {
+      webhookDeliveries = { recording: false, available: false };
+    }
+
+    let getLogTotals = null;
+    let logRetentionDays = null;
+    try {
+      const activityLog = require('../lib/activity-log');
+      getLogTotals = activityLog.getLogTotals;
+      logRetentionDays = activityLog.getLogRetentionDays();
+    } catch {
+      // Activity log module unavailable; report zero totals.
+    }
+
+    let getQueueDepth = null;
+    try {
+      ({ getQueueDepth } = require('../lib/queue'));
+    } catch {
+      // Queue module unavailable; report an empty queue.
+    }
+
     const cfg = getConfig ? getConfig() : {
       ACUITY_USER_ID: process.env.ACUITY_USER_ID,
       ACUITY_API_KEY: process.env.ACUITY_API_KEY,
@@ -80,14 +194,27 @@ module.exports = async function handler(req, res) {
       error: 'Redis status helper unavailable',
     };
 
-    const [logs, webhookEnabled, redisStatus] = await Promise.all([
-      withTimeout(getLogs ? getLogs() : [], 1500, []),
+    const emptyQueue = { available: false, depth: 0, deadLetterCount: 0 };
+    const emptyExpiry = { available: false, scheduled: 0, pendingReminders: 0 };
+    const emptyTotals = { available: false, processed: 0, errors: 0 };
+    const [logTotals, webhookEnabled, redisStatus, queue, expiry] = await Promise.all([
+      withTimeout(getLogTotals ? getLogTotals().catch(() => emptyTotals) : emptyTotals, 1500, emptyTotals),
       withTimeout(getWebhookEnabled ? getWebhookEnabled() : true, 1500, true),
       withTimeout(
         getRedisStatus ? getRedisStatus() : fallbackRedisStatus,
         1500,
         { available: false, configured: !!process.env.REDIS_URL, provider: null, error: 'Redis health check timeout' }
       ),
+      withTimeout(
+        getQueueDepth ? getQueueDepth().catch(() => emptyQueue) : emptyQueue,
+        1500,
+        emptyQueue
+      ),
+      withTimeout(
+        getExpiryOverview ? getExpiryOverview().catch(() => emptyExpiry) : emptyExpiry,
+        1500,
+        emptyExpiry
+      ),
     ]);
 
     const redisAvailable = !!(redisStatus && redisStatus.available);
@@ -99,10 +226,21 @@ module.exports = async function handler(req, res) {
       config: {
         acuityConfigured: !!(cfg.ACUITY_USER_ID && cfg.ACUITY_API_KEY),
         passKitConfigured: !!(cfg.PASSKIT_API_KEY && cfg.PASSKIT_API_SECRET),
-        programId: cfg.PASSKIT_PROGRAM_ID ? '✓ Set' : '✗ Missing',
-        tierId: '✓ Fixed: membership',
+        programId: describeProgramSummary(programs, cfg.PASSKIT_PROGRAM_ID),
+        tierId: describeTierSummary(tierRouting),
         membershipFilter: cfg.MEMBERSHIP_PRODUCT_FILTER || '(none — all orders processed)',
       },
+      tierRouting,
+      programs,
+      membershipTerms: { ...membershipTerms, ...expiry },
+      checkInRules,
+      pointsRules,
+      notifications,
+      alerts,
+      outboundWebhooks,
+      passKitWebhook,
+      webhookDeliveries,
+      webhookSecurity,
       webhookUrl: '/webhook/acuity',
       webhookEnabled: webhookEnabled !== false,
       webhookToggleAvailable: true,
@@ -110,14 +248,15 @@ module.exports = async function handler(req, res) {
       redisConfigured: !!(redisStatus && redisStatus.configured),
       redisProvider: (redisStatus && redisStatus.provider) || null,
       redisError: (redisStatus && redisStatus.error) || null,
-      totalProcessed: Array.isArray(logs)
-        ? logs.filter((l) => l && l.message && String(l.message).includes('Successfully created')).length
-        : 0,
-      totalErrors: Array.isArray(logs)
-        ? logs.filter((l) => l && l.level === 'error').length
-        : 0,
+      // Counted from `enrollment.created` / error-level log events.
+      totalProcessed: logTotals.processed,
+      totalErrors: logTotals.errors,
+      logRetentionDays,
       redisAvailable,
       kvAvailable: redisAvailable,
+      queueAvailable: !!(queue && queue.available),
+      queueDepth: (queue && queue.depth) || 0,
+      deadLetterCount: (queue && queue.deadLetterCount) || 0,
     });
   } catch (err) {
     return res.status(200).json({
@@ -139,4 +278,6 @@ module.exports = async function handler(req, res) {
       kvAvailable: false,
     });
   }
-};
+}
+
+module.exports = requireAuth(handler, 'read');
@@ -2,8 +2,9 @@
  * GET /api/test-acuity
  */
 const { createAcuityClient, appendLog } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -11,10 +12,12 @@ module.exports = async function handler(req, res) {
   try {
     const acuity = createAcuityClient();
     const response = await acuity.get('/me');
-    await appendLog('info', 'Acuity connection test successful');
+    await appendLog('info', 'Acuity connection test successful', null, 'connection.tested');
     return res.status(200).json({ status: 'ok', account: response.data });
   } catch (err) {
-    await appendLog('error', 'Acuity connection test failed', err.message);
+    await appendLog('error', 'Acuity connection test failed', err.message, 'connection.tested');
     return res.status(500).json({ status: 'error', message: err.response?.data || err.message });
   }
-};
+}
+
+module.exports = requireAuth(handler, 'read');
@@ -2,18 +2,21 @@
  * GET /api/test-passkit
  */
 const { passKitRequest, appendLog } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
     const response = await passKitRequest('GET', '/user/profile');
-    await appendLog('info', 'PassKit connection test successful');
+    await appendLog('info', 'PassKit connection test successful', null, 'connection.tested');
     return res.status(200).json({ status: 'ok', profile: response.data });
   } catch (err) {
-    await appendLog('error', 'PassKit connection test failed', err.message);
+    await appendLog('error', 'PassKit connection test failed', err.message, 'connection.tested');
     return res.status(500).json({ status: 'error', message: err.response?.data || err.message });
   }
-};
+}
+
+module.exports = requireAuth(handler, 'read');
@@ -1,7 +1,11 @@
-module.exports = async function handler(req, res) {
+const { requireAuth } = require('../lib/auth');
+
+async function handler(req, res) {
   return res.status(200).json({
     app: 'acuity-passkit-bridge',
     build: '2026-02-26-release-lock-v1',
     timestamp: new Date().toISOString(),
   });
-};
+}
+
+module.exports = requireAuth(handler, 'read');
@@ -0,0 +1,76 @@
+/**
+ * GET  /api/webhook-deliveries                     — received Acuity webhooks, newest first
+ *                                                    (`&status=error`, `&orderId=123`,
+ *                                                    `&appointmentId=456` to filter)
+ * GET  /api/webhook-deliveries?id=<deliveryId>     — one delivery with its raw body,
+ *                                                    headers, outcome and replays
+ * POST /api/webhook-deliveries?action=replay&id=<deliveryId>
+ *                                                  — run the stored delivery again
+ * POST /api/webhook-deliveries?action=replay&id=<deliveryId>&dryRun=true
+ *                                                  — preview it without changing anything
+ */
+const {
+  describeWebhookDeliveries,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} = require('../lib/webhook-deliveries');
+const { parseBoolean } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
+
+const DELIVERY_STATUSES = ['processing', 'ok', 'queued', 'retrying', 'dead', 'error', 'ignored', 'rejected'];
+const MAX_LIMIT = 200;
+
+function readQuery(req, name) {
+  return typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const id = readQuery(req, 'id');
+      if (id) {
+        const delivery = await getWebhookDelivery(id);
+        if (!delivery) return res.status(404).json({ status: 'error', message: 'Delivery not found' });
+        return res.status(200).json({ status: 'ok', delivery });
+      }
+      const status = readQuery(req, 'status').toLowerCase();
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      const limit = Math.min(Number.parseInt(readQuery(req, 'limit'), 10) || 50, MAX_LIMIT);
+      return res.status(200).json({
+        status: 'ok',
+        settings: describeWebhookDeliveries(),
+        ...(await listWebhookDeliveries({
+          limit,
+          status: status || null,
+          orderId: readQuery(req, 'orderId') || null,
+          appointmentId: readQuery(req, 'appointmentId') || null,
+        })),
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const action = readQuery(req, 'action').toLowerCase();
+    if (action !== 'replay') {
+      return res.status(400).json({ error: 'Unknown action (expected replay)' });
+    }
+    const id = readQuery(req, 'id');
+    if (!id) return res.status(400).json({ error: 'Missing id query parameter' });
+    return res.status(200).json({
+      status: 'ok',
+      replay: await replayWebhookDelivery(id, {
+        dryRun: parseBoolean(req.query.dryRun, false),
+        by: req.auth?.name || null,
+      }),
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+  }
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -5,6 +5,7 @@
  * Persists webhook processing state in Redis.
  */
 const { getWebhookEnabled, setWebhookEnabled } = require('../lib/helpers');
+const { requireAuth } = require('../lib/auth');
 
 function parseToggleValue(value) {
   if (typeof value === 'boolean') return value;
@@ -15,7 +16,7 @@ function parseToggleValue(value) {
   return null;
 }
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   if (req.method === 'GET') {
     const enabled = await getWebhookEnabled();
     return res.status(200).json({ status: 'ok', enabled });
@@ -35,4 +36,6 @@ module.exports = async function handler(req, res) {
   } catch (err) {
     return res.status(500).json({ status: 'error', message: err.message });
   }
-};
+}
+
+module.exports = requireAuth(handler, { GET: 'read', POST: 'write' });
@@ -1,39 +1,92 @@
 /**
  * POST /api/webhook
  * 
- * Receives Acuity Scheduling order webhooks.
+ * Receives Acuity Scheduling order and appointment webhooks.
  * Acuity sends application/x-www-form-urlencoded POST with: action, id, calendarID, appointmentTypeID
+ * (`id` is the order ID for order.* actions and the appointment ID otherwise;
+ * see lib/webhook-actions.js for the handled actions).
  * 
  * Rewritten from: /webhook/acuity (handled via vercel.json rewrite)
+ *
+ * Before processing, the delivery must pass the signature mode, replay
+ * window and source IP allowlist in lib/webhook-security.js. Bodies over
+ * 64KB are refused with 413; Acuity's are a few hundred bytes.
+ *
+ * Every delivery gets a correlation ID (returned in X-Correlation-Id) that
+ * is attached to all log entries it produces, including queued retries.
+ * The raw delivery and the response it got are recorded under that ID for
+ * replay (lib/webhook-deliveries.js); rejected ones only as a summary.
+ *
+ * POST /api/webhook?dryRun=true runs the delivery as a dry run
+ * (lib/dry-run.js): it returns the planned PassKit calls and member diff
+ * without queueing or changing anything. Dry runs return member data, so
+ * they also need operator credentials with the `write` scope.
  */
+const crypto = require('crypto');
 const {
-  verifyAcuitySignature,
   appendLog,
   getWebhookEnabled,
-  processNewMembershipOrder,
-  processMembershipCancellation,
+  withLogContext,
+  setLogContext,
+  parseBoolean,
+  readRawBody,
 } = require('../lib/helpers');
+const {
+  normalizeWebhookAction,
+  isHandledWebhookAction,
+  getWebhookTarget,
+  previewWebhookAction,
+} = require('../lib/webhook-actions');
+const { acceptWebhookDelivery } = require('../lib/queue');
+const { MAX_BODY_LENGTH, recordWebhookDelivery, finishWebhookDelivery } = require('../lib/webhook-deliveries');
+const { inspectWebhookRequest, claimWebhookBody, releaseWebhookBody } = require('../lib/webhook-security');
+const { raiseAlert } = require('../lib/alerts');
+const { isAuthConfigured, authenticateRequest, hasScope, logRejectedRequest } = require('../lib/auth');
 const querystring = require('querystring');
 
-function getRawBody(req) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    req.on('data', (chunk) => chunks.push(chunk));
-    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
-    req.on('error', reject);
-  });
+// Same checks as requireAuth(handler, 'write'); null when the caller may dry-run.
+async function rejectDryRun(req, res) {
+  if (!isAuthConfigured()) {
+    await logRejectedRequest(req, 'auth_not_configured');
+    return res.status(503).json({ error: 'Authentication is not configured. Set ADMIN_PASSWORD (and optionally API_TOKENS).' });
+  }
+  const { principal, reason } = authenticateRequest(req);
+  if (!principal) {
+    await logRejectedRequest(req, reason);
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!hasScope(principal, 'write')) {
+    await logRejectedRequest(req, 'insufficient_scope', { principal: principal.name, requiredScope: 'write' });
+    return res.status(403).json({ error: 'Missing required scope: write' });
+  }
+  return null;
 }
 
 async function handler(req, res) {
+  const correlationId = crypto.randomUUID();
+  res.setHeader('X-Correlation-Id', correlationId);
+  const dryRun = parseBoolean(req.query?.dryRun, false);
+  return withLogContext(
+    { correlationId, ...(dryRun ? { dryRun: true } : {}) },
+    () => handleWebhook(req, res, correlationId, dryRun)
+  );
+}
+
+async function handleWebhook(req, res, correlationId, dryRun) {
   // Only accept POST
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
+  if (dryRun && await rejectDryRun(req, res)) return undefined;
 
   let rawBody;
   try {
-    rawBody = await getRawBody(req);
-  } catch {
+    rawBody = (await readRawBody(req, MAX_BODY_LENGTH)).toString();
+  } catch (err) {
+    if (err.statusCode === 413) {
+      await appendLog('warn', 'Rejected an oversized Acuity webhook', { limit: MAX_BODY_LENGTH }, 'webhook.rejected');
+      return res.status(413).json({ error: 'Request body too large' });
+    }
     return res.status(400).json({ error: 'Could not read request body' });
   }
 
@@ -43,20 +96,56 @@ async function handler(req, res) {
   await appendLog('info', 'Received Acuity webhook', {
     action: body.action,
     id: body.id,
+    ...(body.calendarID ? { calendarID: body.calendarID } : {}),
+    ...(body.appointmentTypeID ? { appointmentTypeID: body.appointmentTypeID } : {}),
+  }, 'webhook.received');
+
+  const check = inspectWebhookRequest(req, rawBody);
+  const delivery = dryRun ? null : await recordWebhookDelivery({
+    id: correlationId,
+    req,
+    rawBody,
+    signature: check.signature,
+    accepted: check.sourceAllowed && check.signatureAccepted,
   });
+  const reply = async (statusCode, payload) => {
+    await finishWebhookDelivery(delivery, statusCode, payload);
+    return res.status(statusCode).json(payload);
+  };
 
-  // Verify signature (if present)
-  const signature = req.headers['x-acuity-signature'];
-  if (signature && !verifyAcuitySignature(rawBody, signature)) {
-    await appendLog('error', 'Invalid Acuity webhook signature');
-    return res.status(401).json({ error: 'Invalid signature' });
+  if (!check.sourceAllowed) {
+    await appendLog('error', `Rejected Acuity webhook from ${check.ip || 'an unknown address'} (not in WEBHOOK_ALLOWED_IPS)`, {
+      ip: check.ip,
+    }, 'webhook.rejected');
+    if (!dryRun) await raiseAlert('webhook.source_rejected', 'Rejected an Acuity webhook from an address outside WEBHOOK_ALLOWED_IPS', {
+      ip: check.ip,
+      action: body.action,
+      id: body.id,
+      correlationId,
+    });
+    return reply(403, { error: 'Source address not allowed' });
   }
 
-  const action = String(body.action || '').trim().toLowerCase();
+  if (check.signature === 'missing' || check.signature === 'invalid') {
+    const problem = check.signature === 'missing' ? 'a missing' : 'an invalid';
+    if (!check.signatureAccepted) {
+      await appendLog('error', `Rejected Acuity webhook with ${problem} signature`, null, 'webhook.rejected');
+      if (!dryRun) await raiseAlert('webhook.signature_invalid', `Rejected an Acuity webhook with ${problem} signature`, {
+        action: body.action,
+        id: body.id,
+        correlationId,
+      });
+      return reply(401, { error: check.signature === 'missing' ? 'Missing signature' : 'Invalid signature' });
+    }
+    await appendLog('warn', `Accepted Acuity webhook with ${problem} signature (WEBHOOK_SIGNATURE_MODE=log-only)`,
+      null, 'webhook.unverified');
+  }
+
+  const action = normalizeWebhookAction(body.action);
 
   if (!action) {
-    await appendLog('warn', 'Ignoring webhook with missing action');
-    return res.status(200).json({ status: 'ignored', reason: 'missing_action' });
+    await appendLog('warn', 'Ignoring webhook with missing action', null, 'webhook.rejected');
+    return reply(200, { status: 'ignored', reason: 'missing_action' });
   }
 
   const webhookEnabled = await getWebhookEnabled();
@@ -64,39 +153,54 @@ async function handler(req, res) {
     await appendLog('info', 'Webhook received while processing is disabled', {
       action,
       id: body.id || null,
-    });
-    return res.status(200).json({ status: 'ignored', reason: 'webhook_disabled', action });
+    }, 'webhook.ignored');
+    return reply(200, { status: 'ignored', reason: 'webhook_disabled', action });
   }
 
-  // Only process order events used by this integration.
-  const isOrderCompleted = action === 'order.completed';
-  const isOrderCancellation = action === 'order.cancelled' || action === 'order.canceled';
-
-  if (!isOrderCompleted && !isOrderCancellation) {
-    await appendLog('info', `Ignoring webhook action: ${body.action}`);
-    return res.status(200).json({ status: 'ignored', action: body.action });
+  // Only process actions with a registered handler.
+  if (!isHandledWebhookAction(action)) {
+    await appendLog('info', `Ignoring webhook action: ${body.action}`, null, 'webhook.ignored');
+    return reply(200, { status: 'ignored', action: body.action });
   }
 
-  const orderId = body.id;
-  if (!orderId) {
-    await appendLog('error', 'No order ID in webhook payload');
-    return res.status(400).json({ error: 'Missing order ID' });
+  const target = getWebhookTarget(action, body.id);
+  if (!target.id) {
+    await appendLog('error', `No ${target.resource} ID in webhook payload`, { action }, 'webhook.rejected');
+    return reply(400, { error: `Missing ${target.resource} ID` });
   }
+  const ids = { [target.field]: target.id };
+  setLogContext(ids);
 
-  // In serverless, we must complete processing BEFORE responding,
-  // because the function terminates after the response is sent.
-  try {
-    const result = isOrderCancellation
-      ? await processMembershipCancellation(orderId, { sourceAction: action })
-      : await processNewMembershipOrder(orderId);
+  if (dryRun) {
+    try {
+      const result = await previewWebhookAction(action, target.id, body);
+      return res.status(200).json({ status: 'ok', dryRun: true, ...ids, result });
+    } catch (err) {
+      return res.status(err.statusCode || 500).json({ status: 'error', dryRun: true, ...ids, error: err.message });
+    }
+  }
 
-    return res.status(200).json({ status: 'ok', orderId, result });
-  } catch (err) {
-    await appendLog('error', `Error processing order #${orderId}`, err.message);
-    // Return 200 so Acuity doesn't retry (we logged the error).
-    // Return 500 if you WANT Acuity to retry on failure.
-    return res.status(200).json({ status: 'error', orderId, error: err.message });
+  // Acuity bodies have no timestamp or nonce; the same order body twice in
+  // the window is a replay. Appointment deliveries re-read the appointment
+  // from Acuity, and two real `changed` events can have identical bodies.
+  const claimsBody = target.resource === 'order';
+  if (claimsBody && !(await claimWebhookBody(rawBody))) {
+    await appendLog('warn', 'Ignoring Acuity webhook already received within the replay window', {
+      action,
+      ...ids,
+    }, 'webhook.ignored');
+    return reply(200, { status: 'ignored', reason: 'duplicate_delivery', ...ids });
   }
+
+  // In serverless, we must complete processing BEFORE responding,
+  // because the function terminates after the response is sent. Failures
+  // stay queued for retry (or are logged), so answer 200 either way and
+  // Acuity doesn't retry.
+  const { status, ...outcome } = await acceptWebhookDelivery({ action, id: target.id, payload: body, correlationId });
+  // Queued and dead-lettered jobs are retried or replayed from the queue, so
+  // only a delivery that left no job behind is forgotten for Acuity to resend.
+  if (claimsBody && status === 'error') await releaseWebhookBody(rawBody);
+  return reply(200, { status, ...ids, ...outcome });
 }
 
 // Vercel serverless functions need raw body for signature verification.
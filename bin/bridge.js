@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * bridge — run and operate the bridge outside Vercel.
+ *
+ *   bridge serve [--port 3000] [--host 0.0.0.0] [--no-cron]
+ *   bridge process <orderId|certificateCode> [--program <key>] [--dry-run]
+ *   bridge cancel <certificateCode|orderId> [--program <key>] [--dry-run]
+ *   bridge logs [--follow] [--limit 50] [--level error] [--event enrollment.*] [--orderId 123] …
+ *   bridge toggle [on|off]
+ *
+ * Every command reads the same environment variables as the deployment
+ * (`node --env-file=.env bin/bridge.js …` loads a .env file). Commands other
+ * than `serve` call lib/helpers.js directly and need Redis to share state
+ * with a running bridge. Bridge logging goes to stderr so stdout carries
+ * only the command's result.
+ */
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: bridge <command> [options]
+
+Commands:
+  serve                         Run the bridge as a local HTTP server
+      --port <n>                  Port (default $PORT or 3000)
+      --host <address>            Interface (default $HOST or 0.0.0.0)
+      --no-cron                   Don't run the vercel.json crons
+  process <orderId|code>        Create or update the member for an Acuity order
+      --program <key>             Enroll in this PASSKIT_PROGRAMS program
+      --dry-run                   Print the planned PassKit calls; change nothing
+  cancel <code|orderId>         Cancel the membership bought with a code or order
+      --program <key>             Look for the member in this program only
+      --dry-run                   Print the planned PassKit calls; change nothing
+  logs                          Print the activity log, oldest first
+      --follow, -f                Keep printing new entries
+      --limit <n>                 Entries to show first (default 50)
+      --level, --event, --program, --orderId, --appointmentId,
+      --certificateCode, --memberId, --correlationId
+                                  Filters, as on /api/logs
+      --json                      One JSON entry per line
+  toggle [on|off]               Show, enable or disable webhook processing
+
+Options:
+  --quiet, -q                   Don't print bridge logging to stderr
+  --help, -h                    Show this help
+`;
+
+const OPTIONS = {
+  port: { type: 'string' },
+  host: { type: 'string' },
+  'no-cron': { type: 'boolean' },
+  program: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  follow: { type: 'boolean', short: 'f' },
+  limit: { type: 'string' },
+  level: { type: 'string' },
+  event: { type: 'string' },
+  orderId: { type: 'string' },
+  appointmentId: { type: 'string' },
+  certificateCode: { type: 'string' },
+  memberId: { type: 'string' },
+  correlationId: { type: 'string' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' },
+};
+const FOLLOW_INTERVAL_MS = 2000;
+const LOG_PAGE_SIZE = 100;
+
+class UsageError extends Error {}
+
+function print(value) {
+  process.stdout.write(`${typeof value === 'string' ? value : JSON.stringify(value, null, 2)}\n`);
+}
+
+function looksLikeCertificateCode(value) {
+  // Avoid treating purely numeric order IDs as certificate codes.
+  return /^(?=.*[A-Za-z])[A-Za-z0-9]{8}$/.test(value);
+}
+
+function requireArgument(value, name) {
+  if (!value) throw new UsageError(`Missing ${name}`);
+  return value.trim();
+}
+
+function resolveProgram(key) {
+  if (!key) return null;
+  const program = require('../lib/programs').getProgramByKey(key);
+  if (!program) throw new UsageError(`Unknown program: ${key}`);
+  return program;
+}
+
+// ---------- COMMANDS ----------
+async function serve(options) {
+  const { startLocalServer } = require('../lib/local-server');
+  const port = Number(options.port || process.env.PORT || 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`Invalid port: ${options.port}`);
+
+  const { url, close } = await startLocalServer({
+    port,
+    host: options.host || process.env.HOST || '0.0.0.0',
+    crons: !options['no-cron'],
+  });
+  process.stderr.write(`Bridge listening on ${url} (dashboard ${url}/, Acuity webhook ${url}/webhook/acuity)\n`);
+
+  const shutdown = () => close().then(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+  return null;
+}
+
+async function processOrder(target, options) {
+  const { processNewMembershipOrder } = require('../lib/enrollment');
+  const { resolveOrderIdByCertificateCode } = require('../lib/member-registry');
+  const value = requireArgument(target, 'order ID or certificate code');
+  const program = resolveProgram(options.program);
+
+  let orderId = value;
+  if (looksLikeCertificateCode(value)) {
+    orderId = await resolveOrderIdByCertificateCode(value);
+    if (!orderId) throw new Error(`Could not resolve an order for certificate code ${value.toUpperCase()}`);
+  }
+
+  // Like /api/process-order: always compare against PassKit.
+  const processOptions = { force: true, ...(program ? { program } : {}) };
+  if (options['dry-run']) {
+    const { planMembershipOrder } = require('../lib/dry-run');
+    print({ dryRun: true, orderId: String(orderId), result: await planMembershipOrder(orderId, processOptions) });
+    return 0;
+  }
+  const result = await processNewMembershipOrder(orderId, processOptions);
+  print({ orderId: String(orderId), result });
+  return 0;
+}
+
+async function cancel(target, options) {
+  const enrollment = require('../lib/enrollment');
+  const value = requireArgument(target, 'certificate code or order ID');
+  const program = resolveProgram(options.program);
+  const context = {
+    sourceAction: 'manual.cancel',
+    reason: 'Manual cancellation from the command line',
+    ...(program ? { program } : {}),
+  };
+
+  if (options['dry-run']) {
+    const { planCertificateCancellation, planOrderCancellation } = require('../lib/dry-run');
+    const result = /^[A-Za-z0-9]{8}$/.test(value)
+      ? await planCertificateCancellation(value.toUpperCase(), context)
+      : await planOrderCancellation(value, context);
+    print({ dryRun: true, result });
+  } else if (/^[A-Za-z0-9]{8}$/.test(value)) {
+    print({ result: await enrollment.cancelMembershipByCertificateCode(value.toUpperCase(), context) });
+  } else {
+    print({ orderId: value, result: await enrollment.processMembershipCancellation(value, context) });
+  }
+  return 0;
+}
+
+function formatLogEntry(entry, asJson) {
+  if (asJson) return JSON.stringify(entry);
+  const context = ['program', 'orderId', 'certificateCode', 'memberId']
+    .filter((field) => entry[field])
+    .map((field) => `${field}=${entry[field]}`)
+    .join(' ');
+  return [
+    entry.timestamp,
+    String(entry.level || 'info').toUpperCase().padEnd(5),
+    `[${entry.event || 'general'}]`,
+    entry.message,
+    context,
+    entry.data ? JSON.stringify(entry.data) : '',
+  ].filter(Boolean).join(' ');
+}
+
+// Every entry since `since` not already in `seen`, oldest first.
+async function fetchEntriesSince(filters, since, seen) {
+  const { queryLogs } = require('../lib/activity-log');
+  const entries = [];
+  let cursor = null;
+  do {
+    const page = await queryLogs({ ...filters, since }, { limit: LOG_PAGE_SIZE, cursor });
+    entries.push(...page.entries.filter((entry) => !seen.has(entry.id)));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return entries.reverse();
+}
+
+async function logs(options) {
+  const { getRedis, getRedisStatus, LOG_CONTEXT_FIELDS } = require('../lib/helpers');
+  const { queryLogs, normalizeLogFilters } = require('../lib/activity-log');
+  if (!getRedis()) throw new Error('The activity log needs Redis; set the same Redis variables as the deployment');
+  if ((await getRedisStatus()).provider === 'memory') {
+    process.stderr.write('REDIS_URL=memory:// only holds this process\'s log; point the CLI at the deployment\'s Redis\n');
+  }
+
+  const filters = Object.fromEntries(['level', 'event', ...LOG_CONTEXT_FIELDS]
+    .filter((field) => options[field])
+    .map((field) => [field, options[field]]));
+  try {
+    normalizeLogFilters(filters);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { entries } = await queryLogs(filters, { limit: options.limit || 50 });
+  const recent = entries.reverse();
+  recent.forEach((entry) => print(formatLogEntry(entry, options.json)));
+  if (!options.follow) return 0;
+
+  // Entries sharing the last timestamp are re-read, so remember their IDs.
+  let since = recent.length ? recent[recent.length - 1].timestamp : new Date().toISOString();
+  let seen = new Set(recent.filter((entry) => entry.timestamp === since).map((entry) => entry.id));
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, FOLLOW_INTERVAL_MS));
+    const fresh = await fetchEntriesSince(filters, since, seen);
+    if (fresh.length === 0) continue;
+    fresh.forEach((entry) => print(formatLogEntry(entry, options.json)));
+    const latest = fresh[fresh.length - 1].timestamp;
+    if (latest !== since) seen = new Set();
+    since = latest;
+    fresh.filter((entry) => entry.timestamp === since).forEach((entry) => seen.add(entry.id));
+  }
+}
+
+async function toggle(state) {
+  const { getWebhookEnabled, setWebhookEnabled, getRedis } = require('../lib/helpers');
+  if (state === undefined) {
+    print(`Webhook processing is ${(await getWebhookEnabled()) ? 'enabled' : 'disabled'}`);
+    return 0;
+  }
+
+  const value = String(state).toLowerCase();
+  if (!['on', 'off', 'enable', 'disable', 'true', 'false'].includes(value)) {
+    throw new UsageError(`Expected on or off, got: ${state}`);
+  }
+  if (!getRedis()) throw new Error('The webhook toggle needs Redis to reach a running bridge');
+  const enabled = await setWebhookEnabled(['on', 'enable', 'true'].includes(value));
+  print(`Webhook processing ${enabled ? 'enabled' : 'disabled'}`);
+  return 0;
+}
+
+const COMMANDS = {
+  serve: (args, options) => serve(options),
+  process: ([target], options) => processOrder(target, options),
+  cancel: ([target], options) => cancel(target, options),
+  logs: (args, options) => logs(options),
+  toggle: ([state]) => toggle(state),
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help) {
+    print(USAGE);
+    return 0;
+  }
+  if (!command) throw new UsageError(USAGE.trimEnd());
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command: ${command}`);
+
+  if (command !== 'serve') {
+    console.log = options.quiet ? () => {} : console.error;
+    if (options.quiet) console.error = () => {};
+  }
+  return COMMANDS[command](args, options);
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    // `serve` keeps running; other commands exit even with Redis connections open.
+    if (code !== null) process.exit(code);
+  })
+  .catch((err) => {
+    process.stderr.write(`${err.message}\n`);
+    if (err instanceof UsageError && err.message !== USAGE.trimEnd()) {
+      process.stderr.write('Run "bridge --help" for usage.\n');
+    }
+    process.exit(err instanceof UsageError ? 2 : 1);
+  });
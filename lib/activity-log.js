@@ -0,0 +1,310 @@
+/**
+ * Structured activity log storage.
+ *
+ * Entries written by appendLog() carry a typed `event` plus whatever
+ * order / certificate / member / correlation IDs were in the log context.
+ * They are appended to one Redis list per UTC hour
+ * (`acuity_passkit_logs:<YYYYMMDDHH>`), indexed by a sorted set of bucket
+ * start times. Buckets expire after LOG_RETENTION_DAYS (default 14).
+ *
+ * Per-event counters back the dashboard totals, so they don't depend on
+ * message wording or on how many entries are retained.
+ */
+const { getRedis, parseStoredJson, LOG_CONTEXT_FIELDS } = require('./helpers');
+
+const LOG_BUCKET_KEY_PREFIX = 'acuity_passkit_logs:';
+const LOG_BUCKETS_KEY = 'acuity_passkit_log_buckets';
+const LOG_COUNT_KEY_PREFIX = 'acuity_passkit_log_count:';
+const BUCKET_MS = 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 14;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const READ_CHUNK = 100;
+// Upper bound on entries examined per query, so a sparse filter can't walk
+// the whole retention window in one request. The cursor picks up from there.
+const MAX_SCANNED_PER_QUERY = 5000;
+
+const LOG_EVENT_TYPES = [
+  'general',
+  'webhook.received',
+  'webhook.rejected',
+  'webhook.unverified',
+  'webhook.ignored',
+  'webhook.failed',
+  'webhook.replayed',
+  'queue.succeeded',
+  'queue.retry_scheduled',
+  'queue.dead_lettered',
+  'queue.replayed',
+  'queue.discarded',
+  'queue.unavailable',
+  'order.processing',
+  'order.fetched',
+  'order.fetch_failed',
+  'order.skipped',
+  'order.invalid',
+  'enrollment.created',
+  'enrollment.updated',
+  'enrollment.renewed',
+  'enrollment.unchanged',
+  'enrollment.failed',
+  'cancellation.started',
+  'cancellation.completed',
+  'cancellation.fallback',
+  'cancellation.skipped',
+  'appointment.synced',
+  'appointment.unchanged',
+  'appointment.skipped',
+  'appointment.fetch_failed',
+  'appointment.failed',
+  'check_in.recorded',
+  'check_in.denied',
+  'check_in.failed',
+  'scan.validated',
+  'scan.failed',
+  'points.earned',
+  'points.reversed',
+  'points.adjusted',
+  'points.failed',
+  'broadcast.scheduled',
+  'broadcast.completed',
+  'broadcast.cancelled',
+  'broadcast.interrupted',
+  'notification.sent',
+  'notification.failed',
+  'alert.sent',
+  'alert.failed',
+  'outbound.delivered',
+  'outbound.retry_scheduled',
+  'outbound.failed',
+  'outbound.replayed',
+  'passkit.pass_installed',
+  'passkit.pass_uninstalled',
+  'passkit.member_updated',
+  'passkit.member_deleted',
+  'passkit.ignored',
+  'passkit.rejected',
+  'passkit.note_failed',
+  'membership.reminder_sent',
+  'membership.expired',
+  'membership.expiry_failed',
+  'reconciliation.started',
+  'reconciliation.completed',
+  'reconciliation.cancelled',
+  'reconciliation.interrupted',
+  'config.changed',
+  'config.invalid',
+  'auth.rejected',
+  'connection.tested',
+  'cron.task_failed',
+  'cron.tasks_skipped',
+];
+
+const LOG_LEVELS = ['info', 'warn', 'error'];
+
+function getLogRetentionDays() {
+  const parsed = Number.parseInt(process.env.LOG_RETENTION_DAYS, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_RETENTION_DAYS;
+}
+
+function bucketStart(timeMs) {
+  return Math.floor(timeMs / BUCKET_MS) * BUCKET_MS;
+}
+
+function bucketId(timeMs) {
+  return new Date(bucketStart(timeMs)).toISOString().slice(0, 13).replace(/[-T]/g, '');
+}
+
+function bucketKey(id) {
+  return `${LOG_BUCKET_KEY_PREFIX}${id}`;
+}
+
+function countKey(name) {
+  return `${LOG_COUNT_KEY_PREFIX}${name}`;
+}
+
+async function pruneLogBuckets(redis, now = Date.now()) {
+  const cutoff = bucketStart(now - getLogRetentionDays() * 24 * BUCKET_MS);
+  const expired = (await redis.zrange(LOG_BUCKETS_KEY, 0, cutoff - 1, { byScore: true })) || [];
+  for (const id of expired) {
+    await redis.zrem(LOG_BUCKETS_KEY, id);
+    await redis.del(bucketKey(id));
+  }
+  return expired.length;
+}
+
+/**
+ * Stores an entry built by appendLog(). Throws on Redis errors; appendLog
+ * swallows them since stdout already has the entry.
+ */
+async function recordLogEntry(entry) {
+  const redis = getRedis();
+  if (!redis) return false;
+
+  const time = Date.parse(entry.timestamp);
+  const id = bucketId(time);
+  const length = await redis.rpush(bucketKey(id), JSON.stringify(entry));
+  if (Number(length) === 1) {
+    // First entry of a new hour: register the bucket and drop expired ones.
+    await redis.expire(bucketKey(id), getLogRetentionDays() * 24 * 60 * 60 + 60 * 60);
+    await redis.zadd(LOG_BUCKETS_KEY, { score: bucketStart(time), member: id });
+    await pruneLogBuckets(redis, time);
+  }
+
+  await redis.incr(countKey(`event:${entry.event}`));
+  if (entry.level === 'error') await redis.incr(countKey('level:error'));
+  return true;
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (position && typeof position.b === 'string' && Number.isInteger(position.i)) return position;
+  } catch {}
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  throw error;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    const error = new Error(`${name} must be an ISO date or timestamp`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return time;
+}
+
+/**
+ * Validates query filters (as strings, e.g. from a query string) into the
+ * form matchesFilters() expects. Throws 400-style errors.
+ */
+function normalizeLogFilters(raw = {}) {
+  const filters = {};
+  for (const field of ['level', 'event', ...LOG_CONTEXT_FIELDS]) {
+    const value = typeof raw[field] === 'string' ? raw[field].trim() : raw[field];
+    if (value !== undefined && value !== null && value !== '') filters[field] = String(value);
+  }
+  if (filters.level && !LOG_LEVELS.includes(filters.level)) {
+    const error = new Error(`level must be one of ${LOG_LEVELS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (filters.event && !LOG_EVENT_TYPES.includes(filters.event) && !filters.event.endsWith('.*')) {
+    const error = new Error(`Unknown event type "${filters.event}"`);
+    error.statusCode = 400;
+    throw error;
+  }
+  filters.since = parseTime(raw.since, 'since');
+  filters.until = parseTime(raw.until, 'until');
+  if (filters.since !== null && filters.until !== null && filters.since > filters.until) {
+    const error = new Error('since must be before until');
+    error.statusCode = 400;
+    throw error;
+  }
+  return filters;
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.level && entry.level !== filters.level) return false;
+  if (filters.event) {
+    const event = entry.event || 'general';
+    // `enrollment.*` matches every enrollment event.
+    if (filters.event.endsWith('.*')) {
+      if (!event.startsWith(filters.event.slice(0, -1))) return false;
+    } else if (event !== filters.event) {
+      return false;
+    }
+  }
+  for (const field of LOG_CONTEXT_FIELDS) {
+    if (filters[field] && String(entry[field] ?? '') !== filters[field]) return false;
+  }
+  const time = Date.parse(entry.timestamp);
+  if (filters.since !== null && filters.since !== undefined && time < filters.since) return false;
+  if (filters.until !== null && filters.until !== undefined && time > filters.until) return false;
+  return true;
+}
+
+/**
+ * Returns matching entries newest first, with `nextCursor` when more may
+ * remain. Pass that cursor back to continue where the page stopped.
+ */
+async function queryLogs(rawFilters = {}, { limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+  const redis = getRedis();
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filters = normalizeLogFilters(rawFilters);
+  const position = decodeCursor(cursor);
+  if (!redis) return { entries: [], nextCursor: null };
+
+  const now = Date.now();
+  const retentionStart = bucketStart(now - getLogRetentionDays() * 24 * BUCKET_MS);
+  const minScore = Math.max(retentionStart, filters.since !== null ? bucketStart(filters.since) : 0);
+  const maxScore = filters.until !== null ? filters.until : now;
+  const buckets = ((await redis.zrange(LOG_BUCKETS_KEY, minScore, maxScore, { byScore: true })) || [])
+    .map(String)
+    .reverse();
+
+  const entries = [];
+  let scanned = 0;
+  for (const id of buckets) {
+    if (position && id > position.b) continue;
+
+    let end = position && id === position.b
+      ? position.i
+      : Number(await redis.llen(bucketKey(id))) || 0;
+
+    while (end > 0) {
+      const start = Math.max(0, end - READ_CHUNK);
+      const rows = (await redis.lrange(bucketKey(id), start, end - 1)) || [];
+      for (let offset = rows.length - 1; offset >= 0; offset -= 1) {
+        const index = start + offset;
+        scanned += 1;
+        const entry = parseStoredJson(rows[offset]);
+        if (entry && matchesFilters(entry, filters)) entries.push(entry);
+        if (entries.length >= pageSize || scanned >= MAX_SCANNED_PER_QUERY) {
+          return {
+            entries,
+            nextCursor: index > 0 || id !== buckets[buckets.length - 1]
+              ? encodeCursor({ b: id, i: index })
+              : null,
+          };
+        }
+      }
+      end = start;
+    }
+  }
+
+  return { entries, nextCursor: null };
+}
+
+/**
+ * Running totals since the counters were created (not limited by retention).
+ */
+async function getLogTotals() {
+  const redis = getRedis();
+  if (!redis) return { available: false, processed: 0, errors: 0 };
+  const [created, errors] = await Promise.all([
+    redis.get(countKey('event:enrollment.created')),
+    redis.get(countKey('level:error')),
+  ]);
+  return { available: true, processed: Number(created) || 0, errors: Number(errors) || 0 };
+}
+
+module.exports = {
+  LOG_EVENT_TYPES,
+  LOG_LEVELS,
+  LOG_CONTEXT_FIELDS,
+  getLogRetentionDays,
+  recordLogEntry,
+  normalizeLogFilters,
+  matchesFilters,
+  queryLogs,
+  getLogTotals,
+};
@@ -0,0 +1,312 @@
+/**
+ * Operator alerts.
+ *
+ * ALERT_CHANNELS lists where alerts go:
+ *
+ *   [
+ *     { "type": "slack", "url": "https://hooks.slack.com/services/…" },
+ *     { "type": "webhook", "url": "https://ops.example.com/hooks/acuity",
+ *       "headers": { "Authorization": "Bearer …" } },
+ *     { "type": "email", "to": "ops@example.com", "alerts": ["redis.unavailable"] }
+ *   ]
+ *
+ * `slack` posts `{ text }` to any Slack-compatible incoming webhook,
+ * `webhook` posts the alert as JSON, and `email` goes out through the
+ * NOTIFY_TRANSPORT set up for email notifications. `alerts` limits a channel
+ * to some of ALERT_TYPES.
+ *
+ * Each alert type is sent at most once per ALERT_THROTTLE_MINUTES (default
+ * 30); repeats inside the window are counted and reported with the next
+ * alert, so an outage produces one alert rather than one per failed request.
+ * The window is kept in Redis and, when Redis is down (or for the
+ * redis.unavailable alert itself), per function instance. Alerts never fail
+ * the work that raised them.
+ */
+const axios = require('axios');
+const { getRedis, appendLog, createEnvConfig } = require('./helpers');
+
+const ALERT_THROTTLE_KEY_PREFIX = 'acuity_alert_sent:';
+const ALERT_SUPPRESSED_KEY_PREFIX = 'acuity_alert_suppressed:';
+const DEFAULT_THROTTLE_MINUTES = 30;
+const ALERT_REQUEST_TIMEOUT_MS = 5000;
+const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+
+const ALERT_TYPES = {
+  'enrollment.failed': { title: 'Enrollment failed', severity: 'error' },
+  'webhook.signature_invalid': { title: 'Webhook signature rejected', severity: 'warning' },
+  'webhook.source_rejected': { title: 'Webhook from an unlisted address rejected', severity: 'warning' },
+  'cancellation.delete_fallback': { title: 'Cancellation fell back to deleting the pass', severity: 'warning' },
+  'redis.unavailable': { title: 'Redis unavailable', severity: 'critical' },
+  'alert.test': { title: 'Test alert', severity: 'info' },
+};
+
+// Used when Redis can't hold the throttle window: alert key → { until, suppressed }.
+const localThrottle = new Map();
+
+// ---------- CONFIGURATION ----------
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function parseChannel(entry, index, errors) {
+  const label = `Channel ${index + 1}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${label}: must be an object`);
+    return null;
+  }
+  const type = String(entry.type || '').trim().toLowerCase();
+  if (!CHANNEL_TYPES.includes(type)) {
+    errors.push(`${label}: type must be one of ${CHANNEL_TYPES.join(', ')}`);
+    return null;
+  }
+
+  const channel = { type, alerts: null };
+  if (type === 'email') {
+    const to = (Array.isArray(entry.to) ? entry.to : String(entry.to || '').split(','))
+      .map((address) => String(address).trim())
+      .filter(Boolean);
+    if (to.length === 0 || to.some((address) => !address.includes('@'))) {
+      errors.push(`${label}: to must be one or more email addresses`);
+      return null;
+    }
+    channel.to = to;
+  } else {
+    const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+    if (!isHttpUrl(url)) {
+      errors.push(`${label}: url must be an http(s) URL`);
+      return null;
+    }
+    channel.url = url;
+    if (entry.headers !== undefined) {
+      if (!entry.headers || typeof entry.headers !== 'object' || Array.isArray(entry.headers)) {
+        errors.push(`${label}: headers must be an object`);
+        return null;
+      }
+      channel.headers = Object.fromEntries(Object.entries(entry.headers).map(([name, value]) => [name, String(value)]));
+    }
+  }
+
+  if (entry.alerts !== undefined) {
+    const unknown = Array.isArray(entry.alerts) ? entry.alerts.filter((type) => !ALERT_TYPES[type]) : null;
+    if (!unknown || unknown.length > 0) {
+      errors.push(`${label}: alerts must be a list of ${Object.keys(ALERT_TYPES).join(', ')}`);
+      return null;
+    }
+    channel.alerts = entry.alerts;
+  }
+  return channel;
+}
+
+function parseAlertConfig(raw, throttleRaw) {
+  const errors = [];
+  const config = { channels: [], throttleMinutes: DEFAULT_THROTTLE_MINUTES };
+
+  if (throttleRaw) {
+    const minutes = Number(throttleRaw);
+    if (Number.isFinite(minutes) && minutes >= 0) config.throttleMinutes = minutes;
+    else errors.push('ALERT_THROTTLE_MINUTES must be a number of 0 or more');
+  }
+  if (!raw) return { ...config, errors, valid: errors.length === 0 };
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    errors.push(`ALERT_CHANNELS is not valid JSON: ${err.message}`);
+  }
+  if (parsed !== null && !Array.isArray(parsed)) {
+    errors.push('ALERT_CHANNELS must be a JSON array');
+    parsed = null;
+  }
+  (parsed || []).forEach((entry, index) => {
+    const channel = parseChannel(entry, index, errors);
+    if (channel) config.channels.push(channel);
+  });
+
+  return { ...config, errors, valid: errors.length === 0 };
+}
+
+const getAlertConfig = createEnvConfig(
+  ['ALERT_CHANNELS', 'ALERT_THROTTLE_MINUTES'],
+  parseAlertConfig,
+  '[alerts] Invalid alert settings:'
+);
+
+// Where a channel delivers, without exposing webhook tokens.
+function describeTarget(channel) {
+  if (channel.type === 'email') return channel.to.join(', ');
+  return new URL(channel.url).host;
+}
+
+function describeAlerts() {
+  const { valid, errors, channels, throttleMinutes } = getAlertConfig();
+  return {
+    valid,
+    errors,
+    enabled: channels.length > 0,
+    throttleMinutes,
+    channels: channels.map((channel) => ({
+      type: channel.type,
+      target: describeTarget(channel),
+      alerts: channel.alerts || 'all',
+    })),
+  };
+}
+
+// ---------- THROTTLING ----------
+function claimLocally(key, windowMs) {
+  const now = Date.now();
+  const current = localThrottle.get(key);
+  if (current && current.until > now) {
+    current.suppressed += 1;
+    return { claimed: false };
+  }
+  localThrottle.set(key, { until: now + windowMs, suppressed: 0 });
+  return { claimed: true, suppressed: current?.suppressed || 0 };
+}
+
+/**
+ * Claims the throttle window for an alert key. Resolves with `claimed` and,
+ * when claimed, how many repeats were suppressed in the previous window.
+ */
+async function claimAlert(key, { throttleMinutes, local }) {
+  if (throttleMinutes <= 0) return { claimed: true, suppressed: 0 };
+  const windowSeconds = Math.ceil(throttleMinutes * 60);
+  const redis = local ? null : getRedis();
+  if (redis) {
+    try {
+      const suppressedKey = `${ALERT_SUPPRESSED_KEY_PREFIX}${key}`;
+      const claimed = await redis.set(`${ALERT_THROTTLE_KEY_PREFIX}${key}`, new Date().toISOString(), {
+        ex: windowSeconds,
+        nx: true,
+      });
+      if (!claimed) {
+        await redis.incr(suppressedKey);
+        await redis.expire(suppressedKey, windowSeconds * 2);
+        return { claimed: false };
+      }
+      const suppressed = Number(await redis.get(suppressedKey)) || 0;
+      if (suppressed) await redis.del(suppressedKey);
+      return { claimed: true, suppressed };
+    } catch {
+      // Redis failed mid-claim; fall back to this instance's window.
+    }
+  }
+  return claimLocally(key, windowSeconds * 1000);
+}
+
+// Gives the window back when no channel took the alert, so the next one retries.
+async function releaseAlert(key, { local }) {
+  localThrottle.delete(key);
+  const redis = local ? null : getRedis();
+  if (redis) await redis.del(`${ALERT_THROTTLE_KEY_PREFIX}${key}`).catch(() => {});
+}
+
+// ---------- DELIVERY ----------
+function describeDetails(details) {
+  return Object.entries(details || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+}
+
+function alertText(alert) {
+  return [
+    alert.message,
+    ...describeDetails(alert.details),
+    ...(alert.suppressed ? [`(${alert.suppressed} similar alert${alert.suppressed === 1 ? ' was' : 's were'} suppressed since the last one)`] : []),
+  ].join('\n');
+}
+
+async function deliver(channel, alert) {
+  if (channel.type === 'email') {
+    const { sendEmail } = require('./notifications');
+    await sendEmail({
+      to: channel.to.join(', '),
+      subject: `[${alert.severity}] ${alert.title}`,
+      text: `${alertText(alert)}\n\nRaised at ${alert.raisedAt}`,
+    });
+    return;
+  }
+
+  const body = channel.type === 'slack'
+    ? { text: `*${alert.title}* (${alert.severity})\n${alertText(alert)}` }
+    : alert;
+  await axios.post(channel.url, body, {
+    headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+    timeout: ALERT_REQUEST_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Sends an alert of one of ALERT_TYPES to every channel that takes it,
+ * unless one was already sent inside the throttle window. Never throws;
+ * resolves with `sent` and, when nothing went out, `reason` (disabled,
+ * throttled, failed).
+ *
+ * `local` keeps the throttle in memory — for alerts about Redis itself.
+ * `force` skips the throttle.
+ */
+async function raiseAlert(type, message, details = null, { local = false, force = false } = {}) {
+  try {
+    const config = getAlertConfig();
+    const definition = ALERT_TYPES[type];
+    if (!definition) throw new Error(`Unknown alert type: ${type}`);
+    const channels = config.channels.filter((channel) => !channel.alerts || channel.alerts.includes(type));
+    if (channels.length === 0) return { sent: false, reason: 'disabled' };
+
+    const claim = force
+      ? { claimed: true, suppressed: 0 }
+      : await claimAlert(type, { throttleMinutes: config.throttleMinutes, local });
+    if (!claim.claimed) return { sent: false, reason: 'throttled' };
+
+    const alert = {
+      type,
+      title: definition.title,
+      severity: definition.severity,
+      message,
+      details,
+      suppressed: claim.suppressed,
+      raisedAt: new Date().toISOString(),
+    };
+    const results = await Promise.all(channels.map(async (channel) => {
+      try {
+        await deliver(channel, alert);
+        return { type: channel.type, target: describeTarget(channel), delivered: true };
+      } catch (err) {
+        const error = err.response ? `HTTP ${err.response.status}` : err.message;
+        await appendLog('error', `Could not deliver ${type} alert to ${channel.type} channel`, {
+          alert: type,
+          channel: channel.type,
+          target: describeTarget(channel),
+          error,
+        }, 'alert.failed');
+        return { type: channel.type, target: describeTarget(channel), delivered: false, error };
+      }
+    }));
+
+    const delivered = results.filter((result) => result.delivered).length;
+    if (delivered === 0 && !force) {
+      await releaseAlert(type, { local });
+    } else if (delivered > 0) {
+      await appendLog('info', `Sent ${type} alert`, {
+        alert: type,
+        channels: delivered,
+        ...(claim.suppressed ? { suppressed: claim.suppressed } : {}),
+      }, 'alert.sent');
+    }
+    return { sent: delivered > 0, ...(delivered > 0 ? {} : { reason: 'failed' }), channels: results };
+  } catch (err) {
+    console.error(`[alerts] Could not raise ${type} alert:`, err.message);
+    return { sent: false, reason: 'failed', error: err.message };
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  describeAlerts,
+  raiseAlert,
+};
@@ -0,0 +1,272 @@
+/**
+ * Appointment activity on the pass.
+ *
+ * Acuity's appointment webhooks (scheduled, rescheduled, canceled, changed)
+ * carry only the appointment ID. The appointment is fetched and matched to
+ * a member by the certificate code it was booked with, or else by the
+ * email address the bridge enrolled. The member's bookings are then re-read
+ * from Acuity and summarized into PassKit metaData:
+ *
+ *   nextClass    — the next upcoming booking ("Yoga Basics · March 2, 2026 6:00pm")
+ *   nextClassAt  — its start time (ISO)
+ *   visitCount   — past bookings that weren't cancelled
+ *   lastVisitAt  — the most recent of those (ISO)
+ *
+ * Everything is recomputed on each delivery, so duplicate, retried or
+ * out-of-order webhooks all converge on the same pass. The same list drives
+ * POINTS_RULES.perAppointment: attended bookings earn once, cancelled ones
+ * are reversed.
+ */
+const {
+  appendLog,
+  passKitRequest,
+  createAcuityClient,
+  extractCertificateCode,
+  normalizeCertificateCode,
+  getEnrollmentLedgerEntry,
+  findRenewalTarget,
+  loadPassKitMemberRecord,
+  withOrderLock,
+  withLogContext,
+  setLogContext,
+} = require('./helpers');
+const { findPassKitMemberInPrograms } = require('./passkit-members');
+const { listPrograms, getProgramByKey, getProgramById, resolveProgramForOrder } = require('./programs');
+const { syncAppointmentPoints } = require('./points');
+
+// Acuity's /appointments endpoint is paged by `max` only, so the newest
+// bookings are read first; a longer history undercounts old visits.
+const APPOINTMENT_HISTORY_LIMIT = 1000;
+const ACTIVITY_METADATA_KEYS = ['nextClass', 'nextClassAt', 'visitCount', 'lastVisitAt'];
+
+async function fetchAppointment(appointmentId) {
+  const response = await createAcuityClient().get(`/appointments/${encodeURIComponent(appointmentId)}`);
+  return response.data;
+}
+
+async function listAppointmentsByEmail(email) {
+  const response = await createAcuityClient().get('/appointments', {
+    params: { email, max: APPOINTMENT_HISTORY_LIMIT, direction: 'DESC' },
+  });
+  return Array.isArray(response.data) ? response.data : [];
+}
+
+function appointmentTime(appointment) {
+  const time = Date.parse(appointment?.datetime);
+  return Number.isFinite(time) ? time : null;
+}
+
+function describeAppointment(appointment) {
+  const when = [appointment.date, appointment.time].filter(Boolean).join(' ');
+  return [appointment.type, when].filter(Boolean).join(' · ');
+}
+
+/**
+ * Reduces a member's bookings to the pass fields above. Values are strings
+ * because PassKit metaData only holds strings.
+ */
+function summarizeAppointmentActivity(appointments, now = Date.now()) {
+  let visitCount = 0;
+  let lastVisit = null;
+  let next = null;
+
+  for (const appointment of appointments) {
+    const time = appointmentTime(appointment);
+    if (time === null || appointment.canceled) continue;
+    if (time <= now) {
+      visitCount += 1;
+      if (!lastVisit || time > appointmentTime(lastVisit)) lastVisit = appointment;
+    } else if (!next || time < appointmentTime(next)) {
+      next = appointment;
+    }
+  }
+
+  return {
+    nextClass: next ? describeAppointment(next) : '',
+    nextClassAt: next ? new Date(appointmentTime(next)).toISOString() : '',
+    visitCount: String(visitCount),
+    lastVisitAt: lastVisit ? new Date(appointmentTime(lastVisit)).toISOString() : '',
+  };
+}
+
+function ledgerProgram(ledger) {
+  if (!ledger) return null;
+  return getProgramByKey(ledger.programKey) || (ledger.programId ? getProgramById(ledger.programId) : null);
+}
+
+/**
+ * Finds the enrolled member an appointment belongs to: by the certificate
+ * code used to book it, else by the email index kept at enrollment.
+ */
+async function resolveAppointmentMember(appointment, hints = {}) {
+  let routed = null;
+  try {
+    routed = resolveProgramForOrder(appointment, hints);
+  } catch {
+    // Routing only picks which program to search first.
+  }
+
+  const code = extractCertificateCode(appointment);
+  if (code) {
+    const certificateCode = normalizeCertificateCode(code);
+    const ledger = await getEnrollmentLedgerEntry({ certificateCode });
+    return { certificateCode, ledger, preferred: ledgerProgram(ledger) || routed, matchedBy: 'certificate' };
+  }
+
+  if (appointment.email) {
+    const programs = [routed, ...listPrograms()].filter(Boolean);
+    for (const program of programs) {
+      const certificateCode = await findRenewalTarget(appointment.email, program);
+      if (certificateCode) {
+        const ledger = await getEnrollmentLedgerEntry({ certificateCode });
+        return { certificateCode, ledger, preferred: ledgerProgram(ledger) || program, matchedBy: 'email' };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Handles an appointment webhook. Resolves with `outcome` updated or
+ * unchanged, or `skipped` when the booking isn't a known member's.
+ */
+async function syncAppointmentActivity(appointmentId, { action = null, hints = {} } = {}) {
+  return withLogContext({ appointmentId: String(appointmentId) }, () => runAppointmentSync(appointmentId, action, hints));
+}
+
+async function runAppointmentSync(appointmentId, action, hints) {
+  const found = await findAppointmentMember(appointmentId, action, hints);
+  if (found.skipped) return found;
+
+  const run = () => updateMemberActivity(appointmentId, action, found.appointment, found.match);
+  return found.match.ledger?.orderId ? withOrderLock(found.match.ledger.orderId, run) : run();
+}
+
+/**
+ * Fetches the appointment and finds its member. Resolves with
+ * `{ appointment, match }`, or a `skipped` result for someone else's booking.
+ */
+async function findAppointmentMember(appointmentId, action, hints = {}) {
+  let appointment;
+  try {
+    appointment = await fetchAppointment(appointmentId);
+  } catch (err) {
+    await appendLog('error', `Failed to fetch appointment #${appointmentId} from Acuity`, err.message, 'appointment.fetch_failed');
+    throw err;
+  }
+
+  const match = await resolveAppointmentMember(appointment, hints);
+  if (!match) {
+    await appendLog('info', `Appointment #${appointmentId} isn't booked by a known member. Skipping.`, {
+      action,
+      email: appointment.email || null,
+    }, 'appointment.skipped');
+    return { skipped: true, reason: 'No member for this appointment' };
+  }
+  setLogContext({ certificateCode: match.certificateCode });
+  return { appointment, match };
+}
+
+/**
+ * Reads everything an activity update needs without writing: the PassKit
+ * member, their bookings, the summarized `activity` and the member `payload`
+ * (null when the pass already shows it). Resolves with a `skipped` result
+ * when there is nothing to sync. Also used by the dry run.
+ */
+async function prepareMemberActivity(appointmentId, action, appointment, match) {
+  // Acuity ignores an empty `email` filter and lists every booking on the
+  // account, which would credit the member with everyone's visits.
+  if (!String(appointment.email || '').trim()) {
+    await appendLog('warn', `Appointment #${appointmentId} has no email to read the member's bookings by. Skipping.`, {
+      action,
+      certificateCode: match.certificateCode,
+    }, 'appointment.skipped');
+    return { skipped: true, reason: 'Appointment has no email' };
+  }
+
+  const memberExternalId = match.ledger?.memberExternalId || match.certificateCode;
+  const { member, program } = await findPassKitMemberInPrograms(memberExternalId, match.preferred);
+  if (!member?.id) {
+    await appendLog('info', `No PassKit member for appointment #${appointmentId}. Skipping.`, {
+      action,
+      externalId: memberExternalId,
+    }, 'appointment.skipped');
+    return { skipped: true, reason: 'PassKit member not found' };
+  }
+  setLogContext({ program: program.key, memberId: member.id });
+
+  let appointments;
+  try {
+    appointments = await listAppointmentsByEmail(appointment.email);
+  } catch (err) {
+    await appendLog('error', `Failed to list appointments for appointment #${appointmentId}`, err.message, 'appointment.fetch_failed');
+    throw err;
+  }
+  const activity = summarizeAppointmentActivity(appointments);
+
+  const record = await loadPassKitMemberRecord(member);
+  const current = record?.metaData || {};
+  const changedFields = ACTIVITY_METADATA_KEYS.filter((key) => String(current[key] ?? '') !== activity[key]);
+  let payload = null;
+  if (changedFields.length > 0) {
+    payload = {
+      id: member.id,
+      programId: program.programId,
+      externalId: memberExternalId,
+      // metaData is replaced as a whole by PassKit, so send the merged map.
+      metaData: { ...current, ...activity },
+    };
+    const emailAddress = record?.person?.emailAddress || member.emailAddress;
+    if (emailAddress) payload.person = { emailAddress };
+  }
+
+  return {
+    member,
+    program,
+    pointsMember: { id: member.id, externalId: memberExternalId, programId: program.programId, program: program.key },
+    appointments,
+    activity,
+    record,
+    changedFields,
+    payload,
+  };
+}
+
+async function updateMemberActivity(appointmentId, action, appointment, match) {
+  const prepared = await prepareMemberActivity(appointmentId, action, appointment, match);
+  if (prepared.skipped) return prepared;
+  const { member, activity, changedFields, payload } = prepared;
+  const points = await syncAppointmentPoints(prepared.appointments, prepared.pointsMember);
+
+  if (!payload) {
+    await appendLog('info', 'Pass already shows the latest appointment activity', {
+      action,
+      passKitId: member.id,
+    }, 'appointment.unchanged');
+    return { success: true, outcome: 'unchanged', passKitId: member.id, activity, points };
+  }
+
+  try {
+    await passKitRequest('PUT', '/members/member', payload);
+  } catch (err) {
+    await appendLog('error', 'Failed to update appointment activity on the pass', err.response?.data || err.message, 'appointment.failed');
+    throw err;
+  }
+
+  await appendLog('info', `Updated pass from appointment #${appointmentId}`, {
+    action,
+    passKitId: member.id,
+    matchedBy: match.matchedBy,
+    changedFields,
+    ...activity,
+  }, 'appointment.synced');
+  return { success: true, outcome: 'updated', passKitId: member.id, changedFields, activity, points };
+}
+
+module.exports = {
+  ACTIVITY_METADATA_KEYS,
+  summarizeAppointmentActivity,
+  syncAppointmentActivity,
+  findAppointmentMember,
+  prepareMemberActivity,
+};
@@ -0,0 +1,441 @@
+/**
+ * Operator authentication for the dashboard and API endpoints.
+ *
+ * - Admin login: username/password from env, issued as a signed session
+ *   token (JWT) in an HttpOnly cookie.
+ * - Staff logins: STAFF_USERS, for the door scanner. Staff sessions live in
+ *   their own cookie, are signed for a different audience and only ever
+ *   carry the `scan` scope, so they can't reach the operator dashboard.
+ * - API tokens: configured via API_TOKENS, sent as `Authorization: Bearer`,
+ *   each carrying scopes (`read` for logs/status, `write` for mutations).
+ * - Vercel Cron: requests bearing CRON_SECRET get the `cron` scope.
+ * - Password logins are throttled per client address: after
+ *   LOGIN_MAX_FAILURES failures in a LOGIN_WINDOW_SECONDS window, further
+ *   attempts get 429 until the window ends.
+ *
+ * Every handler except the signed webhook receivers (api/webhook.js,
+ * api/passkit-webhook.js) is wrapped with requireAuth().
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { normalizeEnvString } = require('./helpers');
+const { getClientIp } = require('./client-ip');
+
+const SESSION_COOKIE_NAME = 'bridge_session';
+const STAFF_SESSION_COOKIE_NAME = 'bridge_staff_session';
+// Session tokens name who they're for, so one kind can't pass as the other.
+const SESSION_AUDIENCES = { admin: 'operator', staff: 'staff' };
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const SCOPES = ['read', 'write', 'cron', 'scan'];
+const LOGIN_FAILURE_KEY_PREFIX = 'acuity_login_failures:';
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_WINDOW_SECONDS = 15 * 60;
+// Scopes that grant other scopes (mutating access implies read access).
+const SCOPE_IMPLIES = {
+  write: ['read'],
+};
+
+function getAuthConfig() {
+  const ttlHours = Number(process.env.SESSION_TTL_HOURS);
+  return {
+    ADMIN_USERNAME: normalizeEnvString(process.env.ADMIN_USERNAME) || 'admin',
+    ADMIN_PASSWORD: normalizeEnvString(process.env.ADMIN_PASSWORD),
+    AUTH_SECRET: normalizeEnvString(process.env.AUTH_SECRET),
+    CRON_SECRET: normalizeEnvString(process.env.CRON_SECRET),
+    SESSION_TTL_SECONDS: Math.round(
+      (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : DEFAULT_SESSION_TTL_HOURS) * 3600
+    ),
+  };
+}
+
+function getSessionSecret() {
+  const cfg = getAuthConfig();
+  if (cfg.AUTH_SECRET) return cfg.AUTH_SECRET;
+  // Fall back to a secret derived from the admin password, so rotating
+  // the password also invalidates every outstanding session.
+  if (cfg.ADMIN_PASSWORD) {
+    return crypto.createHash('sha256').update(`bridge-session:${cfg.ADMIN_PASSWORD}`).digest('hex');
+  }
+  return '';
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a || '')).digest();
+  const right = crypto.createHash('sha256').update(String(b || '')).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function expandScopes(scopes) {
+  const expanded = new Set();
+  for (const scope of scopes || []) {
+    if (typeof scope !== 'string') continue;
+    const normalized = scope.trim().toLowerCase();
+    if (!normalized) continue;
+    expanded.add(normalized);
+    for (const implied of SCOPE_IMPLIES[normalized] || []) expanded.add(implied);
+  }
+  return [...expanded];
+}
+
+function getApiTokens() {
+  const raw = normalizeEnvString(process.env.API_TOKENS);
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter((entry) => entry && typeof entry.token === 'string' && entry.token.trim())
+    .map((entry, index) => ({
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : `token-${index + 1}`,
+      token: entry.token.trim(),
+      scopes: expandScopes(Array.isArray(entry.scopes) ? entry.scopes : ['read']),
+    }));
+}
+
+// STAFF_USERS: [{ "username": "frontdesk", "password": "…", "name": "Front desk" }]
+function getStaffUsers() {
+  const raw = normalizeEnvString(process.env.STAFF_USERS);
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter((entry) => entry && typeof entry.username === 'string' && entry.username.trim()
+      && typeof entry.password === 'string' && entry.password)
+    .map((entry) => ({
+      username: entry.username.trim(),
+      password: entry.password,
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : entry.username.trim(),
+    }));
+}
+
+function isAuthConfigured() {
+  const cfg = getAuthConfig();
+  return !!cfg.ADMIN_PASSWORD || !!cfg.CRON_SECRET || getApiTokens().length > 0
+    || (getStaffUsers().length > 0 && !!getSessionSecret());
+}
+
+function parseCookies(req) {
+  const header = req?.headers?.cookie;
+  if (typeof header !== 'string' || !header) return {};
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function getBearerToken(req) {
+  const header = req?.headers?.authorization;
+  if (typeof header !== 'string') return '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+function isSecureRequest(req) {
+  const proto = req?.headers?.['x-forwarded-proto'];
+  if (typeof proto === 'string' && proto) return proto.split(',')[0].trim() === 'https';
+  return !!req?.socket?.encrypted;
+}
+
+// ---------- SESSIONS ----------
+function verifyAdminCredentials(username, password) {
+  const cfg = getAuthConfig();
+  if (!cfg.ADMIN_PASSWORD) return null;
+  // Evaluate both comparisons so timing doesn't reveal which one failed.
+  const userOk = safeEqual(username, cfg.ADMIN_USERNAME);
+  const passOk = safeEqual(password, cfg.ADMIN_PASSWORD);
+  if (!userOk || !passOk) return null;
+  return { name: cfg.ADMIN_USERNAME, role: 'admin', scopes: [...SCOPES] };
+}
+
+function verifyStaffCredentials(username, password) {
+  let match = null;
+  // Compare against every user so timing doesn't reveal which usernames exist.
+  for (const user of getStaffUsers()) {
+    const userOk = safeEqual(username, user.username);
+    const passOk = safeEqual(password, user.password);
+    if (userOk && passOk && !match) match = user;
+  }
+  if (!match) return null;
+  return { name: match.username, displayName: match.name, role: 'staff', scopes: ['scan'] };
+}
+
+/**
+ * Checks a login form against the admin account, then staff users.
+ */
+function verifyLoginCredentials(username, password) {
+  const admin = verifyAdminCredentials(username, password);
+  if (admin) return admin;
+  const adminName = getAuthConfig().ADMIN_USERNAME;
+  // The admin username can't be claimed by a staff entry.
+  if (safeEqual(username, adminName)) return null;
+  return verifyStaffCredentials(username, password);
+}
+
+function createSessionToken(principal) {
+  const secret = getSessionSecret();
+  if (!secret) throw new Error('Authentication is not configured (set ADMIN_PASSWORD)');
+  const cfg = getAuthConfig();
+  return jwt.sign(
+    {
+      sub: principal.name,
+      role: principal.role,
+      scopes: principal.scopes,
+      ...(principal.displayName ? { name: principal.displayName } : {}),
+    },
+    secret,
+    { algorithm: 'HS256', expiresIn: cfg.SESSION_TTL_SECONDS, audience: SESSION_AUDIENCES[principal.role] }
+  );
+}
+
+function verifySessionToken(token, role) {
+  const secret = getSessionSecret();
+  if (!secret || !token) return null;
+  try {
+    const payload = jwt.verify(token, secret, { algorithms: ['HS256'], audience: SESSION_AUDIENCES[role] });
+    if (payload.role !== role) return null;
+    // Removing a staff user from STAFF_USERS ends their sessions too.
+    if (role === 'staff' && !getStaffUsers().some((user) => user.username === payload.sub)) {
+      return null;
+    }
+    return {
+      name: String(payload.sub || ''),
+      role,
+      scopes: role === 'staff' ? ['scan'] : expandScopes(payload.scopes),
+      ...(payload.name ? { displayName: String(payload.name) } : {}),
+      via: 'session',
+    };
+  } catch {
+    return null;
+  }
+}
+
+function sessionCookieName(role) {
+  return role === 'staff' ? STAFF_SESSION_COOKIE_NAME : SESSION_COOKIE_NAME;
+}
+
+function buildSessionCookie(req, name, token, maxAgeSeconds) {
+  const parts = [
+    `${name}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (isSecureRequest(req)) parts.push('Secure');
+  return parts.join('; ');
+}
+
+// Logging in as one kind of user ends the other kind's session in this browser.
+function setSessionCookie(req, res, principal) {
+  const token = createSessionToken(principal);
+  const name = sessionCookieName(principal.role);
+  const other = name === SESSION_COOKIE_NAME ? STAFF_SESSION_COOKIE_NAME : SESSION_COOKIE_NAME;
+  res.setHeader('Set-Cookie', [
+    buildSessionCookie(req, name, token, getAuthConfig().SESSION_TTL_SECONDS),
+    buildSessionCookie(req, other, '', 0),
+  ]);
+}
+
+function clearSessionCookie(req, res) {
+  res.setHeader('Set-Cookie', [SESSION_COOKIE_NAME, STAFF_SESSION_COOKIE_NAME]
+    .map((name) => buildSessionCookie(req, name, '', 0)));
+}
+
+// ---------- LOGIN THROTTLING ----------
+// Failed logins per client address and fixed window. Redis shares the
+// count across instances; without it each instance counts on its own. A
+// successful login doesn't reset the count, or a staff account could be
+// used to keep guessing the admin password.
+const localLoginFailures = new Map();
+
+function loginWindow(req, now) {
+  const windowMs = LOGIN_WINDOW_SECONDS * 1000;
+  const index = Math.floor(now / windowMs);
+  return {
+    key: `${LOGIN_FAILURE_KEY_PREFIX}${getClientIp(req) || 'unknown'}:${index}`,
+    endsAt: (index + 1) * windowMs,
+  };
+}
+
+function getLoginRedis() {
+  try {
+    return require('./helpers').getRedis();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves with the seconds until the caller may log in again, or 0 while
+ * they have attempts left.
+ */
+async function getLoginRetryAfter(req, now = Date.now()) {
+  const { key, endsAt } = loginWindow(req, now);
+  let failures = localLoginFailures.get(key)?.count || 0;
+  const redis = getLoginRedis();
+  if (redis) {
+    try {
+      failures = Number(await redis.get(key)) || 0;
+    } catch {
+      // Fall back to this instance's count.
+    }
+  }
+  return failures >= LOGIN_MAX_FAILURES ? Math.ceil((endsAt - now) / 1000) : 0;
+}
+
+async function recordLoginFailure(req, now = Date.now()) {
+  const { key, endsAt } = loginWindow(req, now);
+  for (const [staleKey, entry] of localLoginFailures) {
+    if (entry.endsAt <= now) localLoginFailures.delete(staleKey);
+  }
+  const local = localLoginFailures.get(key) || { count: 0, endsAt };
+  localLoginFailures.set(key, { ...local, count: local.count + 1 });
+
+  const redis = getLoginRedis();
+  if (!redis) return;
+  try {
+    if (Number(await redis.incr(key)) === 1) await redis.expire(key, LOGIN_WINDOW_SECONDS);
+  } catch {
+    // Counted locally above.
+  }
+}
+
+// ---------- REQUEST AUTHENTICATION ----------
+function authenticateRequest(req) {
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    const { CRON_SECRET } = getAuthConfig();
+    if (CRON_SECRET && safeEqual(bearer, CRON_SECRET)) {
+      return {
+        principal: { name: 'vercel-cron', role: 'cron', scopes: ['cron'], via: 'cron-secret' },
+        reason: null,
+      };
+    }
+
+    const match = getApiTokens().find((entry) => safeEqual(bearer, entry.token));
+    if (!match) return { principal: null, reason: 'invalid_api_token' };
+    return {
+      principal: { name: match.name, role: 'api-token', scopes: match.scopes, via: 'api-token' },
+      reason: null,
+    };
+  }
+
+  const cookies = parseCookies(req);
+  for (const role of ['admin', 'staff']) {
+    const sessionToken = cookies[sessionCookieName(role)];
+    if (!sessionToken) continue;
+    const principal = verifySessionToken(sessionToken, role);
+    if (!principal) return { principal: null, reason: 'invalid_session' };
+    return { principal, reason: null };
+  }
+
+  return { principal: null, reason: 'missing_credentials' };
+}
+
+function hasScope(principal, scope) {
+  if (!scope) return true;
+  return !!principal && Array.isArray(principal.scopes) && principal.scopes.includes(scope);
+}
+
+function resolveRequiredScope(scope, method) {
+  if (!scope) return null;
+  if (typeof scope === 'string') return scope;
+  if (typeof scope === 'object') {
+    const key = String(method || '').toUpperCase();
+    return scope[key] || scope.default || null;
+  }
+  return null;
+}
+
+async function logRejectedRequest(req, reason, extra = {}) {
+  try {
+    const { appendLog } = require('./helpers');
+    await appendLog('warn', 'Rejected unauthorized API request', {
+      reason,
+      method: req?.method || null,
+      path: req?.url || null,
+      ip: getClientIp(req),
+      ...extra,
+    }, 'auth.rejected');
+  } catch {
+    // Logging must never turn a 401 into a 500.
+  }
+}
+
+/**
+ * Wraps a serverless handler so it only runs for authenticated callers.
+ * `scope` is either a single scope or a map of HTTP method -> scope
+ * (with an optional `default`).
+ */
+function requireAuth(handler, scope = 'read') {
+  async function authenticatedHandler(req, res) {
+    if (!isAuthConfigured()) {
+      await logRejectedRequest(req, 'auth_not_configured');
+      return res.status(503).json({
+        error: 'Authentication is not configured. Set ADMIN_PASSWORD (and optionally API_TOKENS).',
+      });
+    }
+
+    const { principal, reason } = authenticateRequest(req);
+    if (!principal) {
+      await logRejectedRequest(req, reason);
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const requiredScope = resolveRequiredScope(scope, req.method);
+    if (!hasScope(principal, requiredScope)) {
+      await logRejectedRequest(req, 'insufficient_scope', {
+        principal: principal.name,
+        requiredScope,
+      });
+      return res.status(403).json({ error: `Missing required scope: ${requiredScope}` });
+    }
+
+    req.auth = principal;
+    return handler(req, res);
+  }
+
+  if (handler && handler.config) authenticatedHandler.config = handler.config;
+  return authenticatedHandler;
+}
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  STAFF_SESSION_COOKIE_NAME,
+  SCOPES,
+  getAuthConfig,
+  isAuthConfigured,
+  verifyAdminCredentials,
+  verifyStaffCredentials,
+  verifyLoginCredentials,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticateRequest,
+  logRejectedRequest,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  hasScope,
+  requireAuth,
+};
@@ -0,0 +1,434 @@
+/**
+ * Message broadcasts to wallet passes.
+ *
+ * A broadcast writes its text to the member's `broadcastMessage` metaData
+ * (with `broadcastSentAt` / `broadcastId`). Give that field a change
+ * message in the PassKit pass template and each update shows as a
+ * lock-screen notification, the same way expiry reminders do.
+ *
+ * Audiences:
+ *
+ *   { "type": "member", "certificateCode": "AB12CD34" }
+ *   { "type": "tier", "tierId": "gold", "program": "downtown" }
+ *   { "type": "all", "program": "downtown" }
+ *
+ * `program` is optional and limits tier/all sends to one program. Tier and
+ * all sends skip expired and cancelled members.
+ *
+ * The text may use {firstName}, {lastName}, {name}, {tier}, {points},
+ * {expiryDate}, {certificateCode} and {program}; missing values render
+ * empty.
+ *
+ * Broadcasts are kept in Redis and sent by the cron task once `sendAt` is
+ * due (immediately for "now"). Recipients are paged from PassKit in batches
+ * of BROADCAST_BATCH_SIZE with a pause between batches, and progress is
+ * checkpointed after every member, so a large send carries on over several
+ * invocations.
+ */
+const crypto = require('crypto');
+const {
+  getRedis,
+  parseStoredJson,
+  appendLog,
+  passKitRequest,
+  acquireRedisLock,
+  releaseRedisLock,
+} = require('./helpers');
+const { listPrograms, getProgramByKey } = require('./programs');
+const { findMemberByCode, evaluateMemberStatus } = require('./check-ins');
+const { listPassKitMembers } = require('./member-lookup');
+
+const BROADCAST_KEY_PREFIX = 'acuity_broadcast:';
+const BROADCAST_RESULTS_KEY_PREFIX = 'acuity_broadcast_results:';
+const BROADCAST_HISTORY_KEY = 'acuity_broadcasts';
+const BROADCAST_SCHEDULE_KEY = 'acuity_broadcast_schedule';
+const BROADCAST_LOCK_KEY = 'acuity_broadcast_lock';
+const BROADCAST_LOCK_TTL_SECONDS = 120;
+const BROADCAST_TTL_SECONDS = 60 * 60 * 24 * 90; // 90 days
+const BROADCAST_HISTORY_LIMIT = 100;
+const BROADCAST_RESULTS_LIMIT = 1000;
+const BROADCAST_BATCH_DELAY_MS = 1000;
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 100;
+const MAX_MESSAGE_LENGTH = 500;
+const AUDIENCE_TYPES = ['member', 'tier', 'all'];
+const TEMPLATE_FIELDS = ['firstName', 'lastName', 'name', 'tier', 'points', 'expiryDate', 'certificateCode', 'program'];
+
+function getBatchSize() {
+  const parsed = Number.parseInt(process.env.BROADCAST_BATCH_SIZE, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, MAX_BATCH_SIZE) : DEFAULT_BATCH_SIZE;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function requireRedis() {
+  const redis = getRedis();
+  if (!redis) {
+    const error = new Error('Redis is required for broadcasts');
+    error.statusCode = 503;
+    throw error;
+  }
+  return redis;
+}
+
+// ---------- TEMPLATES ----------
+function templatePlaceholders(template) {
+  return [...String(template).matchAll(/\{([^{}]+)\}/g)].map((match) => match[1].trim());
+}
+
+function memberTemplateValues(record, program) {
+  const person = record?.person || {};
+  return {
+    firstName: person.forename || '',
+    lastName: person.surname || '',
+    name: person.displayName || `${person.forename || ''} ${person.surname || ''}`.trim(),
+    tier: record?.tierId || '',
+    points: record?.points ?? '',
+    expiryDate: record?.expiryDate ? new Date(record.expiryDate).toISOString().slice(0, 10) : '',
+    certificateCode: record?.externalId || '',
+    program: program?.name || program?.key || '',
+  };
+}
+
+function renderBroadcastMessage(template, record, program = null) {
+  const values = memberTemplateValues(record, program);
+  return String(template).replace(/\{([^{}]+)\}/g, (match, field) => {
+    const value = values[field.trim()];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// ---------- RECORDS ----------
+function broadcastKey(id) {
+  return `${BROADCAST_KEY_PREFIX}${id}`;
+}
+
+function resultsKey(id) {
+  return `${BROADCAST_RESULTS_KEY_PREFIX}${id}`;
+}
+
+async function loadBroadcast(id) {
+  const redis = getRedis();
+  if (!redis || !id) return null;
+  return parseStoredJson(await redis.get(broadcastKey(id)));
+}
+
+async function saveBroadcast(redis, broadcast) {
+  broadcast.updatedAt = new Date().toISOString();
+  await redis.set(broadcastKey(broadcast.id), JSON.stringify(broadcast), { ex: BROADCAST_TTL_SECONDS });
+  return broadcast;
+}
+
+async function recordResult(redis, broadcast, result) {
+  const key = resultsKey(broadcast.id);
+  await redis.lpush(key, JSON.stringify({ ...result, at: new Date().toISOString() }));
+  await redis.ltrim(key, 0, BROADCAST_RESULTS_LIMIT - 1);
+  await redis.expire(key, BROADCAST_TTL_SECONDS);
+}
+
+function normalizeAudience(audience) {
+  const type = String(audience?.type || '').trim().toLowerCase();
+  if (!AUDIENCE_TYPES.includes(type)) {
+    throw badRequest(`audience.type must be one of ${AUDIENCE_TYPES.join(', ')}`);
+  }
+  if (type === 'member') {
+    const certificateCode = String(audience.certificateCode || '').trim();
+    if (!certificateCode) throw badRequest('audience.certificateCode is required for a member broadcast');
+    return { type, certificateCode };
+  }
+
+  const normalized = { type };
+  if (type === 'tier') {
+    const tierId = String(audience.tierId || '').trim();
+    if (!tierId) throw badRequest('audience.tierId is required for a tier broadcast');
+    normalized.tierId = tierId;
+  }
+  if (audience.program) {
+    const program = getProgramByKey(String(audience.program));
+    if (!program) throw badRequest(`Unknown program "${audience.program}"`);
+    normalized.program = program.key;
+  }
+  return normalized;
+}
+
+function describeAudience(audience) {
+  if (audience.type === 'member') return `member ${audience.certificateCode}`;
+  const scope = audience.program ? ` in ${audience.program}` : '';
+  return audience.type === 'tier' ? `tier ${audience.tierId}${scope}` : `all active members${scope}`;
+}
+
+/**
+ * Validates and stores a broadcast. `sendAt` (ISO date) schedules it for
+ * later; without it the broadcast is due immediately.
+ */
+async function createBroadcast({ message, audience, sendAt = null, createdBy = null }) {
+  const redis = requireRedis();
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text) throw badRequest('message is required');
+  if (text.length > MAX_MESSAGE_LENGTH) throw badRequest(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  const unknown = templatePlaceholders(text).filter((field) => !TEMPLATE_FIELDS.includes(field));
+  if (unknown.length) {
+    const fields = (names) => names.map((name) => `{${name}}`).join(', ');
+    throw badRequest(`Unknown template field ${fields(unknown)}; use ${fields(TEMPLATE_FIELDS)}`);
+  }
+  const target = normalizeAudience(audience);
+
+  const now = Date.now();
+  let sendTime = now;
+  if (sendAt) {
+    sendTime = Date.parse(sendAt);
+    if (!Number.isFinite(sendTime)) throw badRequest('sendAt must be an ISO date');
+  }
+
+  const broadcast = {
+    id: crypto.randomUUID(),
+    message: text,
+    audience: target,
+    status: 'scheduled',
+    sendAt: new Date(Math.max(sendTime, now)).toISOString(),
+    createdBy,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: null,
+    startedAt: null,
+    completedAt: null,
+    cursor: { programIndex: 0, offset: 0 },
+    counts: { sent: 0, failed: 0, skipped: 0 },
+    lastError: null,
+  };
+  await saveBroadcast(redis, broadcast);
+  await redis.lpush(BROADCAST_HISTORY_KEY, broadcast.id);
+  await redis.ltrim(BROADCAST_HISTORY_KEY, 0, BROADCAST_HISTORY_LIMIT - 1);
+  await redis.zadd(BROADCAST_SCHEDULE_KEY, { score: Date.parse(broadcast.sendAt), member: broadcast.id });
+  await appendLog('info', `Broadcast to ${describeAudience(target)} scheduled`, {
+    broadcastId: broadcast.id,
+    sendAt: broadcast.sendAt,
+    createdBy,
+  }, 'broadcast.scheduled');
+  return broadcast;
+}
+
+async function cancelBroadcast(id) {
+  const redis = requireRedis();
+  const broadcast = await loadBroadcast(id);
+  if (!broadcast) {
+    const error = new Error('Broadcast not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (!['scheduled', 'sending'].includes(broadcast.status)) {
+    const error = new Error(`Broadcast is already ${broadcast.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  broadcast.status = 'cancelled';
+  broadcast.completedAt = new Date().toISOString();
+  await saveBroadcast(redis, broadcast);
+  await redis.zrem(BROADCAST_SCHEDULE_KEY, id);
+  await appendLog('info', `Broadcast to ${describeAudience(broadcast.audience)} cancelled`, {
+    broadcastId: id,
+    counts: broadcast.counts,
+  }, 'broadcast.cancelled');
+  return broadcast;
+}
+
+// ---------- SENDING ----------
+async function sendToMember(redis, broadcast, record, program) {
+  const text = renderBroadcastMessage(broadcast.message, record, program);
+  const payload = {
+    id: record.id,
+    programId: record.programId || program?.programId,
+    externalId: record.externalId,
+    // metaData is replaced as a whole by PassKit, so send the merged map.
+    metaData: {
+      ...(record.metaData || {}),
+      broadcastMessage: text,
+      broadcastSentAt: new Date().toISOString(),
+      broadcastId: broadcast.id,
+    },
+  };
+  if (record.person?.emailAddress) payload.person = { emailAddress: record.person.emailAddress };
+
+  const result = { memberId: record.id, externalId: record.externalId || null, program: program?.key || null };
+  try {
+    await passKitRequest('PUT', '/members/member', payload);
+    broadcast.counts.sent += 1;
+    await recordResult(redis, broadcast, { ...result, status: 'sent' });
+  } catch (err) {
+    broadcast.counts.failed += 1;
+    await recordResult(redis, broadcast, { ...result, status: 'failed', error: err.response?.data || err.message });
+  }
+}
+
+function audiencePrograms(audience) {
+  if (audience.program) return [getProgramByKey(audience.program)].filter(Boolean);
+  return listPrograms().filter((program) => program.programId);
+}
+
+async function sendToSingleMember(redis, broadcast) {
+  const found = await findMemberByCode(broadcast.audience.certificateCode);
+  if (!found?.record) {
+    broadcast.counts.failed += 1;
+    await recordResult(redis, broadcast, {
+      externalId: broadcast.audience.certificateCode,
+      status: 'failed',
+      error: 'No PassKit member for this certificate code',
+    });
+  } else {
+    await sendToMember(redis, broadcast, found.record, found.program);
+  }
+  return true;
+}
+
+/**
+ * Sends the next page of a tier/all broadcast. Resolves true once every
+ * program has been paged through.
+ */
+async function sendNextBatch(redis, broadcast, outOfTime) {
+  const programs = audiencePrograms(broadcast.audience);
+  const program = programs[broadcast.cursor.programIndex];
+  if (!program) return true;
+
+  const batchSize = getBatchSize();
+  const filter = broadcast.audience.type === 'tier'
+    ? { filterField: 'tierId', filterValue: broadcast.audience.tierId }
+    : {};
+  // Oldest first: sending updates members, which would reshuffle an
+  // "updated" ordering between pages.
+  const page = await listPassKitMembers(program, filter, batchSize, {
+    offset: broadcast.cursor.offset,
+    orderBy: 'created',
+    orderAsc: true,
+  });
+
+  for (const record of page) {
+    if (outOfTime()) return false;
+    if (evaluateMemberStatus(record) === 'valid') {
+      await sendToMember(redis, broadcast, record, program);
+    } else {
+      broadcast.counts.skipped += 1;
+    }
+    broadcast.cursor.offset += 1;
+    await saveBroadcast(redis, broadcast);
+  }
+
+  if (page.length < batchSize) {
+    broadcast.cursor = { programIndex: broadcast.cursor.programIndex + 1, offset: 0 };
+    await saveBroadcast(redis, broadcast);
+    return broadcast.cursor.programIndex >= programs.length;
+  }
+  return false;
+}
+
+async function runBroadcast(redis, broadcast, outOfTime) {
+  if (broadcast.status === 'scheduled') {
+    broadcast.status = 'sending';
+    broadcast.startedAt = new Date().toISOString();
+    await saveBroadcast(redis, broadcast);
+  }
+
+  let done = false;
+  try {
+    if (broadcast.audience.type === 'member') {
+      done = await sendToSingleMember(redis, broadcast);
+    } else {
+      while (!done && !outOfTime()) {
+        // Stop promptly when an operator cancels the broadcast.
+        const latest = await loadBroadcast(broadcast.id);
+        if (!latest || latest.status !== 'sending') return latest;
+        done = await sendNextBatch(redis, broadcast, outOfTime);
+        if (!done && !outOfTime()) await sleep(BROADCAST_BATCH_DELAY_MS);
+      }
+    }
+  } catch (err) {
+    broadcast.lastError = err.response?.data || err.message;
+    await saveBroadcast(redis, broadcast);
+    await appendLog('error', 'Broadcast interrupted; it will resume on the next run', {
+      broadcastId: broadcast.id,
+      error: broadcast.lastError,
+    }, 'broadcast.interrupted');
+    return broadcast;
+  }
+
+  if (done) {
+    broadcast.status = 'completed';
+    broadcast.completedAt = new Date().toISOString();
+    await saveBroadcast(redis, broadcast);
+    await redis.zrem(BROADCAST_SCHEDULE_KEY, broadcast.id);
+    await appendLog(broadcast.counts.failed ? 'warn' : 'info', `Broadcast to ${describeAudience(broadcast.audience)} completed`, {
+      broadcastId: broadcast.id,
+      counts: broadcast.counts,
+    }, 'broadcast.completed');
+  }
+  return broadcast;
+}
+
+/**
+ * Cron task: sends due broadcasts, oldest first, until the time budget runs
+ * out. Unfinished broadcasts continue on the next call.
+ */
+async function runDueBroadcasts({ timeBudgetMs = 15000, now = Date.now() } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, processed: 0 };
+
+  const lockToken = await acquireRedisLock(redis, BROADCAST_LOCK_KEY, BROADCAST_LOCK_TTL_SECONDS);
+  if (!lockToken) return { available: true, status: 'locked', processed: 0 };
+
+  const startedAt = Date.now();
+  const outOfTime = () => Date.now() - startedAt > timeBudgetMs;
+  const summary = { available: true, processed: 0, completed: 0 };
+  try {
+    const due = (await redis.zrange(BROADCAST_SCHEDULE_KEY, 0, now, { byScore: true })) || [];
+    for (const id of due) {
+      if (outOfTime()) break;
+      const broadcast = await loadBroadcast(id);
+      if (!broadcast || !['scheduled', 'sending'].includes(broadcast.status)) {
+        await redis.zrem(BROADCAST_SCHEDULE_KEY, id);
+        continue;
+      }
+      const result = await runBroadcast(redis, broadcast, outOfTime);
+      summary.processed += 1;
+      if (result?.status === 'completed') summary.completed += 1;
+    }
+  } finally {
+    await releaseRedisLock(redis, BROADCAST_LOCK_KEY, lockToken);
+  }
+  return summary;
+}
+
+// ---------- HISTORY ----------
+async function listBroadcasts({ limit = 20 } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, broadcasts: [] };
+  const ids = (await redis.lrange(BROADCAST_HISTORY_KEY, 0, Math.min(limit, BROADCAST_HISTORY_LIMIT) - 1)) || [];
+  const broadcasts = await Promise.all(ids.map((id) => loadBroadcast(id)));
+  return { available: true, broadcasts: broadcasts.filter(Boolean) };
+}
+
+/**
+ * A broadcast with its most recent delivery results (sent / failed).
+ */
+async function getBroadcast(id, { limit = 100 } = {}) {
+  const broadcast = await loadBroadcast(id);
+  if (!broadcast) return null;
+  const rows = (await getRedis().lrange(resultsKey(id), 0, Math.min(limit, BROADCAST_RESULTS_LIMIT) - 1)) || [];
+  return { ...broadcast, results: rows.map(parseStoredJson).filter(Boolean) };
+}
+
+module.exports = {
+  AUDIENCE_TYPES,
+  TEMPLATE_FIELDS,
+  renderBroadcastMessage,
+  createBroadcast,
+  cancelBroadcast,
+  runDueBroadcasts,
+  listBroadcasts,
+  getBroadcast,
+};
@@ -0,0 +1,409 @@
+/**
+ * Front-desk check-ins.
+ *
+ * Staff scan the member's wallet pass (or type its certificate code). The
+ * scanned value is either the certificate code — the member's PassKit
+ * `externalId` — or a PassKit member ID / pass URL, which is what PassKit
+ * puts in the barcode by default.
+ *
+ * A check-in is allowed when the member is active and the rules in
+ * CHECK_IN_RULES pass:
+ *
+ *   {
+ *     "maxPerDay": 1,
+ *     "timezone": "America/New_York",
+ *     "points": 1,
+ *     "tiers": {
+ *       "offpeak": { "days": ["mon", "tue", "wed", "thu", "fri"] },
+ *       "family":  { "maxPerDay": 2, "points": 2 }
+ *     }
+ *   }
+ *
+ * Tier entries override the top-level maxPerDay/points; `days` limits the
+ * weekdays a tier may visit. "Today" is the calendar day in `timezone`.
+ *
+ * Each check-in is kept in Redis (recent history per member, a daily
+ * counter for the limit, and a running total), earns `points` on the
+ * PassKit member (through the points ledger), and sets `checkInCount` / `lastCheckInAt` metaData.
+ */
+const crypto = require('crypto');
+const {
+  getRedis,
+  appendLog,
+  passKitRequest,
+  parseStoredJson,
+  isCertificateCode,
+  normalizeCertificateCode,
+  getEnrollmentLedgerEntry,
+  loadPassKitMemberRecord,
+  withLogContext,
+  createEnvConfig,
+} = require('./helpers');
+const { findPassKitMemberInPrograms } = require('./passkit-members');
+const { getProgramByKey, getProgramById } = require('./programs');
+const { earnPoints } = require('./points');
+
+const CHECK_IN_HISTORY_KEY_PREFIX = 'acuity_checkins:';
+const CHECK_IN_DAY_KEY_PREFIX = 'acuity_checkin_day:';
+const CHECK_IN_COUNT_KEY_PREFIX = 'acuity_checkin_count:';
+const CHECK_IN_HISTORY_LIMIT = 100;
+const CHECK_IN_DAY_TTL_SECONDS = 60 * 60 * 48;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_RULES = { maxPerDay: 1, timezone: 'UTC', points: 1 };
+
+// ---------- RULE CONFIGURATION ----------
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseLimits(entry, label, errors) {
+  const limits = {};
+  if (entry.maxPerDay !== undefined) {
+    if (Number.isInteger(entry.maxPerDay) && entry.maxPerDay >= 0) limits.maxPerDay = entry.maxPerDay;
+    else errors.push(`${label}maxPerDay must be a whole number (0 for no limit)`);
+  }
+  if (entry.points !== undefined) {
+    if (Number.isFinite(entry.points) && entry.points >= 0) limits.points = entry.points;
+    else errors.push(`${label}points must be a number of 0 or more`);
+  }
+  return limits;
+}
+
+function parseCheckInRules(raw) {
+  const errors = [];
+  const rules = { ...DEFAULT_RULES, tiers: {} };
+  if (!raw) return { ...rules, errors, valid: true };
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    errors.push(`CHECK_IN_RULES is not valid JSON: ${err.message}`);
+  }
+  if (parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+    errors.push('CHECK_IN_RULES must be a JSON object');
+    parsed = null;
+  }
+
+  if (parsed) {
+    Object.assign(rules, parseLimits(parsed, '', errors));
+    if (parsed.timezone !== undefined) {
+      if (typeof parsed.timezone === 'string' && isValidTimezone(parsed.timezone)) rules.timezone = parsed.timezone;
+      else errors.push('timezone must be an IANA time zone such as "Europe/London"');
+    }
+
+    const tiers = parsed.tiers === undefined ? {} : parsed.tiers;
+    if (!tiers || typeof tiers !== 'object' || Array.isArray(tiers)) {
+      errors.push('tiers must be an object keyed by tier ID');
+    } else {
+      for (const [tierId, entry] of Object.entries(tiers)) {
+        const label = `tiers.${tierId}.`;
+        if (!entry || typeof entry !== 'object') {
+          errors.push(`tiers.${tierId} must be an object`);
+          continue;
+        }
+        const tier = parseLimits(entry, label, errors);
+        if (entry.days !== undefined) {
+          const days = Array.isArray(entry.days) ? entry.days.map((day) => String(day).trim().toLowerCase().slice(0, 3)) : null;
+          if (!days || days.some((day) => !WEEKDAYS.includes(day))) {
+            errors.push(`${label}days must be a list of weekdays (mon, tue, …)`);
+          } else {
+            tier.days = [...new Set(days)];
+          }
+        }
+        rules.tiers[tierId] = tier;
+      }
+    }
+  }
+
+  return { ...rules, errors, valid: errors.length === 0 };
+}
+
+const getCheckInRules = createEnvConfig(
+  ['CHECK_IN_RULES'],
+  parseCheckInRules,
+  '[check-ins] Invalid check-in rules:'
+);
+
+function describeCheckInRules() {
+  const { errors, valid, ...rules } = getCheckInRules();
+  return { valid, errors, ...rules };
+}
+
+function rulesForTier(rules, tierId) {
+  const tier = rules.tiers[tierId] || {};
+  return {
+    maxPerDay: tier.maxPerDay ?? rules.maxPerDay,
+    points: tier.points ?? rules.points,
+    days: tier.days || null,
+  };
+}
+
+function localDay(time, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+  }).formatToParts(new Date(time)).map((part) => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, weekday: parts.weekday.toLowerCase() };
+}
+
+// ---------- MEMBER LOOKUP ----------
+/**
+ * Reduces a scanned value to a certificate code or PassKit member ID.
+ * Pass URLs (https://pub1.pskt.io/<memberId>) keep their last path segment.
+ */
+function parseScannedCode(value) {
+  let text = String(value || '').trim();
+  if (/^https?:\/\//i.test(text)) {
+    try {
+      text = new URL(text).pathname.split('/').filter(Boolean).pop() || '';
+    } catch {
+      // Not a URL after all; use it as typed.
+    }
+  }
+  return text;
+}
+
+/**
+ * Resolves a scanned or typed code to `{ record, program, scannedAs }`, or
+ * null when no PassKit member matches.
+ */
+async function findMemberByCode(value) {
+  const code = parseScannedCode(value);
+  if (!code) {
+    const error = new Error('Missing code');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const certificateCode = normalizeCertificateCode(code);
+  if (isCertificateCode(certificateCode)) {
+    const ledger = await getEnrollmentLedgerEntry({ certificateCode });
+    const preferred = getProgramByKey(ledger?.programKey) || (ledger?.programId ? getProgramById(ledger.programId) : null);
+    const { member, program } = await findPassKitMemberInPrograms(ledger?.memberExternalId || certificateCode, preferred);
+    if (member?.id) {
+      return { record: await loadPassKitMemberRecord(member), program, scannedAs: 'certificateCode' };
+    }
+  }
+
+  // Otherwise the PassKit member ID, PassKit's default barcode payload.
+  const record = await loadPassKitMemberRecord({ id: code });
+  if (record?.id) {
+    return { record, program: record.programId ? getProgramById(record.programId) : null, scannedAs: 'memberId' };
+  }
+  return null;
+}
+
+/**
+ * `valid`, `expired` or `cancelled`, from the member's PassKit status and
+ * expiry date.
+ */
+function evaluateMemberStatus(record, now = Date.now()) {
+  const status = String(record?.status || '').toUpperCase();
+  if (status === 'CANCELLED' || status === 'DELETED') return 'cancelled';
+  if (status === 'EXPIRED') return 'expired';
+  if (record?.expiryDate && Date.parse(record.expiryDate) <= now) return 'expired';
+  return 'valid';
+}
+
+function summarizeScannedMember(record, program) {
+  const person = record.person || {};
+  return {
+    id: record.id,
+    externalId: record.externalId || null,
+    name: person.displayName || `${person.forename || ''} ${person.surname || ''}`.trim() || null,
+    tierId: record.tierId || null,
+    program: program?.key || null,
+    status: record.status || null,
+    expiryDate: record.expiryDate || null,
+    points: record.points ?? null,
+  };
+}
+
+function memberLogContext(record, program) {
+  return {
+    memberId: record.id,
+    ...(record.externalId ? { certificateCode: record.externalId } : {}),
+    ...(program?.key ? { program: program.key } : {}),
+  };
+}
+
+/**
+ * Looks up a scanned pass without recording anything. Resolves with
+ * `result` set to valid, expired, cancelled or not_found.
+ */
+async function validatePass(value, { now = Date.now() } = {}) {
+  const found = await findMemberByCode(value);
+  if (!found?.record) return { result: 'not_found', member: null };
+  return {
+    result: evaluateMemberStatus(found.record, now),
+    member: summarizeScannedMember(found.record, found.program),
+    scannedAs: found.scannedAs,
+  };
+}
+
+// ---------- RECORDING ----------
+function historyKey(memberKey) {
+  return `${CHECK_IN_HISTORY_KEY_PREFIX}${memberKey}`;
+}
+
+function requireRedis() {
+  const redis = getRedis();
+  if (!redis) {
+    const error = new Error('Redis is required to record check-ins');
+    error.statusCode = 503;
+    throw error;
+  }
+  return redis;
+}
+
+async function updatePassForCheckIn(record, program, { checkInId, count, at, points, by }) {
+  const updated = { points: false, metaData: false };
+  if (points > 0) {
+    const earned = await earnPoints({
+      id: record.id,
+      externalId: record.externalId,
+      programId: record.programId || program?.programId,
+      program: program?.key,
+    }, { points, source: 'check_in', sourceId: checkInId, reason: 'Check-in', by });
+    updated.points = earned.awarded;
+  }
+
+  const payload = {
+    id: record.id,
+    programId: record.programId || program?.programId,
+    externalId: record.externalId,
+    // metaData is replaced as a whole by PassKit, so send the merged map.
+    metaData: { ...(record.metaData || {}), checkInCount: String(count), lastCheckInAt: at },
+  };
+  if (record.person?.emailAddress) payload.person = { emailAddress: record.person.emailAddress };
+  await passKitRequest('PUT', '/members/member', payload);
+  updated.metaData = true;
+  return updated;
+}
+
+/**
+ * Checks a member in. Resolves with `result` (valid, expired, cancelled,
+ * not_found) and `checkedIn`; a valid pass refused by a rule has
+ * `checkedIn: false` and a `reason` (tier_not_allowed_today, daily_limit).
+ */
+async function checkIn(value, { by = null, now = Date.now() } = {}) {
+  const rules = getCheckInRules();
+  if (!rules.valid) {
+    await appendLog('error', 'Check-in refused: invalid CHECK_IN_RULES', rules.errors, 'config.invalid');
+    throw new Error(`Invalid check-in rules: ${rules.errors.join('; ')}`);
+  }
+  const redis = requireRedis();
+
+  const found = await findMemberByCode(value);
+  if (!found?.record) {
+    await appendLog('warn', 'Check-in for an unknown pass', { code: parseScannedCode(value), by }, 'check_in.denied');
+    return { result: 'not_found', checkedIn: false, reason: 'not_found', member: null };
+  }
+
+  const { record, program } = found;
+  return withLogContext(memberLogContext(record, program), async () => {
+    const member = summarizeScannedMember(record, program);
+    const result = evaluateMemberStatus(record, now);
+    const deny = async (reason, message) => {
+      await appendLog('warn', message, { reason, result, by, tierId: member.tierId }, 'check_in.denied');
+      return { result, checkedIn: false, reason, member };
+    };
+
+    if (result !== 'valid') return deny(result, `Check-in refused: membership ${result}`);
+
+    const tierRules = rulesForTier(rules, record.tierId);
+    const today = localDay(now, rules.timezone);
+    if (tierRules.days && !tierRules.days.includes(today.weekday)) {
+      return deny('tier_not_allowed_today', `Check-in refused: tier ${record.tierId} not allowed on ${today.weekday}`);
+    }
+
+    const memberKey = record.externalId || record.id;
+    const dayKey = `${CHECK_IN_DAY_KEY_PREFIX}${memberKey}:${today.date}`;
+    const todayCount = Number(await redis.incr(dayKey)) || 1;
+    if (todayCount === 1) await redis.expire(dayKey, CHECK_IN_DAY_TTL_SECONDS);
+    if (tierRules.maxPerDay > 0 && todayCount > tierRules.maxPerDay) {
+      return deny('daily_limit', `Check-in refused: already checked in ${tierRules.maxPerDay}× today`);
+    }
+
+    const count = Number(await redis.incr(`${CHECK_IN_COUNT_KEY_PREFIX}${memberKey}`)) || 1;
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date(now).toISOString(),
+      date: today.date,
+      memberId: record.id,
+      externalId: record.externalId || null,
+      program: program?.key || null,
+      tierId: record.tierId || null,
+      points: tierRules.points,
+      scannedAs: found.scannedAs,
+      by,
+    };
+    await redis.lpush(historyKey(memberKey), JSON.stringify(entry));
+    await redis.ltrim(historyKey(memberKey), 0, CHECK_IN_HISTORY_LIMIT - 1);
+
+    // The visit happened either way; a PassKit outage only delays the pass.
+    let passUpdated = { points: false, metaData: false };
+    try {
+      passUpdated = await updatePassForCheckIn(record, program, {
+        checkInId: entry.id,
+        count,
+        at: entry.at,
+        points: tierRules.points,
+        by,
+      });
+    } catch (err) {
+      await appendLog('error', 'Check-in recorded but the pass could not be updated', {
+        checkInId: entry.id,
+        error: err.response?.data || err.message,
+      }, 'check_in.failed');
+    }
+
+    await appendLog('info', `Checked in ${member.name || memberKey}`, {
+      checkInId: entry.id,
+      count,
+      points: tierRules.points,
+      by,
+    }, 'check_in.recorded');
+    return { result, checkedIn: true, member, checkIn: { ...entry, count }, passUpdated };
+  });
+}
+
+/**
+ * Recent check-ins for a member (certificate code or member ID), newest first.
+ */
+async function listCheckIns(memberKey, { limit = 20 } = {}) {
+  const redis = getRedis();
+  if (!redis || !memberKey) return { available: !!redis, total: 0, checkIns: [] };
+  const key = normalizeCertificateCode(memberKey);
+  const resolved = isCertificateCode(key) ? key : String(memberKey);
+  const [rows, total] = await Promise.all([
+    redis.lrange(historyKey(resolved), 0, Math.min(limit, CHECK_IN_HISTORY_LIMIT) - 1),
+    redis.get(`${CHECK_IN_COUNT_KEY_PREFIX}${resolved}`),
+  ]);
+  return {
+    available: true,
+    total: Number(total) || 0,
+    checkIns: (rows || []).map(parseStoredJson).filter(Boolean),
+  };
+}
+
+module.exports = {
+  parseCheckInRules,
+  describeCheckInRules,
+  parseScannedCode,
+  evaluateMemberStatus,
+  findMemberByCode,
+  summarizeScannedMember,
+  validatePass,
+  checkIn,
+  listCheckIns,
+};
@@ -0,0 +1,108 @@
+/**
+ * The address a request came from, for the webhook allowlist
+ * (webhook-security.js), login throttling (auth.js) and logs.
+ *
+ * X-Forwarded-For is written by whoever sends the request, so by default
+ * the bridge uses the connection's address and ignores it. TRUST_PROXY
+ * names the proxies whose X-Forwarded-For may be read:
+ *
+ *   (unset)  — Vercel's edge when running on Vercel (VERCEL=1), else none
+ *   true     — the immediate peer, i.e. one proxy in front of the bridge
+ *   false    — none
+ *   <list>   — proxy addresses and CIDR ranges, comma-separated
+ *
+ * Each proxy appends the address it received the request from, so the
+ * client is the right-most hop that isn't itself a trusted proxy; anything
+ * further left came from the client.
+ */
+const net = require('net');
+const { createEnvConfig, parseBoolean } = require('./helpers');
+
+// `::ffff:203.0.113.7` is how Node reports IPv4 clients on a dual-stack socket.
+function normalizeIp(ip) {
+  const value = String(ip || '').trim();
+  return value.toLowerCase().startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+function ipFamily(address) {
+  return net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+}
+
+/**
+ * Parses comma-separated addresses and CIDR ranges into a net.BlockList.
+ * Invalid entries are reported in `errors` under `label` and skipped.
+ */
+function parseAddressList(raw, label, errors) {
+  const blockList = new net.BlockList();
+  const entries = [];
+  for (const entry of raw.split(',').map((value) => value.trim()).filter(Boolean)) {
+    const [address, prefix, extra] = entry.split('/');
+    const family = ipFamily(address);
+    const bits = prefix === undefined ? null : Number(prefix);
+    if (!family || extra !== undefined
+      || (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (family === 'ipv4' ? 32 : 128)))) {
+      errors.push(`${label}: "${entry}" is not an IP address or CIDR range`);
+      continue;
+    }
+    if (bits === null) {
+      blockList.addAddress(address, family);
+    } else {
+      blockList.addSubnet(address, bits, family);
+    }
+    entries.push(entry);
+  }
+  return { blockList, entries };
+}
+
+/** Whether `ip` is in a list from parseAddressList(). */
+function isListedAddress(blockList, ip) {
+  const address = normalizeIp(ip);
+  const family = ipFamily(address);
+  return !!family && blockList.check(address, family);
+}
+
+function parseTrustProxy(rawTrustProxy, rawVercel) {
+  const errors = [];
+  const flag = parseBoolean(rawTrustProxy || (rawVercel ? 'true' : ''), null);
+  if (flag !== null || !rawTrustProxy) {
+    return { mode: flag ? 'peer' : 'off', proxies: [], blockList: null, errors, valid: true };
+  }
+  const { blockList, entries } = parseAddressList(rawTrustProxy, 'TRUST_PROXY', errors);
+  return { mode: 'list', proxies: entries, blockList, errors, valid: errors.length === 0 };
+}
+
+const getTrustProxyConfig = createEnvConfig(
+  ['TRUST_PROXY', 'VERCEL'],
+  parseTrustProxy,
+  '[client-ip] Invalid TRUST_PROXY:'
+);
+
+/** TRUST_PROXY for /api/status: `mode` is off, peer or list. */
+function describeTrustProxy() {
+  const { mode, proxies, errors, valid } = getTrustProxyConfig();
+  return { mode, proxies, errors, valid };
+}
+
+/** The client's address, or null when the request has no socket. */
+function getClientIp(req) {
+  const peer = req?.socket?.remoteAddress || null;
+  const { mode, blockList } = getTrustProxyConfig();
+  const forwarded = req?.headers?.['x-forwarded-for'];
+  if (mode === 'off' || typeof forwarded !== 'string' || !forwarded.trim()) return peer;
+  if (mode === 'list' && !(peer && isListedAddress(blockList, peer))) return peer;
+
+  const hops = forwarded.split(',').map((hop) => hop.trim()).filter(Boolean);
+  if (mode === 'peer') return hops[hops.length - 1] || peer;
+  for (let index = hops.length - 1; index >= 0; index -= 1) {
+    if (!isListedAddress(blockList, hops[index])) return hops[index];
+  }
+  return hops[0] || peer;
+}
+
+module.exports = {
+  normalizeIp,
+  parseAddressList,
+  isListedAddress,
+  describeTrustProxy,
+  getClientIp,
+};
@@ -0,0 +1,305 @@
+/**
+ * Dry runs: what processing or cancelling an order, or syncing an
+ * appointment's activity to the pass, would do, without doing it.
+ *
+ * A plan runs the same pipeline as the real operation, through the same
+ * helpers: fetch the order, product filter, certificate code, order
+ * activity, the desired member (mapping, tier, program, term) and the
+ * PassKit member lookup. It stops before the first write and resolves with
+ * the PassKit calls that would be made (`plannedCalls`), the member as
+ * PassKit holds it now (`current`) and a field-by-field `diff` of what
+ * those calls change.
+ *
+ * Nothing is written to PassKit or Redis: no order lock, ledger, registry,
+ * mapping or points updates, and log entries go to stdout only. Emails,
+ * alerts and outbound webhooks are not sent.
+ */
+const {
+  createAcuityClient,
+  withLogContext,
+  extractCertificateCode,
+  normalizeCertificateCode,
+  isCertificateCode,
+  evaluateOrderActivity,
+  matchesMembershipProductFilter,
+  isRecordedEnrollment,
+  loadPassKitMemberRecord,
+} = require('./helpers');
+const {
+  buildDesiredMember,
+  findExistingMemberForOrder,
+  planMemberUpsert,
+  resolveCancellationTarget,
+  findMemberToCancel,
+  buildCancellationPayload,
+} = require('./enrollment');
+const { resolveProgramForOrder } = require('./programs');
+const { computeExpiryDate } = require('./membership-terms');
+const { previewOrderPoints, previewOrderPointsReversal, previewAppointmentPoints } = require('./points');
+const { findAppointmentMember, prepareMemberActivity } = require('./appointments');
+
+// Stands in for the PassKit ID of a member the plan would create.
+const NEW_MEMBER_ID = '(new member)';
+const OUTCOME_BY_ACTION = { create: 'created', update: 'updated', none: 'unchanged' };
+
+async function fetchOrder(orderId) {
+  const response = await createAcuityClient().get(`/orders/${encodeURIComponent(orderId)}`);
+  return response.data;
+}
+
+function formatValue(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Field-by-field changes a member PUT makes to `current` (null for a new
+ * member): `{ 'person.emailAddress': { from, to }, … }`. `person` fields
+ * merge; `metaData` is replaced whole, as PassKit does, so keys the payload
+ * leaves out show as removed.
+ */
+function diffMemberWrite(current, payload) {
+  const diff = {};
+  function compare(field, from, to) {
+    if (formatValue(from) !== formatValue(to)) diff[field] = { from: from ?? null, to: to ?? null };
+  }
+
+  for (const [field, to] of Object.entries(payload)) {
+    if (['id', 'person', 'metaData'].includes(field)) continue;
+    if (current && ['programId', 'externalId'].includes(field)) continue;
+    if (to === null || typeof to !== 'object') compare(field, current?.[field], to);
+  }
+  for (const [field, to] of Object.entries(payload.person || {})) {
+    compare(`person.${field}`, current?.person?.[field], to);
+  }
+  if (payload.metaData) {
+    const keys = new Set([...Object.keys(current?.metaData || {}), ...Object.keys(payload.metaData)]);
+    for (const key of keys) compare(`metaData.${key}`, current?.metaData?.[key], payload.metaData[key]);
+  }
+  return diff;
+}
+
+function plannedCall(method, path, body) {
+  return { method, path, body };
+}
+
+// ---------- ENROLLMENT ----------
+/**
+ * Plans processNewMembershipOrder(orderId, options): same options (`force`,
+ * `hints`, `program`), and a result with the same `outcome` the real run
+ * would report, plus `plannedCalls`, `current` and `diff`.
+ */
+function planMembershipOrder(orderId, options = {}) {
+  return withLogContext({ orderId: String(orderId), dryRun: true }, () => planEnrollment(orderId, options));
+}
+
+async function planEnrollment(orderId, options) {
+  const order = await fetchOrder(orderId);
+  const base = { dryRun: true, orderId: String(orderId) };
+
+  if (!matchesMembershipProductFilter(order)) {
+    return { ...base, skipped: true, reason: 'Product filter mismatch', plannedCalls: [] };
+  }
+
+  const extractedCertificateCode = extractCertificateCode(order);
+  if (!extractedCertificateCode) {
+    throw new Error('Missing or invalid Acuity certificate code (expected 8 alphanumeric characters)');
+  }
+  const certificateCode = normalizeCertificateCode(extractedCertificateCode);
+  let program = options.program || resolveProgramForOrder(order, options.hints);
+
+  const orderActivity = evaluateOrderActivity(order);
+  if (!orderActivity.active) {
+    const cancellation = await planCertificateCancellation(certificateCode, {
+      orderId,
+      programHint: program,
+      reason: orderActivity.reason,
+      sourceAction: 'order.reprocess',
+    });
+    return {
+      ...base,
+      certificateCode,
+      skipped: true,
+      reason: orderActivity.reason,
+      cancellation,
+      plannedCalls: cancellation.plannedCalls,
+    };
+  }
+
+  const desired = await buildDesiredMember(order, { orderId, certificateCode, program });
+  const { memberData, term, orderLedger } = desired;
+  program = desired.program;
+  const displayName = memberData.person.displayName
+    || `${memberData.person.forename || ''} ${memberData.person.surname || ''}`.trim();
+  const summary = {
+    ...base,
+    certificateCode,
+    program: program.key,
+    member: displayName,
+    tierId: memberData.tierId,
+  };
+
+  if (!options.force && (!term || memberData.expiryDate) && isRecordedEnrollment(orderLedger, memberData)) {
+    const points = await previewOrderPoints(order, {
+      id: orderLedger.memberId,
+      externalId: memberData.externalId,
+      programId: memberData.programId,
+    });
+    return {
+      ...summary,
+      outcome: 'unchanged',
+      duplicate: true,
+      passKitId: orderLedger.memberId,
+      changedFields: [],
+      ...(points.points ? { pointsAwarded: points.points } : {}),
+      diff: {},
+      plannedCalls: points.request ? [points.request] : [],
+    };
+  }
+
+  const { existingRef, renewalOf } = await findExistingMemberForOrder(memberData, program, term);
+  const existing = existingRef?.id ? await loadPassKitMemberRecord(existingRef) : null;
+  if (term && !memberData.expiryDate) {
+    memberData.expiryDate = computeExpiryDate(term, {
+      startDate: order.time || order.date || null,
+      currentExpiry: existing?.expiryDate || null,
+    });
+  }
+
+  const upsert = planMemberUpsert(existingRef, existing, memberData);
+  const plannedCalls = upsert.payload ? [plannedCall('PUT', '/members/member', upsert.payload)] : [];
+  const points = await previewOrderPoints(order, {
+    id: existingRef?.id || NEW_MEMBER_ID,
+    externalId: memberData.externalId,
+    programId: memberData.programId,
+  });
+  if (points.request) plannedCalls.push(points.request);
+
+  return {
+    ...summary,
+    outcome: OUTCOME_BY_ACTION[upsert.action],
+    passKitId: existingRef?.id || null,
+    ...(memberData.expiryDate ? { expiryDate: memberData.expiryDate } : {}),
+    ...(renewalOf ? { renewalOf } : {}),
+    changedFields: upsert.changedFields,
+    ...(points.points ? { pointsAwarded: points.points } : {}),
+    current: existing,
+    diff: upsert.payload ? diffMemberWrite(existing, upsert.payload) : {},
+    plannedCalls,
+  };
+}
+
+// ---------- CANCELLATION ----------
+/**
+ * Plans cancelMembershipByCertificateCode(certificateCode, context): the
+ * member that would be deactivated, the CANCELLED update and any points
+ * reversal for `context.orderId`.
+ */
+function planCertificateCancellation(certificateCode, context = {}) {
+  const code = normalizeCertificateCode(certificateCode);
+  if (!isCertificateCode(code)) {
+    throw new Error('Invalid certificate code (expected 8 alphanumeric characters)');
+  }
+  const fields = {
+    certificateCode: code,
+    dryRun: true,
+    ...(context.orderId ? { orderId: String(context.orderId) } : {}),
+  };
+  return withLogContext(fields, () => planCancellation(code, context));
+}
+
+async function planCancellation(code, context) {
+  const { program: preferred, memberExternalId } = await resolveCancellationTarget(code, context);
+  const { member, program } = await findMemberToCancel(memberExternalId, { ...context, program: preferred });
+  const current = member?.id ? await loadPassKitMemberRecord(member) : null;
+  const payload = member?.id ? buildCancellationPayload(member, program, memberExternalId, context) : null;
+
+  const plannedCalls = payload ? [plannedCall('PUT', '/members/member', payload)] : [];
+  const reversal = payload && context.orderId
+    ? await previewOrderPointsReversal(context.orderId)
+    : { points: 0, request: null };
+  if (reversal.request) plannedCalls.push(reversal.request);
+
+  return {
+    dryRun: true,
+    certificateCode: code,
+    ...(context.orderId ? { orderId: String(context.orderId) } : {}),
+    externalId: memberExternalId,
+    outcome: member?.id ? 'cancelled' : 'member_not_found',
+    passKitId: member?.id || null,
+    program: program?.key || null,
+    ...(reversal.points ? { pointsReversed: reversal.points } : {}),
+    current,
+    diff: payload ? diffMemberWrite(current, payload) : {},
+    plannedCalls,
+  };
+}
+
+/**
+ * Plans processMembershipCancellation(orderId, context): the order's
+ * certificate code and then the certificate cancellation.
+ */
+function planOrderCancellation(orderId, context = {}) {
+  return withLogContext({ orderId: String(orderId), dryRun: true }, async () => {
+    const order = await fetchOrder(orderId);
+    const certificateCode = extractCertificateCode(order);
+    if (!certificateCode) {
+      return { dryRun: true, orderId: String(orderId), skipped: true, reason: 'No certificate code on order', plannedCalls: [] };
+    }
+
+    let programHint = null;
+    try {
+      programHint = resolveProgramForOrder(order, context.hints);
+    } catch {
+      // Invalid PASSKIT_PROGRAMS; cancellation still searches every program.
+    }
+
+    return planCertificateCancellation(certificateCode, {
+      orderId,
+      program: context.program || null,
+      programHint,
+      sourceAction: context.sourceAction || null,
+      reason: context.reason || 'Acuity cancellation event',
+    });
+  });
+}
+
+// ---------- APPOINTMENTS ----------
+/**
+ * Plans syncAppointmentActivity(appointmentId, options): the pass fields
+ * and points the appointment's member would get. No order lock is taken.
+ */
+function planAppointmentActivity(appointmentId, { action = null, hints = {} } = {}) {
+  return withLogContext({ appointmentId: String(appointmentId), dryRun: true }, async () => {
+    const base = { dryRun: true, appointmentId: String(appointmentId) };
+    const found = await findAppointmentMember(appointmentId, action, hints);
+    if (found.skipped) return { ...base, ...found, plannedCalls: [] };
+    const prepared = await prepareMemberActivity(appointmentId, action, found.appointment, found.match);
+    if (prepared.skipped) return { ...base, ...prepared, plannedCalls: [] };
+
+    const { member, activity, record, changedFields, payload } = prepared;
+    const points = await previewAppointmentPoints(prepared.appointments, prepared.pointsMember);
+    const plannedCalls = payload ? [plannedCall('PUT', '/members/member', payload)] : [];
+    plannedCalls.push(...points.requests);
+
+    return {
+      ...base,
+      certificateCode: found.match.certificateCode,
+      outcome: payload ? 'updated' : 'unchanged',
+      passKitId: member.id,
+      changedFields,
+      activity,
+      points: { awarded: points.awarded, reversed: points.reversed },
+      current: record,
+      diff: payload ? diffMemberWrite(record, payload) : {},
+      plannedCalls,
+    };
+  });
+}
+
+module.exports = {
+  diffMemberWrite,
+  planMembershipOrder,
+  planCertificateCancellation,
+  planOrderCancellation,
+  planAppointmentActivity,
+};
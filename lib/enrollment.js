@@ -0,0 +1,713 @@
+/**
+ * Enrollment and cancellation: what an Acuity order does to its PassKit
+ * member.
+ *
+ * processNewMembershipOrder() fetches the order, routes it to a program,
+ * tier and term, and creates or updates the member. The ledger, mapping,
+ * registry, expiry schedule, points, notifications and outbound webhooks
+ * follow. processMembershipCancellation() and
+ * cancelMembershipByCertificateCode() mark the member CANCELLED (or delete
+ * the pass) and undo the same bookkeeping.
+ *
+ * The planning steps (buildDesiredMember, findExistingMemberForOrder,
+ * planMemberUpsert, resolveCancellationTarget, findMemberToCancel,
+ * buildCancellationPayload) write nothing, so dry runs (lib/dry-run.js)
+ * and reconciliation share them. The PassKit, Acuity, Redis and ledger
+ * primitives they build on live in lib/helpers.js.
+ */
+const {
+  getConfig,
+  passKitRequest,
+  createAcuityClient,
+  appendLog,
+  withLogContext,
+  setLogContext,
+  isCertificateCode,
+  normalizeCertificateCode,
+  extractCertificateCode,
+  evaluateOrderActivity,
+  matchesMembershipProductFilter,
+  storeCertificateOrderMapping,
+  removeCertificateOrderMapping,
+  getEnrollmentLedgerEntry,
+  recordEnrollmentLedger,
+  isRecordedEnrollment,
+  computeMemberFingerprint,
+  diffMemberData,
+  withOrderLock,
+  loadPassKitMemberRecord,
+  findRenewalTarget,
+  recordRenewalTarget,
+} = require('./helpers');
+const {
+  resolveTargetProgramId,
+  findPassKitMemberByExternalId,
+  findPassKitMemberInPrograms,
+} = require('./passkit-members');
+const { getProgramByKey, getProgramById, resolveProgramForOrder } = require('./programs');
+const { loadFieldMapping, buildMemberPayload } = require('./field-mapping');
+const { resolveTierForOrder } = require('./tier-routing');
+const {
+  resolveMembershipTerm,
+  computeExpiryDate,
+  scheduleMembershipExpiry,
+  unscheduleMembershipExpiry,
+} = require('./membership-terms');
+const { recordRegistryMember, getRegistryMember } = require('./member-registry');
+const { awardOrderPoints, reverseOrderPoints } = require('./points');
+const { notifyMemberEnrolled, notifyEnrollmentFailed } = require('./notifications');
+const { raiseAlert } = require('./alerts');
+const { emitMembershipEvent } = require('./outbound-webhooks');
+
+const EXPIRED_MEMBER_STATUS = 'EXPIRED';
+// PassKit's default status for a new member.
+const REACTIVATED_MEMBER_STATUS = 'ENROLLED';
+
+// ---------- CANCELLATION ----------
+// The PUT that marks a found member CANCELLED in PassKit.
+function buildCancellationPayload(member, program, externalId, context = {}) {
+  const cancellationPayload = {
+    id: member.id,
+    programId: program.programId,
+    externalId,
+    status: 'CANCELLED',
+    metaData: {
+      cancelledAt: new Date().toISOString(),
+      cancellationReason: context.reason || 'Membership cancelled',
+      ...(context.orderId ? { acuityOrderId: String(context.orderId) } : {}),
+      ...(context.sourceAction ? { acuityAction: context.sourceAction } : {}),
+    },
+  };
+  if (member.emailAddress) {
+    cancellationPayload.person = { emailAddress: member.emailAddress };
+  }
+  return cancellationPayload;
+}
+
+// The member a cancellation deactivates: `{ member, program }`.
+async function findMemberToCancel(externalId, context = {}) {
+  const preferred = context.program || (context.programId ? getProgramById(context.programId) : null);
+  if (!resolveTargetProgramId(preferred)) {
+    throw new Error('Missing PASSKIT_PROGRAM_ID for PassKit cancellation');
+  }
+  return findPassKitMemberInPrograms(externalId, preferred);
+}
+
+async function deactivatePassKitMembershipByExternalId(externalId, context = {}) {
+  const { member, program } = await findMemberToCancel(externalId, context);
+  if (!member?.id) {
+    return { success: true, method: 'member_not_found', passKitId: null, program: program?.key || null };
+  }
+  setLogContext({ program: program.key, memberId: member.id });
+
+  const cancellationPayload = buildCancellationPayload(member, program, externalId, context);
+  try {
+    const response = await passKitRequest('PUT', '/members/member', cancellationPayload);
+    return {
+      success: true,
+      method: 'status_update',
+      passKitId: response.data?.id || member.id,
+      program: program.key,
+    };
+  } catch (statusErr) {
+    await appendLog('warn', 'PassKit status update to CANCELLED failed, trying delete fallback', {
+      externalId,
+      memberId: member.id,
+      error: statusErr.response?.data || statusErr.message,
+    }, 'cancellation.fallback');
+    await raiseAlert(
+      'cancellation.delete_fallback',
+      'PassKit rejected the CANCELLED status update, so the pass is being deleted instead',
+      { externalId, memberId: member.id, program: program.key, error: statusErr.message }
+    );
+
+    const response = await passKitRequest('DELETE', '/members/member', { id: member.id });
+    return {
+      success: true,
+      method: 'delete',
+      passKitId: response.data?.id || member.id,
+      program: program.key,
+    };
+  }
+}
+
+async function cancelMembershipByCertificateCode(certificateCode, context = {}) {
+  const code = normalizeCertificateCode(certificateCode);
+  if (!isCertificateCode(code)) {
+    throw new Error('Invalid certificate code (expected 8 alphanumeric characters)');
+  }
+  const fields = { certificateCode: code, ...(context.orderId ? { orderId: String(context.orderId) } : {}) };
+  return withLogContext(fields, () => runCertificateCancellation(code, context));
+}
+
+/**
+ * Where a certificate code's membership is cancelled: `{ program, ledger,
+ * memberExternalId }`. An explicit program wins; otherwise the program the
+ * member was enrolled in, then where the order routes today (programHint).
+ * Renewals bought under a new code share the original member.
+ */
+async function resolveCancellationTarget(code, context = {}) {
+  let program = context.program || (context.programId ? getProgramById(context.programId) : null);
+  const ledger = await getEnrollmentLedgerEntry({ certificateCode: code });
+  if (!program && (ledger?.programKey || ledger?.programId)) {
+    program = getProgramByKey(ledger.programKey) || getProgramById(ledger.programId);
+  }
+  if (!program) program = context.programHint || null;
+  return { program, ledger, memberExternalId: ledger?.memberExternalId || code };
+}
+
+async function runCertificateCancellation(code, context) {
+  const { program, ledger, memberExternalId } = await resolveCancellationTarget(code, context);
+  const deactivation = await deactivatePassKitMembershipByExternalId(memberExternalId, { ...context, program });
+  if (deactivation.program) setLogContext({ program: deactivation.program });
+  const result = {
+    success: true,
+    externalId: memberExternalId,
+    ...(memberExternalId !== code ? { certificateCode: code } : {}),
+    ...deactivation,
+  };
+
+  // Nothing was deactivated: leave the ledger, schedule, points and
+  // subscribers alone, and only note the attempt on a known member.
+  if (deactivation.method === 'member_not_found') {
+    await appendLog('warn', 'No PassKit member found to cancel', {
+      externalId: memberExternalId,
+      orderId: context.orderId || null,
+    }, 'cancellation.skipped');
+    if (await getRegistryMember(memberExternalId)) {
+      await recordRegistryMember({ certificateCode: memberExternalId }, {
+        action: 'member_not_found',
+        orderId: context.orderId,
+        certificateCode: code,
+        source: context.sourceAction,
+      });
+    }
+    return result;
+  }
+
+  await removeCertificateOrderMapping(code);
+  const cancelledEntry = {
+    memberId: deactivation.passKitId || null,
+    programKey: deactivation.program || ledger?.programKey || null,
+    outcome: 'cancelled',
+    fingerprint: null,
+    processedAt: new Date().toISOString(),
+  };
+  await recordEnrollmentLedger({
+    certificateCode: code,
+    ...(context.orderId ? { orderId: context.orderId } : {}),
+    ...cancelledEntry,
+  });
+  if (memberExternalId !== code) {
+    await recordEnrollmentLedger({ certificateCode: memberExternalId, ...cancelledEntry });
+  }
+  await unscheduleMembershipExpiry(memberExternalId);
+  await recordRegistryMember({
+    certificateCode: memberExternalId,
+    memberId: deactivation.passKitId,
+    program: cancelledEntry.programKey,
+    status: 'cancelled',
+  }, { action: 'cancelled', orderId: context.orderId, certificateCode: code, source: context.sourceAction });
+  // A cancelled or refunded order gives back the points it earned.
+  let pointsReversed = 0;
+  if (context.orderId) {
+    pointsReversed = -(await reverseOrderPoints(context.orderId, context.reason || 'Order cancelled')).points;
+  }
+
+  await appendLog('info', 'Membership cancellation processed', {
+    externalId: memberExternalId,
+    method: deactivation.method,
+    passKitId: deactivation.passKitId,
+    orderId: context.orderId || null,
+  }, 'cancellation.completed');
+
+  await emitMembershipEvent('membership.cancelled', {
+    certificateCode: code,
+    orderId: context.orderId || ledger?.orderId,
+    memberId: deactivation.passKitId,
+    program: cancelledEntry.programKey,
+    programId: ledger?.programId,
+    tierId: ledger?.tierId,
+    status: 'cancelled',
+    expiryDate: ledger?.expiryDate,
+  }, { reason: context.reason || 'Membership cancelled', method: deactivation.method });
+
+  return { ...result, ...(pointsReversed ? { pointsReversed } : {}) };
+}
+
+async function processMembershipCancellation(orderId, context = {}) {
+  return withOrderLock(orderId, () => withLogContext(
+    { orderId: String(orderId) },
+    () => runMembershipCancellation(orderId, context)
+  ));
+}
+
+async function runMembershipCancellation(orderId, context = {}) {
+  await appendLog('info', `Processing cancellation for order #${orderId}...`, {
+    sourceAction: context.sourceAction || null,
+  }, 'cancellation.started');
+
+  const acuity = createAcuityClient();
+  let order;
+  try {
+    const response = await acuity.get(`/orders/${orderId}`);
+    order = response.data;
+    await appendLog('info', `Fetched cancellation order #${orderId} from Acuity`, {
+      name: `${order.firstName || ''} ${order.lastName || ''}`.trim(),
+      email: order.email || null,
+      status: order.status || order.orderStatus || null,
+      title: order.title || null,
+    }, 'order.fetched');
+  } catch (err) {
+    await appendLog('error', `Failed to fetch cancellation order #${orderId} from Acuity`, err.message, 'order.fetch_failed');
+    throw err;
+  }
+
+  const certificateCode = extractCertificateCode(order);
+  if (!certificateCode) {
+    await appendLog('warn', `No certificate code found for cancellation order #${orderId}; skipping PassKit update`, null, 'cancellation.skipped');
+    return { skipped: true, reason: 'No certificate code on order' };
+  }
+
+  let programHint = null;
+  try {
+    programHint = resolveProgramForOrder(order, context.hints);
+  } catch {
+    // Invalid PASSKIT_PROGRAMS; cancellation still searches every program.
+  }
+
+  return cancelMembershipByCertificateCode(certificateCode, {
+    orderId,
+    program: context.program || null,
+    programHint,
+    sourceAction: context.sourceAction || null,
+    reason: context.reason || 'Acuity cancellation event',
+  });
+}
+
+// ---------- DESIRED MEMBER & UPSERT PLAN ----------
+/**
+ * Builds the PassKit member an order should produce: field mapping, tier
+ * and program routing, and the membership term. Shared by enrollment and
+ * reconciliation. A recorded expiry/member from the ledger is reused so
+ * re-processing an order never extends a term twice.
+ */
+async function buildDesiredMember(order, { orderId, certificateCode, program }) {
+  const { mapping } = await loadFieldMapping();
+  const memberData = buildMemberPayload(order, {
+    orderId,
+    certificateCode,
+    programId: program.programId,
+  }, mapping);
+
+  // Route the product to a PassKit tier (and optionally program)
+  let tier;
+  try {
+    tier = resolveTierForOrder(order, { fallbackTierId: memberData.tierId || null });
+  } catch (err) {
+    await appendLog('error', `Cannot route order #${orderId} to a tier`, err.message, 'order.invalid');
+    throw err;
+  }
+  memberData.tierId = tier.tierId;
+  // A tier rule naming a program overrides calendar/product routing.
+  let targetProgram = program;
+  if (tier.programId && tier.programId !== program.programId) {
+    targetProgram = getProgramById(tier.programId);
+    setLogContext({ program: targetProgram.key });
+  }
+  memberData.programId = targetProgram.programId;
+  if (!memberData.programId) {
+    await appendLog('error', `No PassKit program ID for order #${orderId}`, { program: targetProgram.key }, 'order.invalid');
+    throw new Error('Missing PASSKIT_PROGRAM_ID for PassKit enrollment');
+  }
+
+  // Work out the membership term (lib/membership-terms.js)
+  let term;
+  try {
+    term = resolveMembershipTerm(order);
+  } catch (err) {
+    await appendLog('error', `Cannot determine the membership term for order #${orderId}`, err.message, 'order.invalid');
+    throw err;
+  }
+
+  const orderLedger = await getEnrollmentLedgerEntry({ orderId });
+  if (term && orderLedger?.expiryDate) memberData.expiryDate = orderLedger.expiryDate;
+  if (orderLedger?.memberExternalId) memberData.externalId = orderLedger.memberExternalId;
+
+  return { memberData, program: targetProgram, tier, term, orderLedger };
+}
+
+/**
+ * Finds the PassKit member an order's payload belongs to. A term product
+ * bought under a new certificate code renews the member previously
+ * enrolled with the same email in this program; `memberData.externalId`
+ * then switches to that member. Resolves `{ existingRef, renewalOf }`.
+ */
+async function findExistingMemberForOrder(memberData, program, term) {
+  let existingRef = await findPassKitMemberByExternalId(memberData.externalId, program);
+  let renewalOf = null;
+  if (!existingRef?.id && term) {
+    const previousExternalId = await findRenewalTarget(memberData.person.emailAddress, program);
+    if (previousExternalId && previousExternalId !== memberData.externalId) {
+      existingRef = await findPassKitMemberByExternalId(previousExternalId, program);
+      if (existingRef?.id) {
+        renewalOf = previousExternalId;
+        memberData.externalId = previousExternalId;
+      }
+    }
+  }
+  return { existingRef, renewalOf };
+}
+
+/**
+ * Decides the PassKit write that brings a member in line with `memberData`:
+ * `create` (no member yet), `update` with only the changed fields, or
+ * `none`. Returns `{ action, payload, changes, changedFields }`; writes
+ * nothing, so dry runs plan with it too.
+ */
+function planMemberUpsert(existingRef, existing, memberData) {
+  if (!existingRef?.id) {
+    return { action: 'create', payload: memberData, changes: {}, changedFields: [] };
+  }
+
+  const diff = diffMemberData(existing, memberData);
+  // A renewal brings an expired pass back to life.
+  const reactivate = existing?.status === EXPIRED_MEMBER_STATUS
+    && Date.parse(memberData.expiryDate) > Date.now();
+  if (reactivate) {
+    diff.update.status = REACTIVATED_MEMBER_STATUS;
+    diff.changes.status = { from: existing.status, to: REACTIVATED_MEMBER_STATUS };
+    diff.changedFields.push('status');
+  }
+  // The previous term's expiry reminder no longer applies.
+  if (diff.update.expiryDate && existing?.metaData?.expiryReminder) {
+    diff.update.metaData = { ...(diff.update.metaData || existing.metaData), expiryReminder: '' };
+    diff.changes['metaData.expiryReminder'] = { from: existing.metaData.expiryReminder, to: '' };
+    diff.changedFields.push('metaData.expiryReminder');
+  }
+  if (diff.changedFields.length === 0) {
+    return { action: 'none', payload: null, changes: {}, changedFields: [] };
+  }
+
+  return {
+    action: 'update',
+    payload: {
+      id: existingRef.id,
+      programId: memberData.programId,
+      externalId: memberData.externalId,
+      ...diff.update,
+      person: {
+        emailAddress: existing?.person?.emailAddress || existingRef.emailAddress || memberData.person.emailAddress,
+        ...(diff.update.person || {}),
+      },
+    },
+    changes: diff.changes,
+    changedFields: diff.changedFields,
+  };
+}
+
+// ---------- CORE: PROCESS ORDER ----------
+/**
+ * Enrolls (or re-syncs) the member for an Acuity order. Acts as an upsert:
+ * creates the PassKit member if missing, otherwise updates only changed
+ * fields. Resolves with `outcome` set to created, updated or unchanged.
+ *
+ * Options:
+ *   force — skip the ledger short-circuit and always compare with PassKit
+ *           (manual re-processing); webhooks leave this off so duplicate
+ *           deliveries are answered from the ledger.
+ *   hints — webhook fields (calendarID, appointmentTypeID) used for
+ *           program routing (lib/programs.js).
+ *   program — program context to use instead of routing.
+ */
+async function processNewMembershipOrder(orderId, options = {}) {
+  return withOrderLock(orderId, () => withLogContext(
+    { orderId: String(orderId) },
+    () => enrollMembershipOrder(orderId, options)
+  ));
+}
+
+// Queues the failure for the staff digest, tells the member and alerts
+// operators; never throws.
+async function reportEnrollmentFailure(order, { orderId, certificateCode, program }, err) {
+  await notifyEnrollmentFailed({ order, orderId, certificateCode, program, error: err.response?.data || err.message });
+  await raiseAlert('enrollment.failed', `Order #${orderId} could not be enrolled in PassKit`, {
+    orderId,
+    certificateCode,
+    program: program?.key || null,
+    error: err.message,
+  });
+}
+
+async function enrollMembershipOrder(orderId, options = {}) {
+  const cfg = getConfig();
+  await appendLog('info', `Processing order #${orderId}...`, null, 'order.processing');
+
+  // Step 1: Fetch order details from Acuity
+  const acuity = createAcuityClient();
+  let order;
+  try {
+    const response = await acuity.get(`/orders/${orderId}`);
+    order = response.data;
+    await appendLog('info', `Fetched order #${orderId} from Acuity`, {
+      name: `${order.firstName} ${order.lastName}`,
+      email: order.email,
+      title: order.title,
+    }, 'order.fetched');
+  } catch (err) {
+    await appendLog('error', `Failed to fetch order #${orderId} from Acuity`, err.message, 'order.fetch_failed');
+    throw err;
+  }
+
+  // Step 2: Check membership product filter
+  if (!matchesMembershipProductFilter(order)) {
+    await appendLog('info', `Order #${orderId} doesn't match filter. Skipping.`, {
+      orderTitle: order.title,
+      filter: cfg.MEMBERSHIP_PRODUCT_FILTER,
+    }, 'order.skipped');
+    return { skipped: true, reason: 'Product filter mismatch' };
+  }
+
+  const extractedCertificateCode = extractCertificateCode(order);
+  if (!extractedCertificateCode) {
+    await appendLog('error', `Order #${orderId} is missing a valid certificate code`, {
+      expectedFormat: '8 alphanumeric characters',
+    }, 'order.invalid');
+    throw new Error('Missing or invalid Acuity certificate code (expected 8 alphanumeric characters)');
+  }
+  const certificateCode = normalizeCertificateCode(extractedCertificateCode);
+  setLogContext({ certificateCode });
+
+  // Step 2b: Pick the PassKit program (location) for this order
+  let program;
+  try {
+    program = options.program || resolveProgramForOrder(order, options.hints);
+  } catch (err) {
+    await appendLog('error', `Cannot route order #${orderId} to a program`, err.message, 'order.invalid');
+    throw err;
+  }
+  setLogContext({ program: program.key });
+
+  const orderActivity = evaluateOrderActivity(order);
+  if (!orderActivity.active) {
+    await appendLog('warn', `Order #${orderId} appears inactive/cancelled. Running cancellation flow.`, {
+      reason: orderActivity.reason,
+      certificateCode,
+    }, 'order.skipped');
+
+    const cancellationResult = await cancelMembershipByCertificateCode(certificateCode, {
+      orderId,
+      programHint: program,
+      reason: orderActivity.reason,
+      sourceAction: 'order.reprocess',
+    });
+
+    return {
+      skipped: true,
+      reason: orderActivity.reason,
+      cancellationResult,
+    };
+  }
+
+  // Step 3: Build the desired PassKit member (mapping, tier, program, term)
+  const desired = await buildDesiredMember(order, { orderId, certificateCode, program });
+  const { memberData, term, orderLedger } = desired;
+  program = desired.program;
+
+  const displayName = memberData.person.displayName
+    || `${memberData.person.forename || ''} ${memberData.person.surname || ''}`.trim();
+
+  if (!options.force && (!term || memberData.expiryDate)) {
+    const ledger = orderLedger;
+    if (isRecordedEnrollment(ledger, memberData)) {
+      await appendLog('info', `Order #${orderId} already enrolled with identical data; skipping duplicate delivery`, {
+        certificateCode,
+        passKitId: ledger.memberId,
+      }, 'enrollment.unchanged');
+      // Points that failed first time round are still owed; awards are idempotent.
+      const { points: pointsAwarded } = await awardOrderPoints(order, {
+        id: ledger.memberId,
+        externalId: memberData.externalId,
+        programId: memberData.programId,
+        program: program.key,
+      });
+      return {
+        success: true,
+        outcome: 'unchanged',
+        duplicate: true,
+        passKitId: ledger.memberId,
+        member: displayName,
+        ...(pointsAwarded ? { pointsAwarded } : {}),
+      };
+    }
+  }
+
+  // Step 4: Upsert in PassKit
+  let existingRef = null;
+  let renewalOf = null;
+  try {
+    ({ existingRef, renewalOf } = await findExistingMemberForOrder(memberData, program, term));
+  } catch (err) {
+    await appendLog('error', 'PassKit member lookup failed', err.message, 'enrollment.failed');
+    await reportEnrollmentFailure(order, { orderId, certificateCode, program }, err);
+    throw err;
+  }
+
+  if (existingRef?.id) setLogContext({ memberId: existingRef.id });
+  const existing = existingRef?.id ? await loadPassKitMemberRecord(existingRef) : null;
+  if (term && !memberData.expiryDate) {
+    memberData.expiryDate = computeExpiryDate(term, {
+      startDate: order.time || order.date || null,
+      currentExpiry: existing?.expiryDate || null,
+    });
+  }
+  const fingerprint = computeMemberFingerprint(memberData);
+
+  let outcome;
+  let passKitId;
+  let changedFields = [];
+
+  try {
+    if (!existingRef?.id) {
+      await appendLog('info', `Creating PassKit member for ${displayName}...`, {
+        email: memberData.person.emailAddress,
+        externalId: memberData.externalId,
+        membership: memberData.metaData.membershipType,
+        tierId: memberData.tierId,
+        ...(memberData.expiryDate ? { expiryDate: memberData.expiryDate } : {}),
+      });
+      const response = await passKitRequest('PUT', '/members/member', memberData);
+      outcome = 'created';
+      passKitId = response.data?.id || response.data;
+      if (typeof passKitId === 'string') setLogContext({ memberId: passKitId });
+      await appendLog('info', `Successfully created PassKit member!`, {
+        passKitId,
+        name: displayName,
+        email: memberData.person.emailAddress,
+      }, 'enrollment.created');
+    } else {
+      const upsert = planMemberUpsert(existingRef, existing, memberData);
+      passKitId = existingRef.id;
+      changedFields = upsert.changedFields;
+
+      if (upsert.action === 'none') {
+        outcome = 'unchanged';
+        await appendLog('info', `PassKit member for ${displayName} is already up to date`, {
+          passKitId,
+          externalId: memberData.externalId,
+        }, 'enrollment.unchanged');
+      } else {
+        const response = await passKitRequest('PUT', '/members/member', upsert.payload);
+        outcome = 'updated';
+        passKitId = response.data?.id || existingRef.id;
+        await appendLog('info', `${renewalOf ? 'Renewed' : 'Updated'} PassKit member for ${displayName}`, {
+          passKitId,
+          externalId: memberData.externalId,
+          changedFields,
+          ...(renewalOf ? { renewalCertificateCode: certificateCode } : {}),
+          ...(upsert.payload.expiryDate ? { expiryDate: upsert.payload.expiryDate } : {}),
+        }, renewalOf ? 'enrollment.renewed' : 'enrollment.updated');
+      }
+    }
+  } catch (err) {
+    const errorDetail = err.response?.data || err.message;
+    await appendLog('error', `Failed to ${existingRef?.id ? 'update' : 'create'} PassKit member`, errorDetail, 'enrollment.failed');
+    await reportEnrollmentFailure(order, { orderId, certificateCode, program }, err);
+    throw err;
+  }
+
+  const memberId = typeof passKitId === 'string' ? passKitId : existingRef?.id || null;
+  await storeCertificateOrderMapping(certificateCode, orderId);
+  await recordEnrollmentLedger({
+    orderId,
+    certificateCode,
+    memberId,
+    memberExternalId: memberData.externalId,
+    programKey: program.key,
+    programId: memberData.programId,
+    tierId: memberData.tierId,
+    expiryDate: memberData.expiryDate || null,
+    fingerprint,
+    outcome,
+    processedAt: new Date().toISOString(),
+  });
+  if (renewalOf) {
+    // The schedule and cancellations follow the renewed member's own entry.
+    await recordEnrollmentLedger({
+      certificateCode: renewalOf,
+      memberId,
+      expiryDate: memberData.expiryDate,
+      outcome,
+      processedAt: new Date().toISOString(),
+    });
+  }
+  await recordRenewalTarget(memberData.person.emailAddress, program, memberData.externalId);
+  if (memberData.expiryDate) await scheduleMembershipExpiry(memberData.externalId, memberData.expiryDate);
+  await recordRegistryMember({
+    certificateCode: memberData.externalId,
+    memberId,
+    program: program.key,
+    programId: memberData.programId,
+    tierId: memberData.tierId,
+    status: 'active',
+    expiryDate: memberData.expiryDate,
+    email: memberData.person.emailAddress,
+    firstName: memberData.person.forename,
+    lastName: memberData.person.surname,
+  }, { action: renewalOf ? 'renewed' : outcome, orderId, certificateCode });
+
+  if (outcome === 'created') {
+    await notifyMemberEnrolled({ memberId, member: memberData, program, orderId });
+  }
+
+  const { points: pointsAwarded } = await awardOrderPoints(order, {
+    id: memberId,
+    externalId: memberData.externalId,
+    programId: memberData.programId,
+    program: program.key,
+  });
+
+  if (outcome !== 'unchanged') {
+    await emitMembershipEvent(outcome === 'created' ? 'membership.created' : 'membership.updated', {
+      certificateCode,
+      orderId,
+      memberId,
+      program: program.key,
+      programId: memberData.programId,
+      tierId: memberData.tierId,
+      status: 'active',
+      expiryDate: memberData.expiryDate,
+      email: memberData.person.emailAddress,
+      firstName: memberData.person.forename,
+      lastName: memberData.person.surname,
+    }, outcome === 'updated' ? { changedFields, renewalOf: renewalOf || null } : {});
+  }
+
+  return {
+    success: true,
+    outcome,
+    passKitId,
+    member: displayName,
+    tierId: memberData.tierId,
+    program: program.key,
+    ...(memberData.expiryDate ? { expiryDate: memberData.expiryDate } : {}),
+    ...(renewalOf ? { renewalOf } : {}),
+    ...(changedFields.length ? { changedFields } : {}),
+    ...(pointsAwarded ? { pointsAwarded } : {}),
+  };
+}
+
+module.exports = {
+  processNewMembershipOrder,
+  processMembershipCancellation,
+  cancelMembershipByCertificateCode,
+  // Backward-compatible alias for any stale call sites with typo casing.
+  cancelMembershipByCertificatecode: cancelMembershipByCertificateCode,
+  deactivatePassKitMembershipByExternalId,
+  buildDesiredMember,
+  findExistingMemberForOrder,
+  planMemberUpsert,
+  resolveCancellationTarget,
+  findMemberToCancel,
+  buildCancellationPayload,
+};
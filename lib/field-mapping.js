@@ -0,0 +1,324 @@
+/**
+ * Declarative mapping from Acuity orders to PassKit member payloads.
+ *
+ * A mapping is JSON of the form:
+ *
+ *   {
+ *     "fields": {
+ *       "person.forename":   { "source": "order.firstName", "transforms": ["trim"], "default": "" },
+ *       "metaData.birthday": { "source": "form:Birthday", "transforms": ["date:YYYY-MM-DD"] },
+ *       "metaData.greeting": { "template": "Hi {order.firstName}!" },
+ *       "tierId":            { "const": "standard" }
+ *     }
+ *   }
+ *
+ * Sources: `order.<path>`, `form:<field name or ID>`, `orderId`,
+ * `certificateCode`, `now`. A bare string is shorthand for `{ source }`.
+ * Fields that resolve to an empty value without a `default` are omitted.
+ * A mapped tierId is only a fallback; TIER_RULES (lib/tier-routing.js) win.
+ *
+ * The active mapping comes from Redis (saved from the dashboard), else
+ * FIELD_MAPPING_FILE, else DEFAULT_FIELD_MAPPING.
+ */
+const fs = require('fs');
+const path = require('path');
+const { getRedis, parseStoredJson, appendLog } = require('./helpers');
+
+const FIELD_MAPPING_KEY = 'acuity_field_mapping';
+// Top-level PassKit member fields an operator may map. programId and
+// externalId are owned by the bridge and cannot be remapped.
+const MAPPABLE_TOP_LEVEL_FIELDS = new Set(['tierId', 'expiryDate', 'points', 'tierPoints', 'secondaryPoints']);
+const SIMPLE_TRANSFORMS = new Set(['trim', 'uppercase', 'lowercase', 'number']);
+
+// Mirrors the payload the bridge has always sent, so existing members
+// don't show drift when no custom mapping is configured.
+const DEFAULT_FIELD_MAPPING = {
+  fields: {
+    'person.forename': { source: 'order.firstName', default: '' },
+    'person.surname': { source: 'order.lastName', default: '' },
+    'person.emailAddress': { source: 'order.email', default: '' },
+    'person.displayName': { template: '{order.firstName} {order.lastName}', transforms: ['trim'], default: '' },
+    'person.mobileNumber': { source: 'order.phone' },
+    'metaData.acuityOrderId': { source: 'orderId' },
+    'metaData.certificateCode': { source: 'certificateCode' },
+    'metaData.membershipType': { source: 'order.title', default: '' },
+    'metaData.signupDate': { source: 'now' },
+  },
+};
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value === '');
+}
+
+function getPath(object, dottedPath) {
+  let current = object;
+  for (const part of dottedPath.split('.')) {
+    if (current === null || current === undefined) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function findFormValue(order, fieldRef) {
+  const wanted = String(fieldRef).trim().toLowerCase();
+  const forms = Array.isArray(order?.forms) ? order.forms : [];
+  for (const form of forms) {
+    const values = Array.isArray(form?.values) ? form.values : [];
+    for (const entry of values) {
+      const name = String(entry?.name || '').trim().toLowerCase();
+      const id = entry?.fieldID ?? entry?.fieldId ?? entry?.id;
+      if (name === wanted || (id !== undefined && String(id) === wanted)) {
+        return entry.value;
+      }
+    }
+  }
+  return undefined;
+}
+
+function isValidSourceExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) return false;
+  const expr = expression.trim();
+  if (['orderId', 'certificateCode', 'now'].includes(expr)) return true;
+  if (/^order\.[A-Za-z0-9_.]+$/.test(expr)) return true;
+  if (/^form:.+$/.test(expr)) return true;
+  return false;
+}
+
+function resolveSource(expression, context) {
+  const expr = String(expression).trim();
+  if (expr === 'orderId') return context.orderId !== undefined ? String(context.orderId) : undefined;
+  if (expr === 'certificateCode') return context.certificateCode;
+  if (expr === 'now') return context.now;
+  if (expr.startsWith('form:')) return findFormValue(context.order, expr.slice('form:'.length));
+  if (expr.startsWith('order.')) return getPath(context.order, expr.slice('order.'.length));
+  return undefined;
+}
+
+function renderTemplate(template, context) {
+  return String(template).replace(/\{([^{}]+)\}/g, (match, expression) => {
+    const value = resolveSource(expression, context);
+    return isEmptyValue(value) ? '' : String(value);
+  });
+}
+
+function formatDate(value, format) {
+  const timestamp = value instanceof Date ? value.getTime() : Date.parse(String(value));
+  if (!Number.isFinite(timestamp)) return undefined;
+  const date = new Date(timestamp);
+  if (!format || format.toLowerCase() === 'iso') return date.toISOString();
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+function applyTransform(value, transform) {
+  if (isEmptyValue(value)) return value;
+  if (transform === 'trim') return String(value).trim();
+  if (transform === 'uppercase') return String(value).toUpperCase();
+  if (transform === 'lowercase') return String(value).toLowerCase();
+  if (transform === 'number') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  }
+  if (transform.startsWith('date')) {
+    return formatDate(value, transform.slice('date'.length).replace(/^:/, ''));
+  }
+  return value;
+}
+
+function normalizeFieldSpec(spec) {
+  return typeof spec === 'string' ? { source: spec } : spec;
+}
+
+function resolveFieldValue(rawSpec, context) {
+  const spec = normalizeFieldSpec(rawSpec);
+  let value;
+  if (Object.prototype.hasOwnProperty.call(spec, 'const')) {
+    value = spec.const;
+  } else if (spec.template !== undefined) {
+    value = renderTemplate(spec.template, context);
+  } else {
+    value = resolveSource(spec.source, context);
+  }
+
+  for (const transform of spec.transforms || []) {
+    value = applyTransform(value, transform);
+  }
+
+  if (isEmptyValue(value)) return spec.default;
+  return value;
+}
+
+function isValidTarget(target) {
+  if (MAPPABLE_TOP_LEVEL_FIELDS.has(target)) return true;
+  return /^(person|metaData)\.[A-Za-z0-9_]+$/.test(target);
+}
+
+/**
+ * Returns a list of human-readable problems; empty when the mapping is valid.
+ */
+function validateFieldMapping(mapping) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Mapping must be a JSON object'];
+  }
+  if (!mapping.fields || typeof mapping.fields !== 'object' || Array.isArray(mapping.fields)) {
+    return ['Mapping must have a "fields" object'];
+  }
+
+  for (const [target, rawSpec] of Object.entries(mapping.fields)) {
+    if (!isValidTarget(target)) {
+      errors.push(`${target}: unsupported target (use person.*, metaData.* or one of ${[...MAPPABLE_TOP_LEVEL_FIELDS].join(', ')})`);
+      continue;
+    }
+
+    const spec = normalizeFieldSpec(rawSpec);
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      errors.push(`${target}: spec must be a source string or an object`);
+      continue;
+    }
+
+    const kinds = ['source', 'const', 'template'].filter((kind) => Object.prototype.hasOwnProperty.call(spec, kind));
+    if (kinds.length !== 1) {
+      errors.push(`${target}: specify exactly one of source, const or template`);
+    }
+    if (spec.source !== undefined && !isValidSourceExpression(spec.source)) {
+      errors.push(`${target}: invalid source "${spec.source}"`);
+    }
+    if (spec.template !== undefined) {
+      if (typeof spec.template !== 'string') {
+        errors.push(`${target}: template must be a string`);
+      } else {
+        for (const [, expression] of spec.template.matchAll(/\{([^{}]+)\}/g)) {
+          if (!isValidSourceExpression(expression)) {
+            errors.push(`${target}: invalid template placeholder {${expression}}`);
+          }
+        }
+      }
+    }
+    if (spec.transforms !== undefined) {
+      if (!Array.isArray(spec.transforms)) {
+        errors.push(`${target}: transforms must be an array`);
+      } else {
+        for (const transform of spec.transforms) {
+          const known = typeof transform === 'string'
+            && (SIMPLE_TRANSFORMS.has(transform) || /^date(:.+)?$/.test(transform));
+          if (!known) errors.push(`${target}: unknown transform "${transform}"`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function readMappingFile() {
+  const filePath = typeof process.env.FIELD_MAPPING_FILE === 'string' ? process.env.FIELD_MAPPING_FILE.trim() : '';
+  if (!filePath) return null;
+  const resolved = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', filePath);
+  return { path: resolved, mapping: JSON.parse(fs.readFileSync(resolved, 'utf8')) };
+}
+
+/**
+ * Loads the active mapping. Invalid stored or file mappings are reported
+ * and skipped so a bad edit can't stop enrollment.
+ */
+async function loadFieldMapping() {
+  try {
+    const redis = getRedis();
+    if (redis) {
+      const stored = parseStoredJson(await redis.get(FIELD_MAPPING_KEY));
+      if (stored) {
+        const errors = validateFieldMapping(stored);
+        if (errors.length === 0) return { mapping: stored, source: 'redis' };
+        await appendLog('warn', 'Stored field mapping is invalid; falling back', { errors }, 'config.invalid');
+      }
+    }
+  } catch {
+    // Fall through to file/default mapping.
+  }
+
+  try {
+    const fromFile = readMappingFile();
+    if (fromFile) {
+      const errors = validateFieldMapping(fromFile.mapping);
+      if (errors.length === 0) return { mapping: fromFile.mapping, source: 'file', path: fromFile.path };
+      await appendLog('warn', 'FIELD_MAPPING_FILE mapping is invalid; using default', { errors }, 'config.invalid');
+    }
+  } catch (err) {
+    await appendLog('warn', 'Could not read FIELD_MAPPING_FILE; using default', err.message, 'config.invalid');
+  }
+
+  return { mapping: DEFAULT_FIELD_MAPPING, source: 'default' };
+}
+
+async function saveFieldMapping(mapping) {
+  const errors = validateFieldMapping(mapping);
+  if (errors.length > 0) {
+    const error = new Error('Invalid field mapping');
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to save a field mapping');
+  await redis.set(FIELD_MAPPING_KEY, JSON.stringify(mapping));
+  await appendLog('info', 'Field mapping updated by operator', {
+    fields: Object.keys(mapping.fields).length,
+  }, 'config.changed');
+  return mapping;
+}
+
+async function resetFieldMapping() {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to reset the field mapping');
+  await redis.del(FIELD_MAPPING_KEY);
+  await appendLog('info', 'Field mapping reset to file/default by operator', null, 'config.changed');
+}
+
+/**
+ * Builds the PassKit member payload for an order. programId and externalId
+ * are always set by the bridge; everything else comes from the mapping.
+ */
+function buildMemberPayload(order, { orderId, certificateCode, programId, now = new Date().toISOString() }, mapping = DEFAULT_FIELD_MAPPING) {
+  const context = { order, orderId, certificateCode, now };
+  const memberData = {
+    programId,
+    externalId: certificateCode,
+    person: {},
+    metaData: {},
+  };
+
+  for (const [target, spec] of Object.entries(mapping.fields || {})) {
+    const value = resolveFieldValue(spec, context);
+    if (value === undefined) continue;
+
+    const [head, ...rest] = target.split('.');
+    if (rest.length === 0) {
+      memberData[head] = value;
+    } else {
+      // PassKit metaData is a string map.
+      memberData[head][rest.join('.')] = head === 'metaData' ? String(value) : value;
+    }
+  }
+
+  return memberData;
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPING,
+  validateFieldMapping,
+  loadFieldMapping,
+  saveFieldMapping,
+  resetFieldMapping,
+  buildMemberPayload,
+};
@@ -5,12 +5,14 @@
 const crypto = require('crypto');
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // ---------- CONFIG (from Vercel Environment Variables) ----------
 function getConfig() {
   return {
     ACUITY_USER_ID: process.env.ACUITY_USER_ID,
     ACUITY_API_KEY: process.env.ACUITY_API_KEY,
+    ACUITY_API_URL: process.env.ACUITY_API_URL || 'https://acuityscheduling.com/api/v1',
     PASSKIT_API_KEY: process.env.PASSKIT_API_KEY,
     PASSKIT_API_SECRET: process.env.PASSKIT_API_SECRET,
     PASSKIT_API_URL: process.env.PASSKIT_API_URL || 'https://api.pub1.passkit.io',
@@ -19,6 +21,52 @@ function getConfig() {
   };
 }
 
+function readEnv(name) {
+  return typeof process.env[name] === 'string' ? process.env[name].trim() : '';
+}
+
+// A setting pasted with its quotes (e.g. from a .env file) reads without them.
+function normalizeEnvString(value) {
+  if (typeof value !== 'string') return '';
+  const trimmed = value.trim();
+  if (!trimmed) return '';
+  if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
+    return trimmed.slice(1, -1).trim();
+  }
+  return trimmed;
+}
+
+/** A positive whole number from a setting, or `fallback`. */
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Returns a getter for settings parsed from environment variables.
+ * `parse` is called with the trimmed values of `names` and returns an
+ * object with `valid` and `errors`. It reruns only when one of those values
+ * changes; an invalid result is logged with `message`. The getter runs
+ * once straight away, so misconfiguration shows up in the function logs on
+ * cold start.
+ */
+function createEnvConfig(names, parse, message) {
+  let cached = null;
+  let cachedSource = null;
+  function getEnvConfig() {
+    const values = names.map(readEnv);
+    const source = values.join('\u0000');
+    if (!cached || cachedSource !== source) {
+      cached = parse(...values);
+      cachedSource = source;
+      if (!cached.valid) console.error(message, cached.errors.join('; '));
+    }
+    return cached;
+  }
+  getEnvConfig();
+  return getEnvConfig;
+}
+
 // ---------- PASSKIT JWT ----------
 function generatePassKitJWT(apiKey, apiSecret) {
   const now = Math.floor(Date.now() / 1000);
@@ -42,14 +90,43 @@ async function passKitRequest(method, endpoint, data = null) {
     },
   };
   if (data) config.data = data;
-  return axios(config);
+  const response = await axios(config);
+  if (method !== 'GET' && endpoint.startsWith('/members/member') && !endpoint.includes('/list/')) {
+    await markOwnMemberWrite(data?.id || response.data?.id);
+  }
+  return response;
+}
+
+// PassKit reports the bridge's own member writes back through its webhook
+// (lib/passkit-sync.js); remembering them briefly tells the two apart.
+const OWN_MEMBER_WRITE_KEY_PREFIX = 'acuity_passkit_own_write:';
+const OWN_MEMBER_WRITE_TTL_SECONDS = 120;
+
+async function markOwnMemberWrite(memberId) {
+  if (typeof memberId !== 'string' || !memberId) return;
+  try {
+    const redis = getRedis();
+    if (redis) await redis.set(`${OWN_MEMBER_WRITE_KEY_PREFIX}${memberId}`, '1', { ex: OWN_MEMBER_WRITE_TTL_SECONDS });
+  } catch {
+    // Best-effort; the callback is then treated as an outside change.
+  }
+}
+
+async function isOwnMemberWrite(memberId) {
+  if (!memberId) return false;
+  try {
+    const redis = getRedis();
+    return !!(redis && await redis.get(`${OWN_MEMBER_WRITE_KEY_PREFIX}${memberId}`));
+  } catch {
+    return false;
+  }
 }
 
 // ---------- ACUITY REQUEST ----------
 function createAcuityClient() {
   const cfg = getConfig();
   return axios.create({
-    baseURL: 'https://acuityscheduling.com/api/v1',
+    baseURL: cfg.ACUITY_API_URL,
     auth: {
       username: cfg.ACUITY_USER_ID,
       password: cfg.ACUITY_API_KEY,
@@ -61,22 +138,36 @@ function createAcuityClient() {
 function verifyAcuitySignature(rawBody, signature) {
   const cfg = getConfig();
   if (!cfg.ACUITY_API_KEY || !signature) return false;
-  const hash = crypto
+  const expected = Buffer.from(crypto
     .createHmac('sha256', cfg.ACUITY_API_KEY)
     .update(rawBody)
-    .digest('base64');
-  return hash === signature;
+    .digest('base64'));
+  const provided = Buffer.from(String(signature).trim());
+  // Constant-time, so response timing doesn't reveal how much of a guess matched.
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
 }
 
 // ---------- ACTIVITY LOG (Upstash Redis or in-memory fallback) ----------
 // Redis is optional — if not configured, logs are ephemeral per invocation
 // but still written to Vercel's function logs (visible in dashboard).
+// Storage and querying live in lib/activity-log.js.
 
-const LOG_REDIS_KEY = 'acuity_passkit_logs';
-const MAX_LOG_ENTRIES = 100;
 const CERT_TO_ORDER_KEY_PREFIX = 'acuity_cert_to_order:';
 const CERT_TO_ORDER_TTL_SECONDS = 60 * 60 * 24 * 90; // 90 days
 const WEBHOOK_ENABLED_KEY = 'acuity_webhook_enabled';
+const ENROLLMENT_ORDER_KEY_PREFIX = 'acuity_enrollment_order:';
+const ENROLLMENT_CERT_KEY_PREFIX = 'acuity_enrollment_cert:';
+const ENROLLMENT_EMAIL_KEY_PREFIX = 'acuity_enrollment_email:';
+const ORDER_LOCK_KEY_PREFIX = 'acuity_order_lock:';
+const ORDER_LOCK_TTL_SECONDS = 120;
+const ORDER_LOCK_WAIT_MS = 15000;
+const ORDER_LOCK_POLL_MS = 250;
+// Fields that identify a member rather than describe it; never diffed.
+const MEMBER_IDENTITY_FIELDS = new Set(['id', 'programId', 'externalId']);
+// Metadata written once at enrollment and never overwritten by later syncs.
+const PRESERVED_METADATA_KEYS = new Set(['signupDate']);
+// Top-level member fields PassKit returns in its own timestamp format.
+const DATE_MEMBER_FIELDS = new Set(['expiryDate']);
 const INACTIVE_ORDER_STATUS = new Set([
   'cancelled',
   'canceled',
@@ -106,27 +197,53 @@ function getWebhookDefaultEnabled() {
   return parseBoolean(process.env.WEBHOOK_ENABLED_DEFAULT, true);
 }
 
-async function appendLog(level, message, data = null) {
+// Fields attached to every log entry written inside withLogContext():
+// program, orderId, certificateCode, memberId and correlationId.
+const logContextStorage = new AsyncLocalStorage();
+const LOG_CONTEXT_FIELDS = ['program', 'orderId', 'appointmentId', 'certificateCode', 'memberId', 'correlationId'];
+
+function withLogContext(fields, fn) {
+  const parent = logContextStorage.getStore() || {};
+  return logContextStorage.run({ ...parent, ...fields }, fn);
+}
+
+function setLogContext(fields) {
+  const store = logContextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Writes an activity log entry. `event` is one of LOG_EVENT_TYPES in
+ * lib/activity-log.js; untyped entries are recorded as `general`.
+ */
+async function appendLog(level, message, data = null, event = 'general') {
+  const context = logContextStorage.getStore() || {};
   const entry = {
+    id: crypto.randomUUID(),
     timestamp: new Date().toISOString(),
     level,
+    event,
     message,
     data,
   };
+  for (const field of LOG_CONTEXT_FIELDS) {
+    if (context[field] !== undefined && context[field] !== null && context[field] !== '') {
+      entry[field] = String(context[field]);
+    }
+  }
 
   // Always log to stdout (visible in Vercel Functions logs)
   console[level === 'error' ? 'error' : 'log'](
-    `[${entry.timestamp}] [${level.toUpperCase()}] ${message}`,
+    `[${entry.timestamp}] [${level.toUpperCase()}]${context.dryRun ? ' [DRY RUN]' : ''} ${message}`,
     data ? JSON.stringify(data) : ''
   );
 
+  // Dry runs (lib/dry-run.js) must not write to Redis, the log included.
+  if (context.dryRun) return entry;
+
   // Try Upstash Redis if available
   try {
-    const redis = getRedis();
-    if (redis) {
-      await redis.lpush(LOG_REDIS_KEY, JSON.stringify(entry));
-      await redis.ltrim(LOG_REDIS_KEY, 0, MAX_LOG_ENTRIES - 1);
-    }
+    await require('./activity-log').recordLogEntry(entry);
   } catch {
     // Redis not available — that's okay, logs are in stdout
   }
@@ -134,21 +251,23 @@ async function appendLog(level, message, data = null) {
   return entry;
 }
 
-async function getLogs() {
+// The Upstash SDK deserializes JSON values on read; other clients return strings.
+function parseStoredJson(value) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    try { return JSON.parse(value); } catch { return null; }
+  }
+  return value;
+}
+
+/**
+ * Most recent log entries matching `filters` (see queryLogs in
+ * lib/activity-log.js for the supported fields and cursor pagination).
+ */
+async function getLogs(filters = {}, options = {}) {
   try {
-    const redis = getRedis();
-    if (redis) {
-      const rows = (await redis.lrange(LOG_REDIS_KEY, 0, MAX_LOG_ENTRIES - 1)) || [];
-      return rows
-        .map((row) => {
-          if (!row) return null;
-          if (typeof row === 'string') {
-            try { return JSON.parse(row); } catch { return null; }
-          }
-          return row;
-        })
-        .filter(Boolean);
-    }
+    const { entries } = await require('./activity-log').queryLogs(filters, options);
+    return entries;
   } catch {}
   return [];
 }
@@ -181,7 +300,7 @@ async function setWebhookEnabled(enabled) {
     await appendLog('info', `Webhook processing ${nextValue ? 'enabled' : 'disabled'} by operator`, {
       state: nextValue ? 'enabled' : 'disabled',
       persistence: 'redis',
-    });
+    }, 'config.changed');
     return nextValue;
   }
 
@@ -189,7 +308,7 @@ async function setWebhookEnabled(enabled) {
   await appendLog('warn', `Webhook processing ${nextValue ? 'enabled' : 'disabled'} (in-memory only)`, {
     state: nextValue ? 'enabled' : 'disabled',
     persistence: 'in-memory',
-  });
+  }, 'config.changed');
   return nextValue;
 }
 
@@ -197,16 +316,28 @@ function isRedisAvailable() {
   return !!getRedis();
 }
 
+// Alerts operators when Redis is configured but can't be reached. The
+// throttle is kept in memory, since Redis can't hold it.
+async function alertRedisUnavailable(status) {
+  if (!status.configured) return;
+  await require('./alerts').raiseAlert('redis.unavailable', 'Redis is configured but unreachable', {
+    provider: status.provider,
+    error: status.error,
+  }, { local: true });
+}
+
 async function getRedisStatus() {
   const configured = hasRedisConfiguration();
   const redis = getRedis();
   if (!redis) {
-    return {
+    const status = {
       available: false,
       configured,
       provider: null,
       error: redisInitError,
     };
+    await alertRedisUnavailable(status);
+    return status;
   }
 
   try {
@@ -223,12 +354,14 @@ async function getRedisStatus() {
     };
   } catch (err) {
     redisInitError = err?.message || String(err);
-    return {
+    const status = {
       available: false,
       configured,
       provider: redisProvider,
       error: redisInitError,
     };
+    await alertRedisUnavailable(status);
+    return status;
   }
 }
 
@@ -236,6 +369,13 @@ function getRedis() {
   // Supports native Upstash env vars and legacy Vercel KV aliases.
   if (redisClient !== undefined) return redisClient;
 
+  // REDIS_URL=memory:// keeps everything in this process (local runs, tests).
+  if (/^memory:/i.test(normalizeEnvString(process.env.REDIS_URL))) {
+    redisClient = require('./memory-redis').createMemoryRedisClient();
+    redisProvider = 'memory';
+    return redisClient;
+  }
+
   const nativeUpstashClient = createNativeUpstashRedisClient();
   if (nativeUpstashClient) {
     redisClient = nativeUpstashClient;
@@ -305,24 +445,60 @@ function createNativeUpstashRedisClient() {
     async lpush(key, value) {
       return runCommand(['LPUSH', key, value]);
     },
+    async rpush(key, value) {
+      return runCommand(['RPUSH', key, value]);
+    },
     async ltrim(key, start, stop) {
       return runCommand(['LTRIM', key, String(start), String(stop)]);
     },
     async lrange(key, start, stop) {
       return runCommand(['LRANGE', key, String(start), String(stop)]);
     },
+    async lrem(key, count, value) {
+      return runCommand(['LREM', key, String(count), value]);
+    },
+    async llen(key) {
+      return runCommand(['LLEN', key]);
+    },
     async get(key) {
       return runCommand(['GET', key]);
     },
     async set(key, value, options = null) {
-      if (options && typeof options.ex === 'number') {
-        return runCommand(['SET', key, value, 'EX', String(options.ex)]);
-      }
-      return runCommand(['SET', key, value]);
+      const command = ['SET', key, value];
+      if (options && typeof options.ex === 'number') command.push('EX', String(options.ex));
+      if (options && options.nx) command.push('NX');
+      return runCommand(command);
     },
     async del(key) {
       return runCommand(['DEL', key]);
     },
+    async expire(key, seconds) {
+      return runCommand(['EXPIRE', key, String(seconds)]);
+    },
+    async incr(key) {
+      return runCommand(['INCR', key]);
+    },
+    async eval(script, keys, args) {
+      return runCommand(['EVAL', script, String(keys.length), ...keys, ...args.map(String)]);
+    },
+    // Sorted-set commands follow the @upstash/redis signatures.
+    async zadd(key, { score, member }) {
+      return runCommand(['ZADD', key, String(score), member]);
+    },
+    async zrem(key, member) {
+      return runCommand(['ZREM', key, member]);
+    },
+    async zrange(key, min, max, options = null) {
+      const command = ['ZRANGE', key, String(min), String(max)];
+      if (options && options.byScore) command.push('BYSCORE');
+      if (options && typeof options.count === 'number') {
+        command.push('LIMIT', String(options.offset || 0), String(options.count));
+      }
+      return runCommand(command);
+    },
+    async zcard(key) {
+      return runCommand(['ZCARD', key]);
+    },
     async ping() {
       return runCommand(['PING']);
     },
@@ -375,6 +551,10 @@ function createStandardRedisClient() {
         await connectPromise;
         return client.lPush(key, value);
       },
+      async rpush(key, value) {
+        await connectPromise;
+        return client.rPush(key, value);
+      },
       async ltrim(key, start, stop) {
         await connectPromise;
         return client.lTrim(key, start, stop);
@@ -383,21 +563,64 @@ function createStandardRedisClient() {
         await connectPromise;
         return client.lRange(key, start, stop);
       },
+      async lrem(key, count, value) {
+        await connectPromise;
+        return client.lRem(key, count, value);
+      },
+      async llen(key) {
+        await connectPromise;
+        return client.lLen(key);
+      },
       async get(key) {
         await connectPromise;
         return client.get(key);
       },
       async set(key, value, options = null) {
         await connectPromise;
-        if (options && typeof options.ex === 'number') {
-          return client.set(key, value, { EX: options.ex });
-        }
-        return client.set(key, value);
+        const setOptions = {};
+        if (options && typeof options.ex === 'number') setOptions.EX = options.ex;
+        if (options && options.nx) setOptions.NX = true;
+        return Object.keys(setOptions).length
+          ? client.set(key, value, setOptions)
+          : client.set(key, value);
       },
       async del(key) {
         await connectPromise;
         return client.del(key);
       },
+      async expire(key, seconds) {
+        await connectPromise;
+        return client.expire(key, seconds);
+      },
+      async incr(key) {
+        await connectPromise;
+        return client.incr(key);
+      },
+      async eval(script, keys, args) {
+        await connectPromise;
+        return client.eval(script, { keys, arguments: args.map(String) });
+      },
+      async zadd(key, { score, member }) {
+        await connectPromise;
+        return client.zAdd(key, { score, value: member });
+      },
+      async zrem(key, member) {
+        await connectPromise;
+        return client.zRem(key, member);
+      },
+      async zrange(key, min, max, options = null) {
+        await connectPromise;
+        const rangeOptions = {};
+        if (options && options.byScore) rangeOptions.BY = 'SCORE';
+        if (options && typeof options.count === 'number') {
+          rangeOptions.LIMIT = { offset: options.offset || 0, count: options.count };
+        }
+        return client.zRange(key, min, max, rangeOptions);
+      },
+      async zcard(key) {
+        await connectPromise;
+        return client.zCard(key);
+      },
       async ping() {
         await connectPromise;
         return client.ping();
@@ -409,16 +632,6 @@ function createStandardRedisClient() {
   }
 }
 
-function normalizeEnvString(value) {
-  if (typeof value !== 'string') return '';
-  const trimmed = value.trim();
-  if (!trimmed) return '';
-  if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
-    return trimmed.slice(1, -1).trim();
-  }
-  return trimmed;
-}
-
 function hasRedisConfiguration() {
   const explicitUrl = normalizeEnvString(process.env.UPSTASH_REDIS_REST_URL)
     || normalizeEnvString(process.env.KV_REST_API_URL)
@@ -485,19 +698,13 @@ async function storeCertificateOrderMapping(certificateCode, orderId) {
   }
 }
 
-async function resolveOrderIdByCertificateCode(certificateCode) {
+// The order a certificate code was last enrolled from, for 90 days.
+async function getCertificateOrderMapping(certificateCode) {
+  const redis = getRedis();
   const code = normalizeCertificateCode(certificateCode);
-  if (!isCertificateCode(code)) return null;
-
-  try {
-    const redis = getRedis();
-    if (!redis) return null;
-    const orderId = await redis.get(`${CERT_TO_ORDER_KEY_PREFIX}${code}`);
-    if (!orderId) return null;
-    return String(orderId);
-  } catch {
-    return null;
-  }
+  if (!redis || !isCertificateCode(code)) return null;
+  const orderId = await redis.get(`${CERT_TO_ORDER_KEY_PREFIX}${code}`);
+  return orderId ? String(orderId) : null;
 }
 
 async function removeCertificateOrderMapping(certificateCode) {
@@ -513,267 +720,281 @@ async function removeCertificateOrderMapping(certificateCode) {
   }
 }
 
-function isTruthyFlag(value) {
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'number') return value === 1;
-  if (typeof value === 'string') {
-    const normalized = value.trim().toLowerCase();
-    return normalized === 'true' || normalized === '1' || normalized === 'yes';
-  }
-  return false;
-}
+// ---------- IDEMPOTENCY LEDGER & ORDER LOCKS ----------
+// The ledger records the last enrollment outcome per order and per
+// certificate code, so duplicate webhook deliveries can be recognised
+// without touching PassKit. Order locks serialize concurrent deliveries.
 
-function evaluateOrderActivity(order) {
-  const cancellationFlags = ['cancelled', 'canceled', 'isCancelled', 'isCanceled'];
-  for (const flag of cancellationFlags) {
-    if (isTruthyFlag(order?.[flag])) {
-      return { active: false, reason: `Acuity order flag ${flag}=true` };
+async function getEnrollmentLedgerEntry({ orderId = null, certificateCode = null } = {}) {
+  try {
+    const redis = getRedis();
+    if (!redis) return null;
+    if (orderId) {
+      const byOrder = parseStoredJson(await redis.get(`${ENROLLMENT_ORDER_KEY_PREFIX}${orderId}`));
+      if (byOrder) return byOrder;
     }
+    const code = normalizeCertificateCode(certificateCode);
+    if (isCertificateCode(code)) {
+      return parseStoredJson(await redis.get(`${ENROLLMENT_CERT_KEY_PREFIX}${code}`));
+    }
+  } catch {
+    // Ledger reads are best-effort; callers fall back to a live PassKit lookup.
   }
+  return null;
+}
 
-  if (order?.active === false || order?.isActive === false) {
-    return { active: false, reason: 'Acuity order marked inactive' };
-  }
+async function recordEnrollmentLedger(entry) {
+  try {
+    const redis = getRedis();
+    if (!redis) return;
 
-  const statusFields = [
-    order?.status,
-    order?.orderStatus,
-    order?.subscriptionStatus,
-    order?.membershipStatus,
-  ];
+    const code = normalizeCertificateCode(entry.certificateCode);
+    const previous = await getEnrollmentLedgerEntry({
+      orderId: entry.orderId,
+      certificateCode: code,
+    });
+    const record = {
+      ...(previous || {}),
+      ...entry,
+      certificateCode: isCertificateCode(code) ? code : previous?.certificateCode || null,
+      orderId: entry.orderId ? String(entry.orderId) : previous?.orderId || null,
+      updatedAt: new Date().toISOString(),
+    };
+    const value = JSON.stringify(record);
 
-  for (const value of statusFields) {
-    if (typeof value !== 'string') continue;
-    const normalized = value.trim().toLowerCase();
-    if (!normalized) continue;
-    if (INACTIVE_ORDER_STATUS.has(normalized) || normalized.includes('cancel') || normalized.includes('expire')) {
-      return { active: false, reason: `Acuity status indicates inactive: ${value}` };
-    }
+    if (record.orderId) await redis.set(`${ENROLLMENT_ORDER_KEY_PREFIX}${record.orderId}`, value);
+    if (record.certificateCode) await redis.set(`${ENROLLMENT_CERT_KEY_PREFIX}${record.certificateCode}`, value);
+  } catch {
+    // The ledger is an optimisation; failures must not block enrollment.
   }
+}
 
-  return { active: true };
+// Email -> member externalId per program, so a renewal bought under a new
+// certificate code can find the member it renews.
+function renewalTargetKey(emailAddress, program) {
+  const email = String(emailAddress || '').trim().toLowerCase();
+  if (!email) return null;
+  return `${ENROLLMENT_EMAIL_KEY_PREFIX}${program?.key || 'default'}:${email}`;
 }
 
-async function findPassKitMemberByExternalId(externalId) {
-  const cfg = getConfig();
-  if (!cfg.PASSKIT_PROGRAM_ID) {
-    throw new Error('Missing PASSKIT_PROGRAM_ID for PassKit member lookup');
+async function findRenewalTarget(emailAddress, program) {
+  try {
+    const redis = getRedis();
+    const key = renewalTargetKey(emailAddress, program);
+    if (!redis || !key) return null;
+    const value = await redis.get(key);
+    if (!value) return null;
+    // A cancelled membership starts over with a new member.
+    const ledger = await getEnrollmentLedgerEntry({ certificateCode: String(value) });
+    return ['cancelled', 'deleted'].includes(ledger?.outcome) ? null : String(value);
+  } catch {
+    return null;
   }
+}
 
-  function toMemberRef(candidate) {
-    if (!candidate || typeof candidate !== 'object') return null;
-    const id = candidate.id || candidate.memberId || null;
-    if (!id) return null;
-    return {
-      id: String(id),
-      emailAddress: candidate?.person?.emailAddress || candidate?.emailAddress || null,
-      externalId: candidate?.externalId || null,
-    };
+async function recordRenewalTarget(emailAddress, program, memberExternalId) {
+  try {
+    const redis = getRedis();
+    const key = renewalTargetKey(emailAddress, program);
+    if (!redis || !key || !memberExternalId) return;
+    await redis.set(key, memberExternalId);
+  } catch {
+    // Without the index a renewal under a new code creates a new member.
   }
+}
 
-  async function parseMemberRefFromPayload(data) {
-    if (!data) return null;
-
-    const direct = toMemberRef(data);
-    if (direct) return direct;
-
-    const nestedCandidates = [
-      data.member,
-      data.item,
-      data.result,
-      data.data && !Array.isArray(data.data) ? data.data : null,
-    ].filter(Boolean);
-
-    for (const nested of nestedCandidates) {
-      const nestedRef = toMemberRef(nested);
-      if (nestedRef) return nestedRef;
-    }
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-    const directMemberIds = Array.isArray(data.memberIds) ? data.memberIds : null;
-    if (directMemberIds && directMemberIds.length > 0) {
-      return { id: String(directMemberIds[0]), emailAddress: null, externalId: null };
-    }
+/**
+ * Takes a short-lived Redis lock. Resolves with the holder's token, or null
+ * when someone else holds it. Pass the token to releaseRedisLock(), so a
+ * worker whose lock expired can't release the next holder's.
+ */
+async function acquireRedisLock(redis, key, ttlSeconds) {
+  const token = crypto.randomUUID();
+  return (await redis.set(key, token, { ex: ttlSeconds, nx: true })) ? token : null;
+}
 
-    const listCandidates = [
-      Array.isArray(data) ? data : null,
-      Array.isArray(data.members) ? data.members : null,
-      Array.isArray(data.results) ? data.results : null,
-      Array.isArray(data.items) ? data.items : null,
-      Array.isArray(data.data) ? data.data : null,
-    ].filter(Boolean);
-
-    for (const rows of listCandidates) {
-      if (!rows.length) continue;
-      const first = rows[0];
-      if (typeof first === 'string') {
-        return { id: first, emailAddress: null, externalId: null };
-      }
-      const rowRef = toMemberRef(first);
-      if (rowRef) return rowRef;
-    }
+// Deletes KEYS[1] only while it still holds ARGV[1], in one step.
+const COMPARE_AND_DELETE_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
 
-    return null;
+async function releaseRedisLock(redis, key, token) {
+  try {
+    await redis.eval(COMPARE_AND_DELETE_SCRIPT, [key], [token]);
+  } catch {
+    // The lock expires on its own.
   }
+}
 
-  async function queryMemberByField(filterField, filterValue) {
-    const payload = {
-      filters: {
-        limit: 1,
-        offset: 0,
-        orderBy: 'updated',
-        orderAsc: false,
-        filterGroups: [{
-          condition: 'AND',
-          fieldFilters: [{
-            filterField,
-            filterValue,
-            filterOperator: 'eq',
-          }],
-        }],
-      },
-    };
+async function withOrderLock(orderId, fn) {
+  const redis = getRedis();
+  if (!redis) return fn();
 
-    const response = await passKitRequest('POST', `/members/member/list/${cfg.PASSKIT_PROGRAM_ID}`, payload);
-    return parseMemberRefFromPayload(response?.data);
-  }
+  const lockKey = `${ORDER_LOCK_KEY_PREFIX}${orderId}`;
+  const deadline = Date.now() + ORDER_LOCK_WAIT_MS;
+  let token = null;
 
-  // PassKit exposes a direct lookup by externalId; use it first for reliability.
-  try {
-    const direct = await passKitRequest(
-      'GET',
-      `/members/member/externalId/${cfg.PASSKIT_PROGRAM_ID}/${encodeURIComponent(externalId)}`
-    );
-    const byDirectLookup = await parseMemberRefFromPayload(direct?.data);
-    if (byDirectLookup) return byDirectLookup;
-  } catch {
-    // Continue with filter-based fallbacks.
+  while (!token) {
+    try {
+      token = await acquireRedisLock(redis, lockKey, ORDER_LOCK_TTL_SECONDS);
+    } catch (err) {
+      // Processing unlocked could race another delivery; fail so it's retried.
+      const error = new Error(`Could not lock order #${orderId}: ${err.message}`);
+      error.code = 'ORDER_LOCK_UNAVAILABLE';
+      throw error;
+    }
+    if (token) break;
+    if (Date.now() >= deadline) {
+      const error = new Error(`Order #${orderId} is already being processed by another request`);
+      error.code = 'ORDER_LOCKED';
+      throw error;
+    }
+    await sleep(ORDER_LOCK_POLL_MS);
   }
 
-  // Fallback lookups by filter field.
   try {
-    const byMemberId = await queryMemberByField('memberId', externalId);
-    if (byMemberId) return byMemberId;
-  } catch {
-    // Continue with fallback lookup.
+    return await fn();
+  } finally {
+    await releaseRedisLock(redis, lockKey, token);
   }
+}
 
-  try {
-    const byExternalId = await queryMemberByField('externalId', externalId);
-    if (byExternalId) return byExternalId;
-  } catch {
-    // Fall through to null.
-  }
+function computeMemberFingerprint(memberData) {
+  const metaData = { ...(memberData.metaData || {}) };
+  for (const key of PRESERVED_METADATA_KEYS) delete metaData[key];
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ ...memberData, metaData }))
+    .digest('hex');
+}
 
-  return null;
+// The ledger already holds this exact member for the order, so a duplicate
+// delivery needs no PassKit call.
+function isRecordedEnrollment(ledger, memberData) {
+  return !!ledger && !!ledger.memberId && ledger.outcome !== 'cancelled'
+    && ledger.fingerprint === computeMemberFingerprint(memberData);
 }
 
-async function deactivatePassKitMembershipByExternalId(externalId, context = {}) {
-  const cfg = getConfig();
-  if (!cfg.PASSKIT_PROGRAM_ID) {
-    throw new Error('Missing PASSKIT_PROGRAM_ID for PassKit cancellation');
-  }
+function valuesDiffer(from, to) {
+  const left = from === undefined || from === null ? '' : String(from);
+  const right = to === undefined || to === null ? '' : String(to);
+  return left !== right;
+}
 
-  const cancellationMeta = {
-    cancelledAt: new Date().toISOString(),
-    cancellationReason: context.reason || 'Membership cancelled',
-    ...(context.orderId ? { acuityOrderId: String(context.orderId) } : {}),
-    ...(context.sourceAction ? { acuityAction: context.sourceAction } : {}),
-  };
+function datesDiffer(from, to) {
+  const left = Date.parse(from);
+  const right = Date.parse(to);
+  if (Number.isFinite(left) && Number.isFinite(right)) return left !== right;
+  return valuesDiffer(from, to);
+}
 
-  const member = await findPassKitMemberByExternalId(externalId);
-  if (!member?.id) {
-    return { success: true, method: 'member_not_found', passKitId: null };
+/**
+ * Compares a desired member payload with the existing PassKit record.
+ * Returns the changed field paths and a partial update payload.
+ */
+function diffMemberData(existing, desired) {
+  const changes = {};
+  const update = {};
+
+  for (const [field, to] of Object.entries(desired)) {
+    if (MEMBER_IDENTITY_FIELDS.has(field) || to === undefined) continue;
+    if (to !== null && typeof to === 'object') continue;
+    const differs = DATE_MEMBER_FIELDS.has(field) ? datesDiffer(existing?.[field], to) : valuesDiffer(existing?.[field], to);
+    if (differs) {
+      changes[field] = { from: existing?.[field] ?? null, to };
+      update[field] = to;
+    }
   }
 
-  const cancellationPayload = {
-    id: member.id,
-    programId: cfg.PASSKIT_PROGRAM_ID,
-    externalId,
-    status: 'CANCELLED',
-    metaData: cancellationMeta,
-  };
-  if (member.emailAddress) {
-    cancellationPayload.person = { emailAddress: member.emailAddress };
+  const personChanges = {};
+  for (const [field, to] of Object.entries(desired.person || {})) {
+    if (to === undefined) continue;
+    const from = existing?.person?.[field];
+    if (valuesDiffer(from, to)) {
+      changes[`person.${field}`] = { from: from ?? null, to };
+      personChanges[field] = to;
+    }
+  }
+  if (Object.keys(personChanges).length > 0) {
+    update.person = personChanges;
   }
 
-  try {
-    const response = await passKitRequest('PUT', '/members/member', cancellationPayload);
-    return {
-      success: true,
-      method: 'status_update',
-      passKitId: response.data?.id || member.id,
-    };
-  } catch (statusErr) {
-    await appendLog('warn', 'PassKit status update to CANCELLED failed, trying delete fallback', {
-      externalId,
-      memberId: member.id,
-      error: statusErr.response?.data || statusErr.message,
-    });
+  const existingMeta = existing?.metaData || {};
+  const metaChanges = {};
+  for (const [key, to] of Object.entries(desired.metaData || {})) {
+    const from = existingMeta[key];
+    if (PRESERVED_METADATA_KEYS.has(key) && from) continue;
+    if (valuesDiffer(from, to)) {
+      changes[`metaData.${key}`] = { from: from ?? null, to };
+      metaChanges[key] = to;
+    }
+  }
+  if (Object.keys(metaChanges).length > 0) {
+    // metaData is replaced as a whole by PassKit, so send the merged map.
+    update.metaData = { ...existingMeta, ...metaChanges };
+  }
 
-    const response = await passKitRequest('DELETE', '/members/member', { id: member.id });
-    return {
-      success: true,
-      method: 'delete',
-      passKitId: response.data?.id || member.id,
-    };
+  return { changes, update, changedFields: Object.keys(changes) };
+}
+
+function isTruthyFlag(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value === 1;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    return normalized === 'true' || normalized === '1' || normalized === 'yes';
   }
+  return false;
 }
 
-async function cancelMembershipByCertificateCode(certificateCode, context = {}) {
-  const code = normalizeCertificateCode(certificateCode);
-  if (!isCertificateCode(code)) {
-    throw new Error('Invalid certificate code (expected 8 alphanumeric characters)');
+function evaluateOrderActivity(order) {
+  const cancellationFlags = ['cancelled', 'canceled', 'isCancelled', 'isCanceled'];
+  for (const flag of cancellationFlags) {
+    if (isTruthyFlag(order?.[flag])) {
+      return { active: false, reason: `Acuity order flag ${flag}=true` };
+    }
   }
 
-  const deactivation = await deactivatePassKitMembershipByExternalId(code, context);
-  await removeCertificateOrderMapping(code);
+  if (order?.active === false || order?.isActive === false) {
+    return { active: false, reason: 'Acuity order marked inactive' };
+  }
 
-  await appendLog('info', 'Membership cancellation processed', {
-    externalId: code,
-    method: deactivation.method,
-    passKitId: deactivation.passKitId,
-    orderId: context.orderId || null,
-  });
+  const statusFields = [
+    order?.status,
+    order?.orderStatus,
+    order?.subscriptionStatus,
+    order?.membershipStatus,
+  ];
 
-  return {
-    success: true,
-    externalId: code,
-    ...deactivation,
-  };
+  for (const value of statusFields) {
+    if (typeof value !== 'string') continue;
+    const normalized = value.trim().toLowerCase();
+    if (!normalized) continue;
+    if (INACTIVE_ORDER_STATUS.has(normalized) || normalized.includes('cancel') || normalized.includes('expire')) {
+      return { active: false, reason: `Acuity status indicates inactive: ${value}` };
+    }
+  }
+
+  return { active: true };
 }
 
-async function processMembershipCancellation(orderId, context = {}) {
-  await appendLog('info', `Processing cancellation for order #${orderId}...`, {
-    sourceAction: context.sourceAction || null,
-  });
+// List/lookup responses may only carry IDs; fetch the full record when needed.
+async function loadPassKitMemberRecord(memberRef) {
+  if (!memberRef?.id) return null;
+  const record = memberRef.record;
+  if (record && (record.person || record.metaData)) return record;
 
-  const acuity = createAcuityClient();
-  let order;
   try {
-    const response = await acuity.get(`/orders/${orderId}`);
-    order = response.data;
-    await appendLog('info', `Fetched cancellation order #${orderId} from Acuity`, {
-      name: `${order.firstName || ''} ${order.lastName || ''}`.trim(),
-      email: order.email || null,
-      status: order.status || order.orderStatus || null,
-      title: order.title || null,
-    });
-  } catch (err) {
-    await appendLog('error', `Failed to fetch cancellation order #${orderId} from Acuity`, err.message);
-    throw err;
-  }
-
-  const certificateCode = extractCertificateCode(order);
-  if (!certificateCode) {
-    await appendLog('warn', `No certificate code found for cancellation order #${orderId}; skipping PassKit update`);
-    return { skipped: true, reason: 'No certificate code on order' };
+    const response = await passKitRequest('GET', `/members/member/id/${encodeURIComponent(memberRef.id)}`);
+    return response?.data?.member || response?.data || record || null;
+  } catch {
+    return record || null;
   }
-
-  return cancelMembershipByCertificateCode(certificateCode, {
-    orderId,
-    sourceAction: context.sourceAction || null,
-    reason: context.reason || 'Acuity cancellation event',
-  });
 }
 
 function extractCertificateCode(order) {
@@ -810,139 +1031,132 @@ function extractCertificateCode(order) {
   return null;
 }
 
-// ---------- CORE: PROCESS ORDER ----------
-async function processNewMembershipOrder(orderId) {
+function matchesMembershipProductFilter(order) {
   const cfg = getConfig();
-  await appendLog('info', `Processing order #${orderId}...`);
-
-  // Step 1: Fetch order details from Acuity
-  const acuity = createAcuityClient();
-  let order;
-  try {
-    const response = await acuity.get(`/orders/${orderId}`);
-    order = response.data;
-    await appendLog('info', `Fetched order #${orderId} from Acuity`, {
-      name: `${order.firstName} ${order.lastName}`,
-      email: order.email,
-      title: order.title,
-    });
-  } catch (err) {
-    await appendLog('error', `Failed to fetch order #${orderId} from Acuity`, err.message);
-    throw err;
-  }
-
-  // Step 2: Check membership product filter
   const filterProducts = cfg.MEMBERSHIP_PRODUCT_FILTER
     ? cfg.MEMBERSHIP_PRODUCT_FILTER.split(',').map(p => p.trim().toLowerCase())
     : [];
+  if (filterProducts.length === 0) return true;
 
-  if (filterProducts.length > 0) {
-    const orderTitle = (order.title || '').toLowerCase();
-    const isMatch = filterProducts.some(p => orderTitle.includes(p));
-    if (!isMatch) {
-      await appendLog('info', `Order #${orderId} doesn't match filter. Skipping.`, {
-        orderTitle: order.title,
-        filter: cfg.MEMBERSHIP_PRODUCT_FILTER,
-      });
-      return { skipped: true, reason: 'Product filter mismatch' };
-    }
-  }
-
-  const extractedCertificateCode = extractCertificateCode(order);
-  if (!extractedCertificateCode) {
-    await appendLog('error', `Order #${orderId} is missing a valid certificate code`, {
-      expectedFormat: '8 alphanumeric characters',
-    });
-    throw new Error('Missing or invalid Acuity certificate code (expected 8 alphanumeric characters)');
-  }
-  const certificateCode = normalizeCertificateCode(extractedCertificateCode);
-
-  const orderActivity = evaluateOrderActivity(order);
-  if (!orderActivity.active) {
-    await appendLog('warn', `Order #${orderId} appears inactive/cancelled. Running cancellation flow.`, {
-      reason: orderActivity.reason,
-      certificateCode,
-    });
+  const orderTitle = (order.title || '').toLowerCase();
+  return filterProducts.some(p => orderTitle.includes(p));
+}
 
-    const cancellationResult = await cancelMembershipByCertificateCode(certificateCode, {
-      orderId,
-      reason: orderActivity.reason,
-      sourceAction: 'order.reprocess',
+// ---------- REQUEST BODIES ----------
+/**
+ * Reads the body of a request whose body parser is turned off, as a Buffer.
+ * Past `maxBytes` it rejects with statusCode 413 and drops the rest.
+ */
+function readRawBody(req, maxBytes = Infinity) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers?.['content-length']);
+    if (declared > maxBytes) {
+      req.resume();
+      reject(bodyTooLarge(maxBytes));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        reject(bodyTooLarge(maxBytes));
+        return;
+      }
+      chunks.push(chunk);
     });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
 
-    return {
-      skipped: true,
-      reason: orderActivity.reason,
-      cancellationResult,
-    };
-  }
-
-  // Step 3: Build PassKit member record
-  const memberData = {
-    programId: cfg.PASSKIT_PROGRAM_ID,
-    tierId: 'membership',
-    externalId: certificateCode,
-    person: {
-      forename: order.firstName || '',
-      surname: order.lastName || '',
-      emailAddress: order.email || '',
-      displayName: `${order.firstName || ''} ${order.lastName || ''}`.trim(),
-    },
-    metaData: {
-      acuityOrderId: String(orderId),
-      certificateCode,
-      membershipType: order.title || '',
-      signupDate: new Date().toISOString(),
-    },
-  };
+function bodyTooLarge(maxBytes) {
+  const error = new Error(`Request body is larger than ${maxBytes} bytes`);
+  error.statusCode = 413;
+  return error;
+}
 
-  if (order.phone) {
-    memberData.person.mobileNumber = order.phone;
+/** A JSON request body as an object, or `{}` when there is none or it doesn't parse. */
+function parseJsonBody(req) {
+  if (req.body && typeof req.body === 'object') return req.body;
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
   }
+  return {};
+}
 
-  await appendLog('info', `Creating PassKit member for ${memberData.person.displayName}...`, {
-    email: memberData.person.emailAddress,
-    externalId: memberData.externalId,
-    membership: memberData.metaData.membershipType,
-  });
-
-  // Step 4: Enrol in PassKit
-  try {
-    const response = await passKitRequest('PUT', '/members/member', memberData);
-    await storeCertificateOrderMapping(certificateCode, orderId);
-    await appendLog('info', `Successfully created PassKit member!`, {
-      passKitId: response.data?.id || response.data,
-      name: memberData.person.displayName,
-      email: memberData.person.emailAddress,
-    });
-    return {
-      success: true,
-      passKitId: response.data?.id || response.data,
-      member: memberData.person.displayName,
-    };
-  } catch (err) {
-    const errorDetail = err.response?.data || err.message;
-    await appendLog('error', `Failed to create PassKit member`, errorDetail);
-    throw err;
-  }
+// ---------- COMPATIBILITY RE-EXPORTS ----------
+// Enrollment, cancellation and member lookups used to live here. Their
+// modules require this one, so the old names resolve on first call.
+function reexport(modulePath, name) {
+  return (...args) => require(modulePath)[name](...args);
 }
 
+const processNewMembershipOrder = reexport('./enrollment', 'processNewMembershipOrder');
+const processMembershipCancellation = reexport('./enrollment', 'processMembershipCancellation');
+const cancelMembershipByCertificateCode = reexport('./enrollment', 'cancelMembershipByCertificateCode');
+const deactivatePassKitMembershipByExternalId = reexport('./enrollment', 'deactivatePassKitMembershipByExternalId');
+const resolveOrderIdByCertificateCode = reexport('./member-registry', 'resolveOrderIdByCertificateCode');
+const resolveTargetProgramId = reexport('./passkit-members', 'resolveTargetProgramId');
+const findPassKitMemberByExternalId = reexport('./passkit-members', 'findPassKitMemberByExternalId');
+const findPassKitMemberInPrograms = reexport('./passkit-members', 'findPassKitMemberInPrograms');
+
 module.exports = {
   getConfig,
+  readEnv,
+  normalizeEnvString,
+  readPositiveInt,
+  createEnvConfig,
   generatePassKitJWT,
   passKitRequest,
   createAcuityClient,
   verifyAcuitySignature,
   appendLog,
+  LOG_CONTEXT_FIELDS,
   getLogs,
+  getRedis,
+  parseStoredJson,
+  parseBoolean,
+  readRawBody,
+  parseJsonBody,
   isRedisAvailable,
   getRedisStatus,
+  isOwnMemberWrite,
   getWebhookEnabled,
   setWebhookEnabled,
+  isCertificateCode,
+  normalizeCertificateCode,
+  storeCertificateOrderMapping,
+  getCertificateOrderMapping,
+  removeCertificateOrderMapping,
+  extractCertificateCode,
+  evaluateOrderActivity,
+  findRenewalTarget,
+  recordRenewalTarget,
+  withLogContext,
+  setLogContext,
+  matchesMembershipProductFilter,
+  getEnrollmentLedgerEntry,
+  recordEnrollmentLedger,
+  loadPassKitMemberRecord,
+  COMPARE_AND_DELETE_SCRIPT,
+  acquireRedisLock,
+  releaseRedisLock,
+  withOrderLock,
+  computeMemberFingerprint,
+  diffMemberData,
+  isRecordedEnrollment,
+  processNewMembershipOrder,
+  processMembershipCancellation,
   cancelMembershipByCertificateCode,
   // Backward-compatible alias for any stale call sites with typo casing.
   cancelMembershipByCertificatecode: cancelMembershipByCertificateCode,
-  processMembershipCancellation,
+  deactivatePassKitMembershipByExternalId,
   resolveOrderIdByCertificateCode,
-  processNewMembershipOrder,
+  resolveTargetProgramId,
+  findPassKitMemberByExternalId,
+  findPassKitMemberInPrograms,
 };
@@ -0,0 +1,351 @@
+/**
+ * Runs the bridge outside Vercel: one Node HTTP server that mounts every
+ * api/*.js handler at /api/<name>, applies the vercel.json rewrites, serves
+ * the dashboard pages and can fire the vercel.json crons itself.
+ *
+ * Handlers see what Vercel's Node runtime gives them: `req.query` (rewrite
+ * parameters included), `req.cookies`, a parsed `req.body` unless the
+ * handler exports `config.api.bodyParser = false`, and `res.status()`,
+ * `res.json()`, `res.send()` and `res.redirect()`. As on Vercel, existing
+ * files and functions win over rewrites.
+ *
+ * Started by `bridge serve` (bin/bridge.js).
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const querystring = require('querystring');
+const { readRawBody } = require('./helpers');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Vercel's request body limit.
+const MAX_BODY_BYTES = Math.floor(4.5 * 1024 * 1024);
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+};
+
+function loadVercelConfig(rootDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(rootDir, 'vercel.json'), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[local-server] Invalid vercel.json:', err.message);
+    return {};
+  }
+}
+
+// ---------- ROUTES ----------
+function findApiRoutes(rootDir) {
+  const apiDir = path.join(rootDir, 'api');
+  const routes = new Map();
+  for (const file of fs.readdirSync(apiDir)) {
+    if (file.endsWith('.js')) routes.set(`/api/${file.slice(0, -3)}`, path.join(apiDir, file));
+  }
+  return routes;
+}
+
+// Only top-level files with a known type are served, so lib/ and api/
+// sources never go out as static files.
+function findStaticFiles(rootDir) {
+  const files = new Map();
+  for (const entry of fs.readdirSync(rootDir, { withFileTypes: true })) {
+    const type = STATIC_TYPES[path.extname(entry.name).toLowerCase()];
+    if (entry.isFile() && type && !entry.name.startsWith('.')) {
+      files.set(`/${entry.name}`, { file: path.join(rootDir, entry.name), type });
+    }
+  }
+  return files;
+}
+
+/**
+ * Compiles a vercel.json rewrite. Sources use `:name` segments; named
+ * segments fill the same placeholders in the destination, and any not used
+ * there are passed on as query parameters, as Vercel does.
+ */
+function compileRewrite({ source, destination }) {
+  const names = [];
+  const pattern = source
+    .split('/')
+    .map((segment) => {
+      const match = segment.match(/^:([A-Za-z_][A-Za-z0-9_]*)$/);
+      if (!match) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(match[1]);
+      return '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${pattern}/?$`), names, destination };
+}
+
+function applyRewrite(rewrite, pathname) {
+  const match = pathname.match(rewrite.regex);
+  if (!match) return null;
+  const params = Object.fromEntries(rewrite.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+
+  const used = new Set();
+  const target = rewrite.destination.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    used.add(name);
+    return encodeURIComponent(params[name]);
+  });
+  const [targetPath, targetQuery = ''] = target.split('?');
+  const query = querystring.parse(targetQuery);
+  for (const [name, value] of Object.entries(params)) {
+    if (!used.has(name)) query[name] = value;
+  }
+  return { pathname: targetPath, query };
+}
+
+// ---------- REQUEST / RESPONSE ----------
+function parseQuery(searchParams, extra = {}) {
+  const query = {};
+  for (const [name, value] of searchParams) {
+    if (name in query) {
+      query[name] = [].concat(query[name], value);
+    } else {
+      query[name] = value;
+    }
+  }
+  return { ...query, ...extra };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+// Same content types Vercel's body parser understands.
+function parseBody(buffer, contentType) {
+  if (buffer.length === 0) return undefined;
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json') {
+    try {
+      return JSON.parse(buffer.toString('utf8'));
+    } catch {
+      const error = new Error('Invalid JSON');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') return { ...querystring.parse(buffer.toString('utf8')) };
+  if (type.startsWith('text/')) return buffer.toString('utf8');
+  return buffer;
+}
+
+function addResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(body === undefined || body === null ? '' : body);
+    return res;
+  };
+  res.redirect = (statusOrUrl, url) => {
+    const [status, location] = typeof statusOrUrl === 'number' ? [statusOrUrl, url] : [307, statusOrUrl];
+    res.writeHead(status, { Location: location });
+    res.end();
+    return res;
+  };
+  return res;
+}
+
+function sendError(res, status, message) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+// ---------- SERVER ----------
+/**
+ * Builds the HTTP server (not yet listening). `rootDir` is the project root
+ * holding api/, vercel.json and the dashboard pages.
+ */
+function createLocalServer({ rootDir = ROOT_DIR } = {}) {
+  const config = loadVercelConfig(rootDir);
+  const apiRoutes = findApiRoutes(rootDir);
+  const staticFiles = findStaticFiles(rootDir);
+  const rewrites = (config.rewrites || []).map(compileRewrite);
+  const handlers = new Map();
+
+  function loadHandler(route) {
+    if (!handlers.has(route)) handlers.set(route, require(apiRoutes.get(route)));
+    return handlers.get(route);
+  }
+
+  function resolveRoute(pathname) {
+    const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+    if (apiRoutes.has(normalized)) return { api: normalized, query: {} };
+    if (staticFiles.has(normalized)) return { file: staticFiles.get(normalized), query: {} };
+    for (const rewrite of rewrites) {
+      const target = applyRewrite(rewrite, normalized);
+      if (!target) continue;
+      if (apiRoutes.has(target.pathname)) return { api: target.pathname, query: target.query };
+      if (staticFiles.has(target.pathname)) return { file: staticFiles.get(target.pathname), query: target.query };
+    }
+    return null;
+  }
+
+  async function handleApi(route, req, res, query) {
+    const handler = loadHandler(route);
+    req.query = query;
+    req.cookies = parseCookies(req.headers.cookie);
+    if (handler.config?.api?.bodyParser !== false && !['GET', 'HEAD'].includes(req.method)) {
+      req.body = parseBody(await readRawBody(req, MAX_BODY_BYTES), req.headers['content-type']);
+    }
+    await handler(req, res);
+  }
+
+  function handleStatic({ file, type }, req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendError(res, 405, 'Method not allowed');
+    res.writeHead(200, { 'Content-Type': type });
+    if (req.method === 'HEAD') return res.end();
+    return fs.createReadStream(file).pipe(res);
+  }
+
+  return http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    addResponseHelpers(res);
+    res.on('finish', () => {
+      console.log(`[local-server] ${req.method} ${req.url} → ${res.statusCode} (${Date.now() - startedAt}ms)`);
+    });
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = resolveRoute(url.pathname);
+      if (!route) return sendError(res, 404, 'Not found');
+      if (route.file) return handleStatic(route.file, req, res);
+      return await handleApi(route.api, req, res, parseQuery(url.searchParams, route.query));
+    } catch (err) {
+      if (err.statusCode) return sendError(res, err.statusCode, err.message);
+      console.error(`[local-server] ${req.method} ${req.url} failed:`, err.stack || err.message);
+      return sendError(res, 500, 'A server error has occurred');
+    }
+  });
+}
+
+// ---------- CRONS ----------
+// One field of a five-field cron expression: `*`, `*/n`, `a`, `a-b`, `a-b/n` and lists.
+function matchesCronField(field, value, min, max) {
+  return field.split(',').some((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = [min, max];
+    if (range !== '*') {
+      [from, to = from] = range.split('-').map(Number);
+    }
+    if (!Number.isInteger(step) || step < 1 || !Number.isInteger(from) || !Number.isInteger(to)) return false;
+    return value >= from && value <= to && (value - from) % step === 0;
+  });
+}
+
+/** Whether a cron schedule fires at `date` (UTC, like Vercel Cron). */
+function cronMatches(schedule, date) {
+  const fields = String(schedule).trim().split(/\s+/);
+  if (fields.length !== 5) return false;
+  const [minute, hour, day, month, weekday] = fields;
+  return matchesCronField(minute, date.getUTCMinutes(), 0, 59)
+    && matchesCronField(hour, date.getUTCHours(), 0, 23)
+    && matchesCronField(day, date.getUTCDate(), 1, 31)
+    && matchesCronField(month, date.getUTCMonth() + 1, 1, 12)
+    && matchesCronField(weekday, date.getUTCDay(), 0, 6);
+}
+
+/**
+ * Calls each vercel.json cron path on schedule through the server at
+ * `baseUrl`, with `Authorization: Bearer $CRON_SECRET` as Vercel sends it.
+ * A run still in progress is not started again. Returns a stop function.
+ */
+function startCrons(baseUrl, { rootDir = ROOT_DIR } = {}) {
+  const crons = loadVercelConfig(rootDir).crons || [];
+  if (crons.length === 0) return () => {};
+  if (!process.env.CRON_SECRET) {
+    console.error('[local-server] CRON_SECRET is not set; cron requests will be rejected when auth is configured');
+  }
+  const running = new Set();
+
+  async function run(cron) {
+    running.add(cron.path);
+    try {
+      const response = await fetch(new URL(cron.path, baseUrl), {
+        headers: process.env.CRON_SECRET ? { Authorization: `Bearer ${process.env.CRON_SECRET}` } : {},
+      });
+      console.log(`[local-server] Cron ${cron.path} → ${response.status}`);
+    } catch (err) {
+      console.error(`[local-server] Cron ${cron.path} failed:`, err.message);
+    } finally {
+      running.delete(cron.path);
+    }
+  }
+
+  let timer = null;
+  function scheduleNextMinute() {
+    timer = setTimeout(() => {
+      const now = new Date();
+      for (const cron of crons) {
+        if (!running.has(cron.path) && cronMatches(cron.schedule, now)) run(cron);
+      }
+      scheduleNextMinute();
+    }, 60000 - (Date.now() % 60000) + 50);
+  }
+  scheduleNextMinute();
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Starts the server on `port`/`host` and, unless `crons` is false, the
+ * vercel.json crons. Resolves with `{ server, url, close() }`.
+ */
+async function startLocalServer({ port = 3000, host = '0.0.0.0', crons = true, rootDir = ROOT_DIR } = {}) {
+  const server = createLocalServer({ rootDir });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  const url = `http://${host === '0.0.0.0' || host === '::' ? 'localhost' : host}:${address.port}`;
+  const stopCrons = crons ? startCrons(`http://127.0.0.1:${address.port}`, { rootDir }) : () => {};
+
+  return {
+    server,
+    url,
+    close() {
+      stopCrons();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  createLocalServer,
+  startLocalServer,
+  cronMatches,
+};
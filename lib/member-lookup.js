@@ -0,0 +1,399 @@
+/**
+ * Member search and combined profiles for the dashboard.
+ *
+ * A search term is classified as a certificate code, an Acuity order ID,
+ * an email address or a name. Codes and order IDs resolve through the
+ * enrollment ledger and the member registry (falling back to Acuity);
+ * emails and names use PassKit's member list filters in every configured
+ * program, and emails also the registry's email index.
+ *
+ * A profile joins the Acuity order, the enrollment ledger, the member
+ * registry record, the PassKit
+ * member record (status, tier, metadata, pass install state), the latest
+ * PassKit webhook event, recent check-ins and the activity-log history
+ * for the member.
+ */
+const {
+  passKitRequest,
+  createAcuityClient,
+  isCertificateCode,
+  normalizeCertificateCode,
+  extractCertificateCode,
+  evaluateOrderActivity,
+  getEnrollmentLedgerEntry,
+  findRenewalTarget,
+  loadPassKitMemberRecord,
+} = require('./helpers');
+const { findPassKitMemberInPrograms } = require('./passkit-members');
+const { listPrograms, getProgramByKey, getProgramById } = require('./programs');
+const {
+  getRegistryMember,
+  getRegistryMemberByOrderId,
+  findRegistryMembersByEmail,
+  resolveOrderIdByCertificateCode,
+} = require('./member-registry');
+
+const SEARCH_TYPES = ['certificateCode', 'orderId', 'email', 'name'];
+const DEFAULT_SEARCH_LIMIT = 10;
+const HISTORY_LIMIT = 50;
+
+function looksLikeCertificateCode(value) {
+  // Purely numeric values are order IDs unless the caller says otherwise.
+  return /^(?=.*[A-Za-z])[A-Za-z0-9]{8}$/.test(value);
+}
+
+function classifySearch(query) {
+  if (query.includes('@')) return ['email'];
+  if (looksLikeCertificateCode(query)) return ['certificateCode'];
+  if (/^\d+$/.test(query)) return isCertificateCode(query) ? ['orderId', 'certificateCode'] : ['orderId'];
+  return ['name'];
+}
+
+function configuredPrograms() {
+  return listPrograms().filter((program) => program.programId);
+}
+
+// PassKit list endpoints stream newline-delimited `{ "result": member }` objects.
+function parseMemberList(data) {
+  if (!data) return [];
+  let rows = data;
+  if (typeof data === 'string') {
+    rows = data.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+      try { return JSON.parse(line); } catch { return null; }
+    });
+  }
+  if (!Array.isArray(rows)) {
+    rows = rows.members || rows.results || rows.items || [rows];
+  }
+  return rows
+    .map((row) => (row && row.result ? row.result : row))
+    .filter((member) => member && typeof member === 'object' && member.id);
+}
+
+/**
+ * One page of a program's members. Without a `filterField` the whole
+ * program is listed. Most recently updated first by default; pass
+ * `orderBy: 'created'` for a stable order when paging while updating.
+ */
+async function listPassKitMembers(program, { filterField, filterValue, filterOperator = 'eq' } = {}, limit, {
+  offset = 0,
+  orderBy = 'updated',
+  orderAsc = false,
+} = {}) {
+  const response = await passKitRequest('POST', `/members/member/list/${program.programId}`, {
+    filters: {
+      limit,
+      offset,
+      orderBy,
+      orderAsc,
+      filterGroups: filterField ? [{
+        condition: 'AND',
+        fieldFilters: [{ filterField, filterValue, filterOperator }],
+      }] : [],
+    },
+  });
+  return parseMemberList(response?.data);
+}
+
+async function fetchOrder(orderId) {
+  try {
+    const response = await createAcuityClient().get(`/orders/${encodeURIComponent(orderId)}`);
+    return response.data || null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+async function findMemberRecord(externalId, preferred = null) {
+  const { member, program } = await findPassKitMemberInPrograms(externalId, preferred);
+  return { record: member ? await loadPassKitMemberRecord(member) : null, program };
+}
+
+function programForMember(record, fallback = null) {
+  if (record?.programId) return getProgramById(record.programId);
+  return fallback;
+}
+
+function toSearchResult({ certificateCode = null, orderId = null, record = null, program = null, ledger = null, registry = null, order = null, matchedBy }) {
+  const person = record?.person || {};
+  const registeredName = `${registry?.firstName || ''} ${registry?.lastName || ''}`.trim();
+  return {
+    certificateCode: certificateCode || record?.externalId || ledger?.certificateCode || registry?.certificateCode || null,
+    orderId: orderId ? String(orderId) : record?.metaData?.acuityOrderId || ledger?.orderId || null,
+    memberId: record?.id || ledger?.memberId || registry?.memberId || null,
+    program: program?.key || ledger?.programKey || registry?.program || null,
+    name: person.displayName
+      || `${person.forename || order?.firstName || ''} ${person.surname || order?.lastName || ''}`.trim()
+      || registeredName
+      || null,
+    email: person.emailAddress || order?.email || registry?.email || null,
+    status: record?.status || null,
+    registryStatus: registry?.status || null,
+    lastOutcome: ledger?.outcome || null,
+    matchedBy,
+  };
+}
+
+function preferredProgram(ledger, registry) {
+  return getProgramByKey(ledger?.programKey || registry?.program)
+    || getProgramById(ledger?.programId || registry?.programId)
+    || null;
+}
+
+// The certificate code an order was placed with, from the registry.
+function registeredOrderCode(registry, orderId) {
+  if (!registry) return null;
+  const entry = (registry.history || []).find((item) => item.orderId === String(orderId));
+  return entry?.certificateCode || registry.certificateCode;
+}
+
+async function findByCertificateCode(code) {
+  const ledger = await getEnrollmentLedgerEntry({ certificateCode: code });
+  const registry = await getRegistryMember(code);
+  const orderId = await resolveOrderIdByCertificateCode(code);
+  const { record, program } = await findMemberRecord(
+    ledger?.memberExternalId || registry?.certificateCode || code,
+    preferredProgram(ledger, registry)
+  );
+  if (!record && !ledger && !registry && !orderId) return [];
+  return [toSearchResult({ certificateCode: code, orderId, record, program, ledger, registry, matchedBy: 'certificateCode' })];
+}
+
+async function findByOrderId(orderId) {
+  const ledger = await getEnrollmentLedgerEntry({ orderId });
+  const knownCode = ledger?.certificateCode || registeredOrderCode(await getRegistryMemberByOrderId(orderId), orderId);
+  if (knownCode) {
+    const [result] = await findByCertificateCode(knownCode);
+    return result ? [{ ...result, orderId: String(orderId), matchedBy: 'orderId' }] : [];
+  }
+
+  const order = await fetchOrder(orderId);
+  if (!order) return [];
+  const code = extractCertificateCode(order);
+  if (!code) return [toSearchResult({ orderId, order, matchedBy: 'orderId' })];
+  const { record, program } = await findMemberRecord(normalizeCertificateCode(code));
+  return [toSearchResult({ certificateCode: normalizeCertificateCode(code), orderId, record, program, order, matchedBy: 'orderId' })];
+}
+
+async function findByPassKitField(filter, matchedBy, limit) {
+  const results = [];
+  for (const program of configuredPrograms()) {
+    try {
+      const members = await listPassKitMembers(program, filter, limit);
+      results.push(...members.map((record) => toSearchResult({ record, program: programForMember(record, program), matchedBy })));
+    } catch {
+      // A program we can't list is skipped; the others still answer.
+    }
+  }
+  return results;
+}
+
+async function findByEmail(email, limit) {
+  const results = await findByPassKitField(
+    { filterField: 'person.emailAddress', filterValue: email.toLowerCase() },
+    'email',
+    limit
+  );
+  // Members the bridge has handled are also indexed by email locally.
+  for (const registry of await findRegistryMembersByEmail(email, { limit })) {
+    if (!results.some((result) => result.certificateCode === registry.certificateCode)) {
+      results.push(...(await findByCertificateCode(registry.certificateCode)).map((result) => ({ ...result, matchedBy: 'email' })));
+    }
+  }
+  for (const program of configuredPrograms()) {
+    const externalId = await findRenewalTarget(email, program);
+    if (externalId && !results.some((result) => result.certificateCode === externalId)) {
+      results.push(...(await findByCertificateCode(externalId)).map((result) => ({ ...result, matchedBy: 'email' })));
+    }
+  }
+  return results;
+}
+
+async function findByName(name, limit) {
+  return findByPassKitField(
+    { filterField: 'person.displayName', filterValue: name, filterOperator: 'like' },
+    'name',
+    limit
+  );
+}
+
+/**
+ * Searches for members. `type` forces one of SEARCH_TYPES; otherwise it
+ * is inferred from the query.
+ */
+async function searchMembers(query, { type = null, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const term = String(query || '').trim();
+  if (!term) {
+    const error = new Error('Missing search query');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (type && !SEARCH_TYPES.includes(type)) {
+    const error = new Error(`type must be one of ${SEARCH_TYPES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const types = type ? [type] : classifySearch(term);
+  const results = [];
+  for (const searchType of types) {
+    if (searchType === 'certificateCode') results.push(...await findByCertificateCode(normalizeCertificateCode(term)));
+    if (searchType === 'orderId') results.push(...await findByOrderId(term));
+    if (searchType === 'email') results.push(...await findByEmail(term, limit));
+    if (searchType === 'name') results.push(...await findByName(term, limit));
+  }
+
+  const seen = new Set();
+  const unique = results.filter((result) => {
+    const key = result.memberId || result.certificateCode || result.orderId;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { query: term, types, results: unique.slice(0, limit) };
+}
+
+// ---------- PROFILE ----------
+function summarizeOrder(order) {
+  if (!order) return null;
+  return {
+    id: String(order.id),
+    name: `${order.firstName || ''} ${order.lastName || ''}`.trim() || null,
+    email: order.email || null,
+    phone: order.phone || null,
+    title: order.title || null,
+    status: order.status || order.orderStatus || null,
+    total: order.total ?? null,
+    time: order.time || order.date || null,
+    activity: evaluateOrderActivity(order),
+  };
+}
+
+/**
+ * PassKit reports pass lifecycle in `metrics` (issued, installed,
+ * uninstalled, invalidated).
+ */
+function describePassInstallState(record) {
+  const metrics = record?.metrics || {};
+  const status = metrics.status || null;
+  return {
+    status,
+    installed: status ? /INSTALLED/.test(status) && !/UNINSTALLED/.test(status) : null,
+    issuedAt: metrics.issueAt || null,
+    installedAt: metrics.installedAt || null,
+    uninstalledAt: metrics.uninstalledAt || null,
+    device: metrics.installedDeviceAttributes?.deviceType || metrics.deviceType || null,
+  };
+}
+
+function summarizeMember(record, program) {
+  if (!record) return null;
+  return {
+    id: record.id,
+    externalId: record.externalId || null,
+    program: program?.key || null,
+    programId: record.programId || program?.programId || null,
+    tierId: record.tierId || null,
+    status: record.status || null,
+    points: record.points ?? null,
+    expiryDate: record.expiryDate || null,
+    person: record.person || null,
+    metaData: record.metaData || {},
+    created: record.created || null,
+    updated: record.updated || null,
+  };
+}
+
+async function loadMemberHistory({ certificateCodes, orderId }) {
+  const { queryLogs } = require('./activity-log');
+  const queries = certificateCodes.map((certificateCode) => ({ certificateCode }));
+  if (orderId) queries.push({ orderId: String(orderId) });
+
+  const byId = new Map();
+  for (const filters of queries) {
+    try {
+      const { entries } = await queryLogs(filters, { limit: HISTORY_LIMIT });
+      for (const entry of entries) byId.set(entry.id || `${entry.timestamp}:${entry.message}`, entry);
+    } catch {
+      // History is informational; a failed query leaves it shorter.
+    }
+  }
+  return [...byId.values()]
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+    .slice(0, HISTORY_LIMIT);
+}
+
+/**
+ * Builds the combined profile for a certificate code and/or order ID.
+ * Throws a 404-style error when neither Acuity nor PassKit knows it.
+ */
+async function getMemberProfile({ certificateCode = null, orderId = null } = {}) {
+  let code = certificateCode ? normalizeCertificateCode(certificateCode) : null;
+  let resolvedOrderId = orderId ? String(orderId) : null;
+  if (!code && !resolvedOrderId) {
+    const error = new Error('Missing certificateCode or orderId');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let ledger = await getEnrollmentLedgerEntry({ orderId: resolvedOrderId, certificateCode: code });
+  if (!resolvedOrderId && code) resolvedOrderId = await resolveOrderIdByCertificateCode(code);
+
+  let order = null;
+  let orderError = null;
+  if (resolvedOrderId) {
+    try {
+      order = await fetchOrder(resolvedOrderId);
+    } catch (err) {
+      orderError = err.response?.data || err.message;
+    }
+  }
+  if (!code) {
+    code = ledger?.certificateCode
+      || (order ? normalizeCertificateCode(extractCertificateCode(order)) : null)
+      || registeredOrderCode(await getRegistryMemberByOrderId(resolvedOrderId), resolvedOrderId)
+      || null;
+    if (code && !ledger) ledger = await getEnrollmentLedgerEntry({ certificateCode: code });
+  }
+
+  const registry = code ? await getRegistryMember(code) : null;
+  const memberExternalId = ledger?.memberExternalId || registry?.certificateCode || code;
+  const preferred = preferredProgram(ledger, registry);
+  const { record, program } = memberExternalId
+    ? await findMemberRecord(memberExternalId, preferred)
+    : { record: null, program: preferred };
+
+  if (!order && !record && !ledger && !registry) {
+    const error = new Error('No Acuity order or PassKit member found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const certificateCodes = [...new Set([code, memberExternalId].filter(Boolean))];
+  const { listCheckIns } = require('./check-ins');
+  const { getPointsLedger } = require('./points');
+  const { getPassState } = require('./passkit-sync');
+  return {
+    certificateCode: code,
+    orderId: resolvedOrderId,
+    order: summarizeOrder(order),
+    ...(orderError ? { orderError } : {}),
+    ledger,
+    registry,
+    member: summarizeMember(record, programForMember(record, program)),
+    pass: record ? describePassInstallState(record) : null,
+    passSync: memberExternalId || record ? await getPassState(memberExternalId || record.id).catch(() => null) : null,
+    checkIns: record ? await listCheckIns(record.externalId || record.id, { limit: 5 }).catch(() => null) : null,
+    pointsLedger: record ? await getPointsLedger(record.externalId || record.id, { limit: 10 }).catch(() => null) : null,
+    history: await loadMemberHistory({ certificateCodes, orderId: resolvedOrderId }),
+  };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  searchMembers,
+  getMemberProfile,
+  describePassInstallState,
+  listPassKitMembers,
+};
@@ -0,0 +1,288 @@
+/**
+ * Member registry: the bridge's own record of every member it has seen.
+ *
+ * One record per member, keyed by the member's certificate code (its
+ * PassKit externalId), with status, tier, program, contact details,
+ * timestamps and the history of orders and lifecycle changes that touched
+ * it. A renewal bought under a new certificate code is added to the member
+ * it renews, and the new code resolves to that member.
+ *
+ * Records never expire and are indexed by Acuity order ID, PassKit member
+ * ID and email, so any certificate code, order or member the bridge has
+ * handled resolves without calling Acuity or PassKit. Enrollment,
+ * cancellation, expiry, PassKit deletions and reconciliation write through
+ * to it; those writes are best-effort and never fail the work behind them.
+ */
+const {
+  getRedis,
+  parseStoredJson,
+  isCertificateCode,
+  normalizeCertificateCode,
+  getCertificateOrderMapping,
+  getEnrollmentLedgerEntry,
+} = require('./helpers');
+
+const REGISTRY_MEMBER_KEY_PREFIX = 'acuity_member:';
+const REGISTRY_CODE_KEY_PREFIX = 'acuity_member_code:';
+const REGISTRY_ORDER_KEY_PREFIX = 'acuity_member_order:';
+const REGISTRY_PASSKIT_KEY_PREFIX = 'acuity_member_passkit:';
+const REGISTRY_EMAIL_KEY_PREFIX = 'acuity_member_email:';
+// Scored by -updatedAt, so rank order is most recently updated first.
+const REGISTRY_INDEX_KEY = 'acuity_members';
+const HISTORY_LIMIT = 50;
+const LIST_SCAN_BATCH = 100;
+const MAX_LIST_LIMIT = 200;
+
+const REGISTRY_STATUSES = ['active', 'cancelled', 'expired', 'deleted'];
+const REGISTRY_FIELDS = [
+  'memberId',
+  'program',
+  'programId',
+  'tierId',
+  'status',
+  'expiryDate',
+  'email',
+  'firstName',
+  'lastName',
+];
+
+function normalizeEmail(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function memberKey(code) {
+  return `${REGISTRY_MEMBER_KEY_PREFIX}${code}`;
+}
+
+async function readMember(redis, code) {
+  return parseStoredJson(await redis.get(memberKey(code)));
+}
+
+// ---------- WRITES ----------
+function addHistory(history, entry) {
+  const [latest, ...rest] = history;
+  // Re-processing the same order only refreshes its entry.
+  if (latest && entry.orderId && latest.orderId === entry.orderId && latest.action === entry.action) {
+    return [{ ...latest, at: entry.at }, ...rest];
+  }
+  return [entry, ...history].slice(0, HISTORY_LIMIT);
+}
+
+async function updateIndexes(redis, previous, record, { orderId, certificateCode }) {
+  const code = record.certificateCode;
+  if (certificateCode && certificateCode !== code) {
+    await redis.set(`${REGISTRY_CODE_KEY_PREFIX}${certificateCode}`, code);
+  }
+  if (orderId) await redis.set(`${REGISTRY_ORDER_KEY_PREFIX}${orderId}`, code);
+
+  if (previous?.memberId && previous.memberId !== record.memberId) {
+    await redis.del(`${REGISTRY_PASSKIT_KEY_PREFIX}${previous.memberId}`);
+  }
+  if (record.memberId) await redis.set(`${REGISTRY_PASSKIT_KEY_PREFIX}${record.memberId}`, code);
+
+  const previousEmail = normalizeEmail(previous?.email);
+  const email = normalizeEmail(record.email);
+  if (previousEmail && previousEmail !== email) {
+    await redis.zrem(`${REGISTRY_EMAIL_KEY_PREFIX}${previousEmail}`, code);
+  }
+  const score = -Date.parse(record.updatedAt);
+  if (email) await redis.zadd(`${REGISTRY_EMAIL_KEY_PREFIX}${email}`, { score, member: code });
+  await redis.zadd(REGISTRY_INDEX_KEY, { score, member: code });
+}
+
+/**
+ * Creates or updates the member `fields.certificateCode` (the member's
+ * externalId). Missing or null fields keep their stored value; a `deleted`
+ * status clears the PassKit member ID.
+ *
+ * `change` describes what touched the member: `action` (created, updated,
+ * renewed, unchanged, cancelled, expired, deleted, reconciled), the Acuity
+ * `orderId` if any and the order's own `certificateCode` when it differs
+ * (a renewal). Resolves with the stored record, or null when Redis is
+ * unavailable or the write failed.
+ */
+async function recordRegistryMember(fields, { action, orderId = null, certificateCode = null, source = null } = {}) {
+  try {
+    const redis = getRedis();
+    const code = normalizeCertificateCode(fields.certificateCode);
+    if (!redis || !isCertificateCode(code)) return null;
+
+    const now = new Date().toISOString();
+    const orderCode = certificateCode ? normalizeCertificateCode(certificateCode) : code;
+    const previous = await readMember(redis, code);
+    const updates = Object.fromEntries(REGISTRY_FIELDS
+      .filter((name) => fields[name] !== undefined && fields[name] !== null && fields[name] !== '')
+      .map((name) => [name, name === 'email' ? normalizeEmail(fields[name]) : String(fields[name])]));
+    if (updates.status && !REGISTRY_STATUSES.includes(updates.status)) {
+      throw new Error(`Unknown registry status: ${updates.status}`);
+    }
+
+    const record = {
+      certificateCode: code,
+      certificateCodes: [...new Set([...(previous?.certificateCodes || [code]), orderCode])],
+      ...Object.fromEntries(REGISTRY_FIELDS.map((name) => [name, previous?.[name] ?? null])),
+      ...updates,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now,
+      statusChangedAt: previous?.statusChangedAt || now,
+      ...(previous?.cancelledAt ? { cancelledAt: previous.cancelledAt } : {}),
+      ...(previous?.expiredAt ? { expiredAt: previous.expiredAt } : {}),
+      ...(previous?.deletedAt ? { deletedAt: previous.deletedAt } : {}),
+      history: previous?.history || [],
+    };
+    if (!record.status) record.status = 'active';
+    if (previous?.status !== record.status) {
+      record.statusChangedAt = now;
+      if (record.status !== 'active') record[`${record.status}At`] = now;
+    }
+    if (record.status === 'deleted') record.memberId = null;
+
+    const orderIdValue = orderId ? String(orderId) : null;
+    record.history = addHistory(record.history, {
+      at: now,
+      action: action || 'updated',
+      orderId: orderIdValue,
+      ...(orderCode !== code ? { certificateCode: orderCode } : {}),
+      ...(source ? { source } : {}),
+    });
+
+    await redis.set(memberKey(code), JSON.stringify(record));
+    await updateIndexes(redis, previous, record, { orderId: orderIdValue, certificateCode: orderCode });
+    return record;
+  } catch (err) {
+    console.error('[member-registry] Could not record member:', err.message);
+    return null;
+  }
+}
+
+// ---------- READS ----------
+/**
+ * The registry record for a certificate code. A renewal code resolves to
+ * the member it renewed.
+ */
+async function getRegistryMember(certificateCode) {
+  const redis = getRedis();
+  const code = normalizeCertificateCode(certificateCode);
+  if (!redis || !isCertificateCode(code)) return null;
+  try {
+    const direct = await readMember(redis, code);
+    if (direct) return direct;
+    const alias = await redis.get(`${REGISTRY_CODE_KEY_PREFIX}${code}`);
+    return alias ? readMember(redis, String(alias)) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function getRegistryMemberByIndex(prefix, value) {
+  const redis = getRedis();
+  if (!redis || !value) return null;
+  try {
+    const code = await redis.get(`${prefix}${value}`);
+    return code ? readMember(redis, String(code)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function getRegistryMemberByOrderId(orderId) {
+  return getRegistryMemberByIndex(REGISTRY_ORDER_KEY_PREFIX, orderId ? String(orderId).trim() : '');
+}
+
+function getRegistryMemberByPassKitId(memberId) {
+  return getRegistryMemberByIndex(REGISTRY_PASSKIT_KEY_PREFIX, memberId ? String(memberId).trim() : '');
+}
+
+/** Every member registered under an email, most recently updated first. */
+async function findRegistryMembersByEmail(email, { limit = 20 } = {}) {
+  const redis = getRedis();
+  const address = normalizeEmail(email);
+  if (!redis || !address) return [];
+  try {
+    const codes = (await redis.zrange(`${REGISTRY_EMAIL_KEY_PREFIX}${address}`, 0, limit - 1)) || [];
+    const records = await Promise.all(codes.map((code) => readMember(redis, String(code))));
+    return records.filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The order ID behind a certificate code: the order recorded for that exact
+ * code, or for the member's own code the most recent order.
+ */
+function orderIdForCode(record, certificateCode) {
+  const code = normalizeCertificateCode(certificateCode);
+  const entry = (record?.history || []).find((item) => item.orderId
+    && (item.certificateCode || record.certificateCode) === code);
+  return entry?.orderId || null;
+}
+
+/**
+ * The Acuity order behind a certificate code: the code → order mapping,
+ * then the registry, then the enrollment ledger. The mapping expires after
+ * 90 days; the registry and the ledger do not.
+ */
+async function resolveOrderIdByCertificateCode(certificateCode) {
+  const code = normalizeCertificateCode(certificateCode);
+  if (!getRedis() || !isCertificateCode(code)) return null;
+  try {
+    const mapped = await getCertificateOrderMapping(code);
+    if (mapped) return mapped;
+    const registered = orderIdForCode(await getRegistryMember(code), code);
+    if (registered) return registered;
+    const ledger = await getEnrollmentLedgerEntry({ certificateCode: code });
+    return ledger?.orderId ? String(ledger.orderId) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pages through the registry, most recently updated first. `cursor` is the
+ * previous page's `nextCursor`; `status` keeps one of REGISTRY_STATUSES.
+ */
+async function listRegistryMembers({ status = null, limit = 50, cursor = null } = {}) {
+  if (status && !REGISTRY_STATUSES.includes(status)) {
+    const error = new Error(`status must be one of ${REGISTRY_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const redis = getRedis();
+  if (!redis) return { available: false, total: 0, members: [], nextCursor: null };
+
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_LIST_LIMIT);
+  const total = Number(await redis.zcard(REGISTRY_INDEX_KEY)) || 0;
+  let offset = Math.max(Number.parseInt(cursor, 10) || 0, 0);
+  const members = [];
+
+  while (members.length < pageSize && offset < total) {
+    const codes = (await redis.zrange(REGISTRY_INDEX_KEY, offset, offset + LIST_SCAN_BATCH - 1)) || [];
+    if (codes.length === 0) break;
+    for (const code of codes) {
+      offset += 1;
+      const record = await readMember(redis, String(code));
+      if (record && (!status || record.status === status)) members.push(record);
+      if (members.length === pageSize) break;
+    }
+  }
+
+  return {
+    available: true,
+    total,
+    members,
+    nextCursor: offset < total ? String(offset) : null,
+  };
+}
+
+module.exports = {
+  REGISTRY_STATUSES,
+  recordRegistryMember,
+  getRegistryMember,
+  getRegistryMemberByOrderId,
+  getRegistryMemberByPassKitId,
+  findRegistryMembersByEmail,
+  orderIdForCode,
+  resolveOrderIdByCertificateCode,
+  listRegistryMembers,
+};
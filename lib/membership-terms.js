@@ -0,0 +1,422 @@
+/**
+ * Membership terms, expiry and renewal.
+ *
+ * MEMBERSHIP_TERMS gives each product a term, using the same matching as
+ * TIER_RULES — either a list of rules or `{ "defaultTerm": "...", "rules": [...] }`:
+ *
+ *   [
+ *     { "match": "substring", "pattern": "monthly",   "term": "monthly" },
+ *     { "match": "substring", "pattern": "annual",    "term": "annual" },
+ *     { "match": "exact",     "pattern": "10 Week Course", "term": "10 weeks" },
+ *     { "match": "substring", "pattern": "Summer 2026", "endDate": "2026-08-31" }
+ *   ]
+ *
+ * Terms are `monthly`, `annual`/`yearly`, or `<n> days|weeks|months|years`;
+ * `endDate` sets a fixed last day instead. Products without a term never
+ * expire (the previous behaviour).
+ *
+ * Enrollment sets the member's expiryDate, extending from the current
+ * expiry when it is still in the future (renewal). Expiring members are
+ * kept in two Redis sorted sets, which the cron task walks to send a
+ * reminder MEMBERSHIP_REMINDER_DAYS before expiry and to mark lapsed passes
+ * EXPIRED.
+ */
+const {
+  getRedis,
+  appendLog,
+  passKitRequest,
+  getEnrollmentLedgerEntry,
+  recordEnrollmentLedger,
+  loadPassKitMemberRecord,
+  withOrderLock,
+  withLogContext,
+  createEnvConfig,
+} = require('./helpers');
+const { getProgramByKey, getProgramById } = require('./programs');
+const { parseRuleMatcher, ruleMatches } = require('./tier-routing');
+const { emitMembershipEvent } = require('./outbound-webhooks');
+const { recordRegistryMember } = require('./member-registry');
+
+const EXPIRY_SCHEDULE_KEY = 'acuity_membership_expiry';
+const REMINDER_SCHEDULE_KEY = 'acuity_membership_reminders';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REMINDER_DAYS = 7;
+const DEFAULT_REMINDER_MESSAGE = 'Your membership expires on {date}. Renew to keep your benefits.';
+const SCHEDULE_BATCH_SIZE = 100;
+const EXPIRED_MEMBER_STATUS = 'EXPIRED';
+const TERM_ALIASES = {
+  monthly: { amount: 1, unit: 'month' },
+  annual: { amount: 1, unit: 'year' },
+  annually: { amount: 1, unit: 'year' },
+  yearly: { amount: 1, unit: 'year' },
+  weekly: { amount: 1, unit: 'week' },
+};
+
+// ---------- TERM CONFIGURATION ----------
+function parseTermSpec(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (TERM_ALIASES[text]) return { type: 'period', ...TERM_ALIASES[text], label: text };
+
+  const match = text.match(/^(\d+)\s*(day|week|month|year)s?$/);
+  if (!match || Number(match[1]) <= 0) return null;
+  return { type: 'period', amount: Number(match[1]), unit: match[2], label: text };
+}
+
+function parseEndDate(value) {
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const timestamp = Date.parse(`${text}T23:59:59.000Z`);
+  return Number.isFinite(timestamp) ? { type: 'fixed', endDate: text, label: `until ${text}` } : null;
+}
+
+function parseTermEntry(entry, label, errors) {
+  if (entry.endDate !== undefined) {
+    const term = parseEndDate(entry.endDate);
+    if (!term) errors.push(`${label}: endDate must be YYYY-MM-DD`);
+    return term;
+  }
+  const term = parseTermSpec(entry.term);
+  if (!term) errors.push(`${label}: term must be monthly, annual or "<n> days|weeks|months|years"`);
+  return term;
+}
+
+function parseMembershipTerms(rawTerms) {
+  const errors = [];
+  let defaultTerm = null;
+  let ruleList = [];
+
+  if (rawTerms) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(rawTerms);
+    } catch (err) {
+      errors.push(`MEMBERSHIP_TERMS is not valid JSON: ${err.message}`);
+    }
+
+    if (Array.isArray(parsed)) {
+      ruleList = parsed;
+    } else if (parsed && typeof parsed === 'object') {
+      if (parsed.rules !== undefined && !Array.isArray(parsed.rules)) {
+        errors.push('MEMBERSHIP_TERMS.rules must be an array');
+      } else {
+        ruleList = parsed.rules || [];
+      }
+      if (parsed.defaultTerm !== undefined) {
+        defaultTerm = parseTermSpec(parsed.defaultTerm) || parseEndDate(parsed.defaultTerm);
+        if (!defaultTerm) errors.push('MEMBERSHIP_TERMS.defaultTerm is not a valid term or YYYY-MM-DD date');
+      }
+    } else if (parsed !== null) {
+      errors.push('MEMBERSHIP_TERMS must be a JSON array or object');
+    }
+  }
+
+  const rules = [];
+  ruleList.forEach((rule, index) => {
+    const label = `Term rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    const matcher = parseRuleMatcher(rule, label, errors);
+    const term = parseTermEntry(rule, label, errors);
+    rules.push({ ...matcher, term });
+  });
+
+  return { defaultTerm, rules, errors, valid: errors.length === 0 };
+}
+
+const getMembershipTerms = createEnvConfig(
+  ['MEMBERSHIP_TERMS'],
+  parseMembershipTerms,
+  '[membership-terms] Invalid MEMBERSHIP_TERMS:'
+);
+
+function getReminderDays() {
+  const parsed = Number.parseInt(process.env.MEMBERSHIP_REMINDER_DAYS, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_REMINDER_DAYS;
+}
+
+/**
+ * Returns the term for an order's product, or null when it never expires.
+ */
+function resolveMembershipTerm(order) {
+  const config = getMembershipTerms();
+  if (!config.valid) {
+    throw new Error(`Invalid membership term configuration: ${config.errors.join('; ')}`);
+  }
+  const rule = config.rules.find((candidate) => ruleMatches(candidate, order));
+  return rule ? rule.term : config.defaultTerm;
+}
+
+function addPeriod(timestamp, { amount, unit }) {
+  const date = new Date(timestamp);
+  if (unit === 'day') return timestamp + amount * DAY_MS;
+  if (unit === 'week') return timestamp + amount * 7 * DAY_MS;
+
+  const months = unit === 'year' ? amount * 12 : amount;
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  // Clamp to the last day of the target month (Jan 31 + 1 month = Feb 28/29).
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.getTime();
+}
+
+/**
+ * Computes the expiry for a purchase. Period terms start at the later of
+ * the purchase date and the member's current (unexpired) expiry, so an
+ * early renewal doesn't lose the remaining days.
+ */
+function computeExpiryDate(term, { startDate = null, currentExpiry = null } = {}) {
+  if (!term) return null;
+  if (term.type === 'fixed') return new Date(`${term.endDate}T23:59:59.000Z`).toISOString();
+
+  const purchasedAt = Date.parse(startDate);
+  const current = Date.parse(currentExpiry);
+  let base = Number.isFinite(purchasedAt) ? purchasedAt : Date.now();
+  if (Number.isFinite(current) && current > base) base = current;
+  return new Date(addPeriod(base, term)).toISOString();
+}
+
+function describeMembershipTerms() {
+  const config = getMembershipTerms();
+  return {
+    valid: config.valid,
+    errors: config.errors,
+    defaultTerm: config.defaultTerm ? config.defaultTerm.label : null,
+    reminderDays: getReminderDays(),
+    rules: config.rules.map(({ regex, term, ...rule }) => ({ ...rule, term: term ? term.label : null })),
+  };
+}
+
+// ---------- EXPIRY SCHEDULE ----------
+/**
+ * Records (or moves) a member's expiry in the schedule. Keyed by the
+ * member's PassKit externalId so renewals replace the previous entry.
+ */
+async function scheduleMembershipExpiry(memberExternalId, expiryDate) {
+  const redis = getRedis();
+  const expiresAt = Date.parse(expiryDate);
+  if (!redis || !memberExternalId || !Number.isFinite(expiresAt)) return;
+
+  try {
+    await redis.zadd(EXPIRY_SCHEDULE_KEY, { score: expiresAt, member: memberExternalId });
+    await redis.zadd(REMINDER_SCHEDULE_KEY, {
+      score: expiresAt - getReminderDays() * DAY_MS,
+      member: memberExternalId,
+    });
+  } catch (err) {
+    await appendLog('warn', 'Could not schedule membership expiry', {
+      externalId: memberExternalId,
+      expiryDate,
+      error: err.message,
+    }, 'membership.expiry_failed');
+  }
+}
+
+async function unscheduleMembershipExpiry(memberExternalId) {
+  const redis = getRedis();
+  if (!redis || !memberExternalId) return;
+  try {
+    await redis.zrem(EXPIRY_SCHEDULE_KEY, memberExternalId);
+    await redis.zrem(REMINDER_SCHEDULE_KEY, memberExternalId);
+  } catch {
+    // A stale schedule entry is skipped by the cron task.
+  }
+}
+
+function formatExpiryDate(expiryDate) {
+  return new Date(expiryDate).toISOString().slice(0, 10);
+}
+
+function resolveLedgerProgram(ledger) {
+  return getProgramByKey(ledger.programKey) || getProgramById(ledger.programId);
+}
+
+async function updateMemberLifecycle(ledger, changes) {
+  const program = resolveLedgerProgram(ledger);
+  if (!program?.programId) throw new Error('Missing PASSKIT_PROGRAM_ID for membership update');
+
+  const record = await loadPassKitMemberRecord({ id: ledger.memberId });
+  const payload = {
+    id: ledger.memberId,
+    programId: program.programId,
+    externalId: ledger.certificateCode,
+    ...(changes.status ? { status: changes.status } : {}),
+    // metaData is replaced as a whole by PassKit, so send the merged map.
+    metaData: { ...(record?.metaData || {}), ...changes.metaData },
+  };
+  if (record?.person?.emailAddress) payload.person = { emailAddress: record.person.emailAddress };
+  await passKitRequest('PUT', '/members/member', payload);
+  return program;
+}
+
+function lifecycleLogContext(ledger, program) {
+  return {
+    program: program.key,
+    certificateCode: ledger.certificateCode,
+    memberId: ledger.memberId,
+    ...(ledger.orderId ? { orderId: ledger.orderId } : {}),
+  };
+}
+
+async function sendExpiryReminder(ledger) {
+  const date = formatExpiryDate(ledger.expiryDate);
+  const message = (readEnv('MEMBERSHIP_REMINDER_MESSAGE') || DEFAULT_REMINDER_MESSAGE).replace(/\{date\}/g, date);
+  const program = await updateMemberLifecycle(ledger, {
+    metaData: { expiryReminder: message, expiryReminderSentAt: new Date().toISOString() },
+  });
+  await recordEnrollmentLedger({ certificateCode: ledger.certificateCode, reminderSentFor: ledger.expiryDate });
+  await withLogContext(lifecycleLogContext(ledger, program), () => appendLog('info', 'Sent membership expiry reminder', {
+    externalId: ledger.certificateCode,
+    passKitId: ledger.memberId,
+    expiryDate: ledger.expiryDate,
+  }, 'membership.reminder_sent'));
+}
+
+async function expireMembership(ledger) {
+  const program = await updateMemberLifecycle(ledger, {
+    status: EXPIRED_MEMBER_STATUS,
+    metaData: { expiredAt: new Date().toISOString() },
+  });
+  await recordEnrollmentLedger({
+    certificateCode: ledger.certificateCode,
+    outcome: 'expired',
+    processedAt: new Date().toISOString(),
+  });
+  await recordRegistryMember({
+    certificateCode: ledger.certificateCode,
+    memberId: ledger.memberId,
+    program: program.key,
+    programId: program.programId,
+    status: 'expired',
+    expiryDate: ledger.expiryDate,
+  }, { action: 'expired' });
+  await withLogContext(lifecycleLogContext(ledger, program), () => appendLog('info', 'Membership expired', {
+    externalId: ledger.certificateCode,
+    passKitId: ledger.memberId,
+    expiryDate: ledger.expiryDate,
+  }, 'membership.expired'));
+  await withLogContext(lifecycleLogContext(ledger, program), () => emitMembershipEvent('membership.expired', {
+    certificateCode: ledger.certificateCode,
+    orderId: ledger.orderId,
+    memberId: ledger.memberId,
+    program: program.key,
+    programId: program.programId,
+    tierId: ledger.tierId,
+    status: 'expired',
+    expiryDate: ledger.expiryDate,
+  }));
+}
+
+/**
+ * Runs `fn(ledger)` for a scheduled member under its order lock, so a
+ * renewal being processed at the same time wins. Returns false (and
+ * drops the schedule entry) when there is nothing left to do.
+ */
+async function withScheduledMember(memberExternalId, fn) {
+  const initial = await getEnrollmentLedgerEntry({ certificateCode: memberExternalId });
+  const run = async () => {
+    const ledger = await getEnrollmentLedgerEntry({ certificateCode: memberExternalId });
+    if (!ledger?.expiryDate || !ledger.memberId || ['cancelled', 'expired'].includes(ledger.outcome)) {
+      await unscheduleMembershipExpiry(memberExternalId);
+      return false;
+    }
+    return fn(ledger);
+  };
+  return initial?.orderId ? withOrderLock(initial.orderId, run) : run();
+}
+
+/**
+ * Cron task: sends due reminders, then expires lapsed members.
+ */
+async function runMembershipExpiry({ timeBudgetMs = 15000, now = Date.now() } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, reminded: 0, expired: 0, failed: 0 };
+
+  const startedAt = Date.now();
+  const summary = { available: true, reminded: 0, expired: 0, failed: 0 };
+  const outOfTime = () => Date.now() - startedAt > timeBudgetMs;
+
+  const dueReminders = ((await redis.zrange(REMINDER_SCHEDULE_KEY, 0, now, {
+    byScore: true,
+    offset: 0,
+    count: SCHEDULE_BATCH_SIZE,
+  })) || []).map(String);
+
+  for (const code of dueReminders) {
+    if (outOfTime()) break;
+    try {
+      await withScheduledMember(code, async (ledger) => {
+        if (Date.parse(ledger.expiryDate) <= now) return; // Expiry handles it.
+        if (ledger.reminderSentFor !== ledger.expiryDate) {
+          await sendExpiryReminder(ledger);
+          summary.reminded += 1;
+        }
+        await redis.zrem(REMINDER_SCHEDULE_KEY, code);
+      });
+    } catch (err) {
+      summary.failed += 1;
+      await appendLog('error', 'Failed to send membership expiry reminder', {
+        externalId: code,
+        error: err.response?.data || err.message,
+      }, 'membership.expiry_failed');
+    }
+  }
+
+  const dueExpiries = ((await redis.zrange(EXPIRY_SCHEDULE_KEY, 0, now, {
+    byScore: true,
+    offset: 0,
+    count: SCHEDULE_BATCH_SIZE,
+  })) || []).map(String);
+
+  for (const code of dueExpiries) {
+    if (outOfTime()) break;
+    try {
+      await withScheduledMember(code, async (ledger) => {
+        if (Date.parse(ledger.expiryDate) > now) {
+          // Renewed since it was scheduled; move it to the new date.
+          await scheduleMembershipExpiry(code, ledger.expiryDate);
+          return;
+        }
+        await expireMembership(ledger);
+        await unscheduleMembershipExpiry(code);
+        summary.expired += 1;
+      });
+    } catch (err) {
+      summary.failed += 1;
+      await appendLog('error', 'Failed to expire membership', {
+        externalId: code,
+        error: err.response?.data || err.message,
+      }, 'membership.expiry_failed');
+    }
+  }
+
+  return summary;
+}
+
+async function getExpiryOverview() {
+  const redis = getRedis();
+  if (!redis) return { available: false, scheduled: 0, pendingReminders: 0 };
+  const [scheduled, pendingReminders] = await Promise.all([
+    redis.zcard(EXPIRY_SCHEDULE_KEY),
+    redis.zcard(REMINDER_SCHEDULE_KEY),
+  ]);
+  return {
+    available: true,
+    scheduled: Number(scheduled) || 0,
+    pendingReminders: Number(pendingReminders) || 0,
+  };
+}
+
+module.exports = {
+  parseMembershipTerms,
+  resolveMembershipTerm,
+  computeExpiryDate,
+  describeMembershipTerms,
+  scheduleMembershipExpiry,
+  unscheduleMembershipExpiry,
+  runMembershipExpiry,
+  getExpiryOverview,
+};
@@ -0,0 +1,201 @@
+/**
+ * In-memory Redis with the interface of the clients getRedis() builds (the
+ * @upstash/redis-style command subset the bridge uses).
+ *
+ * Selected with REDIS_URL=memory:// for local runs and the test suite. Data
+ * lives only as long as the process, so it is no substitute for Redis in a
+ * deployment. Values are stored as strings, like the Upstash REST client
+ * returns them.
+ */
+
+function wrongType() {
+  return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+// Redis list/rank ranges: inclusive, negative indexes count from the end.
+function sliceRange(items, start, stop) {
+  const length = items.length;
+  const from = Math.max(start < 0 ? length + start : start, 0);
+  const to = Math.min(stop < 0 ? length + stop : stop, length - 1);
+  return from > to ? [] : items.slice(from, to + 1);
+}
+
+// Score bounds as Redis takes them, including '-inf' and '+inf'.
+function parseScore(value) {
+  if (value === '-inf') return -Infinity;
+  if (value === '+inf' || value === 'inf') return Infinity;
+  return Number(value);
+}
+
+function createMemoryRedisClient() {
+  // key → { type: 'string' | 'list' | 'zset', value, expiresAt }
+  const entries = new Map();
+
+  function read(key, type) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) throw wrongType();
+    return entry;
+  }
+
+  function readOrCreate(key, type, empty) {
+    const existing = read(key, type);
+    if (existing) return existing;
+    const entry = { type, value: empty(), expiresAt: null };
+    entries.set(key, entry);
+    return entry;
+  }
+
+  // Redis removes a list or sorted set once its last element goes.
+  function dropIfEmpty(key, entry) {
+    const size = entry.type === 'zset' ? entry.value.size : entry.value.length;
+    if (size === 0) entries.delete(key);
+  }
+
+  function sortedMembers(zset) {
+    return [...zset.entries()]
+      .sort(([memberA, scoreA], [memberB, scoreB]) => (scoreA - scoreB) || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0));
+  }
+
+  return {
+    async lpush(key, value) {
+      const entry = readOrCreate(key, 'list', () => []);
+      entry.value.unshift(String(value));
+      return entry.value.length;
+    },
+    async rpush(key, value) {
+      const entry = readOrCreate(key, 'list', () => []);
+      entry.value.push(String(value));
+      return entry.value.length;
+    },
+    async ltrim(key, start, stop) {
+      const entry = read(key, 'list');
+      if (entry) {
+        entry.value = sliceRange(entry.value, Number(start), Number(stop));
+        dropIfEmpty(key, entry);
+      }
+      return 'OK';
+    },
+    async lrange(key, start, stop) {
+      const entry = read(key, 'list');
+      return entry ? sliceRange(entry.value, Number(start), Number(stop)) : [];
+    },
+    async lrem(key, count, value) {
+      const entry = read(key, 'list');
+      if (!entry) return 0;
+      const target = String(value);
+      const limit = Number(count) === 0 ? Infinity : Math.abs(Number(count));
+      const fromEnd = Number(count) < 0;
+      const items = fromEnd ? [...entry.value].reverse() : [...entry.value];
+      let removed = 0;
+      const kept = items.filter((item) => {
+        if (item === target && removed < limit) {
+          removed += 1;
+          return false;
+        }
+        return true;
+      });
+      entry.value = fromEnd ? kept.reverse() : kept;
+      dropIfEmpty(key, entry);
+      return removed;
+    },
+    async llen(key) {
+      const entry = read(key, 'list');
+      return entry ? entry.value.length : 0;
+    },
+    async get(key) {
+      const entry = read(key, 'string');
+      return entry ? entry.value : null;
+    },
+    async set(key, value, options = null) {
+      if (options && options.nx && read(key)) return null;
+      entries.set(key, {
+        type: 'string',
+        value: String(value),
+        expiresAt: options && typeof options.ex === 'number' ? Date.now() + options.ex * 1000 : null,
+      });
+      return 'OK';
+    },
+    async del(key) {
+      const existed = !!read(key);
+      entries.delete(key);
+      return existed ? 1 : 0;
+    },
+    async expire(key, seconds) {
+      const entry = read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(seconds) * 1000;
+      return 1;
+    },
+    async incr(key) {
+      const entry = read(key, 'string');
+      const current = entry ? Number(entry.value) : 0;
+      if (!Number.isInteger(current)) throw new Error('ERR value is not an integer or out of range');
+      const next = current + 1;
+      entries.set(key, { type: 'string', value: String(next), expiresAt: entry?.expiresAt || null });
+      return next;
+    },
+    // There's no Lua here, so only the scripts the bridge sends are known.
+    async eval(script, keys, args) {
+      const { COMPARE_AND_DELETE_SCRIPT } = require('./helpers');
+      if (script !== COMPARE_AND_DELETE_SCRIPT) throw new Error('ERR memory:// Redis cannot run this script');
+      const entry = read(keys[0], 'string');
+      if (!entry || entry.value !== String(args[0])) return 0;
+      entries.delete(keys[0]);
+      return 1;
+    },
+    async zadd(key, { score, member }) {
+      const entry = readOrCreate(key, 'zset', () => new Map());
+      const added = entry.value.has(String(member)) ? 0 : 1;
+      entry.value.set(String(member), Number(score));
+      return added;
+    },
+    async zrem(key, member) {
+      const entry = read(key, 'zset');
+      if (!entry) return 0;
+      const removed = entry.value.delete(String(member)) ? 1 : 0;
+      dropIfEmpty(key, entry);
+      return removed;
+    },
+    async zrange(key, min, max, options = null) {
+      const entry = read(key, 'zset');
+      if (!entry) return [];
+      const sorted = sortedMembers(entry.value);
+      let members;
+      if (options && options.byScore) {
+        members = sorted.filter(([, score]) => score >= parseScore(min) && score <= parseScore(max));
+      } else {
+        members = sliceRange(sorted, Number(min), Number(max));
+      }
+      if (options && typeof options.count === 'number') {
+        const offset = options.offset || 0;
+        members = members.slice(offset, options.count < 0 ? undefined : offset + options.count);
+      }
+      return members.map(([member]) => member);
+    },
+    async zcard(key) {
+      const entry = read(key, 'zset');
+      return entry ? entry.value.size : 0;
+    },
+    async ping() {
+      return 'PONG';
+    },
+    // Not part of the shared interface; lets tests start from an empty store.
+    async flushall() {
+      entries.clear();
+      return 'OK';
+    },
+    // Not part of the shared interface; lets tests check nothing was written.
+    async dbsize() {
+      return [...entries.keys()].filter((key) => read(key)).length;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryRedisClient,
+};
@@ -0,0 +1,538 @@
+/**
+ * Email notifications for members and staff.
+ *
+ *   install_link        — to a new member, with their pass install link
+ *   install_reminder    — re-sent INSTALL_REMINDER_DAYS later if the pass
+ *                         still isn't installed
+ *   enrollment_delayed  — to the member when PassKit enrollment fails, so
+ *                         they hear something while staff fix it
+ *   failure_digest      — to NOTIFY_STAFF_EMAILS, listing failed enrollments
+ *                         not since resolved (at most every NOTIFY_DIGEST_HOURS)
+ *
+ * Mail goes out through a transport picked by NOTIFY_TRANSPORT: `smtp`
+ * (nodemailer, SMTP_* settings), `file` (one .eml per message in
+ * NOTIFY_FILE_DIR) or `console`. More can be added with
+ * registerNotificationTransport(). Without a transport, notifications are
+ * off and nothing else changes.
+ *
+ * Templates use {field} placeholders and can be edited from the dashboard
+ * (stored in Redis); DEFAULT_TEMPLATES apply otherwise. Each member email is
+ * sent at most once per member/order, however often a webhook is retried.
+ * Notifications never fail the enrollment that triggered them.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRedis,
+  parseStoredJson,
+  appendLog,
+  parseBoolean,
+  getEnrollmentLedgerEntry,
+  loadPassKitMemberRecord,
+  readEnv,
+  createEnvConfig,
+} = require('./helpers');
+const { getProgramById } = require('./programs');
+const { describePassInstallState } = require('./member-lookup');
+
+const NOTIFICATION_TEMPLATES_KEY = 'acuity_notification_templates';
+const NOTIFICATION_SENT_KEY_PREFIX = 'acuity_notification_sent:';
+const NOTIFICATION_SENT_TTL_SECONDS = 60 * 60 * 24 * 90; // 90 days
+const INSTALL_REMINDER_SCHEDULE_KEY = 'acuity_install_reminders';
+const FAILED_ENROLLMENTS_KEY = 'acuity_failed_enrollments';
+const FAILED_ENROLLMENTS_LIMIT = 500;
+const DIGEST_SENT_AT_KEY = 'acuity_failure_digest_sent_at';
+const REMINDER_BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INSTALL_REMINDER_DAYS = 3;
+const DEFAULT_DIGEST_HOURS = 24;
+const DEFAULT_PASS_URL = 'https://pub1.pskt.io/{memberId}';
+const DEFAULT_FILE_DIR = path.join(os.tmpdir(), 'acuity-passkit-mail');
+const ENROLLED_OUTCOMES = new Set(['created', 'updated', 'unchanged']);
+
+const MEMBER_FIELDS = ['firstName', 'lastName', 'name', 'email', 'certificateCode', 'orderId', 'program', 'installUrl'];
+const TEMPLATE_FIELDS = {
+  install_link: MEMBER_FIELDS,
+  install_reminder: MEMBER_FIELDS,
+  enrollment_delayed: MEMBER_FIELDS,
+  failure_digest: ['count', 'failures'],
+};
+const TEMPLATE_NAMES = Object.keys(TEMPLATE_FIELDS);
+
+const DEFAULT_TEMPLATES = {
+  install_link: {
+    subject: 'Your {program} membership card',
+    text: 'Hi {firstName},\n\nYour membership card is ready. Open this link on your phone to add it to Apple Wallet or Google Wallet:\n\n{installUrl}\n\nSee you soon!',
+  },
+  install_reminder: {
+    subject: 'Reminder: add your {program} membership card',
+    text: "Hi {firstName},\n\nYou haven't added your membership card to your phone yet. It only takes a moment:\n\n{installUrl}",
+  },
+  enrollment_delayed: {
+    subject: 'Your {program} membership card is on its way',
+    text: "Hi {firstName},\n\nThanks for your purchase! We couldn't create your membership card just yet. Our team has been notified and will send it to you shortly.\n\nYour certificate code is {certificateCode}.",
+  },
+  failure_digest: {
+    subject: '{count} membership enrollment(s) need attention',
+    text: 'These orders could not be enrolled in PassKit:\n\n{failures}\n\nRe-process them from the dashboard once the cause is fixed.',
+  },
+};
+
+// ---------- TRANSPORTS ----------
+const transports = new Map();
+
+/**
+ * Adds a transport. `factory(config)` returns `{ send(message) }`, where
+ * `message` is `{ from, to, subject, text }` and `send` resolves with
+ * `{ messageId }`.
+ */
+function registerNotificationTransport(name, factory) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) throw new Error('Notification transport name is required');
+  if (typeof factory !== 'function') throw new Error(`Notification transport "${key}" needs a factory function`);
+  transports.set(key, factory);
+}
+
+registerNotificationTransport('console', () => ({
+  async send(message) {
+    console.log(`[notify] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId: crypto.randomUUID() };
+  },
+}));
+
+registerNotificationTransport('file', (config) => ({
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    await fs.promises.mkdir(config.fileDir, { recursive: true });
+    const file = path.join(config.fileDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.eml`);
+    const headers = [`From: ${message.from}`, `To: ${message.to}`, `Subject: ${message.subject}`, `Message-ID: <${messageId}>`];
+    await fs.promises.writeFile(file, `${headers.join('\r\n')}\r\n\r\n${message.text}\n`);
+    return { messageId, file };
+  },
+}));
+
+registerNotificationTransport('smtp', (config) => {
+  // Loaded on first use so the other transports work without it.
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    ...(config.smtp.user ? { auth: { user: config.smtp.user, pass: readEnv('SMTP_PASSWORD') } } : {}),
+  });
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+});
+
+// ---------- CONFIGURATION ----------
+function readPositiveNumber(name, fallback, errors) {
+  const raw = readEnv(name);
+  if (!raw) return fallback;
+  const parsed = Number(raw);
+  if (Number.isFinite(parsed) && parsed >= 0) return parsed;
+  errors.push(`${name} must be a number of 0 or more`);
+  return fallback;
+}
+
+function parseNotificationConfig() {
+  const errors = [];
+  const smtp = {
+    host: readEnv('SMTP_HOST'),
+    port: Number.parseInt(readEnv('SMTP_PORT'), 10) || 587,
+    secure: parseBoolean(readEnv('SMTP_SECURE'), readEnv('SMTP_PORT') === '465'),
+    user: readEnv('SMTP_USER'),
+  };
+  const transport = (readEnv('NOTIFY_TRANSPORT') || (smtp.host ? 'smtp' : 'none')).toLowerCase();
+  const config = {
+    transport,
+    enabled: transport !== 'none',
+    from: readEnv('NOTIFY_FROM'),
+    smtp,
+    fileDir: readEnv('NOTIFY_FILE_DIR') || DEFAULT_FILE_DIR,
+    staffEmails: readEnv('NOTIFY_STAFF_EMAILS').split(',').map((email) => email.trim()).filter(Boolean),
+    installReminderDays: readPositiveNumber('INSTALL_REMINDER_DAYS', DEFAULT_INSTALL_REMINDER_DAYS, errors),
+    digestHours: readPositiveNumber('NOTIFY_DIGEST_HOURS', DEFAULT_DIGEST_HOURS, errors),
+    passUrl: readEnv('PASSKIT_PASS_URL') || DEFAULT_PASS_URL,
+  };
+
+  if (config.enabled && !transports.has(transport)) {
+    errors.push(`NOTIFY_TRANSPORT must be one of none, ${[...transports.keys()].join(', ')}`);
+  }
+  if (transport === 'smtp') {
+    if (!smtp.host) errors.push('SMTP_HOST is required for the smtp transport');
+    if (!config.from) errors.push('NOTIFY_FROM is required for the smtp transport');
+  }
+  if (!config.passUrl.includes('{memberId}')) errors.push('PASSKIT_PASS_URL must contain {memberId}');
+  if (!config.from) config.from = 'membership@localhost';
+
+  return { ...config, errors, valid: errors.length === 0 };
+}
+
+const getNotificationConfig = createEnvConfig(
+  [
+    'NOTIFY_TRANSPORT', 'NOTIFY_FROM', 'NOTIFY_FILE_DIR', 'NOTIFY_STAFF_EMAILS', 'NOTIFY_DIGEST_HOURS',
+    'INSTALL_REMINDER_DAYS', 'PASSKIT_PASS_URL', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER',
+  ],
+  parseNotificationConfig,
+  '[notifications] Invalid notification settings:'
+);
+
+function describeNotifications() {
+  const { valid, errors, transport, enabled, from, smtp, fileDir, staffEmails, installReminderDays, digestHours } = getNotificationConfig();
+  return {
+    valid,
+    errors,
+    transport,
+    enabled,
+    from,
+    ...(transport === 'smtp' ? { smtpHost: smtp.host, smtpPort: smtp.port } : {}),
+    ...(transport === 'file' ? { fileDir } : {}),
+    staffRecipients: staffEmails.length,
+    installReminderDays,
+    digestHours,
+  };
+}
+
+// ---------- TEMPLATES ----------
+function templatePlaceholders(template) {
+  return [...String(template).matchAll(/\{([^{}]+)\}/g)].map((match) => match[1].trim());
+}
+
+function validateNotificationTemplates(templates) {
+  const errors = [];
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return ['templates must be an object keyed by template name'];
+  }
+  for (const [name, template] of Object.entries(templates)) {
+    if (!TEMPLATE_FIELDS[name]) {
+      errors.push(`Unknown template "${name}" (expected ${TEMPLATE_NAMES.join(', ')})`);
+      continue;
+    }
+    for (const part of ['subject', 'text']) {
+      if (typeof template?.[part] !== 'string' || !template[part].trim()) {
+        errors.push(`${name}.${part} must be a non-empty string`);
+        continue;
+      }
+      const unknown = templatePlaceholders(template[part]).filter((field) => !TEMPLATE_FIELDS[name].includes(field));
+      if (unknown.length) {
+        errors.push(`${name}.${part}: unknown field ${unknown.map((field) => `{${field}}`).join(', ')}`);
+      }
+    }
+  }
+  return errors;
+}
+
+async function loadNotificationTemplates() {
+  try {
+    const redis = getRedis();
+    const stored = redis ? parseStoredJson(await redis.get(NOTIFICATION_TEMPLATES_KEY)) : null;
+    if (stored) {
+      const errors = validateNotificationTemplates(stored);
+      if (errors.length === 0) return { templates: { ...DEFAULT_TEMPLATES, ...stored }, source: 'redis' };
+      await appendLog('warn', 'Stored notification templates are invalid; using defaults', { errors }, 'config.invalid');
+    }
+  } catch {
+    // Fall through to the defaults.
+  }
+  return { templates: DEFAULT_TEMPLATES, source: 'default' };
+}
+
+/**
+ * Saves edited templates. Templates left out keep their default.
+ */
+async function saveNotificationTemplates(templates) {
+  const errors = validateNotificationTemplates(templates);
+  if (errors.length > 0) {
+    const error = new Error('Invalid notification templates');
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to save notification templates');
+  await redis.set(NOTIFICATION_TEMPLATES_KEY, JSON.stringify(templates));
+  await appendLog('info', 'Notification templates updated by operator', {
+    templates: Object.keys(templates),
+  }, 'config.changed');
+  return { ...DEFAULT_TEMPLATES, ...templates };
+}
+
+async function resetNotificationTemplates() {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to reset notification templates');
+  await redis.del(NOTIFICATION_TEMPLATES_KEY);
+  await appendLog('info', 'Notification templates reset to defaults by operator', null, 'config.changed');
+}
+
+function renderTemplate(template, values) {
+  return String(template).replace(/\{([^{}]+)\}/g, (match, field) => {
+    const value = values[field.trim()];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function installUrl(memberId) {
+  return memberId ? getNotificationConfig().passUrl.replace(/\{memberId\}/g, encodeURIComponent(memberId)) : '';
+}
+
+function memberValues({ person = {}, memberId = null, certificateCode = null, orderId = null, program = null }) {
+  return {
+    firstName: person.forename || '',
+    lastName: person.surname || '',
+    name: person.displayName || `${person.forename || ''} ${person.surname || ''}`.trim(),
+    email: person.emailAddress || '',
+    certificateCode: certificateCode || '',
+    orderId: orderId ? String(orderId) : '',
+    program: program?.name || program?.key || '',
+    installUrl: installUrl(memberId),
+  };
+}
+
+// ---------- SENDING ----------
+/**
+ * Sends a ready-made `{ to, subject, text }` message through the configured
+ * transport. Rejects when notifications are off or the transport fails.
+ */
+async function sendEmail(message) {
+  const config = getNotificationConfig();
+  if (!config.enabled || !config.valid) throw new Error('Email notifications are not configured');
+  return transports.get(config.transport)(config).send({ from: config.from, ...message });
+}
+
+/**
+ * Renders and sends one template. With `dedupeKey`, the same template is
+ * sent to that key at most once. Resolves with `sent` and, when nothing was
+ * sent, `reason` (disabled, duplicate, no_recipient, error).
+ */
+async function sendNotification(templateName, to, values, { dedupeKey = null } = {}) {
+  const config = getNotificationConfig();
+  if (!config.enabled || !config.valid) return { sent: false, reason: 'disabled' };
+  if (!to) return { sent: false, reason: 'no_recipient' };
+
+  const redis = getRedis();
+  const claimKey = dedupeKey ? `${NOTIFICATION_SENT_KEY_PREFIX}${templateName}:${dedupeKey}` : null;
+  if (claimKey && redis) {
+    const claimed = await redis.set(claimKey, new Date().toISOString(), { ex: NOTIFICATION_SENT_TTL_SECONDS, nx: true });
+    if (!claimed) return { sent: false, reason: 'duplicate' };
+  }
+
+  const { templates } = await loadNotificationTemplates();
+  const template = templates[templateName];
+  const message = {
+    from: config.from,
+    to,
+    subject: renderTemplate(template.subject, values),
+    text: renderTemplate(template.text, values),
+  };
+
+  try {
+    const result = await sendEmail(message);
+    await appendLog('info', `Sent ${templateName} email`, {
+      template: templateName,
+      to,
+      transport: config.transport,
+      messageId: result?.messageId || null,
+    }, 'notification.sent');
+    return { sent: true, messageId: result?.messageId || null };
+  } catch (err) {
+    if (claimKey && redis) await redis.del(claimKey).catch(() => {});
+    await appendLog('error', `Failed to send ${templateName} email`, {
+      template: templateName,
+      to,
+      transport: config.transport,
+      error: err.message,
+    }, 'notification.failed');
+    return { sent: false, reason: 'error', error: err.message };
+  }
+}
+
+/**
+ * After a member is created: emails the install link and schedules the
+ * install reminder.
+ */
+async function notifyMemberEnrolled({ memberId, member, program, orderId }) {
+  try {
+    const config = getNotificationConfig();
+    if (!config.enabled || !memberId) return { sent: false, reason: 'disabled' };
+    const result = await sendNotification('install_link', member.person?.emailAddress, memberValues({
+      person: member.person,
+      memberId,
+      certificateCode: member.externalId,
+      orderId,
+      program,
+    }), { dedupeKey: memberId });
+
+    const redis = getRedis();
+    if (result.sent && redis && config.installReminderDays > 0) {
+      await redis.zadd(INSTALL_REMINDER_SCHEDULE_KEY, {
+        score: Date.now() + config.installReminderDays * DAY_MS,
+        member: memberId,
+      });
+    }
+    return result;
+  } catch (err) {
+    return { sent: false, reason: 'error', error: err.message };
+  }
+}
+
+/**
+ * After PassKit enrollment fails: queues the order for the staff digest and
+ * tells the member (once per order) that their card is delayed.
+ */
+async function notifyEnrollmentFailed({ order, orderId, certificateCode, program, error }) {
+  try {
+    const redis = getRedis();
+    if (redis) {
+      await redis.rpush(FAILED_ENROLLMENTS_KEY, JSON.stringify({
+        orderId: String(orderId),
+        certificateCode: certificateCode || null,
+        name: `${order?.firstName || ''} ${order?.lastName || ''}`.trim() || null,
+        email: order?.email || null,
+        program: program?.key || null,
+        error: typeof error === 'string' ? error : JSON.stringify(error),
+        at: new Date().toISOString(),
+      }));
+      await redis.ltrim(FAILED_ENROLLMENTS_KEY, -FAILED_ENROLLMENTS_LIMIT, -1);
+    }
+    return await sendNotification('enrollment_delayed', order?.email, memberValues({
+      person: { forename: order?.firstName, surname: order?.lastName, emailAddress: order?.email },
+      certificateCode,
+      orderId,
+      program,
+    }), { dedupeKey: String(orderId) });
+  } catch (err) {
+    return { sent: false, reason: 'error', error: err.message };
+  }
+}
+
+async function sendDueInstallReminders(redis, config, { now, outOfTime }) {
+  const summary = { reminded: 0, installed: 0, dropped: 0 };
+  const due = ((await redis.zrange(INSTALL_REMINDER_SCHEDULE_KEY, 0, now, {
+    byScore: true,
+    offset: 0,
+    count: REMINDER_BATCH_SIZE,
+  })) || []).map(String);
+
+  for (const memberId of due) {
+    if (outOfTime()) break;
+    const record = await loadPassKitMemberRecord({ id: memberId });
+    const status = String(record?.status || '').toUpperCase();
+    if (!record?.id || ['CANCELLED', 'DELETED', 'EXPIRED'].includes(status)) {
+      summary.dropped += 1;
+    } else if (describePassInstallState(record).installed === true) {
+      summary.installed += 1;
+    } else {
+      const result = await sendNotification('install_reminder', record.person?.emailAddress, memberValues({
+        person: record.person,
+        memberId,
+        certificateCode: record.externalId,
+        orderId: record.metaData?.acuityOrderId,
+        program: record.programId ? getProgramById(record.programId) : null,
+      }), { dedupeKey: memberId });
+      // A send error keeps the reminder scheduled for the next run.
+      if (result.reason === 'error') continue;
+      if (result.sent) summary.reminded += 1;
+    }
+    await redis.zrem(INSTALL_REMINDER_SCHEDULE_KEY, memberId);
+  }
+  return summary;
+}
+
+function describeFailure(failure) {
+  return [
+    `#${failure.orderId}`,
+    failure.name,
+    failure.email,
+    failure.certificateCode,
+    failure.program,
+    failure.attempts > 1 ? `${failure.attempts} attempts` : null,
+    failure.error,
+  ].filter(Boolean).join(' · ');
+}
+
+async function sendFailureDigest(redis, config, { now, force = false }) {
+  if (!config.staffEmails.length) return { sent: false, reason: 'no_recipient' };
+  const lastSentAt = Number(await redis.get(DIGEST_SENT_AT_KEY)) || 0;
+  if (!force && now - lastSentAt < config.digestHours * 60 * 60 * 1000) return { sent: false, reason: 'not_due' };
+
+  const rows = (await redis.lrange(FAILED_ENROLLMENTS_KEY, 0, -1)) || [];
+  if (rows.length === 0) return { sent: false, reason: 'empty' };
+
+  // One line per order, leaving out orders enrolled since they failed.
+  const byOrder = new Map();
+  for (const failure of rows.map(parseStoredJson).filter(Boolean)) {
+    const previous = byOrder.get(failure.orderId);
+    byOrder.set(failure.orderId, { ...failure, attempts: (previous?.attempts || 0) + 1 });
+  }
+  const outstanding = [];
+  for (const failure of byOrder.values()) {
+    const ledger = await getEnrollmentLedgerEntry({ orderId: failure.orderId });
+    const resolved = ledger && ENROLLED_OUTCOMES.has(ledger.outcome) && Date.parse(ledger.processedAt) > Date.parse(failure.at);
+    if (!resolved) outstanding.push(failure);
+  }
+
+  let result = { sent: false, reason: 'resolved' };
+  if (outstanding.length) {
+    result = await sendNotification('failure_digest', config.staffEmails.join(', '), {
+      count: outstanding.length,
+      failures: outstanding.map(describeFailure).join('\n'),
+    });
+    if (!result.sent) return result;
+    await redis.set(DIGEST_SENT_AT_KEY, String(now));
+  }
+  // Failures recorded while sending were appended after these rows.
+  await redis.ltrim(FAILED_ENROLLMENTS_KEY, rows.length, -1);
+  return { ...result, failures: outstanding.length };
+}
+
+/**
+ * Cron task: due install reminders, then the staff digest.
+ */
+async function runNotificationTasks({ timeBudgetMs = 15000, now = Date.now(), forceDigest = false } = {}) {
+  const config = getNotificationConfig();
+  const redis = getRedis();
+  if (!config.enabled || !config.valid) return { enabled: false };
+  if (!redis) return { enabled: true, available: false };
+
+  const startedAt = Date.now();
+  const outOfTime = () => Date.now() - startedAt > timeBudgetMs;
+  const reminders = await sendDueInstallReminders(redis, config, { now, outOfTime });
+  const digest = await sendFailureDigest(redis, config, { now, force: forceDigest });
+  return { enabled: true, available: true, reminders, digest };
+}
+
+async function getNotificationOverview() {
+  const redis = getRedis();
+  const [pendingReminders, failedEnrollments] = redis
+    ? await Promise.all([redis.zcard(INSTALL_REMINDER_SCHEDULE_KEY), redis.llen(FAILED_ENROLLMENTS_KEY)])
+    : [0, 0];
+  return {
+    available: !!redis,
+    pendingReminders: Number(pendingReminders) || 0,
+    failedEnrollments: Number(failedEnrollments) || 0,
+  };
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  TEMPLATE_FIELDS,
+  DEFAULT_TEMPLATES,
+  registerNotificationTransport,
+  describeNotifications,
+  validateNotificationTemplates,
+  loadNotificationTemplates,
+  saveNotificationTemplates,
+  resetNotificationTemplates,
+  sendEmail,
+  sendNotification,
+  notifyMemberEnrolled,
+  notifyEnrollmentFailed,
+  runNotificationTasks,
+  getNotificationOverview,
+};
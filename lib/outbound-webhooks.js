@@ -0,0 +1,483 @@
+/**
+ * Outbound event webhooks for downstream systems (CRM, accounting, …).
+ *
+ * OUTBOUND_WEBHOOKS lists the subscribers:
+ *
+ *   [
+ *     { "name": "crm", "url": "https://crm.example.com/hooks/memberships",
+ *       "secret": "long-random-string" },
+ *     { "name": "accounting", "url": "https://books.example.com/in",
+ *       "secret": "another-secret", "events": ["membership.created", "membership.cancelled"] }
+ *   ]
+ *
+ * Every event is POSTed as JSON with a stable schema:
+ *
+ *   { "id": "evt_…", "type": "membership.created", "version": 1,
+ *     "createdAt": "…", "data": { "membership": { … }, … } }
+ *
+ * and signed like Acuity signs its webhooks: X-Bridge-Signature is the
+ * base64 HMAC-SHA256 of `<X-Bridge-Timestamp>.<raw body>` with the
+ * subscriber's secret.
+ *
+ * With Redis, each delivery is recorded, attempted right away and retried
+ * with exponential backoff by the cron endpoint, up to
+ * OUTBOUND_WEBHOOK_MAX_ATTEMPTS. The delivery log keeps the last 500, and
+ * any of them can be replayed. Without Redis, each delivery is attempted
+ * once. Emitting an event never fails the enrollment or cancellation that
+ * caused it.
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  getRedis,
+  parseStoredJson,
+  appendLog,
+  acquireRedisLock,
+  releaseRedisLock,
+  readEnv,
+  readPositiveInt,
+  createEnvConfig,
+} = require('./helpers');
+
+const EVENT_TYPES = ['membership.created', 'membership.updated', 'membership.cancelled', 'membership.expired'];
+// Sent only by "Send test event"; subscribers can't filter it out.
+const TEST_EVENT_TYPE = 'ping';
+const EVENT_SCHEMA_VERSION = 1;
+const DELIVERY_KEY_PREFIX = 'acuity_outbound_delivery:';
+const DELIVERY_LOCK_KEY_PREFIX = 'acuity_outbound_delivery_lock:';
+const DELIVERY_LOG_KEY = 'acuity_outbound_deliveries';
+const DELIVERY_SCHEDULE_KEY = 'acuity_outbound_due';
+const DELIVERY_LOG_LIMIT = 500;
+const DELIVERY_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const DELIVERY_LOCK_TTL_SECONDS = 60;
+const DELIVERY_TIMEOUT_MS = 8000;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60 * 6; // 6 hours
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+const MAX_ERROR_LENGTH = 500;
+
+// ---------- SUBSCRIBERS ----------
+function parseSubscriber(entry, index, names, errors) {
+  const label = `Subscriber ${index + 1}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${label}: must be an object`);
+    return null;
+  }
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  if (!name) {
+    errors.push(`${label}: name is required`);
+    return null;
+  }
+  if (names.has(name)) {
+    errors.push(`${label}: duplicate name "${name}"`);
+    return null;
+  }
+  names.add(name);
+
+  let url = null;
+  try {
+    url = new URL(String(entry.url || ''));
+  } catch {
+    // Reported below.
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    errors.push(`${label} (${name}): url must be an http(s) URL`);
+    return null;
+  }
+  if (typeof entry.secret !== 'string' || entry.secret.length < 16) {
+    errors.push(`${label} (${name}): secret must be at least 16 characters`);
+    return null;
+  }
+
+  let events = EVENT_TYPES;
+  if (entry.events !== undefined) {
+    if (!Array.isArray(entry.events) || entry.events.length === 0
+      || entry.events.some((type) => !EVENT_TYPES.includes(type))) {
+      errors.push(`${label} (${name}): events must be a list of ${EVENT_TYPES.join(', ')}`);
+      return null;
+    }
+    events = [...new Set(entry.events)];
+  }
+
+  return { name, url: url.toString(), secret: entry.secret, events };
+}
+
+function parseOutboundConfig(raw) {
+  const errors = [];
+  const subscribers = [];
+  if (raw) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      errors.push(`OUTBOUND_WEBHOOKS is not valid JSON: ${err.message}`);
+    }
+    if (parsed !== null && !Array.isArray(parsed)) {
+      errors.push('OUTBOUND_WEBHOOKS must be a JSON array');
+      parsed = null;
+    }
+    const names = new Set();
+    (parsed || []).forEach((entry, index) => {
+      const subscriber = parseSubscriber(entry, index, names, errors);
+      if (subscriber) subscribers.push(subscriber);
+    });
+  }
+
+  return {
+    subscribers,
+    maxAttempts: readPositiveInt(readEnv('OUTBOUND_WEBHOOK_MAX_ATTEMPTS'), DEFAULT_MAX_ATTEMPTS),
+    retryBaseSeconds: readPositiveInt(readEnv('OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS'), DEFAULT_RETRY_BASE_SECONDS),
+    errors,
+    valid: errors.length === 0,
+  };
+}
+
+const getOutboundConfig = createEnvConfig(
+  ['OUTBOUND_WEBHOOKS', 'OUTBOUND_WEBHOOK_MAX_ATTEMPTS', 'OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS'],
+  parseOutboundConfig,
+  '[outbound-webhooks] Invalid subscribers:'
+);
+
+function describeOutboundWebhooks() {
+  const { valid, errors, subscribers, maxAttempts, retryBaseSeconds } = getOutboundConfig();
+  return {
+    valid,
+    errors,
+    eventTypes: EVENT_TYPES,
+    maxAttempts,
+    retryBaseSeconds,
+    // Secrets and URL paths (which often carry tokens) stay private.
+    subscribers: subscribers.map(({ name, url, events }) => ({ name, host: new URL(url).host, events })),
+  };
+}
+
+function findSubscriber(name) {
+  return getOutboundConfig().subscribers.find((subscriber) => subscriber.name === name) || null;
+}
+
+// ---------- EVENTS ----------
+/**
+ * The membership object every event carries. All keys are always present
+ * (null when unknown) so subscribers can rely on the shape.
+ */
+function membershipSnapshot(fields = {}) {
+  return {
+    certificateCode: fields.certificateCode || null,
+    orderId: fields.orderId ? String(fields.orderId) : null,
+    memberId: fields.memberId || null,
+    program: fields.program || null,
+    programId: fields.programId || null,
+    tierId: fields.tierId || null,
+    status: fields.status || null,
+    expiryDate: fields.expiryDate || null,
+    email: fields.email || null,
+    firstName: fields.firstName || null,
+    lastName: fields.lastName || null,
+  };
+}
+
+function buildEvent(type, data) {
+  return {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    version: EVENT_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Signature sent as X-Bridge-Signature: base64 HMAC-SHA256 of
+ * `<timestamp>.<body>` keyed with the subscriber's secret.
+ */
+function signOutboundPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('base64');
+}
+
+// ---------- DELIVERY ----------
+function deliveryKey(id) {
+  return `${DELIVERY_KEY_PREFIX}${id}`;
+}
+
+function getRetryDelaySeconds(attempts) {
+  const delay = getOutboundConfig().retryBaseSeconds * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, MAX_RETRY_DELAY_SECONDS);
+}
+
+function describeDeliveryError(err) {
+  if (err.response) {
+    const { data } = err.response;
+    const body = data === undefined || data === null || typeof data === 'string' ? data || '' : JSON.stringify(data);
+    return `HTTP ${err.response.status}${body ? `: ${body}` : ''}`.slice(0, MAX_ERROR_LENGTH);
+  }
+  return String(err.message || err).slice(0, MAX_ERROR_LENGTH);
+}
+
+async function saveDelivery(redis, delivery) {
+  delivery.updatedAt = new Date().toISOString();
+  await redis.set(deliveryKey(delivery.id), JSON.stringify(delivery), { ex: DELIVERY_TTL_SECONDS });
+  return delivery;
+}
+
+async function loadDelivery(id) {
+  const redis = getRedis();
+  if (!redis || !id) return null;
+  return parseStoredJson(await redis.get(deliveryKey(id)));
+}
+
+async function postEvent(subscriber, deliveryId, event) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const response = await axios.post(subscriber.url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'acuity-passkit-bridge',
+      'X-Bridge-Event': event.type,
+      'X-Bridge-Delivery': deliveryId,
+      'X-Bridge-Timestamp': timestamp,
+      'X-Bridge-Signature': signOutboundPayload(subscriber.secret, timestamp, body),
+    },
+    timeout: DELIVERY_TIMEOUT_MS,
+    // Keep the body byte-for-byte what was signed.
+    transformRequest: [(data) => data],
+  });
+  return response.status;
+}
+
+/**
+ * Makes one delivery attempt and records the outcome: `delivered`,
+ * `retrying` (scheduled for the cron job) or `failed` (out of attempts).
+ */
+async function attemptDelivery(redis, delivery) {
+  const subscriber = findSubscriber(delivery.subscriber);
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date().toISOString();
+
+  try {
+    if (!subscriber) throw new Error(`Subscriber "${delivery.subscriber}" is no longer configured`);
+    delivery.lastStatusCode = await postEvent(subscriber, delivery.id, delivery.event);
+    delivery.status = 'delivered';
+    delivery.deliveredAt = delivery.lastAttemptAt;
+    delivery.nextAttemptAt = null;
+    delivery.lastError = null;
+  } catch (err) {
+    delivery.lastStatusCode = err.response?.status || null;
+    delivery.lastError = describeDeliveryError(err);
+    if (delivery.attempts >= delivery.maxAttempts || !subscriber || !redis) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelaySeconds(delivery.attempts) * 1000).toISOString();
+    }
+  }
+
+  if (redis) {
+    await saveDelivery(redis, delivery);
+    if (delivery.status === 'retrying') {
+      await redis.zadd(DELIVERY_SCHEDULE_KEY, { score: Date.parse(delivery.nextAttemptAt), member: delivery.id });
+    } else {
+      await redis.zrem(DELIVERY_SCHEDULE_KEY, delivery.id);
+    }
+  }
+
+  const logData = {
+    deliveryId: delivery.id,
+    eventId: delivery.event.id,
+    subscriber: delivery.subscriber,
+    attempts: delivery.attempts,
+  };
+  if (delivery.status === 'delivered' && delivery.attempts > 1) {
+    await appendLog('info', `Delivered ${delivery.event.type} to ${delivery.subscriber} on attempt ${delivery.attempts}`,
+      logData, 'outbound.delivered');
+  } else if (delivery.status === 'retrying') {
+    await appendLog('warn', `Could not deliver ${delivery.event.type} to ${delivery.subscriber}; retry scheduled`, {
+      ...logData,
+      nextAttemptAt: delivery.nextAttemptAt,
+      error: delivery.lastError,
+    }, 'outbound.retry_scheduled');
+  } else if (delivery.status === 'failed') {
+    await appendLog('error', `Gave up delivering ${delivery.event.type} to ${delivery.subscriber}`, {
+      ...logData,
+      error: delivery.lastError,
+    }, 'outbound.failed');
+  }
+  return delivery;
+}
+
+// Runs one attempt under a short lock, so cron and a replay can't overlap.
+async function attemptStoredDelivery(redis, id) {
+  const lockKey = `${DELIVERY_LOCK_KEY_PREFIX}${id}`;
+  const lockToken = await acquireRedisLock(redis, lockKey, DELIVERY_LOCK_TTL_SECONDS);
+  if (!lockToken) return { id, status: 'locked' };
+  try {
+    const delivery = await loadDelivery(id);
+    if (!delivery) {
+      await redis.zrem(DELIVERY_SCHEDULE_KEY, id);
+      return { id, status: 'missing' };
+    }
+    return await attemptDelivery(redis, delivery);
+  } finally {
+    await releaseRedisLock(redis, lockKey, lockToken);
+  }
+}
+
+async function deliverEvent(event, subscribers) {
+  const redis = getRedis();
+  const { maxAttempts } = getOutboundConfig();
+  return Promise.all(subscribers.map(async (subscriber) => {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriber: subscriber.name,
+      event,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      deliveredAt: null,
+      lastStatusCode: null,
+      lastError: null,
+    };
+    if (!redis) return attemptDelivery(null, delivery);
+
+    await saveDelivery(redis, delivery);
+    await redis.lpush(DELIVERY_LOG_KEY, delivery.id);
+    await redis.ltrim(DELIVERY_LOG_KEY, 0, DELIVERY_LOG_LIMIT - 1);
+    const result = await attemptStoredDelivery(redis, delivery.id);
+    return result.status === 'locked' ? delivery : result;
+  }));
+}
+
+/**
+ * Sends a membership event to every subscriber that takes it. `membership`
+ * is passed through membershipSnapshot(); `extra` adds event-specific
+ * fields next to it in `data`. Never throws.
+ */
+async function emitMembershipEvent(type, membership, extra = {}) {
+  try {
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+    const subscribers = getOutboundConfig().subscribers.filter((subscriber) => subscriber.events.includes(type));
+    if (subscribers.length === 0) return { eventId: null, deliveries: [] };
+
+    const event = buildEvent(type, { membership: membershipSnapshot(membership), ...extra });
+    const deliveries = await deliverEvent(event, subscribers);
+    return { eventId: event.id, deliveries: deliveries.map(({ id, subscriber, status }) => ({ id, subscriber, status })) };
+  } catch (err) {
+    await appendLog('error', `Could not emit ${type} event`, { error: err.message }, 'outbound.failed');
+    return { eventId: null, deliveries: [], error: err.message };
+  }
+}
+
+/** Sends a `ping` event to one subscriber (ignoring its filter). */
+async function sendTestEvent(subscriberName) {
+  const subscriber = findSubscriber(subscriberName);
+  if (!subscriber) {
+    const error = new Error('Subscriber not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  const event = buildEvent(TEST_EVENT_TYPE, { membership: membershipSnapshot(), message: 'Test event from acuity-passkit-bridge' });
+  const [delivery] = await deliverEvent(event, [subscriber]);
+  return delivery;
+}
+
+/**
+ * Attempts every delivery whose retry time has come, oldest first,
+ * stopping early when the time budget runs out.
+ */
+async function runDueOutboundDeliveries({ timeBudgetMs = 15000 } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, attempted: 0, results: [] };
+
+  const startedAt = Date.now();
+  const due = ((await redis.zrange(DELIVERY_SCHEDULE_KEY, 0, Date.now(), { byScore: true, offset: 0, count: 100 })) || [])
+    .map(String);
+  const results = [];
+  for (const id of due) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    const result = await attemptStoredDelivery(redis, id);
+    results.push({ id, status: result.status, attempts: result.attempts });
+  }
+
+  return {
+    available: true,
+    attempted: results.length,
+    remaining: Number(await redis.zcard(DELIVERY_SCHEDULE_KEY)) || 0,
+    results,
+  };
+}
+
+/**
+ * Sends a recorded delivery again, whatever its status, with a fresh set of
+ * attempts. The event keeps its ID so subscribers can de-duplicate.
+ */
+async function replayOutboundDelivery(id, { by = null } = {}) {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to replay outbound webhooks');
+
+  const delivery = await loadDelivery(id);
+  if (!delivery) {
+    const error = new Error('Delivery not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.maxAttempts = getOutboundConfig().maxAttempts;
+  delivery.nextAttemptAt = new Date().toISOString();
+  await saveDelivery(redis, delivery);
+  await appendLog('info', `Replaying ${delivery.event.type} to ${delivery.subscriber}`, {
+    deliveryId: delivery.id,
+    eventId: delivery.event.id,
+    subscriber: delivery.subscriber,
+    by,
+  }, 'outbound.replayed');
+  return attemptStoredDelivery(redis, delivery.id);
+}
+
+/** Newest deliveries first, without the event body. */
+async function listOutboundDeliveries({ limit = 50, status = null } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, deliveries: [], pending: 0 };
+
+  const ids = ((await redis.lrange(DELIVERY_LOG_KEY, 0, DELIVERY_LOG_LIMIT - 1)) || []).map(String);
+  const deliveries = [];
+  for (const id of ids) {
+    if (deliveries.length >= limit) break;
+    const delivery = await loadDelivery(id);
+    if (!delivery) {
+      // Delivery record expired; drop the dangling reference.
+      await redis.lrem(DELIVERY_LOG_KEY, 0, id);
+      continue;
+    }
+    if (status && delivery.status !== status) continue;
+    const { event, ...summary } = delivery;
+    deliveries.push({ ...summary, eventId: event.id, eventType: event.type, certificateCode: event.data?.membership?.certificateCode || null });
+  }
+  return {
+    available: true,
+    deliveries,
+    pending: Number(await redis.zcard(DELIVERY_SCHEDULE_KEY)) || 0,
+  };
+}
+
+async function getOutboundDelivery(id) {
+  return loadDelivery(id);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  describeOutboundWebhooks,
+  signOutboundPayload,
+  emitMembershipEvent,
+  sendTestEvent,
+  runDueOutboundDeliveries,
+  replayOutboundDelivery,
+  listOutboundDeliveries,
+  getOutboundDelivery,
+};
@@ -0,0 +1,173 @@
+/**
+ * PassKit member lookups by certificate code (the member's externalId).
+ *
+ * findPassKitMemberByExternalId() searches one program: PassKit's direct
+ * externalId lookup first, then list filters. findPassKitMemberInPrograms()
+ * tries a preferred program and then every configured one, since members
+ * may predate a routing change. Both resolve member refs
+ * (`{ id, emailAddress, externalId, record }`); loadPassKitMemberRecord()
+ * in lib/helpers.js fetches the full record when needed. They resolve
+ * null only when PassKit answered; a network error, 429 or 5xx is thrown
+ * so callers fail (and queued deliveries retry) instead of acting on a
+ * member that merely couldn't be looked up.
+ */
+const { getConfig, passKitRequest } = require('./helpers');
+const { listPrograms, getDefaultProgram } = require('./programs');
+
+// Accepts a program context ({ key, programId }), a bare PassKit program ID,
+// or nothing for the default program.
+function resolveTargetProgramId(program) {
+  if (typeof program === 'string' && program) return program;
+  if (program && program.programId) return program.programId;
+  return getDefaultProgram()?.programId || getConfig().PASSKIT_PROGRAM_ID || null;
+}
+
+async function findPassKitMemberByExternalId(externalId, program = null) {
+  const targetProgramId = resolveTargetProgramId(program);
+  if (!targetProgramId) {
+    throw new Error('Missing PASSKIT_PROGRAM_ID for PassKit member lookup');
+  }
+
+  function toMemberRef(candidate) {
+    if (!candidate || typeof candidate !== 'object') return null;
+    const id = candidate.id || candidate.memberId || null;
+    if (!id) return null;
+    return {
+      id: String(id),
+      emailAddress: candidate?.person?.emailAddress || candidate?.emailAddress || null,
+      externalId: candidate?.externalId || null,
+      record: candidate,
+    };
+  }
+
+  async function parseMemberRefFromPayload(data) {
+    if (!data) return null;
+
+    const direct = toMemberRef(data);
+    if (direct) return direct;
+
+    const nestedCandidates = [
+      data.member,
+      data.item,
+      data.result,
+      data.data && !Array.isArray(data.data) ? data.data : null,
+    ].filter(Boolean);
+
+    for (const nested of nestedCandidates) {
+      const nestedRef = toMemberRef(nested);
+      if (nestedRef) return nestedRef;
+    }
+
+    const directMemberIds = Array.isArray(data.memberIds) ? data.memberIds : null;
+    if (directMemberIds && directMemberIds.length > 0) {
+      return { id: String(directMemberIds[0]), emailAddress: null, externalId: null };
+    }
+
+    const listCandidates = [
+      Array.isArray(data) ? data : null,
+      Array.isArray(data.members) ? data.members : null,
+      Array.isArray(data.results) ? data.results : null,
+      Array.isArray(data.items) ? data.items : null,
+      Array.isArray(data.data) ? data.data : null,
+    ].filter(Boolean);
+
+    for (const rows of listCandidates) {
+      if (!rows.length) continue;
+      const first = rows[0];
+      if (typeof first === 'string') {
+        return { id: first, emailAddress: null, externalId: null };
+      }
+      const rowRef = toMemberRef(first);
+      if (rowRef) return rowRef;
+    }
+
+    return null;
+  }
+
+  async function queryMemberByField(filterField, filterValue) {
+    const payload = {
+      filters: {
+        limit: 1,
+        offset: 0,
+        orderBy: 'updated',
+        orderAsc: false,
+        filterGroups: [{
+          condition: 'AND',
+          fieldFilters: [{
+            filterField,
+            filterValue,
+            filterOperator: 'eq',
+          }],
+        }],
+      },
+    };
+
+    const response = await passKitRequest('POST', `/members/member/list/${targetProgramId}`, payload);
+    return parseMemberRefFromPayload(response?.data);
+  }
+
+  // A 4xx means this lookup found nothing (or isn't supported); anything
+  // else means PassKit couldn't answer, so "not found" can't be trusted.
+  let outage = null;
+  function noteFailure(err) {
+    const status = err.response?.status;
+    if (!outage && (!status || status === 429 || status >= 500)) outage = err;
+  }
+
+  // PassKit exposes a direct lookup by externalId; use it first for reliability.
+  try {
+    const direct = await passKitRequest(
+      'GET',
+      `/members/member/externalId/${targetProgramId}/${encodeURIComponent(externalId)}`
+    );
+    const byDirectLookup = await parseMemberRefFromPayload(direct?.data);
+    if (byDirectLookup) return byDirectLookup;
+  } catch (err) {
+    noteFailure(err);
+  }
+
+  // Fallback lookups by filter field.
+  try {
+    const byMemberId = await queryMemberByField('memberId', externalId);
+    if (byMemberId) return byMemberId;
+  } catch (err) {
+    noteFailure(err);
+  }
+
+  try {
+    const byExternalId = await queryMemberByField('externalId', externalId);
+    if (byExternalId) return byExternalId;
+  } catch (err) {
+    noteFailure(err);
+  }
+
+  if (outage) throw outage;
+  return null;
+}
+
+/**
+ * Finds a member by certificate code, trying `preferred` first and then
+ * every other configured program (members may predate a routing change).
+ */
+async function findPassKitMemberInPrograms(externalId, preferred = null) {
+  const candidates = [];
+  if (preferred) candidates.push(preferred);
+  for (const program of listPrograms()) {
+    if (!candidates.some((candidate) => candidate.programId === program.programId)) {
+      candidates.push(program);
+    }
+  }
+
+  for (const program of candidates) {
+    if (!program.programId) continue;
+    const member = await findPassKitMemberByExternalId(externalId, program);
+    if (member?.id) return { member, program };
+  }
+  return { member: null, program: preferred || candidates[0] || null };
+}
+
+module.exports = {
+  resolveTargetProgramId,
+  findPassKitMemberByExternalId,
+  findPassKitMemberInPrograms,
+};
@@ -0,0 +1,313 @@
+/**
+ * Two-way sync: PassKit-side changes reported back to the bridge.
+ *
+ * PassKit calls /webhook/passkit when a pass is installed or uninstalled
+ * and when a member record is updated or deleted outside the bridge. Each
+ * call is signed with PASSKIT_WEBHOOK_SECRET (HMAC-SHA256 of the raw body,
+ * hex or base64, in X-PassKit-Signature).
+ *
+ *   installed / uninstalled — recorded as the member's pass state, so the
+ *                             dashboard can show who has the pass on their
+ *                             phone
+ *   updated                 — clears the ledger fingerprint, so the next
+ *                             order webhook re-checks PassKit instead of
+ *                             skipping it as unchanged
+ *   deleted                 — marks the ledger entry and the registry
+ *                             record deleted, so the next order webhook
+ *                             creates the member again, and drops the
+ *                             expiry schedule
+ *
+ * Updates and deletes that echo the bridge's own changes are recognised and
+ * skipped. With ACUITY_SYNC_NOTES on, installs, uninstalls and deletions
+ * are also noted on the member's Acuity client record.
+ */
+const crypto = require('crypto');
+const {
+  getRedis,
+  parseStoredJson,
+  appendLog,
+  parseBoolean,
+  createAcuityClient,
+  normalizeCertificateCode,
+  getEnrollmentLedgerEntry,
+  recordEnrollmentLedger,
+  isOwnMemberWrite,
+  readEnv,
+} = require('./helpers');
+const { getProgramById } = require('./programs');
+const { recordRegistryMember } = require('./member-registry');
+
+const PASS_STATE_KEY_PREFIX = 'acuity_pass_state:';
+const PASS_INSTALLED_KEY = 'acuity_pass_installed';
+const PASS_UNINSTALLED_KEY = 'acuity_pass_uninstalled';
+const PASS_EVENTS_KEY = 'acuity_pass_events';
+const PASS_EVENTS_LIMIT = 200;
+const PASSKIT_EVENT_SEEN_KEY_PREFIX = 'acuity_passkit_event:';
+const PASSKIT_EVENT_SEEN_TTL_SECONDS = 60 * 60 * 24; // 1 day
+
+// PassKit event names → the changes the bridge handles.
+const PASSKIT_EVENTS = {
+  PASS_EVENT_INSTALLED: 'installed',
+  PASS_EVENT_UNINSTALLED: 'uninstalled',
+  PASS_EVENT_RECORD_UPDATED: 'updated',
+  PASS_EVENT_RECORD_DELETED: 'deleted',
+};
+
+// ---------- SIGNATURE ----------
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function isPassKitWebhookConfigured() {
+  return !!readEnv('PASSKIT_WEBHOOK_SECRET');
+}
+
+function verifyPassKitSignature(rawBody, signature) {
+  const secret = readEnv('PASSKIT_WEBHOOK_SECRET');
+  if (!secret || !signature) return false;
+  const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const provided = String(signature).trim().replace(/^sha256=/i, '');
+  return safeEqual(provided, hmac.toString('hex')) || safeEqual(provided, hmac.toString('base64'));
+}
+
+// ---------- EVENTS ----------
+/**
+ * Reads `{ event, pass }` (or `member` / `data`) from a PassKit callback.
+ * Resolves the event to installed / uninstalled / updated / deleted, or
+ * null for events the bridge doesn't handle.
+ */
+function parsePassKitEvent(body) {
+  const name = String(body?.event || body?.type || '').trim().toUpperCase();
+  const record = body?.pass || body?.member || body?.data || null;
+  return {
+    name,
+    change: PASSKIT_EVENTS[name] || null,
+    record: record && typeof record === 'object' ? record : null,
+  };
+}
+
+function passStateKey(memberKey) {
+  return `${PASS_STATE_KEY_PREFIX}${memberKey}`;
+}
+
+async function getPassState(memberKey) {
+  const redis = getRedis();
+  if (!redis || !memberKey) return null;
+  return parseStoredJson(await redis.get(passStateKey(memberKey)));
+}
+
+async function savePassState(redis, memberKey, change, record, program) {
+  const now = new Date().toISOString();
+  const previous = (await getPassState(memberKey)) || {};
+  const metrics = record.metrics || {};
+  const state = {
+    ...previous,
+    memberId: record.id || previous.memberId || null,
+    externalId: record.externalId || previous.externalId || null,
+    program: program?.key || previous.program || null,
+    email: record.person?.emailAddress || previous.email || null,
+    name: record.person?.displayName
+      || `${record.person?.forename || ''} ${record.person?.surname || ''}`.trim()
+      || previous.name
+      || null,
+    lastEvent: change,
+    lastEventAt: now,
+  };
+  if (change === 'installed') {
+    state.installed = true;
+    state.installedAt = metrics.installedAt || now;
+    state.device = metrics.installedDeviceAttributes?.deviceType || metrics.deviceType || previous.device || null;
+  } else if (change === 'uninstalled' || change === 'deleted') {
+    state.installed = false;
+    state[change === 'deleted' ? 'deletedAt' : 'uninstalledAt'] = metrics.uninstalledAt || now;
+  }
+
+  await redis.set(passStateKey(memberKey), JSON.stringify(state));
+  if (change === 'installed') {
+    await redis.zadd(PASS_INSTALLED_KEY, { score: Date.now(), member: memberKey });
+    await redis.zrem(PASS_UNINSTALLED_KEY, memberKey);
+  } else if (change === 'uninstalled' || change === 'deleted') {
+    await redis.zrem(PASS_INSTALLED_KEY, memberKey);
+    await redis.zadd(PASS_UNINSTALLED_KEY, { score: Date.now(), member: memberKey });
+  }
+  await redis.lpush(PASS_EVENTS_KEY, JSON.stringify({
+    at: now,
+    change,
+    memberKey,
+    memberId: state.memberId,
+    name: state.name,
+    program: state.program,
+  }));
+  await redis.ltrim(PASS_EVENTS_KEY, 0, PASS_EVENTS_LIMIT - 1);
+  return state;
+}
+
+// Updates and deletes the bridge made itself come back as callbacks too.
+async function isOwnChange(record, ledger, change) {
+  if (change === 'deleted' && ledger?.outcome === 'cancelled') return true;
+  return isOwnMemberWrite(record.id);
+}
+
+// ---------- ACUITY NOTES ----------
+function describeNote(change, state) {
+  const date = new Date().toISOString().slice(0, 10);
+  const text = {
+    installed: `Wallet pass installed${state.device ? ` (${state.device})` : ''}`,
+    uninstalled: 'Wallet pass removed from phone',
+    deleted: 'PassKit member deleted',
+  }[change];
+  return `[${date}] ${text}${state.externalId ? ` · ${state.externalId}` : ''}`;
+}
+
+/**
+ * Appends a line to the Acuity client's notes. Acuity identifies a client
+ * for updates by first name, last name and phone, so the client is looked
+ * up by email first.
+ */
+async function appendAcuityClientNote(email, note) {
+  const acuity = createAcuityClient();
+  const { data } = await acuity.get('/clients', { params: { search: email } });
+  const client = (Array.isArray(data) ? data : [])
+    .find((entry) => String(entry.email || '').toLowerCase() === email.toLowerCase());
+  if (!client) return { noted: false, reason: 'client_not_found' };
+
+  const notes = client.notes ? `${client.notes}\n${note}` : note;
+  await acuity.put('/clients', { notes }, {
+    params: { firstName: client.firstName, lastName: client.lastName, phone: client.phone || '' },
+  });
+  return { noted: true };
+}
+
+async function noteOnAcuity(change, state) {
+  if (!parseBoolean(readEnv('ACUITY_SYNC_NOTES'), false) || change === 'updated') return null;
+  if (!state.email) return { noted: false, reason: 'no_email' };
+  try {
+    return await appendAcuityClientNote(state.email, describeNote(change, state));
+  } catch (err) {
+    await appendLog('warn', 'Could not write pass note to the Acuity client', {
+      change,
+      email: state.email,
+      error: err.response?.data || err.message,
+    }, 'passkit.note_failed');
+    return { noted: false, reason: 'error', error: err.message };
+  }
+}
+
+// ---------- HANDLING ----------
+/**
+ * Applies one verified PassKit callback. Resolves with `status` (ok,
+ * ignored, duplicate) and what changed.
+ */
+async function handlePassKitEvent(rawBody, body) {
+  const { name, change, record } = parsePassKitEvent(body);
+  if (!change) {
+    await appendLog('info', `Ignoring PassKit event: ${name || '(none)'}`, null, 'passkit.ignored');
+    return { status: 'ignored', event: name || null };
+  }
+  if (!record?.id && !record?.externalId) {
+    const error = new Error('PassKit event has no member');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const redis = getRedis();
+  let seenKey = null;
+  if (redis) {
+    const digest = crypto.createHash('sha256').update(rawBody).digest('hex');
+    seenKey = `${PASSKIT_EVENT_SEEN_KEY_PREFIX}${digest}`;
+    const fresh = await redis.set(seenKey, '1', { ex: PASSKIT_EVENT_SEEN_TTL_SECONDS, nx: true });
+    if (!fresh) return { status: 'duplicate', event: name };
+  }
+
+  try {
+    return await applyPassKitEvent(redis, { name, change, record });
+  } catch (err) {
+    // Forget the delivery so PassKit's retry is applied, not taken for a duplicate.
+    if (seenKey) await redis.del(seenKey).catch(() => {});
+    throw err;
+  }
+}
+
+async function applyPassKitEvent(redis, { name, change, record }) {
+  const externalId = normalizeCertificateCode(record.externalId) || null;
+  const memberKey = externalId || record.id;
+  const program = record.programId ? getProgramById(record.programId) : null;
+  const ledger = externalId ? await getEnrollmentLedgerEntry({ certificateCode: externalId }) : null;
+  const logData = { externalId, passKitId: record.id || null, event: name };
+
+  if ((change === 'updated' || change === 'deleted') && (await isOwnChange(record, ledger, change))) {
+    return { status: 'ignored', event: name, reason: 'own_change' };
+  }
+
+  const state = redis
+    ? await savePassState(redis, memberKey, change, record, program)
+    : { externalId, memberId: record.id || null, email: record.person?.emailAddress || null, device: null };
+
+  if (change === 'installed') {
+    await appendLog('info', 'Member installed their wallet pass', {
+      ...logData,
+      device: state.device || null,
+    }, 'passkit.pass_installed');
+  } else if (change === 'uninstalled') {
+    await appendLog('warn', 'Member removed their wallet pass', logData, 'passkit.pass_uninstalled');
+  } else if (change === 'updated') {
+    if (ledger) await recordEnrollmentLedger({ certificateCode: externalId, fingerprint: null });
+    await appendLog('info', 'PassKit member was edited outside the bridge', {
+      ...logData,
+      ...(record.tierId && ledger?.tierId && record.tierId !== ledger.tierId ? { tierId: record.tierId } : {}),
+      ...(record.status ? { status: record.status } : {}),
+    }, 'passkit.member_updated');
+  } else if (change === 'deleted') {
+    if (ledger) {
+      await recordEnrollmentLedger({
+        certificateCode: externalId,
+        memberId: null,
+        fingerprint: null,
+        outcome: 'deleted',
+        processedAt: new Date().toISOString(),
+      });
+      const { unscheduleMembershipExpiry } = require('./membership-terms');
+      await unscheduleMembershipExpiry(externalId);
+      await recordRegistryMember({ certificateCode: externalId, status: 'deleted' }, {
+        action: 'deleted',
+        source: 'passkit',
+      });
+    }
+    await appendLog('warn', 'PassKit member was deleted outside the bridge', logData, 'passkit.member_deleted');
+  }
+
+  const note = await noteOnAcuity(change, state);
+  return { status: 'ok', event: name, change, memberKey, ...(note ? { acuityNote: note } : {}) };
+}
+
+/** Install counts and the latest pass events, for the dashboard. */
+async function getPassSyncOverview({ limit = 50 } = {}) {
+  const redis = getRedis();
+  const configured = isPassKitWebhookConfigured();
+  if (!redis) return { available: false, configured, installed: 0, uninstalled: 0, events: [] };
+
+  const [installed, uninstalled, events] = await Promise.all([
+    redis.zcard(PASS_INSTALLED_KEY),
+    redis.zcard(PASS_UNINSTALLED_KEY),
+    redis.lrange(PASS_EVENTS_KEY, 0, limit - 1),
+  ]);
+  return {
+    available: true,
+    configured,
+    installed: Number(installed) || 0,
+    uninstalled: Number(uninstalled) || 0,
+    events: (events || []).map(parseStoredJson).filter(Boolean),
+  };
+}
+
+module.exports = {
+  PASSKIT_EVENTS,
+  isPassKitWebhookConfigured,
+  verifyPassKitSignature,
+  parsePassKitEvent,
+  handlePassKitEvent,
+  getPassState,
+  getPassSyncOverview,
+};
@@ -0,0 +1,592 @@
+/**
+ * Points ledger.
+ *
+ * Points are pushed to PassKit with its earn / burn endpoints, and every
+ * movement is also kept in Redis so it can be audited and reversed:
+ *
+ *   acuity_points_ledger:<member>      — movements, newest first (earn,
+ *                                        reversal, adjustment)
+ *   acuity_points_source:<source>:<id> — what a given order, appointment or
+ *                                        check-in earned, so it's awarded
+ *                                        once and can be reversed
+ *   acuity_points_source:<…>:reversal  — claimed while a reversal is in flight
+ *   acuity_points_retry                — order awards PassKit refused, by
+ *                                        next attempt time (sorted set)
+ *   acuity_points_retry:<orderId>      — what such an award still owes
+ *
+ * POINTS_RULES decides what orders and appointments earn:
+ *
+ *   {
+ *     "perDollar": 1,
+ *     "perAppointment": 10,
+ *     "rules": [
+ *       { "match": "substring", "pattern": "annual", "perDollar": 2 },
+ *       { "match": "exact", "pattern": "Intro Pack", "points": 50 }
+ *     ]
+ *   }
+ *
+ * Order rules use the same matching as TIER_RULES; the first match replaces
+ * the top-level perDollar and may add a flat `points` bonus. Check-in
+ * points come from CHECK_IN_RULES. Without Redis nothing is awarded, since
+ * awards couldn't be made idempotent.
+ */
+const crypto = require('crypto');
+const {
+  getRedis,
+  appendLog,
+  passKitRequest,
+  parseStoredJson,
+  withLogContext,
+  createEnvConfig,
+} = require('./helpers');
+const { parseRuleMatcher, ruleMatches } = require('./tier-routing');
+
+const POINTS_LEDGER_KEY_PREFIX = 'acuity_points_ledger:';
+const POINTS_SOURCE_KEY_PREFIX = 'acuity_points_source:';
+const POINTS_LEDGER_LIMIT = 500;
+const POINTS_SOURCES = ['order', 'appointment', 'check_in', 'manual'];
+const POINTS_RETRY_KEY = 'acuity_points_retry';
+const POINTS_RETRY_KEY_PREFIX = 'acuity_points_retry:';
+const POINTS_RETRY_MAX_ATTEMPTS = 6;
+const POINTS_RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+// How long an award or reversal stays claimed while PassKit is called. A
+// process that dies mid-call frees the source again after this.
+const POINTS_CLAIM_TTL_SECONDS = 300;
+
+// ---------- EARNING RULES ----------
+function readRate(entry, name, label, errors) {
+  if (entry[name] === undefined) return undefined;
+  if (Number.isFinite(entry[name]) && entry[name] >= 0) return entry[name];
+  errors.push(`${label}${name} must be a number of 0 or more`);
+  return undefined;
+}
+
+function parsePointsRules(raw) {
+  const errors = [];
+  const config = { perDollar: 0, perAppointment: 0, rules: [] };
+  if (!raw) return { ...config, errors, valid: true };
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    errors.push(`POINTS_RULES is not valid JSON: ${err.message}`);
+  }
+  if (parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+    errors.push('POINTS_RULES must be a JSON object');
+    parsed = null;
+  }
+
+  if (parsed) {
+    config.perDollar = readRate(parsed, 'perDollar', '', errors) ?? 0;
+    config.perAppointment = readRate(parsed, 'perAppointment', '', errors) ?? 0;
+
+    if (parsed.rules !== undefined && !Array.isArray(parsed.rules)) {
+      errors.push('POINTS_RULES.rules must be an array');
+    } else {
+      (parsed.rules || []).forEach((rule, index) => {
+        const label = `Rule ${index + 1}: `;
+        if (!rule || typeof rule !== 'object') {
+          errors.push(`Rule ${index + 1}: must be an object`);
+          return;
+        }
+        const matcher = parseRuleMatcher(rule, `Rule ${index + 1}`, errors);
+        const perDollar = readRate(rule, 'perDollar', label, errors);
+        const points = readRate(rule, 'points', label, errors);
+        if (perDollar === undefined && points === undefined) {
+          errors.push(`${label}set perDollar and/or points`);
+        }
+        config.rules.push({ ...matcher, perDollar: perDollar ?? 0, points: points ?? 0 });
+      });
+    }
+  }
+
+  return { ...config, errors, valid: errors.length === 0 };
+}
+
+const getPointsRules = createEnvConfig(
+  ['POINTS_RULES'],
+  parsePointsRules,
+  '[points] Invalid points rules:'
+);
+
+function describePointsRules() {
+  const { valid, errors, perDollar, perAppointment, rules } = getPointsRules();
+  return {
+    valid,
+    errors,
+    perDollar,
+    perAppointment,
+    rules: rules.map(({ regex, ...rule }) => rule),
+  };
+}
+
+function orderAmount(order) {
+  const amount = Number.parseFloat(order?.total ?? order?.amount ?? order?.price ?? 0);
+  return Number.isFinite(amount) && amount > 0 ? amount : 0;
+}
+
+/**
+ * Points an order earns under POINTS_RULES (whole points, rounded down).
+ */
+function calculateOrderPoints(order, rules = getPointsRules()) {
+  const index = rules.rules.findIndex((rule) => ruleMatches(rule, order));
+  const rule = index === -1 ? null : rules.rules[index];
+  const perDollar = rule ? rule.perDollar : rules.perDollar;
+  return {
+    points: Math.floor(orderAmount(order) * perDollar + (rule ? rule.points : 0)),
+    matchedRule: rule ? index + 1 : null,
+  };
+}
+
+// ---------- LEDGER ----------
+function memberKey(member) {
+  return member.externalId || member.id;
+}
+
+function ledgerKey(key) {
+  return `${POINTS_LEDGER_KEY_PREFIX}${key}`;
+}
+
+function sourceKey(source, sourceId) {
+  return `${POINTS_SOURCE_KEY_PREFIX}${source}:${sourceId}`;
+}
+
+// The PassKit call that moves `points` (negative to burn) on a member.
+function buildPointsRequest(member, points) {
+  return {
+    method: 'PUT',
+    path: `/members/member/points/${points > 0 ? 'earn' : 'burn'}`,
+    body: {
+      id: member.id,
+      ...(member.programId ? { programId: member.programId } : {}),
+      points: Math.abs(points),
+    },
+  };
+}
+
+async function pushPointsToPassKit(member, points) {
+  if (!points) return;
+  const { method, path, body } = buildPointsRequest(member, points);
+  await passKitRequest(method, path, body);
+}
+
+async function recordMovement(redis, movement) {
+  const key = ledgerKey(movement.memberKey);
+  await redis.lpush(key, JSON.stringify(movement));
+  await redis.ltrim(key, 0, POINTS_LEDGER_LIMIT - 1);
+}
+
+function describeSource(source, sourceId) {
+  return source === 'check_in' ? 'check-in' : `${source} #${sourceId}`;
+}
+
+function buildMovement(member, fields) {
+  return {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    memberKey: memberKey(member),
+    memberId: member.id,
+    externalId: member.externalId || null,
+    programId: member.programId || null,
+    program: member.program || null,
+    reason: null,
+    by: null,
+    ...fields,
+  };
+}
+
+function memberLogContext(member) {
+  return {
+    memberId: member.id,
+    ...(member.externalId ? { certificateCode: member.externalId } : {}),
+    ...(member.program ? { program: member.program } : {}),
+  };
+}
+
+/**
+ * Awards points once per `source` + `sourceId`. `member` is
+ * `{ id, externalId, programId, program }`. Resolves with `awarded: false`
+ * when there is nothing to award, it was already awarded, or Redis is
+ * unavailable.
+ */
+async function earnPoints(member, { points, source, sourceId, reason = null, by = null }) {
+  const redis = getRedis();
+  if (!redis || !member?.id || !(points > 0)) return { awarded: false, points: 0 };
+
+  const movement = buildMovement(member, { type: 'earn', points, source, sourceId: String(sourceId), reason, by });
+  const key = sourceKey(source, sourceId);
+  const claimed = await redis.set(key, JSON.stringify({ ...movement, pending: true }), {
+    nx: true,
+    ex: POINTS_CLAIM_TTL_SECONDS,
+  });
+  if (!claimed) return { awarded: false, points: 0, duplicate: true };
+
+  return withLogContext(memberLogContext(member), async () => {
+    try {
+      await pushPointsToPassKit(member, points);
+    } catch (err) {
+      // Release the claim so a retry can award them.
+      await redis.del(key).catch(() => {});
+      await appendLog('error', `Failed to award ${points} points`, {
+        source,
+        sourceId: String(sourceId),
+        error: err.response?.data || err.message,
+      }, 'points.failed');
+      throw err;
+    }
+    await redis.set(key, JSON.stringify(movement));
+    await recordMovement(redis, movement);
+    await appendLog('info', `Awarded ${points} points for ${describeSource(source, sourceId)}`, {
+      points,
+      source,
+      sourceId: String(sourceId),
+      movementId: movement.id,
+    }, 'points.earned');
+    return { awarded: true, points, movement };
+  });
+}
+
+/**
+ * Takes back what `source` + `sourceId` earned. Safe to call repeatedly
+ * and for sources that never earned anything. Throws while the award is
+ * still in flight, so the caller retries once it has landed.
+ */
+async function reversePoints(source, sourceId, { reason = null, by = null } = {}) {
+  const redis = getRedis();
+  if (!redis) return { reversed: false, points: 0 };
+
+  const key = sourceKey(source, sourceId);
+  const earned = parseStoredJson(await redis.get(key));
+  if (!earned || earned.reversedAt) return { reversed: false, points: 0 };
+  if (earned.pending) throw new Error(`Points for ${describeSource(source, sourceId)} are still being awarded`);
+
+  // Claimed before calling PassKit so two cancellations can't both deduct.
+  const claimKey = `${key}:reversal`;
+  const claimed = await redis.set(claimKey, '1', { nx: true, ex: POINTS_CLAIM_TTL_SECONDS });
+  if (!claimed) return { reversed: false, points: 0, duplicate: true };
+
+  const member = {
+    id: earned.memberId,
+    externalId: earned.externalId,
+    programId: earned.programId || null,
+    program: earned.program,
+  };
+  return withLogContext(memberLogContext(member), async () => {
+    try {
+      await pushPointsToPassKit(member, -earned.points);
+    } catch (err) {
+      await redis.del(claimKey).catch(() => {});
+      await appendLog('error', `Failed to reverse ${earned.points} points`, {
+        source,
+        sourceId: String(sourceId),
+        error: err.response?.data || err.message,
+      }, 'points.failed');
+      throw err;
+    }
+
+    const movement = buildMovement(member, {
+      type: 'reversal',
+      points: -earned.points,
+      source,
+      sourceId: String(sourceId),
+      reverses: earned.id,
+      reason,
+      by,
+    });
+    await redis.set(key, JSON.stringify({ ...earned, reversedAt: movement.at, reversalId: movement.id }));
+    await redis.del(claimKey);
+    await recordMovement(redis, movement);
+    await appendLog('info', `Reversed ${earned.points} points for ${describeSource(source, sourceId)}`, {
+      points: -earned.points,
+      source,
+      sourceId: String(sourceId),
+      reason,
+      movementId: movement.id,
+    }, 'points.reversed');
+    return { reversed: true, points: -earned.points, movement };
+  });
+}
+
+/**
+ * Manual operator adjustment: a non-zero whole number of points (negative
+ * to deduct) and a reason, both required.
+ */
+async function adjustPoints(member, { points, reason, by = null }) {
+  const amount = Number(points);
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!Number.isInteger(amount) || amount === 0) {
+    const error = new Error('points must be a non-zero whole number');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!text) {
+    const error = new Error('A reason is required for manual adjustments');
+    error.statusCode = 400;
+    throw error;
+  }
+  const redis = getRedis();
+  if (!redis) {
+    const error = new Error('Redis is required for the points ledger');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  return withLogContext(memberLogContext(member), async () => {
+    await pushPointsToPassKit(member, amount);
+    const movement = buildMovement(member, {
+      type: 'adjustment',
+      points: amount,
+      source: 'manual',
+      sourceId: null,
+      reason: text.slice(0, 200),
+      by,
+    });
+    await recordMovement(redis, movement);
+    await appendLog('info', `Adjusted points by ${amount > 0 ? '+' : ''}${amount}`, {
+      points: amount,
+      reason: movement.reason,
+      by,
+      movementId: movement.id,
+    }, 'points.adjusted');
+    return { adjusted: true, points: amount, movement };
+  });
+}
+
+/**
+ * A member's movements, newest first, with the sum of those returned.
+ */
+async function getPointsLedger(key, { limit = 50 } = {}) {
+  const redis = getRedis();
+  if (!redis || !key) return { available: !!redis, movements: [], total: 0 };
+  const rows = (await redis.lrange(ledgerKey(key), 0, Math.min(limit, POINTS_LEDGER_LIMIT) - 1)) || [];
+  const movements = rows.map(parseStoredJson).filter(Boolean);
+  return {
+    available: true,
+    movements,
+    total: movements.reduce((sum, movement) => sum + (Number(movement.points) || 0), 0),
+  };
+}
+
+// ---------- ORDER RETRIES ----------
+function retryKey(orderId) {
+  return `${POINTS_RETRY_KEY_PREFIX}${orderId}`;
+}
+
+// 5 minutes, doubling per attempt.
+function retryDelayMs(attempts) {
+  return POINTS_RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0);
+}
+
+async function clearOrderPointsRetry(redis, orderId) {
+  await redis.del(retryKey(orderId));
+  await redis.zrem(POINTS_RETRY_KEY, String(orderId));
+}
+
+async function scheduleOrderPointsRetry(redis, pending, { now = Date.now() } = {}) {
+  const nextAttemptAt = now + retryDelayMs(pending.attempts);
+  const entry = { ...pending, nextAttemptAt: new Date(nextAttemptAt).toISOString() };
+  await redis.set(retryKey(pending.orderId), JSON.stringify(entry));
+  await redis.zadd(POINTS_RETRY_KEY, { score: nextAttemptAt, member: pending.orderId });
+  return entry;
+}
+
+// ---------- SOURCES ----------
+/**
+ * Awards an order's points (once). Errors are logged, not thrown, so a
+ * points failure never fails the enrollment itself; the award is queued
+ * and retried by the cron (retryOrderPoints).
+ */
+async function awardOrderPoints(order, member) {
+  const rules = getPointsRules();
+  if (!rules.valid) {
+    await appendLog('error', 'Points not awarded: invalid POINTS_RULES', rules.errors, 'config.invalid');
+    return { awarded: false, points: 0 };
+  }
+  const { points, matchedRule } = calculateOrderPoints(order, rules);
+  const reason = matchedRule ? `Order (points rule ${matchedRule})` : 'Order';
+  const redis = getRedis();
+  try {
+    const result = await earnPoints(member, { points, source: 'order', sourceId: order.id, reason });
+    if (result.awarded && redis) await clearOrderPointsRetry(redis, order.id);
+    return result;
+  } catch (err) {
+    const pending = await scheduleOrderPointsRetry(redis, {
+      orderId: String(order.id),
+      member,
+      points,
+      reason,
+      attempts: 1,
+      lastError: err.message,
+    }).catch(() => null);
+    await appendLog('error', `Order #${order.id} points not awarded`, {
+      points,
+      error: err.message,
+      ...(pending ? { retryAt: pending.nextAttemptAt } : { retry: false }),
+    }, 'points.failed');
+    return { awarded: false, points: 0, error: err.message, ...(pending ? { retryAt: pending.nextAttemptAt } : {}) };
+  }
+}
+
+/**
+ * Retries order awards PassKit refused, oldest due first. Gives up after
+ * POINTS_RETRY_MAX_ATTEMPTS, leaving a points.failed log entry.
+ */
+async function retryOrderPoints({ timeBudgetMs = 10000, now = Date.now() } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, processed: 0 };
+
+  const startedAt = Date.now();
+  const summary = { available: true, processed: 0, awarded: 0, rescheduled: 0, abandoned: 0 };
+  const due = (await redis.zrange(POINTS_RETRY_KEY, 0, now, { byScore: true })) || [];
+  for (const orderId of due) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    const pending = parseStoredJson(await redis.get(retryKey(orderId)));
+    if (!pending) {
+      await redis.zrem(POINTS_RETRY_KEY, orderId);
+      continue;
+    }
+    summary.processed += 1;
+    try {
+      const result = await earnPoints(pending.member, {
+        points: pending.points,
+        source: 'order',
+        sourceId: orderId,
+        reason: pending.reason,
+      });
+      await clearOrderPointsRetry(redis, orderId);
+      if (result.awarded) summary.awarded += 1;
+    } catch (err) {
+      const attempts = (pending.attempts || 1) + 1;
+      if (attempts > POINTS_RETRY_MAX_ATTEMPTS) {
+        await clearOrderPointsRetry(redis, orderId);
+        summary.abandoned += 1;
+        await appendLog('error', `Gave up awarding order #${orderId} points after ${attempts - 1} retries`, {
+          points: pending.points,
+          memberId: pending.member?.id,
+          error: err.message,
+        }, 'points.failed');
+        continue;
+      }
+      await scheduleOrderPointsRetry(redis, { ...pending, attempts, lastError: err.message }, { now });
+      summary.rescheduled += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * What awardOrderPoints would do for `order` and `member`, without doing
+ * it: `{ points, matchedRule, request }`, `request` being the PassKit call
+ * (null when nothing would be awarded, e.g. the order already earned).
+ */
+async function previewOrderPoints(order, member) {
+  const rules = getPointsRules();
+  const redis = getRedis();
+  if (!rules.valid || !redis) return { points: 0, matchedRule: null, request: null };
+  const { points, matchedRule } = calculateOrderPoints(order, rules);
+  const alreadyAwarded = points > 0 && !!(await redis.get(sourceKey('order', order.id)));
+  const awarded = alreadyAwarded || !member?.id ? 0 : points;
+  return {
+    points: awarded,
+    matchedRule,
+    ...(alreadyAwarded ? { alreadyAwarded: true } : {}),
+    request: awarded > 0 ? buildPointsRequest(member, awarded) : null,
+  };
+}
+
+/** What reverseOrderPoints would take back, as `{ points, request }`. */
+async function previewOrderPointsReversal(orderId) {
+  const redis = getRedis();
+  if (!redis || !orderId) return { points: 0, request: null };
+  const earned = parseStoredJson(await redis.get(sourceKey('order', orderId)));
+  if (!earned || earned.reversedAt || earned.pending) return { points: 0, request: null };
+  const member = { id: earned.memberId, programId: earned.programId || null };
+  return { points: -earned.points, request: buildPointsRequest(member, -earned.points) };
+}
+
+async function reverseOrderPoints(orderId, reason) {
+  const redis = getRedis();
+  // A cancelled order shouldn't earn its still-pending points later.
+  if (redis) await clearOrderPointsRetry(redis, orderId).catch(() => {});
+  try {
+    return await reversePoints('order', orderId, { reason });
+  } catch (err) {
+    return { reversed: false, points: 0, error: err.message };
+  }
+}
+
+/**
+ * Awards `perAppointment` for each attended (past, not cancelled) booking
+ * and reverses cancelled ones. Driven by appointment webhooks, so a class
+ * is credited the next time any of the member's bookings change.
+ */
+async function syncAppointmentPoints(appointments, member, { now = Date.now() } = {}) {
+  const rules = getPointsRules();
+  const summary = { awarded: 0, reversed: 0 };
+  if (!rules.valid) return summary;
+
+  for (const appointment of appointments) {
+    const time = Date.parse(appointment?.datetime);
+    try {
+      if (appointment.canceled) {
+        const { reversed, points } = await reversePoints('appointment', appointment.id, { reason: 'Appointment cancelled' });
+        if (reversed) summary.reversed += -points;
+      } else if (rules.perAppointment > 0 && Number.isFinite(time) && time <= now) {
+        const { awarded, points } = await earnPoints(member, {
+          points: rules.perAppointment,
+          source: 'appointment',
+          sourceId: appointment.id,
+          reason: appointment.type ? `Attended ${appointment.type}` : 'Attended appointment',
+        });
+        if (awarded) summary.awarded += points;
+      }
+    } catch {
+      // Logged by earnPoints/reversePoints; the next sync retries.
+    }
+  }
+  return summary;
+}
+
+/**
+ * What syncAppointmentPoints would do, without doing it: the points it
+ * would award and reverse, and the PassKit calls (`requests`).
+ */
+async function previewAppointmentPoints(appointments, member, { now = Date.now() } = {}) {
+  const rules = getPointsRules();
+  const redis = getRedis();
+  const summary = { awarded: 0, reversed: 0, requests: [] };
+  if (!rules.valid || !redis) return summary;
+
+  for (const appointment of appointments) {
+    const time = Date.parse(appointment?.datetime);
+    const earned = parseStoredJson(await redis.get(sourceKey('appointment', appointment.id)));
+    if (appointment.canceled) {
+      if (!earned || earned.reversedAt || earned.pending) continue;
+      summary.reversed += earned.points;
+      summary.requests.push(buildPointsRequest({ id: earned.memberId, programId: earned.programId || null }, -earned.points));
+    } else if (rules.perAppointment > 0 && Number.isFinite(time) && time <= now && !earned) {
+      summary.awarded += rules.perAppointment;
+      summary.requests.push(buildPointsRequest(member, rules.perAppointment));
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  POINTS_SOURCES,
+  parsePointsRules,
+  describePointsRules,
+  calculateOrderPoints,
+  earnPoints,
+  reversePoints,
+  adjustPoints,
+  getPointsLedger,
+  awardOrderPoints,
+  retryOrderPoints,
+  previewOrderPoints,
+  reverseOrderPoints,
+  previewOrderPointsReversal,
+  syncAppointmentPoints,
+  previewAppointmentPoints,
+};
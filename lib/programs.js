@@ -0,0 +1,199 @@
+/**
+ * PassKit program contexts, for running several studios/locations from
+ * one bridge deployment.
+ *
+ * PASSKIT_PROGRAMS is a JSON list:
+ *
+ *   [
+ *     { "key": "downtown", "name": "Downtown Studio", "programId": "abc123",
+ *       "calendarIds": [1234], "appointmentTypeIds": [55], "products": ["Downtown"],
+ *       "default": true },
+ *     { "key": "uptown", "name": "Uptown Studio", "programId": "def456",
+ *       "calendarIds": [5678] }
+ *   ]
+ *
+ * An order goes to the first program whose calendar, appointment type or
+ * product (case-insensitive substring of the order title) matches, else to
+ * the program marked `default`, else the first one. Without
+ * PASSKIT_PROGRAMS there is a single "default" program from
+ * PASSKIT_PROGRAM_ID.
+ *
+ * A program context is `{ key, name, programId }`; helpers that talk to
+ * PassKit accept one wherever they used to read PASSKIT_PROGRAM_ID.
+ */
+const { createEnvConfig } = require('./helpers');
+
+const DEFAULT_PROGRAM_KEY = 'default';
+
+function toIdList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function parsePrograms(rawPrograms, fallbackProgramId) {
+  const errors = [];
+
+  if (!rawPrograms) {
+    return {
+      programs: [{
+        key: DEFAULT_PROGRAM_KEY,
+        name: 'Default',
+        programId: fallbackProgramId || null,
+        calendarIds: [],
+        appointmentTypeIds: [],
+        products: [],
+        isDefault: true,
+      }],
+      errors,
+      valid: true,
+      multiProgram: false,
+    };
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(rawPrograms);
+  } catch (err) {
+    errors.push(`PASSKIT_PROGRAMS is not valid JSON: ${err.message}`);
+  }
+  if (parsed !== null && !Array.isArray(parsed)) {
+    errors.push('PASSKIT_PROGRAMS must be a JSON array');
+    parsed = null;
+  }
+
+  const programs = [];
+  const seenKeys = new Set();
+  (parsed || []).forEach((entry, index) => {
+    const label = `Program ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    const programId = typeof entry.programId === 'string' ? entry.programId.trim() : '';
+    const key = typeof entry.key === 'string' && entry.key.trim() ? entry.key.trim() : programId;
+    if (!programId) errors.push(`${label}: programId is required`);
+    if (key && seenKeys.has(key)) errors.push(`${label}: duplicate key "${key}"`);
+    if (key) seenKeys.add(key);
+
+    programs.push({
+      key: key || `program-${index + 1}`,
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : key,
+      programId: programId || null,
+      calendarIds: toIdList(entry.calendarIds),
+      appointmentTypeIds: toIdList(entry.appointmentTypeIds),
+      products: toIdList(entry.products).map((product) => product.toLowerCase()),
+      isDefault: entry.default === true,
+    });
+  });
+
+  if (parsed && programs.length === 0) errors.push('PASSKIT_PROGRAMS must list at least one program');
+  if (programs.filter((program) => program.isDefault).length > 1) {
+    errors.push('Only one program may be marked "default"');
+  }
+
+  return { programs, errors, valid: errors.length === 0, multiProgram: programs.length > 1 };
+}
+
+const getProgramConfig = createEnvConfig(
+  ['PASSKIT_PROGRAMS', 'PASSKIT_PROGRAM_ID'],
+  parsePrograms,
+  '[programs] Invalid program configuration:'
+);
+
+function toProgramContext(program) {
+  if (!program) return null;
+  return { key: program.key, name: program.name, programId: program.programId };
+}
+
+function assertValidPrograms() {
+  const config = getProgramConfig();
+  if (!config.valid) {
+    throw new Error(`Invalid program configuration: ${config.errors.join('; ')}`);
+  }
+  return config;
+}
+
+function listPrograms() {
+  return getProgramConfig().programs.map(toProgramContext);
+}
+
+function getDefaultProgram() {
+  const { programs } = getProgramConfig();
+  return toProgramContext(programs.find((program) => program.isDefault) || programs[0] || null);
+}
+
+function getProgramByKey(key) {
+  if (!key) return null;
+  const match = getProgramConfig().programs.find((program) => program.key === String(key));
+  return toProgramContext(match);
+}
+
+/**
+ * Finds the context for a PassKit program ID. Unknown IDs (e.g. from a
+ * tier rule) get an ad-hoc context keyed by the ID itself.
+ */
+function getProgramById(programId) {
+  if (!programId) return null;
+  const match = getProgramConfig().programs.find((program) => program.programId === String(programId));
+  if (match) return toProgramContext(match);
+  return { key: String(programId), name: String(programId), programId: String(programId) };
+}
+
+/**
+ * Picks the program for an order. `hints` carries webhook fields such as
+ * calendarID / appointmentTypeID that aren't always present on the order.
+ */
+function resolveProgramForOrder(order, hints = {}) {
+  const { programs } = assertValidPrograms();
+
+  const calendarId = String(hints.calendarID ?? hints.calendarId ?? order?.calendarID ?? order?.calendarId ?? '').trim();
+  const appointmentTypeId = String(
+    hints.appointmentTypeID ?? hints.appointmentTypeId ?? order?.appointmentTypeID ?? order?.appointmentTypeId ?? ''
+  ).trim();
+  const title = String(order?.title || '').toLowerCase();
+
+  for (const program of programs) {
+    if (calendarId && program.calendarIds.includes(calendarId)) {
+      return { ...toProgramContext(program), matchedBy: 'calendar' };
+    }
+    if (appointmentTypeId && program.appointmentTypeIds.includes(appointmentTypeId)) {
+      return { ...toProgramContext(program), matchedBy: 'appointmentType' };
+    }
+    if (title && program.products.some((product) => title.includes(product))) {
+      return { ...toProgramContext(program), matchedBy: 'product' };
+    }
+  }
+
+  return { ...getDefaultProgram(), matchedBy: 'default' };
+}
+
+function describePrograms() {
+  const config = getProgramConfig();
+  return {
+    valid: config.valid,
+    errors: config.errors,
+    multiProgram: config.multiProgram,
+    programs: config.programs.map((program) => ({
+      key: program.key,
+      name: program.name,
+      programIdSet: !!program.programId,
+      calendarIds: program.calendarIds,
+      appointmentTypeIds: program.appointmentTypeIds,
+      products: program.products,
+      default: program.isDefault,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_PROGRAM_KEY,
+  parsePrograms,
+  listPrograms,
+  getDefaultProgram,
+  getProgramByKey,
+  getProgramById,
+  resolveProgramForOrder,
+  describePrograms,
+};
@@ -0,0 +1,377 @@
+/**
+ * Durable webhook queue backed by Redis.
+ *
+ * Each accepted Acuity webhook is stored as a job, attempted right away,
+ * and on failure retried with exponential backoff (by the cron endpoint).
+ * After WEBHOOK_MAX_ATTEMPTS failures the job moves to a dead-letter list
+ * where an operator can inspect, replay or discard it.
+ */
+const crypto = require('crypto');
+const {
+  getRedis,
+  parseStoredJson,
+  appendLog,
+  withLogContext,
+  acquireRedisLock,
+  releaseRedisLock,
+  readPositiveInt,
+} = require('./helpers');
+const { dispatchWebhookAction, getWebhookTarget } = require('./webhook-actions');
+
+const QUEUE_KEY = 'acuity_webhook_queue';
+const DEAD_LETTER_KEY = 'acuity_webhook_dead_letter';
+const JOB_KEY_PREFIX = 'acuity_webhook_job:';
+const JOB_LOCK_KEY_PREFIX = 'acuity_webhook_job_lock:';
+const JOB_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const JOB_LOCK_TTL_SECONDS = 120;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60 * 6; // 6 hours
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+
+function getQueueConfig() {
+  return {
+    WEBHOOK_MAX_ATTEMPTS: readPositiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+    WEBHOOK_RETRY_BASE_SECONDS: readPositiveInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, DEFAULT_RETRY_BASE_SECONDS),
+  };
+}
+
+function getRetryDelaySeconds(attempts) {
+  const { WEBHOOK_RETRY_BASE_SECONDS } = getQueueConfig();
+  const delay = WEBHOOK_RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, MAX_RETRY_DELAY_SECONDS);
+}
+
+function jobKey(jobId) {
+  return `${JOB_KEY_PREFIX}${jobId}`;
+}
+
+// Jobs store the delivery's ID as `orderId` or `appointmentId`, per action.
+function jobTarget(job) {
+  return getWebhookTarget(job.action, job.orderId ?? job.appointmentId);
+}
+
+async function saveJob(redis, job) {
+  job.updatedAt = new Date().toISOString();
+  await redis.set(jobKey(job.id), JSON.stringify(job), { ex: JOB_TTL_SECONDS });
+  return job;
+}
+
+async function loadJob(jobId) {
+  const redis = getRedis();
+  if (!redis || !jobId) return null;
+  return parseStoredJson(await redis.get(jobKey(jobId)));
+}
+
+/**
+ * Persists a webhook delivery as a job. `id` is the order or appointment
+ * ID from the webhook. Returns null when Redis is not available, in which
+ * case callers fall back to inline processing.
+ */
+async function enqueueWebhookJob({ action, id, payload = null, correlationId = null }) {
+  const redis = getRedis();
+  if (!redis) return null;
+
+  const target = getWebhookTarget(action, id);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    action,
+    [target.field]: target.id,
+    payload,
+    correlationId,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: getQueueConfig().WEBHOOK_MAX_ATTEMPTS,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+
+  try {
+    await saveJob(redis, job);
+    await redis.lpush(QUEUE_KEY, job.id);
+    return job;
+  } catch (err) {
+    await appendLog('warn', 'Could not persist webhook job; processing inline without retries', {
+      action,
+      [target.field]: target.id,
+      error: err.message,
+    }, 'queue.unavailable');
+    return null;
+  }
+}
+
+/**
+ * Runs one attempt of a queued job. Resolves with the job's new status:
+ * `done`, `retrying`, `dead`, `locked` (another worker holds it) or `missing`.
+ */
+async function processWebhookJob(jobId) {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to process queued webhook jobs');
+
+  const lockKey = `${JOB_LOCK_KEY_PREFIX}${jobId}`;
+  const lockToken = await acquireRedisLock(redis, lockKey, JOB_LOCK_TTL_SECONDS);
+  if (!lockToken) return { status: 'locked', jobId };
+
+  try {
+    const job = await loadJob(jobId);
+    if (!job) {
+      await redis.lrem(QUEUE_KEY, 0, jobId);
+      return { status: 'missing', jobId };
+    }
+    // Retries keep the correlation ID of the webhook delivery that created the job.
+    const target = jobTarget(job);
+    return await withLogContext(
+      { [target.field]: target.id, ...(job.correlationId ? { correlationId: job.correlationId } : {}) },
+      () => attemptWebhookJob(redis, job)
+    );
+  } finally {
+    await releaseRedisLock(redis, lockKey, lockToken);
+  }
+}
+
+async function attemptWebhookJob(redis, job) {
+  job.attempts += 1;
+  job.status = 'processing';
+  await saveJob(redis, job);
+
+  const target = jobTarget(job);
+  try {
+    const result = await dispatchWebhookAction(job.action, target.id, job.payload);
+    await redis.lrem(QUEUE_KEY, 0, job.id);
+    await redis.del(jobKey(job.id));
+    if (job.attempts > 1) {
+      await appendLog('info', `Webhook job for ${target.label} succeeded on attempt ${job.attempts}`, {
+        jobId: job.id,
+        action: job.action,
+      }, 'queue.succeeded');
+    }
+    return { status: 'done', jobId: job.id, attempts: job.attempts, result };
+  } catch (err) {
+    job.lastError = err.response?.data || err.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      job.nextAttemptAt = null;
+      await saveJob(redis, job);
+      await redis.lrem(QUEUE_KEY, 0, job.id);
+      await redis.lpush(DEAD_LETTER_KEY, job.id);
+      await appendLog('error', `Webhook job for ${target.label} moved to dead-letter list`, {
+        jobId: job.id,
+        action: job.action,
+        attempts: job.attempts,
+        error: job.lastError,
+      }, 'queue.dead_lettered');
+      return { status: 'dead', jobId: job.id, attempts: job.attempts, error: err.message };
+    }
+
+    const delaySeconds = getRetryDelaySeconds(job.attempts);
+    job.status = 'retrying';
+    job.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    await saveJob(redis, job);
+    await appendLog('warn', `Webhook job for ${target.label} failed; retry scheduled`, {
+      jobId: job.id,
+      action: job.action,
+      attempts: job.attempts,
+      nextAttemptAt: job.nextAttemptAt,
+      error: job.lastError,
+    }, 'queue.retry_scheduled');
+    return {
+      status: 'retrying',
+      jobId: job.id,
+      attempts: job.attempts,
+      nextAttemptAt: job.nextAttemptAt,
+      error: err.message,
+    };
+  }
+}
+
+/**
+ * Runs a webhook delivery: persisted as a job and attempted right away, or
+ * dispatched inline (without retries) when Redis is unavailable. Used for
+ * live deliveries and replays alike. Resolves with `status` (`ok`,
+ * `queued`, `retrying`, `dead` or `error`) and, where they apply, `jobId`,
+ * `result`, `nextAttemptAt` and `error`.
+ */
+async function acceptWebhookDelivery({ action, id, payload = null, correlationId = null }) {
+  const target = getWebhookTarget(action, id);
+  // Persist the delivery first so a failure can be retried by the cron worker.
+  const job = await enqueueWebhookJob({ action, id, payload, correlationId });
+
+  if (!job) {
+    // No Redis: process inline without durability (previous behaviour).
+    try {
+      return { status: 'ok', result: await dispatchWebhookAction(action, target.id, payload) };
+    } catch (err) {
+      await appendLog('error', `Error processing ${target.label}`, err.message, 'webhook.failed');
+      return { status: 'error', error: err.message };
+    }
+  }
+
+  try {
+    const outcome = await processWebhookJob(job.id);
+    if (outcome.status === 'done') {
+      return { status: 'ok', jobId: job.id, result: outcome.result };
+    }
+    // Failed attempts stay queued (or dead-lettered) for the cron worker.
+    return {
+      status: outcome.status === 'locked' ? 'queued' : outcome.status,
+      jobId: job.id,
+      ...(outcome.nextAttemptAt ? { nextAttemptAt: outcome.nextAttemptAt } : {}),
+      ...(outcome.error ? { error: outcome.error } : {}),
+    };
+  } catch (err) {
+    await appendLog('error', `Error processing queued webhook job for ${target.label}`, {
+      jobId: job.id,
+      error: err.message,
+    }, 'webhook.failed');
+    return { status: 'queued', jobId: job.id, error: err.message };
+  }
+}
+
+/**
+ * Processes every queued job whose retry time has come, oldest first,
+ * stopping early when the time budget runs out.
+ */
+async function drainWebhookQueue({ timeBudgetMs = 20000 } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, processed: 0, results: [] };
+
+  const startedAt = Date.now();
+  const jobIds = ((await redis.lrange(QUEUE_KEY, 0, -1)) || []).map(String).reverse();
+  const results = [];
+
+  for (const jobId of jobIds) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    const job = await loadJob(jobId);
+    if (!job) {
+      await redis.lrem(QUEUE_KEY, 0, jobId);
+      continue;
+    }
+    if (job.nextAttemptAt && Date.parse(job.nextAttemptAt) > Date.now()) continue;
+    results.push(await processWebhookJob(jobId));
+  }
+
+  return {
+    available: true,
+    processed: results.length,
+    remaining: Number(await redis.llen(QUEUE_KEY)) || 0,
+    results,
+  };
+}
+
+async function listJobs(redis, listKey, limit) {
+  const ids = ((await redis.lrange(listKey, 0, limit - 1)) || []).map(String);
+  const jobs = [];
+  for (const id of ids) {
+    const job = await loadJob(id);
+    if (job) {
+      jobs.push(job);
+    } else {
+      // Job record expired; drop the dangling reference.
+      await redis.lrem(listKey, 0, id);
+    }
+  }
+  return jobs;
+}
+
+async function getQueueDepth() {
+  const redis = getRedis();
+  if (!redis) return { available: false, depth: 0, deadLetterCount: 0 };
+  const [depth, deadLetterCount] = await Promise.all([
+    redis.llen(QUEUE_KEY),
+    redis.llen(DEAD_LETTER_KEY),
+  ]);
+  return {
+    available: true,
+    depth: Number(depth) || 0,
+    deadLetterCount: Number(deadLetterCount) || 0,
+  };
+}
+
+async function getQueueOverview({ limit = 50 } = {}) {
+  const redis = getRedis();
+  if (!redis) {
+    return { available: false, depth: 0, deadLetterCount: 0, pending: [], deadLetters: [] };
+  }
+
+  const [depth, deadLetterCount, pending, deadLetters] = await Promise.all([
+    redis.llen(QUEUE_KEY),
+    redis.llen(DEAD_LETTER_KEY),
+    listJobs(redis, QUEUE_KEY, limit),
+    listJobs(redis, DEAD_LETTER_KEY, limit),
+  ]);
+
+  return {
+    available: true,
+    depth: Number(depth) || 0,
+    deadLetterCount: Number(deadLetterCount) || 0,
+    pending,
+    deadLetters,
+  };
+}
+
+async function getWebhookJob(jobId) {
+  return loadJob(jobId);
+}
+
+async function replayDeadLetterJob(jobId) {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to replay webhook jobs');
+
+  const job = await loadJob(jobId);
+  if (!job || job.status !== 'dead') {
+    const error = new Error('Dead-letter job not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  job.status = 'pending';
+  job.attempts = 0;
+  job.nextAttemptAt = new Date().toISOString();
+  await saveJob(redis, job);
+  await redis.lrem(DEAD_LETTER_KEY, 0, job.id);
+  await redis.lpush(QUEUE_KEY, job.id);
+  await appendLog('info', `Replaying dead-letter webhook job for ${jobTarget(job).label}`, {
+    jobId: job.id,
+    action: job.action,
+  }, 'queue.replayed');
+
+  return processWebhookJob(job.id);
+}
+
+async function discardDeadLetterJob(jobId) {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to discard webhook jobs');
+
+  const job = await loadJob(jobId);
+  const removed = Number(await redis.lrem(DEAD_LETTER_KEY, 0, jobId)) || 0;
+  if (!job && !removed) {
+    const error = new Error('Dead-letter job not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await redis.del(jobKey(jobId));
+  await appendLog('info', 'Discarded dead-letter webhook job', {
+    jobId,
+    ...(job ? { [jobTarget(job).field]: jobTarget(job).id } : {}),
+    action: job?.action || null,
+  }, 'queue.discarded');
+  return { status: 'discarded', jobId };
+}
+
+module.exports = {
+  getQueueConfig,
+  getRetryDelaySeconds,
+  enqueueWebhookJob,
+  processWebhookJob,
+  acceptWebhookDelivery,
+  drainWebhookQueue,
+  getQueueDepth,
+  getQueueOverview,
+  getWebhookJob,
+  replayDeadLetterJob,
+  discardDeadLetterJob,
+};
@@ -0,0 +1,419 @@
+/**
+ * Backfill / reconciliation of Acuity order history against PassKit.
+ *
+ * A run pages through Acuity `/orders` for a date range (newest first) and
+ * classifies each membership order:
+ *
+ *   in_sync        — PassKit matches the order
+ *   missing        — active order without a PassKit member
+ *   should_cancel  — inactive order whose member is still active
+ *   drift          — member exists but fields differ (changedFields)
+ *   cancelled_card — active order whose member is CANCELLED (report only)
+ *   no_certificate — order without a certificate code
+ *
+ * Dry-run (the default) only reports. Apply mode enrolls missing members,
+ * re-syncs drifted ones and cancels members of inactive orders, through the
+ * same helpers as the webhook. In both modes, members found in sync or
+ * cancelled are written to the member registry, so a run backfills it with
+ * the order history it covers.
+ *
+ * Progress is checkpointed in Redis after every order, so a run continues
+ * where it stopped when a serverless invocation times out; the cron task
+ * and "continue" calls pick it up.
+ */
+const crypto = require('crypto');
+const {
+  getRedis,
+  parseStoredJson,
+  appendLog,
+  createAcuityClient,
+  extractCertificateCode,
+  normalizeCertificateCode,
+  evaluateOrderActivity,
+  matchesMembershipProductFilter,
+  getEnrollmentLedgerEntry,
+  loadPassKitMemberRecord,
+  diffMemberData,
+  withLogContext,
+  acquireRedisLock,
+  releaseRedisLock,
+} = require('./helpers');
+const { findPassKitMemberByExternalId } = require('./passkit-members');
+const {
+  buildDesiredMember,
+  processNewMembershipOrder,
+  cancelMembershipByCertificateCode,
+} = require('./enrollment');
+const { getProgramByKey, getProgramById, resolveProgramForOrder } = require('./programs');
+const { recordRegistryMember } = require('./member-registry');
+
+const RUN_KEY = 'acuity_reconciliation_run';
+const FINDINGS_KEY = 'acuity_reconciliation_findings';
+const LOCK_KEY = 'acuity_reconciliation_lock';
+const LOCK_TTL_SECONDS = 120;
+const PAGE_SIZE = 100;
+const MAX_FINDINGS = 1000;
+const MODES = new Set(['dry-run', 'apply']);
+
+function emptyCounts() {
+  return {
+    scanned: 0,
+    inSync: 0,
+    missing: 0,
+    shouldCancel: 0,
+    drift: 0,
+    cancelledCard: 0,
+    noCertificate: 0,
+    skipped: 0,
+    enrolled: 0,
+    updated: 0,
+    cancelled: 0,
+    errors: 0,
+  };
+}
+
+const COUNT_BY_TYPE = {
+  in_sync: 'inSync',
+  missing: 'missing',
+  should_cancel: 'shouldCancel',
+  drift: 'drift',
+  cancelled_card: 'cancelledCard',
+  no_certificate: 'noCertificate',
+  skipped: 'skipped',
+  error: 'errors',
+};
+
+function isValidDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && Number.isFinite(Date.parse(value));
+}
+
+function requireRedis() {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required for reconciliation runs');
+  return redis;
+}
+
+async function loadRun() {
+  const redis = getRedis();
+  if (!redis) return null;
+  return parseStoredJson(await redis.get(RUN_KEY));
+}
+
+async function saveRun(redis, run) {
+  run.updatedAt = new Date().toISOString();
+  await redis.set(RUN_KEY, JSON.stringify(run));
+  return run;
+}
+
+async function recordFinding(redis, finding) {
+  await redis.lpush(FINDINGS_KEY, JSON.stringify({ ...finding, at: new Date().toISOString() }));
+  await redis.ltrim(FINDINGS_KEY, 0, MAX_FINDINGS - 1);
+}
+
+function getOrderTime(order) {
+  const timestamp = Date.parse(order?.time || order?.date || '');
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+// ---------- ORDER CLASSIFICATION ----------
+function programForLedger(ledger) {
+  if (!ledger) return null;
+  return getProgramByKey(ledger.programKey) || getProgramById(ledger.programId);
+}
+
+// Records what PassKit holds for a member in the registry.
+async function registerObservedMember(record, program, { orderId, certificateCode }) {
+  if (!record?.externalId) return;
+  const person = record.person || {};
+  await recordRegistryMember({
+    certificateCode: record.externalId,
+    memberId: record.id,
+    program: program?.key,
+    programId: record.programId,
+    tierId: record.tierId,
+    status: { CANCELLED: 'cancelled', EXPIRED: 'expired' }[record.status] || 'active',
+    expiryDate: record.expiryDate,
+    email: person.emailAddress,
+    firstName: person.forename,
+    lastName: person.surname,
+  }, { action: 'reconciled', orderId, certificateCode, source: 'reconciliation' });
+}
+
+/**
+ * Compares one Acuity order with PassKit and, in apply mode, fixes it.
+ * Resolves with a finding `{ type, orderId, certificateCode, ... }`.
+ */
+async function reconcileOrder(order, mode) {
+  const orderId = String(order.id);
+  if (!matchesMembershipProductFilter(order)) return { type: 'skipped', orderId };
+
+  const extracted = extractCertificateCode(order);
+  if (!extracted) return { type: 'no_certificate', orderId, title: order.title || null };
+  const certificateCode = normalizeCertificateCode(extracted);
+
+  const ledger = await getEnrollmentLedgerEntry({ orderId, certificateCode });
+  const program = programForLedger(ledger) || resolveProgramForOrder(order);
+  const activity = evaluateOrderActivity(order);
+
+  if (!activity.active) {
+    const ref = await findPassKitMemberByExternalId(ledger?.memberExternalId || certificateCode, program);
+    const record = ref?.id ? await loadPassKitMemberRecord(ref) : null;
+    if (!ref?.id || record?.status === 'CANCELLED') {
+      await registerObservedMember(record, program, { orderId, certificateCode });
+      return { type: 'in_sync', orderId, certificateCode };
+    }
+
+    const finding = { type: 'should_cancel', orderId, certificateCode, memberId: ref.id, reason: activity.reason };
+    if (mode === 'apply') {
+      await cancelMembershipByCertificateCode(certificateCode, {
+        orderId,
+        program,
+        sourceAction: 'reconciliation',
+        reason: activity.reason,
+      });
+      finding.action = 'cancelled';
+    }
+    return finding;
+  }
+
+  const desired = await buildDesiredMember(order, { orderId, certificateCode, program });
+  const ref = await findPassKitMemberByExternalId(desired.memberData.externalId, desired.program);
+
+  if (!ref?.id) {
+    const finding = { type: 'missing', orderId, certificateCode, program: desired.program.key };
+    if (mode === 'apply') {
+      const result = await processNewMembershipOrder(orderId, { force: true, program: desired.program });
+      finding.action = result.outcome === 'created' ? 'enrolled' : result.outcome || 'skipped';
+    }
+    return finding;
+  }
+
+  const record = await loadPassKitMemberRecord(ref);
+  const observed = { orderId, certificateCode };
+  if (record?.status === 'CANCELLED') {
+    await registerObservedMember(record, desired.program, observed);
+    return { type: 'cancelled_card', orderId, certificateCode, memberId: ref.id };
+  }
+
+  // The member was renewed by a later order; that order owns its data now.
+  const currentOrderId = record?.metaData?.acuityOrderId;
+  if (currentOrderId && String(currentOrderId) !== orderId && desired.memberData.externalId !== certificateCode) {
+    await registerObservedMember(record, desired.program, observed);
+    return { type: 'in_sync', orderId, certificateCode, supersededBy: String(currentOrderId) };
+  }
+
+  const { changedFields } = diffMemberData(record, desired.memberData);
+  if (changedFields.length === 0) {
+    await registerObservedMember(record, desired.program, observed);
+    return { type: 'in_sync', orderId, certificateCode };
+  }
+
+  const finding = { type: 'drift', orderId, certificateCode, memberId: ref.id, changedFields };
+  if (mode === 'apply') {
+    const result = await processNewMembershipOrder(orderId, { force: true, program: desired.program });
+    finding.action = result.outcome || 'skipped';
+  }
+  return finding;
+}
+
+function countFinding(run, finding) {
+  run.counts.scanned += 1;
+  const key = COUNT_BY_TYPE[finding.type];
+  if (key) run.counts[key] += 1;
+  if (finding.action === 'enrolled' || finding.action === 'created') run.counts.enrolled += 1;
+  if (finding.action === 'updated') run.counts.updated += 1;
+  if (finding.action === 'cancelled') run.counts.cancelled += 1;
+}
+
+// ---------- RUNS ----------
+async function fetchOrderPage(run) {
+  const acuity = createAcuityClient();
+  const response = await acuity.get('/orders', {
+    params: {
+      max: PAGE_SIZE,
+      minDate: run.minDate,
+      maxDate: run.cursor.maxDate,
+    },
+  });
+  const orders = Array.isArray(response.data) ? response.data : [];
+  // Newest first, so the cursor can walk backwards through the range.
+  return orders.sort((a, b) => (getOrderTime(b) || 0) - (getOrderTime(a) || 0));
+}
+
+async function withRunLock(fn) {
+  const redis = requireRedis();
+  const lockToken = await acquireRedisLock(redis, LOCK_KEY, LOCK_TTL_SECONDS);
+  if (!lockToken) return { status: 'locked' };
+  try {
+    return await fn(redis);
+  } finally {
+    await releaseRedisLock(redis, LOCK_KEY, lockToken);
+  }
+}
+
+/**
+ * Processes the current run until it finishes or the time budget runs out.
+ */
+async function continueReconciliation({ timeBudgetMs = 20000 } = {}) {
+  const run = await loadRun();
+  if (!run || run.status !== 'running') return { status: 'idle', run };
+
+  return withRunLock(async (redis) => {
+    const startedAt = Date.now();
+    const outOfTime = () => Date.now() - startedAt > timeBudgetMs;
+    const minTime = Date.parse(`${run.minDate}T00:00:00.000Z`);
+
+    try {
+      while (!outOfTime()) {
+        const orders = await fetchOrderPage(run);
+        const processed = new Set(run.cursor.processedIds);
+        const pending = orders.filter((order) => {
+          const time = getOrderTime(order);
+          return !processed.has(String(order.id)) && (time === null || time >= minTime);
+        });
+
+        if (pending.length === 0) {
+          run.status = 'completed';
+          run.completedAt = new Date().toISOString();
+          break;
+        }
+
+        for (const order of pending) {
+          if (outOfTime()) break;
+          // Stop promptly when an operator cancels the run.
+          const latest = await loadRun();
+          if (!latest || latest.id !== run.id || latest.status !== 'running') {
+            return { status: latest?.status || 'idle', run: latest };
+          }
+
+          let finding;
+          try {
+            finding = await withLogContext({ orderId: String(order.id) }, () => reconcileOrder(order, run.mode));
+          } catch (err) {
+            finding = {
+              type: 'error',
+              orderId: String(order.id),
+              error: err.response?.data || err.message,
+            };
+          }
+          countFinding(run, finding);
+          if (finding.type !== 'in_sync' && finding.type !== 'skipped') await recordFinding(redis, finding);
+          run.cursor.processedIds.push(String(order.id));
+          await saveRun(redis, run);
+        }
+
+        const pageDone = pending.every((order) => run.cursor.processedIds.includes(String(order.id)));
+        if (!pageDone) break;
+
+        const oldest = orders[orders.length - 1];
+        const oldestTime = getOrderTime(oldest);
+        if (orders.length < PAGE_SIZE || oldestTime === null || oldestTime < minTime) {
+          run.status = 'completed';
+          run.completedAt = new Date().toISOString();
+          break;
+        }
+        // Move the cursor back; orders at the boundary time may be returned
+        // again, so remember which of them are done.
+        run.cursor = {
+          maxDate: new Date(oldestTime).toISOString(),
+          processedIds: orders
+            .filter((order) => getOrderTime(order) === oldestTime)
+            .map((order) => String(order.id)),
+        };
+        run.pages += 1;
+        await saveRun(redis, run);
+      }
+    } catch (err) {
+      run.lastError = err.response?.data || err.message;
+      await appendLog('error', 'Reconciliation run interrupted; it will resume on the next call', {
+        runId: run.id,
+        error: run.lastError,
+      }, 'reconciliation.interrupted');
+    }
+
+    await saveRun(redis, run);
+    if (run.status === 'completed') {
+      await appendLog('info', `Reconciliation ${run.mode} run completed`, { runId: run.id, counts: run.counts }, 'reconciliation.completed');
+    }
+    return { status: run.status, run };
+  });
+}
+
+async function startReconciliation({ minDate, maxDate, mode = 'dry-run', startedBy = null, restart = false }) {
+  const redis = requireRedis();
+  if (!isValidDate(minDate) || !isValidDate(maxDate) || minDate > maxDate) {
+    const error = new Error('minDate and maxDate must be YYYY-MM-DD with minDate <= maxDate');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!MODES.has(mode)) {
+    const error = new Error('mode must be dry-run or apply');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const existing = await loadRun();
+  if (existing?.status === 'running' && !restart) {
+    const error = new Error('A reconciliation run is already in progress');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const run = {
+    id: crypto.randomUUID(),
+    mode,
+    minDate,
+    maxDate,
+    status: 'running',
+    cursor: { maxDate: `${maxDate}T23:59:59.999Z`, processedIds: [] },
+    pages: 0,
+    counts: emptyCounts(),
+    startedBy,
+    startedAt: now,
+    updatedAt: now,
+    completedAt: null,
+    lastError: null,
+  };
+  await redis.del(FINDINGS_KEY);
+  await saveRun(redis, run);
+  await appendLog('info', `Reconciliation ${mode} run started`, { runId: run.id, minDate, maxDate, startedBy }, 'reconciliation.started');
+  return run;
+}
+
+async function cancelReconciliation() {
+  const redis = requireRedis();
+  const run = await loadRun();
+  if (!run || run.status !== 'running') {
+    const error = new Error('No reconciliation run in progress');
+    error.statusCode = 404;
+    throw error;
+  }
+  run.status = 'cancelled';
+  run.completedAt = new Date().toISOString();
+  await saveRun(redis, run);
+  await appendLog('info', 'Reconciliation run cancelled by operator', { runId: run.id, counts: run.counts }, 'reconciliation.cancelled');
+  return run;
+}
+
+async function getReconciliationOverview({ limit = 100 } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, run: null, findings: [] };
+  const [run, rows] = await Promise.all([
+    loadRun(),
+    redis.lrange(FINDINGS_KEY, 0, limit - 1),
+  ]);
+  return {
+    available: true,
+    run,
+    findings: (rows || []).map(parseStoredJson).filter(Boolean),
+  };
+}
+
+module.exports = {
+  reconcileOrder,
+  startReconciliation,
+  continueReconciliation,
+  cancelReconciliation,
+  getReconciliationOverview,
+};
@@ -0,0 +1,176 @@
+/**
+ * Routes Acuity products to PassKit tiers (and optionally programs).
+ *
+ * TIER_RULES is JSON — either a list of rules or
+ * `{ "defaultTierId": "...", "rules": [...] }`:
+ *
+ *   [
+ *     { "match": "exact",     "pattern": "Standard Membership", "tierId": "standard" },
+ *     { "match": "substring", "pattern": "premium",             "tierId": "premium" },
+ *     { "match": "regex",     "pattern": "^family\\b",           "tierId": "family" },
+ *     { "match": "exact", "field": "productId", "pattern": "4711", "tierId": "premium",
+ *       "programId": "otherProgram" }
+ *   ]
+ *
+ * Rules match against the order title (default) or product ID, case-
+ * insensitively; the first match wins. Without a match the tier falls back
+ * to the field mapping's tierId, then DEFAULT_TIER_ID ("membership").
+ *
+ * The configuration is parsed and validated once per cold start. An
+ * invalid configuration blocks enrollment rather than guessing a tier.
+ */
+const { createEnvConfig } = require('./helpers');
+
+const MATCH_TYPES = new Set(['exact', 'substring', 'regex']);
+const MATCH_FIELDS = new Set(['title', 'productId']);
+const FALLBACK_TIER_ID = 'membership';
+
+/**
+ * Parses the product-matching part of a rule (match, field, pattern),
+ * pushing problems onto `errors`. Shared with lib/membership-terms.js.
+ */
+function parseRuleMatcher(rule, label, errors) {
+  const match = String(rule.match || 'substring').trim().toLowerCase();
+  const field = String(rule.field || 'title').trim();
+  const pattern = rule.pattern === undefined || rule.pattern === null ? '' : String(rule.pattern);
+
+  if (!MATCH_TYPES.has(match)) errors.push(`${label}: match must be exact, substring or regex`);
+  if (!MATCH_FIELDS.has(field)) errors.push(`${label}: field must be title or productId`);
+  if (!pattern) errors.push(`${label}: pattern is required`);
+
+  let regex = null;
+  if (match === 'regex' && pattern) {
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (err) {
+      errors.push(`${label}: invalid regex (${err.message})`);
+    }
+  }
+
+  return { match, field, pattern, regex };
+}
+
+function parseTierRouting(rawRules, rawDefaultTierId) {
+  const errors = [];
+  let defaultTierId = rawDefaultTierId || FALLBACK_TIER_ID;
+  let ruleList = [];
+
+  if (rawRules) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(rawRules);
+    } catch (err) {
+      errors.push(`TIER_RULES is not valid JSON: ${err.message}`);
+    }
+
+    if (Array.isArray(parsed)) {
+      ruleList = parsed;
+    } else if (parsed && typeof parsed === 'object') {
+      if (parsed.rules !== undefined && !Array.isArray(parsed.rules)) {
+        errors.push('TIER_RULES.rules must be an array');
+      } else {
+        ruleList = parsed.rules || [];
+      }
+      if (parsed.defaultTierId !== undefined) {
+        if (typeof parsed.defaultTierId === 'string' && parsed.defaultTierId.trim()) {
+          defaultTierId = parsed.defaultTierId.trim();
+        } else {
+          errors.push('TIER_RULES.defaultTierId must be a non-empty string');
+        }
+      }
+    } else if (parsed !== null) {
+      errors.push('TIER_RULES must be a JSON array or object');
+    }
+  }
+
+  const rules = [];
+  ruleList.forEach((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    const matcher = parseRuleMatcher(rule, label, errors);
+    const tierId = typeof rule.tierId === 'string' ? rule.tierId.trim() : '';
+    const programId = typeof rule.programId === 'string' ? rule.programId.trim() : '';
+    if (!tierId) errors.push(`${label}: tierId is required`);
+
+    rules.push({
+      match: matcher.match,
+      field: matcher.field,
+      pattern: matcher.pattern,
+      tierId,
+      ...(programId ? { programId } : {}),
+      regex: matcher.regex,
+    });
+  });
+
+  return { defaultTierId, rules, errors, valid: errors.length === 0 };
+}
+
+const getTierRouting = createEnvConfig(
+  ['TIER_RULES', 'DEFAULT_TIER_ID'],
+  parseTierRouting,
+  '[tier-routing] Invalid tier routing configuration:'
+);
+
+function getOrderProductId(order) {
+  const value = order?.productID ?? order?.productId ?? order?.product?.id ?? null;
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function ruleMatches(rule, order) {
+  const candidate = rule.field === 'productId' ? getOrderProductId(order) : String(order?.title || '');
+  if (!candidate) return false;
+  if (rule.match === 'regex') return !!rule.regex && rule.regex.test(candidate);
+  const haystack = candidate.trim().toLowerCase();
+  const needle = rule.pattern.trim().toLowerCase();
+  return rule.match === 'exact' ? haystack === needle : haystack.includes(needle);
+}
+
+/**
+ * Resolves the tier (and optional program) for an order. `fallbackTierId`
+ * is the field mapping's tierId, used before DEFAULT_TIER_ID.
+ */
+function resolveTierForOrder(order, { fallbackTierId = null } = {}) {
+  const routing = getTierRouting();
+  if (!routing.valid) {
+    throw new Error(`Invalid tier routing configuration: ${routing.errors.join('; ')}`);
+  }
+
+  for (let index = 0; index < routing.rules.length; index += 1) {
+    const rule = routing.rules[index];
+    if (ruleMatches(rule, order)) {
+      return {
+        tierId: rule.tierId,
+        programId: rule.programId || null,
+        matchedRule: index + 1,
+        source: 'rule',
+      };
+    }
+  }
+
+  if (fallbackTierId) {
+    return { tierId: fallbackTierId, programId: null, matchedRule: null, source: 'mapping' };
+  }
+  return { tierId: routing.defaultTierId, programId: null, matchedRule: null, source: 'default' };
+}
+
+function describeTierRouting() {
+  const routing = getTierRouting();
+  return {
+    valid: routing.valid,
+    errors: routing.errors,
+    defaultTierId: routing.defaultTierId,
+    rules: routing.rules.map(({ regex, ...rule }) => rule),
+  };
+}
+
+module.exports = {
+  parseRuleMatcher,
+  ruleMatches,
+  parseTierRouting,
+  resolveTierForOrder,
+  describeTierRouting,
+};
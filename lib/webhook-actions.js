@@ -0,0 +1,144 @@
+/**
+ * Registry of Acuity webhook actions and the handlers that process them.
+ * Shared by the webhook receiver and the retry queue so both run a
+ * delivery through exactly the same code path.
+ *
+ * Each action names the Acuity resource its `id` refers to (`order` or
+ * `appointment`) and a handler called as `handler(id, { action, payload, hints })`.
+ * An optional `preview` with the same signature plans the work without doing
+ * it, for dry-run deliveries (lib/dry-run.js).
+ * Add an action with registerWebhookAction(); the receiver, queue and
+ * dispatcher pick it up without changes.
+ */
+const {
+  processNewMembershipOrder,
+  processMembershipCancellation,
+} = require('./enrollment');
+const { syncAppointmentActivity } = require('./appointments');
+const { planMembershipOrder, planOrderCancellation, planAppointmentActivity } = require('./dry-run');
+
+const WEBHOOK_RESOURCES = ['order', 'appointment'];
+const registry = new Map();
+
+function normalizeWebhookAction(action) {
+  return String(action || '').trim().toLowerCase();
+}
+
+/**
+ * Registers (or replaces) the handler for a webhook action.
+ * `definition` is `{ resource, handler, preview, description }`.
+ */
+function registerWebhookAction(action, { resource = 'order', handler, preview = null, description = '' }) {
+  const name = normalizeWebhookAction(action);
+  if (!name) throw new Error('Webhook action name is required');
+  if (!WEBHOOK_RESOURCES.includes(resource)) {
+    throw new Error(`Webhook action resource must be one of ${WEBHOOK_RESOURCES.join(', ')}`);
+  }
+  if (typeof handler !== 'function') throw new Error(`Webhook action "${name}" needs a handler function`);
+  if (preview !== null && typeof preview !== 'function') throw new Error(`Webhook action "${name}" preview must be a function`);
+  registry.set(name, { action: name, resource, handler, preview, description });
+}
+
+function getWebhookAction(action) {
+  return registry.get(normalizeWebhookAction(action)) || null;
+}
+
+function isHandledWebhookAction(action) {
+  return registry.has(normalizeWebhookAction(action));
+}
+
+function listWebhookActions() {
+  return [...registry.values()].map(({ action, resource, preview, description }) => ({
+    action,
+    resource,
+    description,
+    dryRun: !!preview,
+  }));
+}
+
+/**
+ * Describes what a delivery's `id` refers to: `{ resource, field, id, label }`,
+ * e.g. `{ resource: 'appointment', field: 'appointmentId', id: '42', label: 'appointment #42' }`.
+ * Unknown actions are treated as orders, which is what Acuity mostly sends.
+ */
+function getWebhookTarget(action, id) {
+  const resource = getWebhookAction(action)?.resource || 'order';
+  return {
+    resource,
+    field: `${resource}Id`,
+    id: id === undefined || id === null ? null : String(id),
+    label: `${resource} #${id}`,
+  };
+}
+
+// Webhook fields used to route an order to a PassKit program.
+function getRoutingHints(payload) {
+  if (!payload || typeof payload !== 'object') return {};
+  return {
+    calendarID: payload.calendarID ?? null,
+    appointmentTypeID: payload.appointmentTypeID ?? null,
+  };
+}
+
+async function dispatchWebhookAction(action, id, payload = null) {
+  const definition = getWebhookAction(action);
+  if (!definition) throw new Error(`Unsupported webhook action: ${action}`);
+  return definition.handler(id, {
+    action: definition.action,
+    payload,
+    hints: getRoutingHints(payload),
+  });
+}
+
+/** Runs the action's `preview` instead of its handler (dry run). */
+async function previewWebhookAction(action, id, payload = null) {
+  const definition = getWebhookAction(action);
+  if (!definition) throw new Error(`Unsupported webhook action: ${action}`);
+  if (!definition.preview) {
+    const error = new Error(`Dry run is not available for webhook action: ${definition.action}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return definition.preview(id, {
+    action: definition.action,
+    payload,
+    hints: getRoutingHints(payload),
+  });
+}
+
+// ---------- BUILT-IN ACTIONS ----------
+registerWebhookAction('order.completed', {
+  description: 'Enroll or re-sync the member for a paid order',
+  handler: (orderId, { hints }) => processNewMembershipOrder(orderId, { hints }),
+  preview: (orderId, { hints }) => planMembershipOrder(orderId, { hints }),
+});
+
+for (const action of ['order.cancelled', 'order.canceled']) {
+  registerWebhookAction(action, {
+    description: 'Cancel the membership bought with the order',
+    handler: (orderId, { action: sourceAction, hints }) => processMembershipCancellation(orderId, { sourceAction, hints }),
+    preview: (orderId, { action: sourceAction, hints }) => planOrderCancellation(orderId, { sourceAction, hints }),
+  });
+}
+
+// Acuity sends appointment actions without a prefix.
+for (const action of ['scheduled', 'rescheduled', 'canceled', 'changed']) {
+  registerWebhookAction(action, {
+    resource: 'appointment',
+    description: 'Update the next class, visit count and last visit on the pass',
+    handler: (appointmentId, { action: sourceAction, hints }) => syncAppointmentActivity(appointmentId, { action: sourceAction, hints }),
+    preview: (appointmentId, { action: sourceAction, hints }) => planAppointmentActivity(appointmentId, { action: sourceAction, hints }),
+  });
+}
+
+module.exports = {
+  WEBHOOK_RESOURCES,
+  normalizeWebhookAction,
+  registerWebhookAction,
+  getWebhookAction,
+  isHandledWebhookAction,
+  listWebhookActions,
+  getWebhookTarget,
+  dispatchWebhookAction,
+  previewWebhookAction,
+};
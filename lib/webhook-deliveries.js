@@ -0,0 +1,283 @@
+/**
+ * Received Acuity webhooks, kept for debugging and replay.
+ *
+ * api/webhook.js records every delivery it receives (dry runs aside): the
+ * raw body, the request headers with credentials redacted, whether the
+ * signature was `valid`, `invalid` or `missing`, and the outcome it
+ * answered with. Deliveries rejected by the source allowlist or signature
+ * check are kept as a summary only (`summaryOnly`), without body or
+ * headers, so unauthenticated requests can't fill Redis. A delivery's ID
+ * is its correlation ID, so `/api/logs?correlationId=<id>` shows
+ * everything it did.
+ *
+ * Records expire WEBHOOK_DELIVERY_RETENTION_DAYS (default 14, 0 stops
+ * recording) after their last update, and only the newest
+ * WEBHOOK_DELIVERY_LIMIT (default 1000) are kept.
+ *
+ * A replay runs the stored body through the same queue and action
+ * dispatcher as a live delivery, or as a dry run (lib/dry-run.js) that
+ * changes nothing. It skips the enable/disable toggle and the replay
+ * window, so deliveries ignored while processing was off can be caught
+ * up. Deliveries accepted without a valid signature (log-only mode) can
+ * only be replayed as dry runs; rejected ones can't be replayed at all.
+ * Recording never fails the delivery. Requires Redis.
+ */
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { getRedis, parseStoredJson, appendLog, withLogContext } = require('./helpers');
+const {
+  normalizeWebhookAction,
+  isHandledWebhookAction,
+  getWebhookTarget,
+  previewWebhookAction,
+} = require('./webhook-actions');
+const { acceptWebhookDelivery, getWebhookJob } = require('./queue');
+const { getClientIp } = require('./client-ip');
+const { describeWebhookSecurity } = require('./webhook-security');
+
+const DELIVERY_KEY_PREFIX = 'acuity_inbound_delivery:';
+const DELIVERY_LOG_KEY = 'acuity_inbound_deliveries';
+const DEFAULT_RETENTION_DAYS = 14;
+const DEFAULT_LIMIT = 1000;
+const MAX_BODY_LENGTH = 64 * 1024;
+const MAX_FIELD_LENGTH = 100;
+const MAX_REPLAYS = 20;
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+function readInt(name, fallback, min) {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function getDeliveryConfig() {
+  const retentionDays = readInt('WEBHOOK_DELIVERY_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, 0);
+  return {
+    recording: retentionDays > 0,
+    retentionDays,
+    limit: readInt('WEBHOOK_DELIVERY_LIMIT', DEFAULT_LIMIT, 1),
+  };
+}
+
+/** Settings for /api/status and the dashboard. */
+function describeWebhookDeliveries() {
+  return { ...getDeliveryConfig(), available: !!getRedis() };
+}
+
+function deliveryKey(id) {
+  return `${DELIVERY_KEY_PREFIX}${id}`;
+}
+
+function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value,
+  ]));
+}
+
+// The handled action and its order / appointment ID, if the body has them.
+function readTarget(body) {
+  const action = normalizeWebhookAction(body.action).slice(0, MAX_FIELD_LENGTH);
+  if (!action || !isHandledWebhookAction(action)) return { action: action || null, target: null };
+  const target = getWebhookTarget(action, body.id);
+  return { action, target: target.id ? { ...target, id: target.id.slice(0, MAX_FIELD_LENGTH) } : null };
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function saveDelivery(redis, delivery) {
+  delivery.updatedAt = new Date().toISOString();
+  const { retentionDays } = getDeliveryConfig();
+  await redis.set(deliveryKey(delivery.id), JSON.stringify(delivery), { ex: Math.max(retentionDays, 1) * 24 * 60 * 60 });
+  return delivery;
+}
+
+async function loadDelivery(id) {
+  const redis = getRedis();
+  if (!redis || !id) return null;
+  return parseStoredJson(await redis.get(deliveryKey(id)));
+}
+
+// ---------- RECORDING ----------
+// Drops the records of deliveries pushed off the end of the list.
+async function trimDeliveries(redis, limit) {
+  const stale = (await redis.lrange(DELIVERY_LOG_KEY, limit, -1)) || [];
+  for (const id of stale) await redis.del(deliveryKey(id));
+  await redis.ltrim(DELIVERY_LOG_KEY, 0, limit - 1);
+}
+
+/**
+ * Stores a delivery as it arrives, before it is processed. `signature` is
+ * `valid`, `invalid` or `missing`; `accepted` is false when the source or
+ * signature check rejects it, and only a summary is kept. Resolves with
+ * the record to pass to finishWebhookDelivery(), or null when recording
+ * is off or fails.
+ */
+async function recordWebhookDelivery({ id, req, rawBody, signature, accepted = true }) {
+  const redis = getRedis();
+  const { recording, limit } = getDeliveryConfig();
+  if (!redis || !recording) return null;
+
+  const { action, target } = readTarget(querystring.parse(rawBody));
+  const now = new Date().toISOString();
+  const delivery = {
+    id,
+    receivedAt: now,
+    updatedAt: now,
+    action,
+    ...(target ? { [target.field]: target.id } : {}),
+    signature,
+    ip: getClientIp(req),
+    ...(accepted ? {
+      headers: redactHeaders(req.headers),
+      rawBody: rawBody.slice(0, MAX_BODY_LENGTH),
+      ...(rawBody.length > MAX_BODY_LENGTH ? { bodyTruncated: true } : {}),
+    } : { summaryOnly: true, bodyLength: rawBody.length }),
+    outcome: null,
+    replays: [],
+  };
+
+  try {
+    await saveDelivery(redis, delivery);
+    await redis.lpush(DELIVERY_LOG_KEY, id);
+    await trimDeliveries(redis, limit);
+    return delivery;
+  } catch (err) {
+    console.error('[webhook-deliveries] Could not record delivery:', err.message);
+    return null;
+  }
+}
+
+/** Adds the HTTP status and response body the delivery was answered with. */
+async function finishWebhookDelivery(delivery, httpStatus, response = {}) {
+  const redis = getRedis();
+  if (!redis || !delivery) return;
+  const { status, error, reason, jobId, result } = response;
+  delivery.outcome = {
+    httpStatus,
+    status: status || (httpStatus >= 400 ? 'rejected' : 'ok'),
+    ...(reason ? { reason } : {}),
+    ...(error ? { error } : {}),
+    ...(jobId ? { jobId } : {}),
+    ...(result !== undefined ? { result } : {}),
+  };
+  try {
+    await saveDelivery(redis, delivery);
+  } catch (err) {
+    console.error('[webhook-deliveries] Could not record delivery outcome:', err.message);
+  }
+}
+
+// ---------- LISTING ----------
+/**
+ * Newest deliveries first, without bodies and headers. `status` matches the
+ * outcome status; `orderId` and `appointmentId` match the delivery's target.
+ */
+async function listWebhookDeliveries({ limit = 50, status = null, orderId = null, appointmentId = null } = {}) {
+  const redis = getRedis();
+  if (!redis) return { available: false, deliveries: [] };
+
+  const ids = ((await redis.lrange(DELIVERY_LOG_KEY, 0, getDeliveryConfig().limit - 1)) || []).map(String);
+  const deliveries = [];
+  for (const id of ids) {
+    if (deliveries.length >= limit) break;
+    const delivery = await loadDelivery(id);
+    if (!delivery) {
+      // Delivery record expired; drop the dangling reference.
+      await redis.lrem(DELIVERY_LOG_KEY, 0, id);
+      continue;
+    }
+    if (status && (delivery.outcome?.status || 'processing') !== status) continue;
+    if (orderId && delivery.orderId !== orderId) continue;
+    if (appointmentId && delivery.appointmentId !== appointmentId) continue;
+    const { rawBody, headers, outcome, replays, ...summary } = delivery;
+    const { result, ...outcomeSummary } = outcome || {};
+    deliveries.push({
+      ...summary,
+      outcome: outcome ? outcomeSummary : null,
+      replayCount: replays.length,
+      lastReplay: replays[0] || null,
+    });
+  }
+  return { available: true, deliveries };
+}
+
+/** One delivery with its body, headers and replays, plus its queued job if it still has one. */
+async function getWebhookDelivery(id) {
+  const delivery = await loadDelivery(id);
+  if (!delivery) return null;
+  const jobId = delivery.replays[0]?.jobId || delivery.outcome?.jobId;
+  const job = jobId ? await getWebhookJob(jobId) : null;
+  return {
+    ...delivery,
+    body: delivery.summaryOnly ? null : querystring.parse(delivery.rawBody),
+    ...(job ? { job: { id: job.id, status: job.status, attempts: job.attempts, nextAttemptAt: job.nextAttemptAt, lastError: job.lastError } } : {}),
+  };
+}
+
+// ---------- REPLAY ----------
+/**
+ * Runs a recorded delivery again, through the queue like a live one, or
+ * with `dryRun` as a preview that changes nothing. Real replays are added
+ * to the delivery's `replays` (newest first, last 20 kept) and get their
+ * own correlation ID.
+ */
+async function replayWebhookDelivery(id, { dryRun = false, by = null } = {}) {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is required to replay webhook deliveries');
+
+  const delivery = await loadDelivery(id);
+  if (!delivery) throw httpError('Delivery not found', 404);
+  if (delivery.summaryOnly) throw httpError('The delivery was rejected and its body was not kept', 409);
+  if (delivery.bodyTruncated) throw httpError('The stored body was truncated and cannot be replayed', 409);
+
+  const body = querystring.parse(delivery.rawBody);
+  const { action, target } = readTarget(body);
+  if (!target) {
+    throw httpError(action && isHandledWebhookAction(action)
+      ? `No ${getWebhookTarget(action).resource} ID in the stored delivery`
+      : `No handler for webhook action: ${body.action || '(none)'}`, 400);
+  }
+  const unsigned = delivery.signature === 'missing' && describeWebhookSecurity().signatureMode === 'required';
+  if (!dryRun && (delivery.signature === 'invalid' || unsigned)) {
+    throw httpError('This delivery failed signature verification; replay it as a dry run only', 409);
+  }
+
+  const correlationId = crypto.randomUUID();
+  const ids = { [target.field]: target.id };
+  if (dryRun) {
+    return withLogContext({ correlationId, dryRun: true, ...ids }, async () => ({
+      deliveryId: delivery.id,
+      dryRun: true,
+      ...ids,
+      result: await previewWebhookAction(action, target.id, body),
+    }));
+  }
+
+  return withLogContext({ correlationId, ...ids }, async () => {
+    await appendLog('info', `Replaying Acuity webhook ${action} for ${target.label}`, {
+      deliveryId: delivery.id,
+      by,
+    }, 'webhook.replayed');
+    const outcome = await acceptWebhookDelivery({ action, id: target.id, payload: body, correlationId });
+
+    const { result, ...summary } = outcome;
+    delivery.replays = [{ at: new Date().toISOString(), by, correlationId, ...summary }, ...delivery.replays]
+      .slice(0, MAX_REPLAYS);
+    await saveDelivery(redis, delivery);
+    return { deliveryId: delivery.id, correlationId, ...ids, ...outcome };
+  });
+}
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  describeWebhookDeliveries,
+  recordWebhookDelivery,
+  finishWebhookDelivery,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+};
@@ -0,0 +1,145 @@
+/**
+ * Checks api/webhook.js applies to an Acuity delivery before processing it.
+ *
+ * WEBHOOK_SIGNATURE_MODE decides what happens when `x-acuity-signature`
+ * is missing or wrong:
+ *
+ *   required  — reject with 401 and alert (default)
+ *   log-only  — log `webhook.unverified` and process anyway, for rollout
+ *   off       — don't check
+ *
+ * An unknown mode falls back to `required` and is reported by /api/status.
+ *
+ * Replay protection remembers the SHA-256 of every order body api/webhook.js
+ * processes, in Redis for WEBHOOK_REPLAY_WINDOW_SECONDS (default 600, 0
+ * turns it off). Acuity bodies carry no timestamp or delivery ID, so a
+ * second delivery with the same body inside the window is ignored, forged
+ * or not, unless the first one failed without leaving a job in the queue.
+ * Appointment deliveries aren't checked: their handler re-reads the
+ * appointment from Acuity, and two real `changed` events can have
+ * identical bodies.
+ *
+ * WEBHOOK_ALLOWED_IPS optionally lists the addresses and CIDR ranges
+ * deliveries may come from (comma-separated, IPv4 or IPv6). Deliveries
+ * from anywhere else are rejected with 403, whatever the signature mode.
+ * The address is the connection's, or X-Forwarded-For behind a proxy
+ * trusted by TRUST_PROXY (lib/client-ip.js).
+ */
+const crypto = require('crypto');
+const { getRedis, verifyAcuitySignature, createEnvConfig } = require('./helpers');
+const { getClientIp, parseAddressList, isListedAddress, describeTrustProxy } = require('./client-ip');
+
+const SIGNATURE_MODES = ['required', 'log-only', 'off'];
+const SIGNATURE_MODE_ALIASES = { log: 'log-only', log_only: 'log-only', logonly: 'log-only' };
+const DEFAULT_REPLAY_WINDOW_SECONDS = 600;
+const SEEN_BODY_KEY_PREFIX = 'acuity_webhook_seen:';
+
+function parseWebhookSecurity(rawMode, rawWindow, rawAllowedIps) {
+  const errors = [];
+  const mode = rawMode.toLowerCase();
+  let signatureMode = SIGNATURE_MODE_ALIASES[mode] || mode || 'required';
+  if (!SIGNATURE_MODES.includes(signatureMode)) {
+    errors.push(`WEBHOOK_SIGNATURE_MODE must be one of ${SIGNATURE_MODES.join(', ')}; using required`);
+    signatureMode = 'required';
+  }
+
+  let replayWindowSeconds = DEFAULT_REPLAY_WINDOW_SECONDS;
+  if (rawWindow) {
+    const parsed = Number(rawWindow);
+    if (Number.isInteger(parsed) && parsed >= 0) {
+      replayWindowSeconds = parsed;
+    } else {
+      errors.push(`WEBHOOK_REPLAY_WINDOW_SECONDS must be a whole number of seconds; using ${DEFAULT_REPLAY_WINDOW_SECONDS}`);
+    }
+  }
+
+  const { blockList, entries } = parseAddressList(rawAllowedIps, 'WEBHOOK_ALLOWED_IPS', errors);
+  return { signatureMode, replayWindowSeconds, allowedIps: entries, blockList, errors, valid: errors.length === 0 };
+}
+
+const getWebhookSecurityConfig = createEnvConfig(
+  ['WEBHOOK_SIGNATURE_MODE', 'WEBHOOK_REPLAY_WINDOW_SECONDS', 'WEBHOOK_ALLOWED_IPS'],
+  parseWebhookSecurity,
+  '[webhook-security] Invalid settings:'
+);
+
+/** Settings for /api/status and the dashboard. */
+function describeWebhookSecurity() {
+  const { valid, errors, signatureMode, replayWindowSeconds, allowedIps } = getWebhookSecurityConfig();
+  const trustProxy = describeTrustProxy();
+  return {
+    valid: valid && trustProxy.valid,
+    errors: [...errors, ...trustProxy.errors],
+    signatureMode,
+    replayProtection: {
+      enabled: replayWindowSeconds > 0,
+      windowSeconds: replayWindowSeconds,
+      available: !!getRedis(),
+    },
+    allowedIps,
+    trustProxy: { mode: trustProxy.mode, proxies: trustProxy.proxies },
+  };
+}
+
+/**
+ * Signature and source checks for a delivery, without side effects:
+ * `signature` is `valid`, `invalid`, `missing` or `unchecked` (mode off),
+ * `signatureAccepted` whether the mode lets it through, and `sourceAllowed`
+ * whether `ip` passes WEBHOOK_ALLOWED_IPS.
+ */
+function inspectWebhookRequest(req, rawBody) {
+  const { signatureMode, allowedIps, blockList } = getWebhookSecurityConfig();
+  const header = req.headers['x-acuity-signature'];
+  let signature = 'unchecked';
+  if (signatureMode !== 'off') {
+    signature = !header ? 'missing' : verifyAcuitySignature(rawBody, header) ? 'valid' : 'invalid';
+  }
+
+  const ip = getClientIp(req);
+  return {
+    signatureMode,
+    signature,
+    signatureAccepted: signatureMode !== 'required' || signature === 'valid',
+    ip,
+    sourceAllowed: allowedIps.length === 0 || isListedAddress(blockList, ip),
+  };
+}
+
+function seenBodyKey(rawBody) {
+  return `${SEEN_BODY_KEY_PREFIX}${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+/**
+ * Remembers an accepted body for the replay window. Resolves false when
+ * the same body was already accepted inside it; true otherwise, including
+ * when replay protection is off or Redis is unavailable.
+ */
+async function claimWebhookBody(rawBody) {
+  const { replayWindowSeconds } = getWebhookSecurityConfig();
+  const redis = getRedis();
+  if (!redis || replayWindowSeconds === 0) return true;
+
+  try {
+    const fresh = await redis.set(seenBodyKey(rawBody), '1', { ex: replayWindowSeconds, nx: true });
+    return !!fresh;
+  } catch (err) {
+    // Fail open: losing a delivery is worse than processing a duplicate.
+    console.error('[webhook-security] Could not check for a replayed body:', err.message);
+    return true;
+  }
+}
+
+/** Forgets a claimed body whose processing failed, so a resend gets through. */
+async function releaseWebhookBody(rawBody) {
+  const redis = getRedis();
+  if (!redis) return;
+  await redis.del(seenBodyKey(rawBody)).catch(() => {});
+}
+
+module.exports = {
+  SIGNATURE_MODES,
+  describeWebhookSecurity,
+  inspectWebhookRequest,
+  claimWebhookBody,
+  releaseWebhookBody,
+};
@@ -0,0 +1,57 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authHeaders, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const processOrder = require('../api/process-order');
+const { syncAppointmentActivity } = require('../lib/appointments');
+
+const APPOINTMENTS = [
+  { id: 601, type: 'Yoga Basics', email: 'jane@example.com', certificate: 'AB12CD34', datetime: '2026-01-05T10:00:00+0000' },
+  { id: 602, type: 'Yoga Basics', email: 'jane@example.com', datetime: '2026-02-05T10:00:00+0000' },
+  { id: 603, type: 'Pilates', email: 'jane@example.com', datetime: '2099-03-01T18:00:00+0000' },
+  { id: 604, type: 'Pilates', email: 'sam@example.com', datetime: '2026-02-10T10:00:00+0000' },
+  { id: 605, type: 'Pilates', email: '', certificate: 'AB12CD34', datetime: '2026-02-12T10:00:00+0000' },
+];
+
+describe('appointment activity', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS), appointments: APPOINTMENTS });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+    await invoke(processOrder, { method: 'POST', query: { orderId: ORDERS.topLevelCode.id }, headers: authHeaders });
+    mock.requests.length = 0;
+  });
+
+  function historyRequests() {
+    return mock.requests.filter((request) => request.method === 'GET' && request.path === '/acuity/api/v1/appointments');
+  }
+
+  it("summarizes the member's bookings, newest first", async () => {
+    const result = await syncAppointmentActivity(601, { action: 'scheduled' });
+
+    assert.equal(result.outcome, 'updated');
+    assert.deepEqual(historyRequests().map((request) => request.query), [
+      { email: 'jane@example.com', max: '1000', direction: 'DESC' },
+    ]);
+    const { metaData } = mock.findMember('AB12CD34');
+    assert.equal(metaData.visitCount, '2');
+    assert.equal(metaData.lastVisitAt, '2026-02-05T10:00:00.000Z');
+    assert.equal(metaData.nextClassAt, '2099-03-01T18:00:00.000Z');
+  });
+
+  it('skips a booking without an email instead of reading every booking', async () => {
+    const result = await syncAppointmentActivity(605, { action: 'scheduled' });
+
+    assert.equal(result.skipped, true);
+    assert.equal(historyRequests().length, 0);
+    assert.equal(mock.findMember('AB12CD34').metaData?.visitCount, undefined);
+  });
+});
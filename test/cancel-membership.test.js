@@ -0,0 +1,109 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authHeaders, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const processOrder = require('../api/process-order');
+const cancelMembership = require('../api/cancel-membership');
+const registry = require('../api/registry');
+const helpers = require('../lib/helpers');
+const { queryLogs } = require('../lib/activity-log');
+
+describe('POST /api/cancel-membership', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+    await invoke(processOrder, { method: 'POST', query: { orderId: ORDERS.topLevelCode.id }, headers: authHeaders });
+  });
+
+  function cancel(query, headers = authHeaders) {
+    return invoke(cancelMembership, { method: 'POST', query, headers });
+  }
+
+  function assertNotEnrolled(externalId) {
+    const member = mock.findMember(externalId);
+    assert.ok(!member || member.status !== 'ENROLLED', `${externalId} no longer enrolled`);
+  }
+
+  it('requires an API token', async () => {
+    const response = await cancel({ certificateCode: 'AB12CD34' }, {});
+    assert.equal(response.status, 401);
+  });
+
+  it('requires an order ID or certificate code', async () => {
+    const response = await cancel({});
+    assert.equal(response.status, 400);
+  });
+
+  it('cancels by certificate code', async () => {
+    const response = await cancel({ certificateCode: 'ab12cd34' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.success, true);
+    assert.equal(response.body.result.externalId, 'AB12CD34');
+    assertNotEnrolled('AB12CD34');
+  });
+
+  it('cancels by order ID', async () => {
+    const response = await cancel({ orderId: String(ORDERS.topLevelCode.id) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.orderId, String(ORDERS.topLevelCode.id));
+    assertNotEnrolled('AB12CD34');
+  });
+
+  it('still cancels through the helpers.js names', async () => {
+    assert.equal(await helpers.resolveOrderIdByCertificateCode('AB12CD34'), String(ORDERS.topLevelCode.id));
+
+    const result = await helpers.cancelMembershipByCertificatecode('AB12CD34');
+    assert.equal(result.success, true);
+    assertNotEnrolled('AB12CD34');
+  });
+
+  it('marks the member cancelled in the registry', async () => {
+    await cancel({ certificateCode: 'AB12CD34' });
+    const response = await invoke(registry, { query: { certificateCode: 'AB12CD34' }, headers: authHeaders });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.member.status, 'cancelled');
+    assert.equal(response.body.member.history[0].action, 'cancelled');
+  });
+
+  it('leaves a member PassKit no longer has untouched', async () => {
+    mock.members.clear();
+    const response = await cancel({ orderId: String(ORDERS.topLevelCode.id) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.method, 'member_not_found');
+    const { body } = await invoke(registry, { query: { certificateCode: 'AB12CD34' }, headers: authHeaders });
+    assert.equal(body.member.status, 'active');
+    assert.equal(body.member.history[0].action, 'member_not_found');
+    const { entries } = await queryLogs({ event: 'cancellation.completed' });
+    assert.equal(entries.length, 0);
+  });
+
+  it('fails instead of skipping when PassKit lookups are down', async () => {
+    mock.failNext('GET', '/passkit/members/member/externalId', 503);
+    mock.failNext('POST', '/passkit/members/member/list', 503);
+    mock.failNext('POST', '/passkit/members/member/list', 503);
+    const response = await cancel({ certificateCode: 'AB12CD34' });
+
+    assert.equal(response.status, 500);
+    assert.equal(mock.findMember('AB12CD34').status, 'ENROLLED');
+    const { body } = await invoke(registry, { query: { certificateCode: 'AB12CD34' }, headers: authHeaders });
+    assert.equal(body.member.status, 'active');
+  });
+
+  it('rejects an unknown program', async () => {
+    const response = await cancel({ certificateCode: 'AB12CD34', program: 'nowhere' });
+    assert.equal(response.status, 400);
+  });
+});
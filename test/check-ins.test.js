@@ -0,0 +1,81 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { checkIn, describeCheckInRules } = require('../lib/check-ins');
+
+const MEMBERS = [
+  { id: 'pk-member-1', externalId: 'AB12CD34', programId: 'prog-test', tierId: 'standard', status: 'ACTIVE' },
+  { id: 'pk-member-2', externalId: 'EF56GH78', programId: 'prog-test', tierId: 'offpeak', status: 'ACTIVE' },
+  { id: 'pk-member-3', externalId: 'JK90LM12', programId: 'prog-test', tierId: 'family', status: 'ACTIVE' },
+];
+
+// 2026-03-02 is a Monday; New York is UTC-5 until 2026-03-08.
+const MONDAY_NOON = Date.parse('2026-03-02T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+describe('check-in rules', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ members: MEMBERS });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+    process.env.CHECK_IN_RULES = JSON.stringify({
+      maxPerDay: 1,
+      timezone: 'America/New_York',
+      tiers: {
+        offpeak: { days: ['Monday', 'tue', 'wed', 'thu', 'fri'] },
+        family: { maxPerDay: 2 },
+      },
+    });
+  });
+  afterEach(() => {
+    delete process.env.CHECK_IN_RULES;
+  });
+
+  async function outcome(code, now) {
+    const result = await checkIn(code, { now });
+    return result.checkedIn ? 'checked in' : result.reason;
+  }
+
+  it('allows maxPerDay check-ins per day', async () => {
+    assert.equal(await outcome('AB12CD34', MONDAY_NOON), 'checked in');
+    assert.equal(await outcome('AB12CD34', MONDAY_NOON + HOUR), 'daily_limit');
+    assert.equal(await outcome('AB12CD34', MONDAY_NOON + 24 * HOUR), 'checked in');
+  });
+
+  it("uses a tier's own daily limit", async () => {
+    assert.equal(await outcome('JK90LM12', MONDAY_NOON), 'checked in');
+    assert.equal(await outcome('JK90LM12', MONDAY_NOON + HOUR), 'checked in');
+    assert.equal(await outcome('JK90LM12', MONDAY_NOON + 2 * HOUR), 'daily_limit');
+  });
+
+  it("limits a tier to its days in the rules' time zone", async () => {
+    const saturday = MONDAY_NOON + 5 * 24 * HOUR;
+    assert.equal(await outcome('EF56GH78', saturday), 'tier_not_allowed_today');
+    // 01:00 UTC on Saturday is still Friday evening in New York.
+    assert.equal(await outcome('EF56GH78', saturday - 11 * HOUR), 'checked in');
+    assert.equal(await outcome('AB12CD34', saturday), 'checked in');
+  });
+
+  it("starts a new day at midnight in the rules' time zone", async () => {
+    // 23:30 and 23:59 Monday in New York, then 00:30 Tuesday.
+    const lateMonday = Date.parse('2026-03-03T04:30:00Z');
+    assert.equal(await outcome('AB12CD34', lateMonday), 'checked in');
+    assert.equal(await outcome('AB12CD34', lateMonday + 29 * 60 * 1000), 'daily_limit');
+    assert.equal(await outcome('AB12CD34', lateMonday + HOUR), 'checked in');
+  });
+
+  it('refuses check-ins while the rules are invalid', async () => {
+    process.env.CHECK_IN_RULES = JSON.stringify({ timezone: 'Mars/Olympus', tiers: { offpeak: { days: ['someday'] } } });
+
+    assert.equal(describeCheckInRules().errors.length, 2);
+    await assert.rejects(checkIn('AB12CD34', { now: MONDAY_NOON }), /Invalid check-in rules/);
+    assert.equal(mock.requests.length, 0);
+  });
+});
@@ -0,0 +1,161 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const querystring = require('querystring');
+const { authHeaders, signAcuityBody, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const { getRedis } = require('../lib/helpers');
+const { queryLogs } = require('../lib/activity-log');
+const { diffMemberWrite } = require('../lib/dry-run');
+const processOrder = require('../api/process-order');
+const cancelMembership = require('../api/cancel-membership');
+const webhook = require('../api/webhook');
+
+// PassKit member searches are POSTs too; anything else would be a write.
+function writesTo(mock) {
+  return mock.requests.filter((request) => request.method !== 'GET' && !request.path.includes('/members/member/list/'));
+}
+
+async function logCount() {
+  return (await queryLogs({}, { limit: 200 })).entries.length;
+}
+
+describe('dry runs', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({
+      orders: Object.values(ORDERS),
+      appointments: [{ id: 701, type: 'Yoga Basics', email: 'jane@example.com', certificate: 'AB12CD34', datetime: '2026-01-05T10:00:00+0000' }],
+    });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  it('plans a new member without writing to PassKit or Redis', async () => {
+    const response = await invoke(processOrder, {
+      method: 'POST',
+      query: { orderId: ORDERS.topLevelCode.id, dryRun: 'true' },
+      headers: authHeaders,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dryRun, true);
+    assert.equal(response.body.result.outcome, 'created');
+    assert.equal(response.body.result.current, null);
+    assert.deepEqual(response.body.result.diff['person.emailAddress'], { from: null, to: 'jane@example.com' });
+    const [put] = response.body.result.plannedCalls;
+    assert.equal(put.method, 'PUT');
+    assert.equal(put.path, '/members/member');
+    assert.equal(put.body.externalId, 'AB12CD34');
+
+    assert.equal(mock.members.size, 0);
+    assert.deepEqual(writesTo(mock), []);
+    assert.equal(await getRedis().dbsize(), 0);
+  });
+
+  it('diffs an update against the current member', async () => {
+    await invoke(processOrder, { method: 'POST', query: { orderId: ORDERS.topLevelCode.id }, headers: authHeaders });
+    mock.addOrder({ ...ORDERS.topLevelCode, email: 'jane.doe@example.com' });
+    mock.requests.length = 0;
+    const logsBefore = await logCount();
+
+    const response = await invoke(processOrder, {
+      method: 'POST',
+      query: { certificateCode: 'AB12CD34', dryRun: '1' },
+      headers: authHeaders,
+    });
+
+    const { result } = response.body;
+    assert.equal(result.outcome, 'updated');
+    assert.ok(result.passKitId);
+    assert.deepEqual(result.diff['person.emailAddress'], { from: 'jane@example.com', to: 'jane.doe@example.com' });
+    assert.equal(mock.findMember('AB12CD34').person.emailAddress, 'jane@example.com');
+    assert.deepEqual(writesTo(mock), []);
+    assert.equal(await logCount(), logsBefore);
+  });
+
+  it('plans a cancellation and leaves the member enrolled', async () => {
+    await invoke(processOrder, { method: 'POST', query: { orderId: ORDERS.topLevelCode.id }, headers: authHeaders });
+    mock.requests.length = 0;
+
+    const response = await invoke(cancelMembership, {
+      method: 'POST',
+      query: { certificateCode: 'AB12CD34', dryRun: 'true' },
+      headers: authHeaders,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.outcome, 'cancelled');
+    assert.deepEqual(response.body.result.diff.status, { from: 'ENROLLED', to: 'CANCELLED' });
+    assert.equal(response.body.result.plannedCalls[0].body.status, 'CANCELLED');
+    assert.equal(mock.findMember('AB12CD34').status, 'ENROLLED');
+    assert.deepEqual(writesTo(mock), []);
+  });
+
+  describe('webhook', () => {
+    function deliver(fields, headers = {}) {
+      const raw = querystring.stringify(fields);
+      return invoke(webhook, {
+        method: 'POST',
+        query: { dryRun: 'true' },
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          'x-acuity-signature': signAcuityBody(raw),
+          ...headers,
+        },
+        body: raw,
+      });
+    }
+
+    it('requires operator credentials', async () => {
+      const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+      assert.equal(response.status, 401);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('returns the plan instead of queueing the delivery', async () => {
+      const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, authHeaders);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.dryRun, true);
+      assert.equal(response.body.orderId, String(ORDERS.topLevelCode.id));
+      assert.equal(response.body.result.outcome, 'created');
+      assert.equal(response.body.result.plannedCalls[0].method, 'PUT');
+      assert.equal(mock.members.size, 0);
+      assert.deepEqual(writesTo(mock), []);
+    });
+
+    it('plans an appointment sync', async () => {
+      await invoke(processOrder, { method: 'POST', query: { orderId: ORDERS.topLevelCode.id }, headers: authHeaders });
+      mock.requests.length = 0;
+      const response = await deliver({ action: 'scheduled', id: 701 }, authHeaders);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.result.outcome, 'updated');
+      assert.equal(response.body.result.activity.visitCount, '1');
+      assert.equal(response.body.result.plannedCalls[0].body.metaData.visitCount, '1');
+      assert.equal(response.body.result.diff['metaData.visitCount'].to, '1');
+      assert.deepEqual(writesTo(mock), []);
+      assert.equal(mock.findMember('AB12CD34').metaData?.visitCount, undefined);
+    });
+  });
+});
+
+describe('diffMemberWrite', () => {
+  it('shows metaData keys the write would remove', () => {
+    const current = { status: 'ENROLLED', person: { forename: 'Jane' }, metaData: { note: 'vip', tier: 'gold' } };
+    const payload = { id: 'm1', externalId: 'AB12CD34', person: { forename: 'Jane' }, metaData: { tier: 'silver' } };
+
+    assert.deepEqual(diffMemberWrite(current, payload), {
+      'metaData.note': { from: 'vip', to: null },
+      'metaData.tier': { from: 'gold', to: 'silver' },
+    });
+  });
+});
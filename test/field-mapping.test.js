@@ -0,0 +1,139 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authHeaders, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const { validateFieldMapping, buildMemberPayload } = require('../lib/field-mapping');
+const fieldMapping = require('../api/field-mapping');
+
+const ORDER = {
+  firstName: '  jane ',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  forms: [{ values: [
+    { fieldID: 77, name: 'Birthday', value: '1990-04-09T15:30:00Z' },
+    { fieldID: 78, name: 'Referral', value: '' },
+  ] }],
+};
+
+describe('field mapping', () => {
+  it('applies transforms and defaults', () => {
+    const memberData = buildMemberPayload(ORDER, { orderId: 1001, certificateCode: 'AB12CD34', programId: 'prog-test' }, {
+      fields: {
+        'person.forename': { source: 'order.firstName', transforms: ['trim', 'uppercase'] },
+        'metaData.birthday': { source: 'form:Birthday', transforms: ['date:YYYY-MM-DD'] },
+        'metaData.birthdayById': { source: 'form:77', transforms: ['date:DD/MM HH:mm'] },
+        'metaData.referral': { source: 'form:Referral', default: 'none' },
+        'metaData.nickname': { source: 'order.nickname' },
+        'metaData.greeting': { template: 'Hi {order.lastName}, order {orderId}' },
+        points: { const: '5', transforms: ['number'] },
+      },
+    });
+
+    assert.deepEqual(memberData, {
+      programId: 'prog-test',
+      externalId: 'AB12CD34',
+      person: { forename: 'JANE' },
+      metaData: {
+        birthday: '1990-04-09',
+        birthdayById: '09/04 15:30',
+        referral: 'none',
+        greeting: 'Hi Doe, order 1001',
+      },
+      points: 5,
+    });
+  });
+
+  it('reports every problem in a mapping', () => {
+    assert.deepEqual(validateFieldMapping({ fields: { 'person.forename': 'order.firstName' } }), []);
+    assert.deepEqual(validateFieldMapping([]), ['Mapping must be a JSON object']);
+
+    const errors = validateFieldMapping({
+      fields: {
+        externalId: { source: 'certificateCode' },
+        'person.forename': { source: 'order.firstName', const: 'Jane' },
+        'person.surname': { source: 'lastName' },
+        'metaData.code': { source: 'certificateCode', transforms: ['reverse'] },
+        'metaData.greeting': { template: 'Hi {firstName}' },
+      },
+    });
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /^externalId: unsupported target/);
+    assert.equal(errors[1], 'person.forename: specify exactly one of source, const or template');
+    assert.equal(errors[2], 'person.surname: invalid source "lastName"');
+    assert.equal(errors[3], 'metaData.code: unknown transform "reverse"');
+    assert.equal(errors[4], 'metaData.greeting: invalid template placeholder {firstName}');
+  });
+});
+
+describe('/api/field-mapping', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  function preview(body) {
+    return invoke(fieldMapping, {
+      method: 'POST',
+      query: { orderId: String(ORDERS.topLevelCode.id) },
+      headers: { ...authHeaders, 'content-type': 'application/json' },
+      body,
+    });
+  }
+
+  it('previews a real order with an unsaved mapping', async () => {
+    const response = await preview({
+      mapping: { fields: { 'person.emailAddress': { source: 'order.email', transforms: ['uppercase'] } } },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.mappingSource, 'request');
+    assert.equal(response.body.certificateCode, 'AB12CD34');
+    assert.deepEqual(response.body.memberData.person, { emailAddress: 'JANE@EXAMPLE.COM' });
+    assert.deepEqual(response.body.memberData.metaData, {});
+  });
+
+  it('rejects an invalid mapping without fetching the order', async () => {
+    const response = await preview({ mapping: { fields: { 'person.forename': { source: 'firstName' } } } });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors, ['person.forename: invalid source "firstName"']);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('saves a mapping and previews with it', async () => {
+    const mapping = { fields: { 'person.surname': { source: 'order.lastName', transforms: ['lowercase'] } } };
+    const invalid = await invoke(fieldMapping, {
+      method: 'PUT',
+      headers: { ...authHeaders, 'content-type': 'application/json' },
+      body: { mapping: { fields: { tierId: { source: 'order.title', template: '{order.title}' } } } },
+    });
+    assert.equal(invalid.status, 400);
+
+    const saved = await invoke(fieldMapping, {
+      method: 'PUT',
+      headers: { ...authHeaders, 'content-type': 'application/json' },
+      body: { mapping },
+    });
+    assert.equal(saved.status, 200);
+
+    const active = await invoke(fieldMapping, { headers: authHeaders });
+    assert.equal(active.body.source, 'redis');
+    assert.deepEqual(active.body.mapping, mapping);
+
+    const response = await preview();
+    assert.equal(response.body.mappingSource, 'redis');
+    assert.deepEqual(response.body.memberData.person, { surname: 'doe' });
+
+    const reset = await invoke(fieldMapping, { method: 'DELETE', headers: authHeaders });
+    assert.equal(reset.body.source, 'default');
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Acuity order fixtures for the mock Acuity API.
+ *
+ * Certificate codes arrive in several shapes (top-level field, snake_case,
+ * nested gift certificate, lower case with padding), and inactive orders in
+ * several ways (status text, cancellation flags, `active: false`).
+ */
+const base = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  phone: '555-0100',
+  title: 'Annual Membership',
+  total: '120.00',
+  time: '2026-03-02T10:00:00+0000',
+};
+
+const ORDERS = {
+  // Certificate code shapes
+  topLevelCode: { ...base, id: 1001, certificateCode: 'AB12CD34' },
+  snakeCaseCode: { ...base, id: 1002, firstName: 'Sam', email: 'sam@example.com', certificate_code: 'EF56GH78' },
+  nestedGiftCode: {
+    ...base,
+    id: 1003,
+    firstName: 'Lee',
+    email: 'lee@example.com',
+    giftCertificate: { code: 'JK90LM12', value: '120.00' },
+  },
+  paddedLowerCaseCode: { ...base, id: 1004, firstName: 'Ana', email: 'ana@example.com', certificateCode: '  np34qr56 ' },
+  deepNestedCode: {
+    ...base,
+    id: 1005,
+    firstName: 'Kim',
+    email: 'kim@example.com',
+    payment: { lines: [{ giftCertificateNumber: 'ST78UV90' }] },
+  },
+  invalidCode: { ...base, id: 1006, firstName: 'Max', email: 'max@example.com', certificateCode: 'SHORT1' },
+  noCode: { ...base, id: 1007, firstName: 'Noor', email: 'noor@example.com' },
+
+  // Product filter
+  otherProduct: { ...base, id: 1008, title: 'Yoga Drop-in Class', certificateCode: 'WX12YZ34' },
+
+  // Inactive orders
+  refunded: { ...base, id: 1101, firstName: 'Ray', email: 'ray@example.com', certificateCode: 'RF11RF11', status: 'Refunded' },
+  cancelledFlag: { ...base, id: 1102, firstName: 'Cat', email: 'cat@example.com', certificateCode: 'CN22CN22', canceled: 'true' },
+  inactive: { ...base, id: 1103, firstName: 'Ina', email: 'ina@example.com', certificateCode: 'IN33IN33', active: false },
+  voidedOrderStatus: { ...base, id: 1104, firstName: 'Vic', email: 'vic@example.com', certificateCode: 'VD44VD44', orderStatus: 'voided' },
+};
+
+/** An order with the same certificate code after it was refunded in Acuity. */
+function refundedCopy(order) {
+  return { ...order, status: 'Refunded' };
+}
+
+module.exports = {
+  ORDERS,
+  refundedCopy,
+};
@@ -0,0 +1,131 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const querystring = require('querystring');
+const { execFile } = require('child_process');
+const { authHeaders, signAcuityBody, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const { startLocalServer, cronMatches } = require('../lib/local-server');
+
+const BRIDGE_CLI = path.join(__dirname, '..', 'bin', 'bridge.js');
+
+describe('local server', () => {
+  let mock;
+  let bridge;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+    bridge = await startLocalServer({ port: 0, host: '127.0.0.1', crons: false });
+  });
+  after(async () => {
+    await bridge.close();
+    await mock.close();
+  });
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  it('mounts api handlers with query and JSON responses', async () => {
+    const response = await fetch(`${bridge.url}/api/status`, { headers: authHeaders });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    assert.equal((await response.json()).redisProvider, 'memory');
+  });
+
+  it('enforces the handler auth', async () => {
+    const response = await fetch(`${bridge.url}/api/status`);
+    assert.equal(response.status, 401);
+  });
+
+  it('routes the Acuity webhook rewrite with the raw body', async () => {
+    const raw = querystring.stringify({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    const response = await fetch(`${bridge.url}/webhook/acuity`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-acuity-signature': signAcuityBody(raw) },
+      body: raw,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).result.outcome, 'created');
+    assert.ok(mock.findMember('AB12CD34'));
+  });
+
+  it('passes rewrite parameters as query parameters', async () => {
+    const response = await fetch(`${bridge.url}/api/process-order/${ORDERS.snakeCaseCode.id}`, {
+      method: 'POST',
+      headers: authHeaders,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).orderId, String(ORDERS.snakeCaseCode.id));
+    assert.ok(mock.findMember('EF56GH78'));
+  });
+
+  it('rejects an invalid JSON body before the handler runs', async () => {
+    const invalid = await fetch(`${bridge.url}/api/field-mapping`, {
+      method: 'POST',
+      headers: { ...authHeaders, 'content-type': 'application/json' },
+      body: '{not json',
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('serves the dashboard and scanner pages but not sources', async () => {
+    const dashboard = await fetch(`${bridge.url}/`);
+    assert.equal(dashboard.status, 200);
+    assert.match(dashboard.headers.get('content-type'), /text\/html/);
+    assert.match(await dashboard.text(), /<html/i);
+
+    assert.equal((await fetch(`${bridge.url}/scan`)).status, 200);
+    assert.equal((await fetch(`${bridge.url}/lib/helpers.js`)).status, 404);
+    assert.equal((await fetch(`${bridge.url}/vercel.json`)).status, 404);
+  });
+
+  it('reads vercel.json cron schedules', () => {
+    assert.equal(cronMatches('*/5 * * * *', new Date('2026-03-02T10:15:00Z')), true);
+    assert.equal(cronMatches('*/5 * * * *', new Date('2026-03-02T10:16:00Z')), false);
+    assert.equal(cronMatches('0 9 * * 1-5', new Date('2026-03-02T09:00:00Z')), true);
+    assert.equal(cronMatches('0 9 * * 1-5', new Date('2026-03-01T09:00:00Z')), false);
+  });
+});
+
+describe('bridge CLI', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+
+  function runBridge(args) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [BRIDGE_CLI, ...args], { env: process.env, timeout: 30000 }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  it('processes an order and prints the result', async () => {
+    const { code, stdout } = await runBridge(['process', String(ORDERS.topLevelCode.id), '--quiet']);
+
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).result.outcome, 'created');
+    assert.ok(mock.findMember('AB12CD34'));
+  });
+
+  it('cancels a membership by certificate code', async () => {
+    const { code, stdout } = await runBridge(['cancel', 'ab12cd34', '--quiet']);
+
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).result.externalId, 'AB12CD34');
+  });
+
+  it('exits 2 on usage errors', async () => {
+    assert.equal((await runBridge(['toggle', 'sideways'])).code, 2);
+    assert.equal((await runBridge(['launch'])).code, 2);
+  });
+});
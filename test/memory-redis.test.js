@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRedisClient } = require('../lib/memory-redis');
+const { acquireRedisLock, releaseRedisLock } = require('../lib/helpers');
+
+describe('memory Redis client', () => {
+  it('stores strings, honours NX and expires keys', async () => {
+    const redis = createMemoryRedisClient();
+
+    assert.equal(await redis.set('lock', '1', { nx: true, ex: 60 }), 'OK');
+    assert.equal(await redis.set('lock', '2', { nx: true }), null);
+    assert.equal(await redis.get('lock'), '1');
+    assert.equal(await redis.incr('counter'), 1);
+    assert.equal(await redis.incr('counter'), 2);
+
+    await redis.set('short', 'x', { ex: -1 });
+    assert.equal(await redis.get('short'), null);
+    assert.equal(await redis.del('lock'), 1);
+    assert.equal(await redis.get('lock'), null);
+  });
+
+  it("releases a lock only for the holder's token", async () => {
+    const redis = createMemoryRedisClient();
+    const token = await acquireRedisLock(redis, 'lock', 60);
+
+    await releaseRedisLock(redis, 'lock', 'someone-else');
+    assert.equal(await redis.get('lock'), token);
+    await releaseRedisLock(redis, 'lock', token);
+    assert.equal(await redis.get('lock'), null);
+    await assert.rejects(redis.eval('return 1', [], []), /cannot run this script/);
+  });
+
+  it('keeps lists in Redis order', async () => {
+    const redis = createMemoryRedisClient();
+    for (const value of ['a', 'b', 'c', 'b']) await redis.lpush('list', value);
+
+    assert.deepEqual(await redis.lrange('list', 0, -1), ['b', 'c', 'b', 'a']);
+    assert.equal(await redis.lrem('list', 1, 'b'), 1);
+    assert.deepEqual(await redis.lrange('list', 0, -1), ['c', 'b', 'a']);
+    await redis.ltrim('list', 0, 1);
+    assert.deepEqual(await redis.lrange('list', 0, -1), ['c', 'b']);
+    assert.equal(await redis.llen('list'), 2);
+  });
+
+  it('ranges sorted sets by rank and by score', async () => {
+    const redis = createMemoryRedisClient();
+    await redis.zadd('zset', { score: 3, member: 'c' });
+    await redis.zadd('zset', { score: 1, member: 'a' });
+    await redis.zadd('zset', { score: 2, member: 'b' });
+
+    assert.deepEqual(await redis.zrange('zset', 0, -1), ['a', 'b', 'c']);
+    assert.deepEqual(await redis.zrange('zset', 2, 3, { byScore: true }), ['b', 'c']);
+    assert.deepEqual(await redis.zrange('zset', '-inf', '+inf', { byScore: true, offset: 1, count: 1 }), ['b']);
+    assert.equal(await redis.zrem('zset', 'b'), 1);
+    assert.equal(await redis.zcard('zset'), 2);
+  });
+
+  it('rejects commands against the wrong type', async () => {
+    const redis = createMemoryRedisClient();
+    await redis.set('key', 'value');
+    await assert.rejects(redis.lpush('key', 'x'), /WRONGTYPE/);
+  });
+});
@@ -0,0 +1,77 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { getRedis } = require('../lib/helpers');
+const { getPassState } = require('../lib/passkit-sync');
+const passKitWebhook = require('../api/passkit-webhook');
+
+const SECRET = 'passkit-webhook-test-secret';
+
+function deliver(body) {
+  const raw = JSON.stringify(body);
+  return invoke(passKitWebhook, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-passkit-signature': crypto.createHmac('sha256', SECRET).update(raw).digest('hex'),
+    },
+    body: raw,
+  });
+}
+
+const INSTALLED = {
+  event: 'PASS_EVENT_INSTALLED',
+  pass: { id: 'pk-member-1', externalId: 'AB12CD34', programId: 'prog-test', person: { displayName: 'Jane Doe' } },
+};
+
+describe('POST /api/passkit-webhook', () => {
+  let mock;
+
+  before(async () => {
+    process.env.PASSKIT_WEBHOOK_SECRET = SECRET;
+    mock = await startMockApis();
+  });
+  after(() => {
+    delete process.env.PASSKIT_WEBHOOK_SECRET;
+    return mock.close();
+  });
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  it('applies an event once', async () => {
+    const first = await deliver(INSTALLED);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, 'ok');
+    assert.equal((await getPassState('AB12CD34')).installed, true);
+
+    const second = await deliver(INSTALLED);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.status, 'duplicate');
+  });
+
+  it('applies a retry of an event that failed', async (t) => {
+    const redis = getRedis();
+    const lpush = redis.lpush;
+    let failed = false;
+    t.mock.method(redis, 'lpush', function (key, ...args) {
+      if (key === 'acuity_pass_events' && !failed) {
+        failed = true;
+        return Promise.reject(new Error('Redis write failed'));
+      }
+      return lpush.call(this, key, ...args);
+    });
+
+    const first = await deliver(INSTALLED);
+    assert.equal(first.status, 500);
+
+    const retry = await deliver(INSTALLED);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.status, 'ok');
+  });
+});
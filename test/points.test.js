@@ -0,0 +1,116 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { getRedis } = require('../lib/helpers');
+const { earnPoints, reversePoints, adjustPoints, getPointsLedger } = require('../lib/points');
+
+const MEMBER = { id: 'pk-member-1', externalId: 'AB12CD34', programId: 'prog-test', program: 'default' };
+
+describe('points ledger', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ members: [{ id: MEMBER.id, externalId: MEMBER.externalId, programId: MEMBER.programId }] });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  function pointRequests(kind) {
+    return mock.requests.filter((request) => request.path === `/passkit/members/member/points/${kind}`);
+  }
+
+  it('awards a source once', async () => {
+    const first = await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 });
+    const second = await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: '1001' });
+
+    assert.equal(first.awarded, true);
+    assert.deepEqual(second, { awarded: false, points: 0, duplicate: true });
+    assert.equal(pointRequests('earn').length, 1);
+    assert.equal(mock.findMember('AB12CD34').points, 40);
+    assert.equal((await getPointsLedger('AB12CD34')).total, 40);
+  });
+
+  it('lets a failed award be retried', async () => {
+    mock.failNext('PUT', '/passkit/members/member/points/earn', 503);
+
+    await assert.rejects(earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 }));
+    const retry = await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 });
+
+    assert.equal(retry.awarded, true);
+    assert.equal(mock.findMember('AB12CD34').points, 40);
+  });
+
+  it('reverses an award and records both movements', async () => {
+    await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 });
+
+    const reversal = await reversePoints('order', 1001, { reason: 'Refunded' });
+
+    assert.equal(reversal.points, -40);
+    assert.equal(mock.findMember('AB12CD34').points, 0);
+    const ledger = await getPointsLedger('AB12CD34');
+    assert.deepEqual(ledger.movements.map((movement) => [movement.type, movement.points]), [['reversal', -40], ['earn', 40]]);
+    assert.equal(ledger.total, 0);
+    assert.deepEqual(await reversePoints('order', 1001), { reversed: false, points: 0 });
+    assert.deepEqual(await reversePoints('order', 9999), { reversed: false, points: 0 });
+  });
+
+  it('reverses an award once when two reversals race', async () => {
+    await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 });
+
+    const results = await Promise.all([
+      reversePoints('order', 1001, { reason: 'Cancelled' }),
+      reversePoints('order', 1001, { reason: 'Cancelled' }),
+    ]);
+
+    assert.deepEqual(results.map((result) => result.reversed).sort(), [false, true]);
+    assert.equal(pointRequests('burn').length, 1);
+    assert.equal(mock.findMember('AB12CD34').points, 0);
+  });
+
+  it('lets a failed reversal be retried', async () => {
+    await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 });
+    mock.failNext('PUT', '/passkit/members/member/points/burn', 503);
+
+    await assert.rejects(reversePoints('order', 1001));
+    const retry = await reversePoints('order', 1001);
+
+    assert.equal(retry.reversed, true);
+    assert.equal(mock.findMember('AB12CD34').points, 0);
+  });
+
+  it('frees the claim of an award that never finished', async (t) => {
+    // What a process that died while calling PassKit leaves behind.
+    const claim = { id: 'movement-1', memberId: MEMBER.id, points: 40, source: 'order', sourceId: '1001', pending: true };
+    await getRedis().set('acuity_points_source:order:1001', JSON.stringify(claim), { nx: true, ex: 300 });
+
+    assert.equal((await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 })).duplicate, true);
+    await assert.rejects(reversePoints('order', 1001), /still being awarded/);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 301 * 1000);
+    const retry = await earnPoints(MEMBER, { points: 40, source: 'order', sourceId: 1001 });
+
+    assert.equal(retry.awarded, true);
+    assert.equal(mock.findMember('AB12CD34').points, 40);
+  });
+
+  it('validates manual adjustments before touching PassKit', async () => {
+    for (const points of [0, 2.5, 'ten', undefined]) {
+      await assert.rejects(adjustPoints(MEMBER, { points, reason: 'Goodwill' }), { statusCode: 400, message: /non-zero whole number/ });
+    }
+    await assert.rejects(adjustPoints(MEMBER, { points: 10, reason: '  ' }), { statusCode: 400, message: /reason is required/ });
+    assert.equal(mock.requests.length, 0);
+
+    await adjustPoints(MEMBER, { points: 25, reason: 'Goodwill', by: 'admin' });
+    const deduction = await adjustPoints(MEMBER, { points: '-10', reason: 'Correction' });
+
+    assert.equal(deduction.movement.type, 'adjustment');
+    assert.equal(mock.findMember('AB12CD34').points, 15);
+    assert.equal((await getPointsLedger('AB12CD34')).total, 15);
+  });
+});
@@ -0,0 +1,189 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_PROGRAM_ID, authHeaders, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const processOrder = require('../api/process-order');
+const { getRedis } = require('../lib/helpers');
+const { retryOrderPoints } = require('../lib/points');
+
+describe('POST /api/process-order', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  function processOrderId(orderId) {
+    return invoke(processOrder, { method: 'POST', query: { orderId }, headers: authHeaders });
+  }
+
+  it('requires an API token', async () => {
+    const response = await invoke(processOrder, { method: 'POST', query: { orderId: ORDERS.topLevelCode.id } });
+    assert.equal(response.status, 401);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('enrolls a new member in PassKit', async () => {
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.outcome, 'created');
+    const member = mock.findMember('AB12CD34');
+    assert.ok(member, 'member created in PassKit');
+    assert.equal(member.programId, TEST_PROGRAM_ID);
+    assert.equal(member.person.emailAddress, 'jane@example.com');
+    assert.equal(member.person.displayName, 'Jane Doe');
+    assert.equal(member.metaData.acuityOrderId, '1001');
+    assert.equal(response.body.result.passKitId, member.id);
+  });
+
+  for (const [fixture, expectedCode] of [
+    ['snakeCaseCode', 'EF56GH78'],
+    ['nestedGiftCode', 'JK90LM12'],
+    ['paddedLowerCaseCode', 'NP34QR56'],
+    ['deepNestedCode', 'ST78UV90'],
+  ]) {
+    it(`reads the certificate code from ${fixture}`, async () => {
+      const response = await processOrderId(ORDERS[fixture].id);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.result.outcome, 'created');
+      assert.ok(mock.findMember(expectedCode), `member ${expectedCode} created`);
+    });
+  }
+
+  for (const fixture of ['invalidCode', 'noCode']) {
+    it(`rejects an order with ${fixture === 'noCode' ? 'no' : 'an invalid'} certificate code`, async () => {
+      const response = await processOrderId(ORDERS[fixture].id);
+
+      assert.equal(response.status, 500);
+      assert.match(response.body.message, /certificate code/);
+      assert.equal(mock.members.size, 0);
+    });
+  }
+
+  it('skips orders for other products', async () => {
+    const response = await processOrderId(ORDERS.otherProduct.id);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.result, { skipped: true, reason: 'Product filter mismatch' });
+    assert.equal(mock.members.size, 0);
+  });
+
+  it('leaves an unchanged member alone on re-run', async () => {
+    await processOrderId(ORDERS.topLevelCode.id);
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.outcome, 'unchanged');
+    assert.equal(mock.members.size, 1);
+  });
+
+  it('awards points PassKit refused when the order is processed again', async (t) => {
+    process.env.POINTS_RULES = JSON.stringify({ perDollar: 1 });
+    t.after(() => delete process.env.POINTS_RULES);
+    mock.failNext('PUT', '/passkit/members/member/points/earn', 500);
+
+    const first = await processOrderId(ORDERS.topLevelCode.id);
+    assert.equal(first.body.result.outcome, 'created');
+    assert.equal(first.body.result.pointsAwarded, undefined);
+    assert.equal(mock.findMember('AB12CD34').points, 0);
+
+    const second = await processOrderId(ORDERS.topLevelCode.id);
+    assert.equal(second.body.result.outcome, 'unchanged');
+    assert.equal(second.body.result.pointsAwarded, 120);
+    assert.equal(mock.findMember('AB12CD34').points, 120);
+
+    const third = await processOrderId(ORDERS.topLevelCode.id);
+    assert.equal(third.body.result.pointsAwarded, undefined);
+    assert.equal(mock.findMember('AB12CD34').points, 120);
+  });
+
+  it('retries refused order points from the cron', async (t) => {
+    process.env.POINTS_RULES = JSON.stringify({ perDollar: 1 });
+    t.after(() => delete process.env.POINTS_RULES);
+    mock.failNext('PUT', '/passkit/members/member/points/earn', 500);
+    await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal((await retryOrderPoints()).processed, 0, 'not due yet');
+    mock.failNext('PUT', '/passkit/members/member/points/earn', 500);
+    const later = Date.now() + 10 * 60 * 1000;
+    assert.equal((await retryOrderPoints({ now: later })).rescheduled, 1);
+    assert.equal(mock.findMember('AB12CD34').points, 0);
+
+    const result = await retryOrderPoints({ now: later + 60 * 60 * 1000 });
+    assert.equal(result.awarded, 1);
+    assert.equal(mock.findMember('AB12CD34').points, 120);
+    assert.equal((await retryOrderPoints({ now: later + 24 * 60 * 60 * 1000 })).processed, 0);
+  });
+
+  it('updates the member when the order changed', async () => {
+    await processOrderId(ORDERS.topLevelCode.id);
+    mock.addOrder({ ...ORDERS.topLevelCode, email: 'jane.doe@example.com' });
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.body.result.outcome, 'updated');
+    assert.equal(mock.findMember('AB12CD34').person.emailAddress, 'jane.doe@example.com');
+  });
+
+  it('resolves a certificate code to its order once enrolled', async () => {
+    await processOrderId(ORDERS.topLevelCode.id);
+    const response = await invoke(processOrder, { method: 'POST', query: { certificateCode: 'ab12cd34' }, headers: authHeaders });
+
+    assert.equal(response.status, 200);
+    assert.equal(String(response.body.orderId), String(ORDERS.topLevelCode.id));
+    assert.ok(response.body.resolvedBy);
+  });
+
+  it('answers 404 for a certificate code it cannot resolve', async () => {
+    const response = await invoke(processOrder, { method: 'POST', query: { certificateCode: 'ZZ99ZZ99' }, headers: authHeaders });
+    assert.equal(response.status, 404);
+  });
+
+  for (const fixture of ['refunded', 'cancelledFlag', 'inactive', 'voidedOrderStatus']) {
+    it(`cancels the member of a ${fixture} order`, async () => {
+      const order = ORDERS[fixture];
+      mock.addOrder({ ...order, status: undefined, orderStatus: undefined, canceled: undefined, active: undefined });
+      await processOrderId(order.id);
+      assert.equal(mock.members.size, 1);
+
+      mock.addOrder(order);
+      const response = await processOrderId(order.id);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.result.skipped, true);
+      assert.equal(response.body.result.cancellationResult.success, true);
+      const member = [...mock.members.values()][0];
+      assert.ok(!member || member.status !== 'ENROLLED', 'member no longer enrolled');
+    });
+  }
+
+  it('reports a PassKit failure', async () => {
+    mock.failNext('PUT', '/passkit/members/member', 500);
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 500);
+    assert.equal(mock.members.size, 0);
+  });
+
+  it('fails instead of processing unlocked when the order lock errors', async (t) => {
+    const redis = getRedis();
+    const set = redis.set;
+    t.mock.method(redis, 'set', function (key, ...args) {
+      if (key.startsWith('acuity_order_lock:')) return Promise.reject(new Error('Redis write failed'));
+      return set.call(this, key, ...args);
+    });
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 500);
+    assert.equal(mock.members.size, 0);
+  });
+});
@@ -0,0 +1,112 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authHeaders, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const processOrder = require('../api/process-order');
+const { resolveProgramForOrder, getProgramById, describePrograms } = require('../lib/programs');
+
+const PROGRAMS = [
+  { key: 'downtown', name: 'Downtown Studio', programId: 'prog-downtown', calendarIds: [1234], products: ['Downtown'] },
+  { key: 'uptown', name: 'Uptown Studio', programId: 'prog-uptown', appointmentTypeIds: ['55'], default: true },
+  { key: 'annual', programId: 'prog-annual', products: ['annual'] },
+];
+
+describe('program routing', () => {
+  beforeEach(() => {
+    process.env.PASSKIT_PROGRAMS = JSON.stringify(PROGRAMS);
+  });
+  afterEach(() => {
+    delete process.env.PASSKIT_PROGRAMS;
+  });
+
+  function route(order, hints) {
+    const { key, matchedBy } = resolveProgramForOrder(order, hints);
+    return `${key} by ${matchedBy}`;
+  }
+
+  it('routes by calendar, appointment type or product', () => {
+    assert.equal(route({ title: 'Annual Membership', calendarID: 1234 }), 'downtown by calendar');
+    assert.equal(route({ title: 'Annual Membership' }, { appointmentTypeID: 55 }), 'uptown by appointmentType');
+    assert.equal(route({ title: 'DOWNTOWN Monthly' }), 'downtown by product');
+    assert.equal(route({ title: 'Annual Membership' }), 'annual by product');
+  });
+
+  it('falls back to the program marked default', () => {
+    assert.equal(route({ title: 'Gift Card', calendarID: 999 }), 'uptown by default');
+  });
+
+  it('uses PASSKIT_PROGRAM_ID when no programs are configured', () => {
+    delete process.env.PASSKIT_PROGRAMS;
+    assert.deepEqual(resolveProgramForOrder({ title: 'Annual Membership' }), {
+      key: 'default',
+      name: 'Default',
+      programId: 'prog-test',
+      matchedBy: 'default',
+    });
+  });
+
+  it('keeps an ad-hoc context for unknown program IDs', () => {
+    assert.equal(getProgramById('prog-uptown').key, 'uptown');
+    assert.deepEqual(getProgramById('prog-other'), { key: 'prog-other', name: 'prog-other', programId: 'prog-other' });
+  });
+
+  it('refuses to route with an invalid configuration', () => {
+    process.env.PASSKIT_PROGRAMS = JSON.stringify([
+      { key: 'a', programId: 'prog-a', default: true },
+      { key: 'a', programId: 'prog-b', default: true },
+      { key: 'c' },
+    ]);
+
+    assert.deepEqual(describePrograms().errors, [
+      'Program 2: duplicate key "a"',
+      'Program 3: programId is required',
+      'Only one program may be marked "default"',
+    ]);
+    assert.throws(() => resolveProgramForOrder({ title: 'Annual Membership' }), /Invalid program configuration/);
+  });
+});
+
+describe('program routing during enrollment', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+    process.env.PASSKIT_PROGRAMS = JSON.stringify(PROGRAMS);
+  });
+  afterEach(() => {
+    delete process.env.PASSKIT_PROGRAMS;
+    delete process.env.TIER_RULES;
+  });
+
+  function processOrderId(orderId) {
+    return invoke(processOrder, { method: 'POST', query: { orderId }, headers: authHeaders });
+  }
+
+  it("enrolls the member in the order's program", async () => {
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 200);
+    assert.equal(mock.findMember('AB12CD34').programId, 'prog-annual');
+  });
+
+  it('lets a tier rule that names a program override product routing', async () => {
+    process.env.TIER_RULES = JSON.stringify([
+      { match: 'substring', pattern: 'annual', tierId: 'annual', programId: 'prog-downtown' },
+    ]);
+
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 200);
+    const member = mock.findMember('AB12CD34');
+    assert.equal(member.programId, 'prog-downtown');
+    assert.equal(member.tierId, 'annual');
+  });
+});
@@ -0,0 +1,38 @@
+require('./support/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { authHeaders } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const status = require('../api/status');
+
+describe('GET /api/status', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis();
+  });
+  after(() => mock.close());
+
+  it('reports the bridge configuration', async () => {
+    const response = await invoke(status, { headers: authHeaders });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'running');
+    assert.equal(response.body.config.acuityConfigured, true);
+    assert.equal(response.body.config.passKitConfigured, true);
+    assert.equal(response.body.redisProvider, 'memory');
+    assert.equal(response.body.redisAvailable, true);
+    assert.equal(response.body.webhookEnabled, true);
+    assert.equal(response.body.webhookSecurity.signatureMode, 'required');
+  });
+
+  it('reports an invalid signature mode and falls back to required', async (t) => {
+    process.env.WEBHOOK_SIGNATURE_MODE = 'sometimes';
+    t.after(() => delete process.env.WEBHOOK_SIGNATURE_MODE);
+    const response = await invoke(status, { headers: authHeaders });
+
+    assert.equal(response.body.webhookSecurity.signatureMode, 'required');
+    assert.equal(response.body.webhookSecurity.valid, false);
+  });
+});
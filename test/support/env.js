@@ -0,0 +1,68 @@
+/**
+ * Test environment. Require this before anything under lib/ or api/: it
+ * sets credentials for the mock APIs, an in-memory Redis (REDIS_URL=memory://)
+ * and an API token with every operator scope, and drops any real Redis
+ * settings from the shell.
+ *
+ * The bridge logs every step to stdout; that is muted unless TEST_VERBOSE=1.
+ */
+const crypto = require('crypto');
+
+const TEST_API_TOKEN = 'test-suite-token-0123456789abcdef';
+const TEST_PROGRAM_ID = 'prog-test';
+const TEST_ACUITY_API_KEY = 'acuity-test-key';
+
+for (const name of [
+  'UPSTASH_REDIS_REST_URL',
+  'UPSTASH_REDIS_REST_TOKEN',
+  'KV_REST_API_URL',
+  'KV_REST_API_TOKEN',
+  'REDIS_REST_URL',
+  'REDIS_REST_TOKEN',
+  'PASSKIT_PROGRAMS',
+  'TIER_RULES',
+  'MEMBERSHIP_TERMS',
+  'ALERT_CHANNELS',
+  'OUTBOUND_WEBHOOKS',
+  'NOTIFY_TRANSPORT',
+  'TRUST_PROXY',
+  'VERCEL',
+]) {
+  delete process.env[name];
+}
+
+Object.assign(process.env, {
+  ACUITY_USER_ID: '12345',
+  ACUITY_API_KEY: TEST_ACUITY_API_KEY,
+  PASSKIT_API_KEY: 'passkit-test-key',
+  PASSKIT_API_SECRET: 'passkit-test-secret',
+  PASSKIT_PROGRAM_ID: TEST_PROGRAM_ID,
+  MEMBERSHIP_PRODUCT_FILTER: 'Membership',
+  REDIS_URL: 'memory://',
+  API_TOKENS: JSON.stringify([{ name: 'test-suite', token: TEST_API_TOKEN, scopes: ['write', 'cron', 'scan'] }]),
+});
+
+if (process.env.TEST_VERBOSE !== '1') {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const authHeaders = { authorization: `Bearer ${TEST_API_TOKEN}` };
+
+/** The `x-acuity-signature` Acuity sends for a raw body. */
+function signAcuityBody(rawBody) {
+  return crypto.createHmac('sha256', TEST_ACUITY_API_KEY).update(rawBody).digest('base64');
+}
+
+/** Empties the in-memory Redis between tests. */
+async function resetRedis() {
+  const { getRedis } = require('../../lib/helpers');
+  await getRedis().flushall();
+}
+
+module.exports = {
+  TEST_PROGRAM_ID,
+  authHeaders,
+  signAcuityBody,
+  resetRedis,
+};
@@ -0,0 +1,89 @@
+/**
+ * Drives a Vercel-style `(req, res)` handler without a server.
+ *
+ * The request is a readable stream of the raw body (for handlers that turn
+ * the body parser off) with `query`, `headers` and, unless the handler
+ * exports `config.api.bodyParser = false`, a parsed `body`, as Vercel
+ * provides them. The response records status, headers and the JSON body.
+ */
+const { Readable } = require('stream');
+const querystring = require('querystring');
+
+function parseBody(raw, contentType) {
+  if (!raw) return undefined;
+  if (/json/i.test(contentType)) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  if (/x-www-form-urlencoded/i.test(contentType)) return querystring.parse(raw);
+  return raw;
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.setHeader('Content-Type', 'application/json');
+      return res;
+    },
+    end(body) {
+      if (body !== undefined) res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+/**
+ * Calls `handler` with a request built from `{ method, query, headers, body }`.
+ * `body` may be a string (sent as-is) or an object (JSON, or form-encoded when
+ * the content type says so); `remoteAddress` is the connection's address.
+ * Resolves with `{ status, body, headers }`.
+ */
+async function invoke(handler, { method = 'GET', query = {}, headers = {}, body = undefined, remoteAddress = '127.0.0.1' } = {}) {
+  const requestHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  let raw = '';
+  if (typeof body === 'string') {
+    raw = body;
+  } else if (body !== undefined) {
+    requestHeaders['content-type'] = requestHeaders['content-type'] || 'application/json';
+    raw = /x-www-form-urlencoded/i.test(requestHeaders['content-type'])
+      ? querystring.stringify(body)
+      : JSON.stringify(body);
+  }
+
+  const req = Readable.from(raw ? [Buffer.from(raw)] : []);
+  req.method = method;
+  req.url = `/?${querystring.stringify(query)}`;
+  req.query = Object.fromEntries(Object.entries(query).map(([name, value]) => [name, String(value)]));
+  req.headers = requestHeaders;
+  req.socket = { remoteAddress };
+  if (handler.config?.api?.bodyParser !== false) {
+    req.body = parseBody(raw, requestHeaders['content-type'] || '');
+  }
+
+  const res = createResponse();
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+module.exports = {
+  invoke,
+};
@@ -0,0 +1,270 @@
+/**
+ * Local stand-ins for the Acuity and PassKit APIs.
+ *
+ * One HTTP server answers both: Acuity under `/acuity/api/v1`, PassKit under
+ * `/passkit`. `startMockApis()` points ACUITY_API_URL and PASSKIT_API_URL at
+ * it. Orders and members live in plain Maps the tests can read and seed;
+ * every request is recorded in `requests`.
+ *
+ * PassKit behaviour mirrors what the bridge relies on: externalId lookups
+ * answer 404 when there is no member, list calls stream newline-delimited
+ * `{ "result": member }` rows, and an update replaces `metaData` whole.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString();
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch {
+        resolve(raw);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function getPath(value, path) {
+  return path.split('.').reduce((current, part) => (current == null ? undefined : current[part]), value);
+}
+
+function matchesFilter(member, { filterField, filterValue, filterOperator = 'eq' }) {
+  const actual = getPath(member, filterField === 'memberId' ? 'id' : filterField);
+  if (actual === undefined || actual === null) return false;
+  if (filterOperator === 'like') return String(actual).toLowerCase().includes(String(filterValue).toLowerCase());
+  return String(actual).toLowerCase() === String(filterValue).toLowerCase();
+}
+
+function createMockState({ orders = [], members = [], clients = [], appointments = [] }) {
+  return {
+    orders: new Map(orders.map((order) => [String(order.id), structuredClone(order)])),
+    members: new Map(members.map((member) => [member.id, structuredClone(member)])),
+    clients: clients.map((client) => structuredClone(client)),
+    appointments: new Map(appointments.map((appointment) => [String(appointment.id), structuredClone(appointment)])),
+    requests: [],
+    failures: [],
+  };
+}
+
+// ---------- ACUITY ----------
+async function handleAcuity(state, req, res, path, url) {
+  if (!req.headers.authorization?.startsWith('Basic ')) {
+    return sendJson(res, 401, { status_code: 401, error: 'unauthorized' });
+  }
+
+  if (req.method === 'GET' && path === '/me') {
+    return sendJson(res, 200, { id: 1, email: 'owner@example.com', timezone: 'UTC' });
+  }
+
+  const orderMatch = path.match(/^\/orders\/([^/]+)$/);
+  if (req.method === 'GET' && orderMatch) {
+    const order = state.orders.get(decodeURIComponent(orderMatch[1]));
+    return order
+      ? sendJson(res, 200, order)
+      : sendJson(res, 404, { status_code: 404, error: 'not_found', message: 'Order not found' });
+  }
+
+  if (req.method === 'GET' && path === '/orders') {
+    const minDate = Date.parse(url.searchParams.get('minDate') || '') || -Infinity;
+    const maxDate = Date.parse(url.searchParams.get('maxDate') || '') || Infinity;
+    const max = Number(url.searchParams.get('max')) || 100;
+    const orders = [...state.orders.values()]
+      .filter((order) => {
+        const time = Date.parse(order.time || '');
+        return !Number.isFinite(time) || (time >= minDate && time <= maxDate);
+      })
+      .sort((a, b) => Date.parse(b.time || 0) - Date.parse(a.time || 0))
+      .slice(0, max);
+    return sendJson(res, 200, orders);
+  }
+
+  const appointmentMatch = path.match(/^\/appointments\/([^/]+)$/);
+  if (req.method === 'GET' && appointmentMatch) {
+    const appointment = state.appointments.get(decodeURIComponent(appointmentMatch[1]));
+    return appointment ? sendJson(res, 200, appointment) : sendJson(res, 404, { status_code: 404, error: 'not_found' });
+  }
+  if (req.method === 'GET' && path === '/appointments') {
+    const email = (url.searchParams.get('email') || '').toLowerCase();
+    const max = Number(url.searchParams.get('max')) || 100;
+    const order = url.searchParams.get('direction') === 'ASC' ? 1 : -1;
+    const appointments = [...state.appointments.values()]
+      .filter((item) => !email || item.email?.toLowerCase() === email)
+      .sort((a, b) => order * (Date.parse(a.datetime || 0) - Date.parse(b.datetime || 0)))
+      .slice(0, max);
+    return sendJson(res, 200, appointments);
+  }
+
+  if (req.method === 'GET' && path === '/clients') {
+    const search = (url.searchParams.get('search') || '').toLowerCase();
+    return sendJson(res, 200, state.clients.filter((client) => !search
+      || `${client.firstName} ${client.lastName} ${client.email}`.toLowerCase().includes(search)));
+  }
+  if (req.method === 'PUT' && path === '/clients') {
+    const client = state.clients.find((item) => item.firstName === url.searchParams.get('firstName')
+      && item.lastName === url.searchParams.get('lastName'));
+    if (!client) return sendJson(res, 404, { status_code: 404, error: 'not_found' });
+    Object.assign(client, await readBody(req));
+    return sendJson(res, 200, client);
+  }
+
+  return sendJson(res, 404, { status_code: 404, error: 'not_found', message: `No mock for ${req.method} ${path}` });
+}
+
+// ---------- PASSKIT ----------
+function upsertMember(state, payload) {
+  if (payload.id) {
+    const member = state.members.get(payload.id);
+    if (!member) return [404, { error: 'member not found' }];
+    const { person, ...rest } = payload;
+    Object.assign(member, structuredClone(rest), person ? { person: { ...member.person, ...person } } : {});
+    member.updated = new Date().toISOString();
+    return [200, { id: member.id }];
+  }
+
+  const duplicate = [...state.members.values()]
+    .find((member) => member.programId === payload.programId && payload.externalId && member.externalId === payload.externalId);
+  if (duplicate) return [409, { error: 'externalId already exists' }];
+  const id = crypto.randomBytes(11).toString('base64url');
+  const now = new Date().toISOString();
+  state.members.set(id, { status: 'ENROLLED', points: 0, ...structuredClone(payload), id, created: now, updated: now });
+  return [200, { id }];
+}
+
+async function handlePassKit(state, req, res, path) {
+  if (!req.headers.authorization) return sendJson(res, 401, { error: 'missing token' });
+
+  if (req.method === 'GET' && path === '/user/profile') {
+    return sendJson(res, 200, { username: 'bridge-test', companyName: 'Mock PassKit' });
+  }
+
+  const externalMatch = path.match(/^\/members\/member\/externalId\/([^/]+)\/([^/]+)$/);
+  if (req.method === 'GET' && externalMatch) {
+    const [programId, externalId] = externalMatch.slice(1).map(decodeURIComponent);
+    const member = [...state.members.values()].find((item) => item.programId === programId && item.externalId === externalId);
+    return member ? sendJson(res, 200, member) : sendJson(res, 404, { error: 'member not found' });
+  }
+
+  const idMatch = path.match(/^\/members\/member\/id\/([^/]+)$/);
+  if (req.method === 'GET' && idMatch) {
+    const member = state.members.get(decodeURIComponent(idMatch[1]));
+    return member ? sendJson(res, 200, member) : sendJson(res, 404, { error: 'member not found' });
+  }
+
+  const listMatch = path.match(/^\/members\/member\/list\/([^/]+)$/);
+  if (req.method === 'POST' && listMatch) {
+    const { filters = {} } = (await readBody(req)) || {};
+    const fieldFilters = (filters.filterGroups || []).flatMap((group) => group.fieldFilters || []);
+    const offset = filters.offset || 0;
+    const rows = [...state.members.values()]
+      .filter((member) => member.programId === decodeURIComponent(listMatch[1]))
+      .filter((member) => fieldFilters.every((filter) => matchesFilter(member, filter)))
+      .slice(offset, offset + (filters.limit || 100));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(rows.map((member) => JSON.stringify({ result: member })).join('\n'));
+  }
+
+  if (path === '/members/member' && req.method === 'PUT') {
+    const [status, body] = upsertMember(state, (await readBody(req)) || {});
+    return sendJson(res, status, body);
+  }
+  if (path === '/members/member' && req.method === 'DELETE') {
+    const { id } = (await readBody(req)) || {};
+    return state.members.delete(id) ? sendJson(res, 200, { id }) : sendJson(res, 404, { error: 'member not found' });
+  }
+
+  const pointsMatch = path.match(/^\/members\/member\/points\/(earn|burn)$/);
+  if (req.method === 'PUT' && pointsMatch) {
+    const { id, points } = (await readBody(req)) || {};
+    const member = state.members.get(id);
+    if (!member) return sendJson(res, 404, { error: 'member not found' });
+    member.points = (member.points || 0) + (pointsMatch[1] === 'earn' ? 1 : -1) * Number(points);
+    return sendJson(res, 200, { id, points: member.points });
+  }
+
+  return sendJson(res, 404, { error: `No mock for ${req.method} ${path}` });
+}
+
+/**
+ * Starts the mock server on a free local port and points the bridge at it.
+ * `failNext(method, pathPattern, status)` makes the next request whose
+ * full path (e.g. `/passkit/members/member`) matches fail, for error paths.
+ */
+async function startMockApis(seed = {}) {
+  const state = createMockState(seed);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const failureIndex = state.failures.findIndex((failure) => failure.method === req.method && failure.pattern.test(url.pathname));
+    if (failureIndex !== -1) {
+      const [failure] = state.failures.splice(failureIndex, 1);
+      return sendJson(res, failure.status, { error: 'Injected failure' });
+    }
+
+    try {
+      if (url.pathname.startsWith('/acuity/api/v1')) {
+        return await handleAcuity(state, req, res, url.pathname.slice('/acuity/api/v1'.length) || '/', url);
+      }
+      if (url.pathname.startsWith('/passkit')) {
+        return await handlePassKit(state, req, res, url.pathname.slice('/passkit'.length) || '/');
+      }
+      return sendJson(res, 404, { error: 'Unknown mock API' });
+    } catch (err) {
+      return sendJson(res, 500, { error: err.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.ACUITY_API_URL = `${baseUrl}/acuity/api/v1`;
+  process.env.PASSKIT_API_URL = `${baseUrl}/passkit`;
+
+  return {
+    baseUrl,
+    orders: state.orders,
+    members: state.members,
+    clients: state.clients,
+    requests: state.requests,
+    addOrder(order) {
+      state.orders.set(String(order.id), structuredClone(order));
+    },
+    addMember(member) {
+      state.members.set(member.id, structuredClone(member));
+    },
+    findMember(externalId) {
+      return [...state.members.values()].find((member) => member.externalId === externalId) || null;
+    },
+    failNext(method, pattern, status = 500) {
+      state.failures.push({ method, pattern: pattern instanceof RegExp ? pattern : new RegExp(`^${pattern}`), status });
+    },
+    // Back to the seed data, with no recorded requests or pending failures.
+    reset() {
+      const fresh = createMockState(seed);
+      for (const name of ['orders', 'members', 'appointments']) {
+        state[name].clear();
+        fresh[name].forEach((value, key) => state[name].set(key, value));
+      }
+      state.clients.splice(0, state.clients.length, ...fresh.clients);
+      state.requests.length = 0;
+      state.failures.length = 0;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  startMockApis,
+};
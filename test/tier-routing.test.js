@@ -0,0 +1,98 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authHeaders, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const processOrder = require('../api/process-order');
+const { resolveTierForOrder, describeTierRouting } = require('../lib/tier-routing');
+
+const RULES = [
+  { match: 'exact', field: 'productId', pattern: '4711', tierId: 'founder' },
+  { match: 'exact', pattern: 'Standard Membership', tierId: 'standard' },
+  { match: 'regex', pattern: '^family\\b', tierId: 'family' },
+  { match: 'substring', pattern: 'PREMIUM', tierId: 'premium' },
+];
+
+describe('tier routing', () => {
+  beforeEach(() => {
+    process.env.TIER_RULES = JSON.stringify(RULES);
+  });
+  afterEach(() => {
+    delete process.env.TIER_RULES;
+    delete process.env.DEFAULT_TIER_ID;
+  });
+
+  function tierFor(order, options) {
+    return resolveTierForOrder(order, options).tierId;
+  }
+
+  it('matches titles exactly, by substring and by regex, ignoring case', () => {
+    assert.equal(tierFor({ title: ' standard membership ' }), 'standard');
+    assert.equal(tierFor({ title: 'Standard Membership Plus' }), 'membership');
+    assert.equal(tierFor({ title: 'Annual Premium Pass' }), 'premium');
+    assert.equal(tierFor({ title: 'Family membership' }), 'family');
+    assert.equal(tierFor({ title: 'Extended family membership' }), 'membership');
+  });
+
+  it('matches the product ID and lets the first matching rule win', () => {
+    const result = resolveTierForOrder({ title: 'Premium Membership', productID: 4711 });
+    assert.deepEqual(result, { tierId: 'founder', programId: null, matchedRule: 1, source: 'rule' });
+    assert.equal(tierFor({ title: 'Premium Membership', product: { id: '4712' } }), 'premium');
+  });
+
+  it("falls back to the mapping's tier, then DEFAULT_TIER_ID", () => {
+    process.env.DEFAULT_TIER_ID = 'basic';
+    assert.equal(resolveTierForOrder({ title: 'Drop-in' }, { fallbackTierId: 'mapped' }).source, 'mapping');
+    assert.equal(tierFor({ title: 'Drop-in' }, { fallbackTierId: 'mapped' }), 'mapped');
+    assert.equal(tierFor({ title: 'Drop-in' }), 'basic');
+  });
+
+  it('refuses to route with an invalid rule', () => {
+    process.env.TIER_RULES = JSON.stringify([{ match: 'regex', pattern: '(unclosed', tierId: 'broken' }]);
+
+    assert.equal(describeTierRouting().valid, false);
+    assert.match(describeTierRouting().errors[0], /^Rule 1: invalid regex/);
+    assert.throws(() => resolveTierForOrder({ title: 'Annual Membership' }), /Invalid tier routing configuration/);
+  });
+});
+
+describe('tier routing during enrollment', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+  afterEach(() => {
+    delete process.env.TIER_RULES;
+  });
+
+  function processOrderId(orderId) {
+    return invoke(processOrder, { method: 'POST', query: { orderId }, headers: authHeaders });
+  }
+
+  it('enrolls the member in the matched tier', async () => {
+    process.env.TIER_RULES = JSON.stringify([{ match: 'substring', pattern: 'annual', tierId: 'annual' }]);
+
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 200);
+    assert.equal(mock.findMember('AB12CD34').tierId, 'annual');
+  });
+
+  it('blocks enrollment while the rules are invalid', async () => {
+    process.env.TIER_RULES = JSON.stringify([{ match: 'regex', pattern: '[annual', tierId: 'annual' }]);
+
+    const response = await processOrderId(ORDERS.topLevelCode.id);
+
+    assert.equal(response.status, 500);
+    assert.match(response.body.message, /tier routing/);
+    assert.equal(mock.members.size, 0);
+  });
+});
@@ -0,0 +1,169 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const querystring = require('querystring');
+const { authHeaders, signAcuityBody, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const { setWebhookEnabled, getRedis } = require('../lib/helpers');
+const { queryLogs } = require('../lib/activity-log');
+const webhook = require('../api/webhook');
+const webhookDeliveries = require('../api/webhook-deliveries');
+
+function deliver(fields, { signature, headers = {} } = {}) {
+  const raw = querystring.stringify(fields);
+  return invoke(webhook, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+      'x-acuity-signature': signature === undefined ? signAcuityBody(raw) : signature,
+      ...headers,
+    },
+    body: raw,
+  });
+}
+
+function listDeliveries(query = {}, headers = authHeaders) {
+  return invoke(webhookDeliveries, { query, headers });
+}
+
+function replay(id, query = {}) {
+  return invoke(webhookDeliveries, { method: 'POST', query: { action: 'replay', id, ...query }, headers: authHeaders });
+}
+
+describe('/api/webhook-deliveries', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({ orders: Object.values(ORDERS) });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  it('requires an API token', async () => {
+    const response = await listDeliveries({}, {});
+    assert.equal(response.status, 401);
+  });
+
+  it('records the raw delivery, signature check and outcome', async () => {
+    const delivered = await deliver(
+      { action: 'order.completed', id: ORDERS.topLevelCode.id },
+      { headers: { cookie: 'session=secret' } }
+    );
+    const id = delivered.headers['x-correlation-id'];
+
+    const { body: list } = await listDeliveries();
+    assert.equal(list.deliveries.length, 1);
+    assert.equal(list.deliveries[0].id, id);
+    assert.equal(list.deliveries[0].orderId, String(ORDERS.topLevelCode.id));
+    assert.equal(list.deliveries[0].signature, 'valid');
+    assert.equal(list.deliveries[0].outcome.status, 'ok');
+    assert.equal(list.deliveries[0].rawBody, undefined);
+
+    const { body: detail } = await listDeliveries({ id });
+    assert.equal(detail.delivery.rawBody, querystring.stringify({ action: 'order.completed', id: ORDERS.topLevelCode.id }));
+    assert.equal(detail.delivery.body.action, 'order.completed');
+    assert.equal(detail.delivery.headers.cookie, '[redacted]');
+    assert.equal(detail.delivery.outcome.httpStatus, 200);
+    assert.equal(detail.delivery.outcome.result.outcome, 'created');
+  });
+
+  it('filters by outcome status and order', async () => {
+    await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    await deliver({ action: 'order.completed', id: ORDERS.snakeCaseCode.id }, { signature: 'bm90LXRoZS1zaWduYXR1cmU=' });
+
+    const rejected = await listDeliveries({ status: 'rejected' });
+    assert.deepEqual(rejected.body.deliveries.map((delivery) => delivery.signature), ['invalid']);
+    const byOrder = await listDeliveries({ orderId: String(ORDERS.topLevelCode.id) });
+    assert.equal(byOrder.body.deliveries.length, 1);
+    assert.equal((await listDeliveries({ status: 'bogus' })).status, 400);
+  });
+
+  it('replays a delivery ignored while processing was disabled', async (t) => {
+    t.after(() => setWebhookEnabled(true));
+    await setWebhookEnabled(false);
+    const delivered = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(delivered.body.reason, 'webhook_disabled');
+    assert.equal(mock.members.size, 0);
+
+    const response = await replay(delivered.headers['x-correlation-id']);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.replay.status, 'ok');
+    assert.equal(response.body.replay.result.outcome, 'created');
+    assert.ok(mock.findMember('AB12CD34'));
+    const { body: detail } = await listDeliveries({ id: delivered.headers['x-correlation-id'] });
+    assert.equal(detail.delivery.replays.length, 1);
+    assert.equal(detail.delivery.replays[0].by, 'test-suite');
+    const { entries } = await queryLogs({ event: 'webhook.replayed' });
+    assert.equal(entries.length, 1);
+  });
+
+  it('previews a replay without changing anything', async (t) => {
+    process.env.WEBHOOK_SIGNATURE_MODE = 'log-only';
+    t.after(() => delete process.env.WEBHOOK_SIGNATURE_MODE);
+    t.after(() => setWebhookEnabled(true));
+    await setWebhookEnabled(false);
+    const delivered = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, { signature: 'bm90LXRoZS1zaWduYXR1cmU=' });
+    mock.requests.length = 0;
+
+    const refused = await replay(delivered.headers['x-correlation-id']);
+    assert.equal(refused.status, 409);
+
+    const response = await replay(delivered.headers['x-correlation-id'], { dryRun: 'true' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.replay.dryRun, true);
+    assert.equal(response.body.replay.result.outcome, 'created');
+    assert.equal(mock.members.size, 0);
+    const { body: detail } = await listDeliveries({ id: delivered.headers['x-correlation-id'] });
+    assert.equal(detail.delivery.replays.length, 0);
+  });
+
+  it('keeps only a summary of rejected deliveries', async () => {
+    const delivered = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, { signature: 'bm90LXRoZS1zaWduYXR1cmU=' });
+    assert.equal(delivered.status, 401);
+    const id = delivered.headers['x-correlation-id'];
+
+    const { body: detail } = await listDeliveries({ id });
+    assert.equal(detail.delivery.summaryOnly, true);
+    assert.equal(detail.delivery.signature, 'invalid');
+    assert.equal(detail.delivery.orderId, String(ORDERS.topLevelCode.id));
+    assert.equal(detail.delivery.outcome.status, 'rejected');
+    assert.equal(detail.delivery.rawBody, undefined);
+    assert.equal(detail.delivery.headers, undefined);
+    assert.equal((await replay(id, { dryRun: 'true' })).status, 409);
+  });
+
+  it('deletes the records of deliveries beyond the limit', async (t) => {
+    process.env.WEBHOOK_DELIVERY_LIMIT = '2';
+    t.after(() => delete process.env.WEBHOOK_DELIVERY_LIMIT);
+    const ids = [];
+    for (const order of [ORDERS.topLevelCode, ORDERS.snakeCaseCode, ORDERS.nestedGiftCode]) {
+      ids.push((await deliver({ action: 'order.completed', id: order.id })).headers['x-correlation-id']);
+    }
+
+    const { body } = await listDeliveries();
+    assert.deepEqual(body.deliveries.map((delivery) => delivery.id), [ids[2], ids[1]]);
+    assert.equal((await listDeliveries({ id: ids[0] })).status, 404);
+    assert.equal(await getRedis().get(`acuity_inbound_delivery:${ids[0]}`), null);
+  });
+
+  it('returns 404 for an unknown delivery', async () => {
+    const response = await replay('missing');
+    assert.equal(response.status, 404);
+  });
+
+  it('records nothing when retention is 0', async (t) => {
+    process.env.WEBHOOK_DELIVERY_RETENTION_DAYS = '0';
+    t.after(() => delete process.env.WEBHOOK_DELIVERY_RETENTION_DAYS);
+    await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+    const { body } = await listDeliveries();
+    assert.equal(body.settings.recording, false);
+    assert.equal(body.deliveries.length, 0);
+  });
+});
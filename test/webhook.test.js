@@ -0,0 +1,274 @@
+require('./support/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const querystring = require('querystring');
+const { signAcuityBody, resetRedis } = require('./support/env');
+const { startMockApis } = require('./support/mock-apis');
+const { invoke } = require('./support/http');
+const { ORDERS } = require('./fixtures/acuity-orders');
+const { getRedis, setWebhookEnabled, verifyAcuitySignature } = require('../lib/helpers');
+const { queryLogs } = require('../lib/activity-log');
+const webhook = require('../api/webhook');
+
+function deliver(fields, { signature, headers = {}, remoteAddress } = {}) {
+  const raw = querystring.stringify(fields);
+  return invoke(webhook, {
+    method: 'POST',
+    remoteAddress,
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+      'x-acuity-signature': signature === undefined ? signAcuityBody(raw) : signature,
+      ...headers,
+    },
+    body: raw,
+  });
+}
+
+// Sets an environment variable for one test.
+function setEnv(t, name, value) {
+  process.env[name] = value;
+  t.after(() => delete process.env[name]);
+}
+
+describe('POST /api/webhook (Acuity)', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockApis({
+      orders: Object.values(ORDERS),
+      appointments: [{ id: 501, firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', datetime: '2026-03-09T10:00:00+0000' }],
+    });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    mock.reset();
+    await resetRedis();
+  });
+
+  it('enrolls the member for a completed order', async () => {
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'ok');
+    assert.equal(response.body.result.outcome, 'created');
+    assert.ok(response.headers['x-correlation-id']);
+    assert.equal(mock.findMember('AB12CD34').person.emailAddress, 'jane@example.com');
+  });
+
+  it('treats a repeated delivery as a duplicate', async (t) => {
+    setEnv(t, 'WEBHOOK_REPLAY_WINDOW_SECONDS', '0');
+    await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.body.result.outcome, 'unchanged');
+    assert.equal(response.body.result.duplicate, true);
+    assert.equal(mock.members.size, 1);
+  });
+
+  it('ignores the same body again inside the replay window', async () => {
+    await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    mock.requests.length = 0;
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { status: 'ignored', reason: 'duplicate_delivery', orderId: String(ORDERS.topLevelCode.id) });
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('processes identical appointment deliveries inside the replay window', async () => {
+    const first = await deliver({ action: 'changed', id: 501 });
+    const second = await deliver({ action: 'changed', id: 501 });
+
+    assert.equal(first.body.appointmentId, '501');
+    assert.notEqual(first.body.status, 'ignored');
+    assert.notEqual(second.body.status, 'ignored');
+    const fetches = mock.requests.filter((request) => request.path === '/acuity/api/v1/appointments/501');
+    assert.equal(fetches.length, 2);
+  });
+
+  it('keeps an order body claimed while its failed job is queued', async () => {
+    mock.failNext('PUT', '/passkit/members/member', 500);
+    const failed = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(failed.body.status, 'retrying');
+
+    const resent = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(resent.body.status, 'ignored');
+    assert.equal(resent.body.reason, 'duplicate_delivery');
+    assert.equal(await getRedis().llen('acuity_webhook_queue'), 1);
+  });
+
+  it('lets an order body through again when it failed without a job', async (t) => {
+    const redis = getRedis();
+    const lpush = redis.lpush;
+    t.mock.method(redis, 'lpush', function (key, ...args) {
+      if (key === 'acuity_webhook_queue') return Promise.reject(new Error('Redis write failed'));
+      return lpush.call(this, key, ...args);
+    });
+    mock.failNext('PUT', '/passkit/members/member', 500);
+    const failed = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(failed.body.status, 'error');
+
+    const resent = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(resent.body.status, 'ok');
+    assert.ok(mock.findMember('AB12CD34'));
+  });
+
+  it('refuses a body over 64KB', async () => {
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id, padding: 'x'.repeat(64 * 1024) });
+
+    assert.equal(response.status, 413);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('does not claim a body while processing is disabled', async (t) => {
+    t.after(() => setWebhookEnabled(true));
+    await setWebhookEnabled(false);
+    const ignored = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(ignored.body.reason, 'webhook_disabled');
+
+    await setWebhookEnabled(true);
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    assert.equal(response.body.status, 'ok');
+    assert.ok(mock.findMember('AB12CD34'));
+  });
+
+  it('rejects an unsigned delivery', async () => {
+    const response = await deliver({ action: 'order.cancelled', id: ORDERS.snakeCaseCode.id }, { signature: '' });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Missing signature');
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('processes an unsigned delivery in log-only mode and logs it', async (t) => {
+    setEnv(t, 'WEBHOOK_SIGNATURE_MODE', 'log-only');
+    const response = await deliver({ action: 'order.completed', id: ORDERS.snakeCaseCode.id }, { signature: '' });
+
+    assert.equal(response.status, 200);
+    assert.ok(mock.findMember('EF56GH78'));
+    const { entries } = await queryLogs({ event: 'webhook.unverified' });
+    assert.equal(entries.length, 1);
+  });
+
+  it('skips the signature check when enforcement is off', async (t) => {
+    setEnv(t, 'WEBHOOK_SIGNATURE_MODE', 'off');
+    const response = await deliver({ action: 'order.completed', id: ORDERS.snakeCaseCode.id }, { signature: 'bm90LXRoZS1zaWduYXR1cmU=' });
+
+    assert.equal(response.status, 200);
+    assert.ok(mock.findMember('EF56GH78'));
+  });
+
+  it('only accepts deliveries from WEBHOOK_ALLOWED_IPS when set', async (t) => {
+    setEnv(t, 'WEBHOOK_ALLOWED_IPS', '203.0.113.0/24, 2001:db8::1');
+    const outside = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, { remoteAddress: '198.51.100.7' });
+    assert.equal(outside.status, 403);
+    assert.equal(mock.requests.length, 0);
+
+    const inside = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, { remoteAddress: '::ffff:203.0.113.40' });
+    assert.equal(inside.status, 200);
+    assert.ok(mock.findMember('AB12CD34'));
+  });
+
+  it('ignores X-Forwarded-For from an untrusted peer', async (t) => {
+    setEnv(t, 'WEBHOOK_ALLOWED_IPS', '203.0.113.0/24');
+    const spoofed = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, {
+      remoteAddress: '198.51.100.7',
+      headers: { 'x-forwarded-for': '203.0.113.40' },
+    });
+    assert.equal(spoofed.status, 403);
+
+    // Behind one trusted proxy, only the hop it appended counts.
+    setEnv(t, 'TRUST_PROXY', 'true');
+    const prepended = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, {
+      remoteAddress: '10.0.0.1',
+      headers: { 'x-forwarded-for': '203.0.113.40, 198.51.100.7' },
+    });
+    assert.equal(prepended.status, 403);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('reads the client from X-Forwarded-For behind TRUST_PROXY', async (t) => {
+    setEnv(t, 'WEBHOOK_ALLOWED_IPS', '203.0.113.0/24');
+    setEnv(t, 'TRUST_PROXY', '10.0.0.0/8');
+    const untrusted = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, {
+      remoteAddress: '198.51.100.7',
+      headers: { 'x-forwarded-for': '203.0.113.40' },
+    });
+    assert.equal(untrusted.status, 403);
+
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, {
+      remoteAddress: '10.0.0.2',
+      headers: { 'x-forwarded-for': '198.51.100.7, 203.0.113.40, 10.0.0.1' },
+    });
+    assert.equal(response.status, 200);
+    assert.ok(mock.findMember('AB12CD34'));
+  });
+
+  it('rejects an invalid signature', async () => {
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id }, { signature: 'bm90LXRoZS1zaWduYXR1cmU=' });
+
+    assert.equal(response.status, 401);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('compares signatures of any length without throwing', () => {
+    const raw = 'action=order.completed&id=1';
+    assert.equal(verifyAcuitySignature(raw, signAcuityBody(raw)), true);
+    assert.equal(verifyAcuitySignature(raw, signAcuityBody(raw).slice(0, -2)), false);
+    assert.equal(verifyAcuitySignature(raw, `${signAcuityBody(raw)}AA`), false);
+  });
+
+  it('ignores a delivery without an action', async () => {
+    const response = await deliver({ id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { status: 'ignored', reason: 'missing_action' });
+  });
+
+  it('ignores actions without a handler', async () => {
+    const response = await deliver({ action: 'order.refunded.partially', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.body.status, 'ignored');
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('ignores deliveries while processing is disabled', async (t) => {
+    // The toggle is also cached in the process, so flushing Redis doesn't reset it.
+    t.after(() => setWebhookEnabled(true));
+    await setWebhookEnabled(false);
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.body.reason, 'webhook_disabled');
+    assert.equal(mock.members.size, 0);
+  });
+
+  it('skips orders for other products', async () => {
+    const response = await deliver({ action: 'order.completed', id: ORDERS.otherProduct.id });
+
+    assert.equal(response.body.status, 'ok');
+    assert.equal(response.body.result.skipped, true);
+    assert.equal(mock.members.size, 0);
+  });
+
+  it('cancels the member when the order is cancelled', async () => {
+    await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+    mock.addOrder({ ...ORDERS.topLevelCode, status: 'Cancelled' });
+    const response = await deliver({ action: 'order.cancelled', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.body.status, 'ok');
+    assert.equal(response.body.result.success, true);
+    const member = mock.findMember('AB12CD34');
+    assert.ok(!member || member.status !== 'ENROLLED', 'member no longer enrolled');
+  });
+
+  it('keeps a failed delivery queued for retry', async () => {
+    mock.failNext('PUT', '/passkit/members/member', 503);
+    const response = await deliver({ action: 'order.completed', id: ORDERS.topLevelCode.id });
+
+    assert.equal(response.status, 200);
+    assert.notEqual(response.body.status, 'ok');
+    assert.ok(response.body.jobId);
+    assert.ok(response.body.error);
+    assert.equal(mock.members.size, 0);
+  });
+});